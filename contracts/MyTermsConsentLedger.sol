@@ -9,6 +9,34 @@ contract MyTermsConsentLedger {
         uint256 timestamp
     );
 
+    event ConsentRevoked(
+        address indexed user,
+        string siteDomain,
+        bytes32 termsHash,
+        uint256 timestamp
+    );
+
+    event ConsentRootAnchored(
+        address indexed user,
+        bytes32 indexed root,
+        uint256 count,
+        uint256 timestamp
+    );
+
+    // user => Merkle root => anchoring timestamp (0 if never anchored)
+    mapping(address => mapping(bytes32 => uint256)) public rootAnchoredAt;
+
+    // EIP-712 signed batches let a relayer pay gas on the user's behalf
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant CONSENT_BATCH_TYPEHASH = keccak256(
+        "ConsentBatch(address user,string[] sites,bytes32[] hashes,uint256 nonce,uint256 deadline)"
+    );
+
+    // Per-user replay protection for signed batches
+    mapping(address => uint256) public nonces;
+
     function logConsentBatch(
         string[] calldata sites,
         bytes32[] calldata hashes
@@ -26,4 +54,124 @@ contract MyTermsConsentLedger {
     ) external {
         emit ConsentLogged(msg.sender, site, termsHash, block.timestamp);
     }
+
+    // Same as logConsentBatch, but submitted by anyone holding the user's
+    // EIP-712 signature over the batch. Events are attributed to the signer.
+    function logConsentBatchWithSig(
+        address user,
+        string[] calldata sites,
+        bytes32[] calldata hashes,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        require(sites.length == hashes.length, "Mismatched input lengths");
+        require(block.timestamp <= deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                CONSENT_BATCH_TYPEHASH,
+                user,
+                _hashSites(sites),
+                keccak256(abi.encodePacked(hashes)),
+                nonces[user]++,
+                deadline
+            )
+        );
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        require(_recover(digest, signature) == user, "Invalid signature");
+
+        for (uint256 i = 0; i < sites.length; i++) {
+            emit ConsentLogged(user, sites[i], hashes[i], block.timestamp);
+        }
+    }
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                EIP712_DOMAIN_TYPEHASH,
+                keccak256(bytes("MyTermsConsentLedger")),
+                keccak256(bytes("1")),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    // EIP-712 encoding of string[]: hash of the concatenated element hashes
+    function _hashSites(string[] calldata sites) private pure returns (bytes32) {
+        bytes32[] memory siteHashes = new bytes32[](sites.length);
+        for (uint256 i = 0; i < sites.length; i++) {
+            siteHashes[i] = keccak256(bytes(sites[i]));
+        }
+        return keccak256(abi.encodePacked(siteHashes));
+    }
+
+    function _recover(bytes32 digest, bytes calldata signature) private pure returns (address) {
+        require(signature.length == 65, "Invalid signature length");
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+
+        // Reject malleable signatures (upper-half s), as in OpenZeppelin ECDSA
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "Invalid signature"
+        );
+        require(v == 27 || v == 28, "Invalid signature");
+
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
+
+    // Withdraws a previously logged consent. The site and termsHash must match
+    // the original ConsentLogged event so the two can be paired off-chain. For a
+    // consent anchored under a Merkle root, site is empty and termsHash is its
+    // leaf, which verifyConsentProof ties to the anchored root.
+    function revokeConsentBatch(
+        string[] calldata sites,
+        bytes32[] calldata hashes
+    ) external {
+        require(sites.length == hashes.length, "Mismatched input lengths");
+
+        for (uint256 i = 0; i < sites.length; i++) {
+            emit ConsentRevoked(msg.sender, sites[i], hashes[i], block.timestamp);
+        }
+    }
+
+    function revokeConsent(
+        string calldata site,
+        bytes32 termsHash
+    ) external {
+        emit ConsentRevoked(msg.sender, site, termsHash, block.timestamp);
+    }
+
+    // Anchors a whole batch as a single Merkle root so individual sites are
+    // never published. Leaves are built off-chain; see verifyConsentProof.
+    function logConsentRoot(bytes32 root, uint256 count) external {
+        require(root != bytes32(0), "Empty root");
+        require(count > 0, "Empty batch");
+
+        rootAnchoredAt[msg.sender][root] = block.timestamp;
+        emit ConsentRootAnchored(msg.sender, root, count, block.timestamp);
+    }
+
+    // Checks an inclusion proof built with sorted-pair keccak256 hashing
+    function verifyConsentProof(
+        bytes32[] calldata proof,
+        bytes32 root,
+        bytes32 leaf
+    ) public pure returns (bool) {
+        bytes32 computed = leaf;
+
+        for (uint256 i = 0; i < proof.length; i++) {
+            bytes32 sibling = proof[i];
+            computed = computed < sibling
+                ? keccak256(abi.encodePacked(computed, sibling))
+                : keccak256(abi.encodePacked(sibling, computed));
+        }
+
+        return computed == root;
+    }
 }
@@ -6,13 +6,47 @@ import { consentStorage } from './utils/storage.js';
 import { DualChainManager } from './utils/dual-chain.js';
 import { AGREEMENT_TEMPLATES, MyTermsParser } from './utils/myterms.js';
 import CookieClassifier from './utils/cookie-classifier.js';
+import ConsentVerifier from './utils/consent-verifier.js';
+import { applyPrivacySignals, buildPrivacySignals } from './utils/privacy-signals.js';
+import { getSiteOverrides, setSiteOverride } from './utils/site-overrides.js';
+import { createBackup, restoreBackup } from './utils/backup.js';
+import { getRetentionPolicy, setRetentionPolicy } from './utils/retention.js';
+import { ConsentMerkleTree } from './utils/merkle.js';
+import { getDashboardOrigin, isAllowedMessage, setDashboardOrigin } from './utils/message-origin.js';
+import { PolicyExtractor } from './lib/policy-extractor/extractor.js';
+import { RuleSyncService } from './lib/rule-sync/sync-service.js';
+
+// chrome.alarms names - alarms survive service worker suspension, intervals don't
+const BATCH_ALARM = 'batchCheck';
+const MAINTENANCE_ALARM = 'maintenance';
+const RULE_SYNC_ALARM = 'ruleSync';
+const BATCH_CHECK_MINUTES = 15;
+const MAINTENANCE_MINUTES = 24 * 60;
+const RULE_SYNC_MINUTES = 24 * 60;
+// Give the site time to (not) drop trackers after the banner closes
+const VERIFY_DELAY_MS = 5000;
+// tabId -> time the popup started the rule recorder there. In chrome.storage.session:
+// a recording can outlast an idle service worker.
+const RECORDER_SESSION_KEY = 'armedRuleRecorders';
+const RECORDER_ARM_MS = 15 * 60 * 1000;
+// One "batch ready" notification at a time, replaced rather than stacked
+const BATCH_NOTIFICATION_ID = 'batchReady';
+// chrome.storage.local: pending count the last notification was for
+const BATCH_NOTIFIED_KEY = 'batchNotifiedCount';
 
 class ConsentManager {
   constructor() {
-    this.lastBatchTime = null;
     this.batchInterval = 24 * 60 * 60 * 1000; // 24 hours
     this.processing = false;
     this.dualChain = new DualChainManager();
+    this.verifier = new ConsentVerifier();
+    this.ruleSync = new RuleSyncService();
+    // tabId -> { frameId, source } of the frame handling that page's banner
+    this.bannerClaims = new Map();
+    // tabId -> { frameId -> { frameUrl, candidates, chosen, reportedAt } } for the popup's debug panel
+    this.detectionScores = new Map();
+    // tabId -> { origin, cookies: Promise } taken when the page's banner was first claimed
+    this.cookieBaselines = new Map();
 
     this.init();
   }
@@ -26,10 +60,14 @@ class ConsentManager {
     // Start background processes
     this.startBackgroundProcesses();
 
-    // Initial batch process check
-    setTimeout(() => {
-      this.checkAndProcessBatch();
-    }, 5000);
+    // Sec-GPC / __gpp signals follow the saved profile
+    this.syncPrivacySignals();
+
+    // CMP rules: signed upstream bundle, or the bundled defaults on first run
+    this.syncRulesIfDue();
+
+    // Batch checks run from BATCH_ALARM only: the worker restarts often, and a check
+    // on every start would notify again each time
   }
 
   async seedAgreements() {
@@ -50,18 +88,38 @@ class ConsentManager {
     }
   }
 
-  startBackgroundProcesses() {
+  async startBackgroundProcesses() {
     console.log('Starting background processes...');
 
-    // Check for batch processing every 15 minutes
-    setInterval(() => {
-      this.checkAndProcessBatch();
-    }, 15 * 60 * 1000); // 15 minutes
+    try {
+      // Re-creating an existing alarm resets its timer, so only create missing ones
+      const batchAlarm = await chrome.alarms.get(BATCH_ALARM);
+      if (!batchAlarm) {
+        await chrome.alarms.create(BATCH_ALARM, { periodInMinutes: BATCH_CHECK_MINUTES });
+      }
+
+      const maintenanceAlarm = await chrome.alarms.get(MAINTENANCE_ALARM);
+      if (!maintenanceAlarm) {
+        await chrome.alarms.create(MAINTENANCE_ALARM, { periodInMinutes: MAINTENANCE_MINUTES });
+      }
+
+      const ruleSyncAlarm = await chrome.alarms.get(RULE_SYNC_ALARM);
+      if (!ruleSyncAlarm) {
+        await chrome.alarms.create(RULE_SYNC_ALARM, { periodInMinutes: RULE_SYNC_MINUTES });
+      }
+    } catch (error) {
+      console.error('Failed to schedule background alarms:', error);
+    }
+  }
+
+  // lastBatchTime is persisted because the worker's memory is lost on suspension
+  async getLastBatchTime() {
+    const result = await chrome.storage.local.get(['lastBatchTime']);
+    return result.lastBatchTime || null;
+  }
 
-    // Cleanup old data daily
-    setInterval(() => {
-      this.performMaintenance();
-    }, 24 * 60 * 60 * 1000); // 24 hours
+  async setLastBatchTime(time) {
+    await chrome.storage.local.set({ lastBatchTime: time });
   }
 
   async checkAndProcessBatch(force = false) {
@@ -73,7 +131,8 @@ class ConsentManager {
     try {
       // Check if enough time has passed since last batch
       const now = Date.now();
-      const timeSinceLastBatch = this.lastBatchTime ? now - this.lastBatchTime : this.batchInterval;
+      const lastBatchTime = await this.getLastBatchTime();
+      const timeSinceLastBatch = lastBatchTime ? now - lastBatchTime : this.batchInterval;
       const shouldProcess = force || (timeSinceLastBatch >= this.batchInterval);
 
       if (!shouldProcess) {
@@ -87,14 +146,16 @@ class ConsentManager {
       // If force is true, we want all unbatched consents (threshold 0)
       // Otherwise, we only want consents older than 24h
       const threshold = force ? 0 : 24;
-      const readyConsents = await consentStorage.getBatchReadyConsents(threshold);
+      // Only counted here, so this works while the history is encrypted and locked
+      const readyConsents = await consentStorage.getBatchReadyConsents(threshold, { sealed: true });
 
       if (readyConsents.length > 0) {
         // We can't auto-process because we need user signature
-        // So we notify the user to open the popup
-        this.notifyBatchReady(readyConsents.length);
-      } else if (force) {
-        console.log('No consents ready for batching even with force=true');
+        // So we notify the user to open the popup; a forced check always does
+        await this.notifyBatchReady(readyConsents.length, force);
+      } else {
+        await chrome.storage.local.remove(BATCH_NOTIFIED_KEY);
+        if (force) console.log('No consents ready for batching even with force=true');
       }
 
     } catch (error) {
@@ -102,10 +163,15 @@ class ConsentManager {
     }
   }
 
-  notifyBatchReady(count) {
+  // Notifies once per pending count, not on every alarm while the batch waits
+  async notifyBatchReady(count, force = false) {
     if (!chrome || !chrome.notifications) return;
 
-    chrome.notifications.create({
+    const notified = (await chrome.storage.local.get([BATCH_NOTIFIED_KEY]))[BATCH_NOTIFIED_KEY];
+    if (!force && notified === count) return;
+    await chrome.storage.local.set({ [BATCH_NOTIFIED_KEY]: count });
+
+    chrome.notifications.create(BATCH_NOTIFICATION_ID, {
       type: 'basic',
       iconUrl: 'icons/icon128.png',
       title: 'MyTerms: Batch Ready',
@@ -188,6 +254,11 @@ class ConsentManager {
       // Group consents by site
       const groupedConsents = this.groupConsentsBySite(readyConsents);
 
+      const mode = await this.getBatchMode();
+      if (mode === 'merkle') {
+        return this.prepareMerkleBatch(readyConsents, groupedConsents);
+      }
+
       // Prepare data for blockchain submission
       const sites = Object.keys(groupedConsents);
       const hashes = [];
@@ -201,10 +272,11 @@ class ConsentManager {
       }
 
       return {
+        mode,
         sites,
         hashes,
         consentIds: readyConsents.map(c => c.id),
-        siteData: groupedConsents,
+        groups: this.summarizeGroups(groupedConsents),
         count: readyConsents.length
       };
 
@@ -215,6 +287,62 @@ class ConsentManager {
     }
   }
 
+  // How the dashboard should submit the batch:
+  // 'relayed' - EIP-712 signed per-site batch, gas paid by the relayer
+  // 'merkle'  - single root anchored by the user (default)
+  // 'events'  - one ConsentLogged per site, paid by the user
+  async getBatchMode() {
+    const prefs = await this.getPreferences();
+
+    if (prefs.gaslessRelay) return 'relayed';
+    return prefs.merkleAnchoring !== false ? 'merkle' : 'events';
+  }
+
+  async getPreferences() {
+    const result = await chrome.storage.sync.get(['myTermsProfile']);
+    return result.myTermsProfile?.preferences || {};
+  }
+
+  async syncPrivacySignals() {
+    try {
+      await applyPrivacySignals(await this.getPreferences());
+    } catch (error) {
+      console.error('Failed to apply privacy signals:', error);
+    }
+  }
+
+  // Record which opt-out signals were being sent when the consent was captured
+  async withPrivacySignals(consent) {
+    const privacySignals = buildPrivacySignals(await this.getPreferences());
+    return { ...consent, privacySignals };
+  }
+
+  // Build a Merkle tree over the queued records; only the root goes on-chain
+  prepareMerkleBatch(readyConsents, groupedConsents) {
+    const tree = ConsentMerkleTree.fromConsents(readyConsents);
+    const proofs = {};
+
+    readyConsents.forEach((consent, index) => {
+      proofs[consent.id] = {
+        leaf: tree.getLeaf(index),
+        proof: tree.getProof(index)
+      };
+    });
+
+    console.log(`Merkle root for ${readyConsents.length} consents:`, tree.root);
+
+    return {
+      mode: 'merkle',
+      root: tree.root,
+      proofs,
+      sites: [],
+      hashes: [],
+      consentIds: readyConsents.map(c => c.id),
+      groups: this.summarizeGroups(groupedConsents),
+      count: readyConsents.length
+    };
+  }
+
   async finalizeBatch(txResult, batchData) {
     try {
       console.log('Finalizing batch with tx:', txResult.hash);
@@ -223,20 +351,26 @@ class ConsentManager {
       await consentStorage.markAsBatched(batchData.consentIds, {
         batchId: txResult.hash,
         txHash: txResult.hash,
-        blockNumber: txResult.blockNumber
+        blockNumber: txResult.blockNumber,
+        merkleRoot: batchData.root,
+        proofs: batchData.proofs,
+        anchoredBy: txResult.from,
+        contractAddress: txResult.contractAddress
       });
 
       // Record batch information
       await consentStorage.recordBatch({
         txHash: txResult.hash,
         consentIds: batchData.consentIds,
-        siteData: batchData.siteData,
+        groups: batchData.groups,
         gasUsed: txResult.gasUsed,
-        blockNumber: txResult.blockNumber
+        blockNumber: txResult.blockNumber,
+        mode: batchData.mode,
+        merkleRoot: batchData.root
       });
 
       // Update last batch time
-      this.lastBatchTime = Date.now();
+      await this.setLastBatchTime(Date.now());
 
       // Notify user of successful batch
       this.notifyUserOfBatch(txResult, batchData.count);
@@ -252,6 +386,227 @@ class ConsentManager {
     }
   }
 
+  // Normalize a CONSENT_CAPTURED_V2 record (Consent-O-Matic rule engine) into
+  // the consentQueue schema used by the legacy detector, dashboard and batches
+  async ingestRuleBasedConsent(record) {
+    const policy = record.policyData;
+    const grantedPurposes = record.grantedPurposes || record.decision?.purposes || null;
+    // 'accept' only when every optional purpose was granted; partial grants stay 'decline'
+    const accepted = grantedPurposes
+      ? ['functional', 'analytics', 'marketing', 'social'].every(p => grantedPurposes[p])
+      : record.decision?.action === 'accept';
+    const termsHash = await this.hashRuleBasedPolicy(record);
+
+    // Keep the extracted policy so the dashboard can show what was agreed to
+    if (policy) {
+      await consentStorage.storeAgreement({
+        termsHash,
+        text: JSON.stringify(policy, null, 2),
+        url: record.url,
+        siteDomain: record.domain
+      });
+    }
+
+    const consent = {
+      siteDomain: record.domain,
+      url: record.url,
+      frameUrl: record.frameUrl || null,
+      frameDomain: record.frameDomain || null,
+      termsHash,
+      accepted,
+      decisionType: accepted ? 'accept' : 'decline',
+      decisionReason: record.decision?.reason || null,
+      grantedPurposes,
+      cmpProvider: record.cmpProvider || record.provider || 'unknown',
+      methodUsed: record.methodUsed || null,
+      detectionEngine: record.detectionEngine || 'rules',
+      detectionConfidence: record.detectionConfidence ?? null,
+      // Decoded TC string; the pre-decision one from extraction is better than nothing
+      tcf: record.tcf || policy?.iabTCF || null,
+      userAgent: record.userAgent,
+      preferences: record.preferences,
+      siteOverride: record.siteOverride || null,
+      automationSource: 'Consent-O-Matic Rules'
+    };
+
+    return consentStorage.addToQueue(await this.withPrivacySignals(consent));
+  }
+
+  async hashRuleBasedPolicy(record) {
+    if (record.policyData) {
+      try {
+        return await PolicyExtractor.generatePolicyHash(record.policyData);
+      } catch (error) {
+        console.warn('Policy hash failed, falling back to CMP metadata hash:', error);
+      }
+    }
+
+    // No extractable policy: hash what we know about the banner instead
+    return myTermsEthers.generateTermsHash(JSON.stringify({
+      cmp: record.cmpProvider,
+      domain: record.domain,
+      decision: record.decision?.action
+    }));
+  }
+
+  // One frame per page handles the banner; a rule match can take over from a heuristic guess
+  claimBanner(sender, source) {
+    const tabId = sender?.tab?.id;
+    if (tabId === undefined) return true;
+
+    const claim = this.bannerClaims.get(tabId);
+    const granted = !claim ||
+      claim.frameId === sender.frameId ||
+      (source === 'rules' && claim.source === 'heuristic');
+
+    if (granted) {
+      this.bannerClaims.set(tabId, { frameId: sender.frameId, source });
+      if (!this.cookieBaselines.has(tabId) && sender.tab.url) {
+        this.snapshotCookieBaseline(tabId, sender.tab.url);
+      }
+    }
+    return granted;
+  }
+
+  releaseBannerClaim(tabId) {
+    this.bannerClaims.delete(tabId);
+    this.detectionScores.delete(tabId);
+    this.cookieBaselines.delete(tabId);
+  }
+
+  // Cookies the page set before any decision was clicked, for verifying that decision later
+  snapshotCookieBaseline(tabId, url) {
+    try {
+      this.cookieBaselines.set(tabId, { origin: new URL(url).origin, cookies: this.verifier.snapshotCookies(url) });
+    } catch (error) {
+      console.warn('No cookie baseline for', url, error);
+    }
+  }
+
+  storeDetectionScores(sender, { frameUrl, candidates, chosen }) {
+    const tabId = sender?.tab?.id;
+    if (tabId === undefined) return;
+
+    const frames = this.detectionScores.get(tabId) || {};
+    frames[sender.frameId || 0] = { frameUrl, candidates, chosen, reportedAt: Date.now() };
+    this.detectionScores.set(tabId, frames);
+  }
+
+  // Banners in child frames (Sourcepoint, TrustArc) belong to the site in the address bar
+  attributeToTopFrame(consent, sender) {
+    if (!sender?.frameId || !sender.tab?.url) return consent;
+
+    let topUrl;
+    try {
+      topUrl = new URL(sender.tab.url);
+    } catch (e) {
+      return consent;
+    }
+
+    const attributed = {
+      ...consent,
+      url: topUrl.href,
+      frameUrl: consent.url,
+      frameDomain: consent.siteDomain || consent.domain
+    };
+    if ('siteDomain' in consent) attributed.siteDomain = topUrl.hostname;
+    if ('domain' in consent) attributed.domain = topUrl.hostname;
+    return attributed;
+  }
+
+  // Re-check the site a few seconds after a decision that refused something
+  async scheduleVerification(consentId, consent, sender) {
+    if (!consentId || this.verifier.deniedCategories(consent).length === 0) return;
+
+    // Cookies already there when the banner was detected aren't the site's fault. Cookies the
+    // site set after that are judged, so a snapshot taken now would hide early violations;
+    // it is only the fallback for decisions no banner claim preceded.
+    const detected = this.cookieBaselines.get(sender?.tab?.id);
+    const baseline = detected && consent.url?.startsWith(`${detected.origin}/`)
+      ? await detected.cookies
+      : await this.verifier.snapshotCookies(consent.url);
+
+    setTimeout(() => {
+      // CMP APIs (__tcfapi/__gpp) live in the top frame even when the banner is in an iframe
+      this.verifyConsent(consentId, {
+        baseline,
+        tabId: sender?.tab?.id ?? null,
+        frameId: 0
+      }).catch(error => console.error('Consent verification failed:', error));
+    }, VERIFY_DELAY_MS);
+  }
+
+  async verifyConsent(consentId, options) {
+    const consent = await consentStorage.getConsentById(consentId);
+    if (!consent) return null;
+
+    const verification = await this.verifier.verify(consent, options);
+    await consentStorage.updateConsent(consentId, { verification });
+
+    if (verification.status === 'violated') {
+      console.warn(`Consent for ${consent.siteDomain} not honored:`, verification.violations);
+    }
+    return verification;
+  }
+
+  // Revoke exactly what was anchored, so each ConsentRevoked pairs with its record:
+  // - merkle: the consent's leaf, with an empty site, since the root never named it
+  // - events/relayed: the site and the hash logged for the consent's site group
+  // Only anchored acceptances are revocable; there is nothing to withdraw from a decline.
+  async prepareRevocation(siteDomain) {
+    const consents = await consentStorage.getConsentsBySite(siteDomain);
+    const revocable = consents.filter(c => c.batched && !c.revoked &&
+      (c.decisionType ? c.decisionType === 'accept' : c.accepted));
+
+    const sites = [];
+    const hashes = [];
+    const consentIds = [];
+    const add = (site, hash, consentId) => {
+      if (!hashes.includes(hash)) {
+        sites.push(site);
+        hashes.push(hash);
+      }
+      consentIds.push(consentId);
+    };
+
+    for (const consent of revocable) {
+      if (consent.merkleProof?.leaf) {
+        add('', consent.merkleProof.leaf, consent.id);
+        continue;
+      }
+
+      const batch = consent.batchId && await consentStorage.getBatchByTxHash(consent.batchId);
+      const group = batch?.groups?.find(g => g.consentIds.includes(consent.id));
+      if (!group) {
+        console.warn(`No batch record for consent ${consent.id}, cannot tell what was logged`);
+        continue;
+      }
+      add(siteDomain, await myTermsEthers.generateTermsHash(group.termsHashes.join('')), consent.id);
+    }
+
+    if (hashes.length === 0) {
+      throw new Error(`No anchored consents to revoke for ${siteDomain}`);
+    }
+
+    return {
+      sites,
+      hashes,
+      consentIds,
+      siteDomain,
+      count: consentIds.length
+    };
+  }
+
+  async finalizeRevocation(txResult, revocationData) {
+    console.log('Finalizing revocation with tx:', txResult.hash);
+
+    await consentStorage.markAsRevoked(revocationData.consentIds, {
+      txHash: txResult.hash
+    });
+
+    console.log(`Revoked ${revocationData.count} consents for ${revocationData.siteDomain}`);
+  }
+
   groupConsentsBySite(consents) {
     const grouped = {};
 
@@ -265,16 +620,88 @@ class ConsentManager {
     return grouped;
   }
 
+  // Per site group (in `sites` order): consent ids and the terms hashes that went into
+  // its batch hash. Batch records and the dashboard get only these, never the
+  // consents themselves, which are decrypted at this point when encryption is on.
+  summarizeGroups(groupedConsents) {
+    return Object.values(groupedConsents).map(consents => ({
+      consentIds: consents.map(c => c.id),
+      termsHashes: consents.map(c => c.termsHash)
+    }));
+  }
+
+  async syncRulesIfDue() {
+    try {
+      const hasRules = (await this.ruleSync.getSyncedRules()).length > 0;
+      if (!hasRules || await this.ruleSync.shouldSync()) {
+        const result = await this.ruleSync.syncRules();
+        console.log('Rule sync result:', result);
+      }
+    } catch (error) {
+      console.error('Rule sync check failed:', error);
+    }
+  }
+
+  // Ask the content script in each frame of the tab to dry-run the rule (CMPs often live in iframes)
+  async dryRunRule(tabId, rule) {
+    const problem = this.ruleSync.findRuleProblem(rule);
+    if (problem) throw new Error(problem);
+
+    const frames = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: () => true
+    });
+
+    const results = await Promise.all(frames.map(({ frameId }) =>
+      chrome.tabs.sendMessage(tabId, { type: 'DRY_RUN_RULE', rule }, { frameId })
+        .then(response => response?.success ? { frameId, ...response.data } : null)
+        .catch(() => null) // Frame without our content script (e.g. about:blank)
+    ));
+
+    return results.filter(Boolean);
+  }
+
+  // Popup "Record Rule": overlay the tab's top frame and let it save one rule
+  async startRuleRecorder(tabId) {
+    const armed = await this.getArmedRecorders();
+    armed[tabId] = Date.now();
+    await chrome.storage.session.set({ [RECORDER_SESSION_KEY]: armed });
+
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'START_RULE_RECORDER' }, { frameId: 0 });
+    if (!response?.success) throw new Error(response?.error || 'No response from the page');
+  }
+
+  // Any page can send this, so only the top frame of a tab armed from the popup is heard
+  async saveRecordedRule(sender, rule) {
+    const tabId = sender?.tab?.id;
+    const armed = await this.getArmedRecorders();
+    if (sender?.frameId !== 0 || !armed[tabId] || Date.now() - armed[tabId] > RECORDER_ARM_MS) {
+      throw new Error('Start the recorder from the extension popup to save a rule');
+    }
+
+    const saved = await this.ruleSync.saveUserRule(rule);
+    delete armed[tabId];
+    await chrome.storage.session.set({ [RECORDER_SESSION_KEY]: armed });
+    return saved;
+  }
+
+  async getArmedRecorders() {
+    const result = await chrome.storage.session.get([RECORDER_SESSION_KEY]);
+    return result[RECORDER_SESSION_KEY] || {};
+  }
+
   async performMaintenance() {
     try {
       console.log('Performing maintenance tasks...');
 
-      // Clear old processed consents
-      const clearedCount = await consentStorage.clearProcessedConsents(30);
+      // Retention policy from Preferences; by default nothing is removed
+      const result = await consentStorage.applyRetention(await getRetentionPolicy());
 
-      if (clearedCount > 0) {
-        console.log(`Cleared ${clearedCount} old processed consents`);
-      }
+      Object.entries(result).forEach(([storeName, { deleted, pruned }]) => {
+        if (deleted > 0 || pruned > 0) {
+          console.log(`Retention: ${storeName}: ${deleted} deleted, ${pruned} reduced to hashes`);
+        }
+      });
 
     } catch (error) {
       console.error('Maintenance task failed:', error);
@@ -317,18 +744,194 @@ class ConsentManager {
 
 // Handle ALL messages from content script, popup, and dashboard
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Web pages reach this listener through content scripts and the dashboard bridge:
+  // past the page's own reports, only extension pages and the wallet dashboard are served
+  if (isAllowedMessage(request?.type, sender)) {
+    return handleMessage(request, sender, sendResponse);
+  }
+
+  getDashboardOrigin().then((dashboardOrigin) => {
+    if (isAllowedMessage(request?.type, sender, dashboardOrigin)) {
+      handleMessage(request, sender, sendResponse);
+      return;
+    }
+    console.warn('Rejected message from', sender.url, request?.type);
+    sendResponse({ success: false, error: 'Not allowed from this page' });
+  });
+  return true;
+});
+
+function handleMessage(request, sender, sendResponse) {
   // CONSENT_CAPTURED - from content script
   if (request.type === 'CONSENT_CAPTURED') {
     console.log('Received consent from content script:', request.consent.siteDomain);
-    consentStorage.addToQueue(request.consent).then(() => {
-      sendResponse({ success: true });
-    }).catch((error) => {
-      console.error('Failed to add consent to queue:', error);
-      sendResponse({ success: false, error: error.message });
-    });
+    const consent = consentManager.attributeToTopFrame(request.consent, sender);
+    consentManager.withPrivacySignals(consent)
+      .then(stamped => consentStorage.addToQueue(stamped))
+      .then((id) => {
+        sendResponse({ success: true });
+        consentManager.scheduleVerification(id, consent, sender);
+      })
+      .catch((error) => {
+        console.error('Failed to add consent to queue:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // CONSENT_CAPTURED_V2 - from the Consent-O-Matic rule engine in the content script
+  if (request.type === 'CONSENT_CAPTURED_V2') {
+    console.log('Received rule-based consent:', request.consent.domain, request.consent.cmpProvider);
+    const record = consentManager.attributeToTopFrame(request.consent, sender);
+    consentManager.ingestRuleBasedConsent(record)
+      .then(id => {
+        sendResponse({ success: true, id });
+        consentManager.scheduleVerification(id, record, sender);
+      })
+      .catch(error => {
+        console.error('Failed to ingest rule-based consent:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // CLAIM_BANNER - from content scripts, so only one frame acts on a page's banner
+  if (request.type === 'CLAIM_BANNER') {
+    sendResponse({ granted: consentManager.claimBanner(sender, request.source) });
+    return false;
+  }
+
+  // GET_RULE_STATS / RECORD_RULE_OUTCOME - from content scripts, per-site rule history for confidence scoring
+  if (request.type === 'GET_RULE_STATS') {
+    consentStorage.getRuleStats(request.siteDomain)
+      .then(stats => sendResponse({ success: true, data: stats }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'RECORD_RULE_OUTCOME') {
+    consentStorage.recordRuleOutcome(request.siteDomain, request.ruleName, request.success)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // GET_SCHEMA_STATUS / RESTORE_SCHEMA_SNAPSHOT - IndexedDB migrations and the pre-upgrade snapshot
+  if (request.type === 'GET_SCHEMA_STATUS') {
+    consentStorage.getSchemaStatus()
+      .then(status => sendResponse({ success: true, data: status }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'RESTORE_SCHEMA_SNAPSHOT') {
+    consentStorage.restoreSchemaSnapshot()
+      .then(result => sendResponse({ success: true, data: result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // VAULT_* - encryption at rest for consent history (utils/vault.js)
+  if (request.type === 'GET_VAULT_STATUS') {
+    consentStorage.getEncryptionStatus()
+      .then(status => sendResponse({ success: true, data: status }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'VAULT_ENABLE') {
+    const { secret, method, walletAddress } = request;
+    consentStorage.enableEncryption({ secret, method, walletAddress })
+      .then(status => sendResponse({ success: true, data: status }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'VAULT_UNLOCK') {
+    consentStorage.unlockEncryption(request.secret)
+      .then(status => sendResponse({ success: true, data: status }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'VAULT_LOCK') {
+    consentStorage.lockEncryption()
+      .then(status => sendResponse({ success: true, data: status }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'VAULT_DISABLE') {
+    consentStorage.disableEncryption(request.secret)
+      .then(status => sendResponse({ success: true, data: status }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // EXPORT_BACKUP / IMPORT_BACKUP - dashboard backup file (utils/backup.js)
+  if (request.type === 'EXPORT_BACKUP') {
+    createBackup(consentManager.ruleSync, request.passphrase)
+      .then(backup => sendResponse({ success: true, data: backup }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'IMPORT_BACKUP') {
+    restoreBackup(request.backup, consentManager.ruleSync, request.passphrase)
+      .then(result => sendResponse({ success: true, data: result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // RECORD_HANDLING_ATTEMPT - from content scripts, every rule/heuristic attempt on a banner
+  if (request.type === 'RECORD_HANDLING_ATTEMPT') {
+    // The address bar URL is what "open site" needs, even when the banner lives in a child frame
+    const attempt = {
+      ...request.attempt,
+      url: sender?.tab?.url || request.attempt.frameUrl,
+      frameId: sender?.frameId || 0
+    };
+    consentStorage.recordHandlingAttempt(attempt)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // GET_FAILURE_INBOX / GET_HANDLING_ATTEMPTS / DISMISS_FAILURES - from the dashboard's Failures view
+  if (request.type === 'GET_FAILURE_INBOX') {
+    consentStorage.getFailureInbox()
+      .then(sites => sendResponse({ success: true, data: sites }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'GET_HANDLING_ATTEMPTS') {
+    consentStorage.getHandlingAttempts(request.siteDomain || null)
+      .then(attempts => sendResponse({ success: true, data: attempts }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'DISMISS_FAILURES') {
+    consentStorage.dismissFailures(request.siteDomain)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
 
+  // REPORT_DETECTION_SCORES - from content scripts; GET_DETECTION_SCORES - from the popup's debug panel
+  if (request.type === 'REPORT_DETECTION_SCORES') {
+    consentManager.storeDetectionScores(sender, request);
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (request.type === 'GET_DETECTION_SCORES') {
+    const frames = consentManager.detectionScores.get(request.tabId) || {};
+    sendResponse({ success: true, data: Object.values(frames) });
+    return false;
+  }
+
   // GET_ALL_SITES_DATA - from dashboard
   if (request.type === 'GET_ALL_SITES_DATA') {
     consentManager.getAllSitesData()
@@ -359,13 +962,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
   // GET_POPUP_DATA - from popup
   if (request.type === 'GET_POPUP_DATA') {
+    // A count, not the records: the popup must load while the history is locked
     Promise.all([
-      consentStorage.getAllQueuedConsents(),
+      consentStorage.countConsents(),
       consentStorage.getLatestBatchInfo(),
       consentStorage.getBatchStats()
-    ]).then(([queuedConsents, latestBatch, stats]) => {
+    ]).then(([queuedCount, latestBatch, stats]) => {
       sendResponse({
-        queuedCount: queuedConsents.length,
+        queuedCount,
         latestBatch: latestBatch,
         stats: stats
       });
@@ -406,6 +1010,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // QUERY_CONSENTS - from dashboard; filtered, cursor-paginated consent history
+  if (request.type === 'QUERY_CONSENTS') {
+    consentStorage.queryConsents(request.filters || {}, { cursor: request.cursor || null, limit: request.limit || 50 })
+      .then(page => sendResponse({ success: true, data: page }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   // CLEAR_CONSENTS - from dashboard
   if (request.type === 'CLEAR_CONSENTS') {
     console.log('Background: Received CLEAR_CONSENTS request');
@@ -431,6 +1043,22 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // PREPARE_REVOCATION - from dashboard
+  if (request.type === 'PREPARE_REVOCATION') {
+    consentManager.prepareRevocation(request.domain)
+      .then(data => sendResponse({ success: true, data }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // REVOCATION_COMPLETE - from dashboard
+  if (request.type === 'REVOCATION_COMPLETE') {
+    consentManager.finalizeRevocation(request.result, request.revocationData)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   // GET_STATS - from dashboard
   if (request.type === 'GET_STATS') {
     consentManager.getStats()
@@ -502,6 +1130,154 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // GET_SITE_OVERRIDES - from dashboard and popup
+  if (request.type === 'GET_SITE_OVERRIDES') {
+    getSiteOverrides()
+      .then(overrides => sendResponse({ success: true, data: overrides }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // SET_SITE_OVERRIDE - from dashboard and popup; policy null removes the override
+  if (request.type === 'SET_SITE_OVERRIDE') {
+    setSiteOverride(request.domain, request.policy || null)
+      .then(overrides => sendResponse({ success: true, data: overrides }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // GET_RETENTION_POLICY - from dashboard
+  if (request.type === 'GET_RETENTION_POLICY') {
+    getRetentionPolicy()
+      .then(policy => sendResponse({ success: true, data: policy }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // PREVIEW_RETENTION - from dashboard: what a (not yet saved) policy would remove now
+  if (request.type === 'PREVIEW_RETENTION') {
+    consentStorage.applyRetention(request.policy, { dryRun: true })
+      .then(result => sendResponse({ success: true, data: result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // SET_RETENTION_POLICY - from dashboard: save the policy and apply it right away
+  if (request.type === 'SET_RETENTION_POLICY') {
+    setRetentionPolicy(request.policy)
+      .then(async policy => {
+        const result = await consentStorage.applyRetention(policy);
+        sendResponse({ success: true, data: { policy, result } });
+      })
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // GET_RULE_STATUS - from dashboard: active bundle, history and last sync error
+  if (request.type === 'GET_RULE_STATUS') {
+    consentManager.ruleSync.getSyncState()
+      .then(state => sendResponse({ success: true, data: state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // SYNC_RULES - from dashboard
+  if (request.type === 'SYNC_RULES') {
+    consentManager.ruleSync.syncRules()
+      .then(result => sendResponse({ success: result.success, data: result, error: result.error }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // ROLLBACK_RULES - from dashboard
+  if (request.type === 'ROLLBACK_RULES') {
+    consentManager.ruleSync.rollback(request.id)
+      .then(result => sendResponse({ success: true, data: result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // GET_USER_RULES / SAVE_USER_RULE / DELETE_USER_RULE - dashboard rule editor
+  if (request.type === 'GET_USER_RULES') {
+    consentManager.ruleSync.getUserRules()
+      .then(rules => sendResponse({ success: true, data: rules }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'SAVE_USER_RULE') {
+    consentManager.ruleSync.saveUserRule(request.rule)
+      .then(rule => sendResponse({ success: true, data: rule }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // START_RULE_RECORDER - from popup; SAVE_RECORDED_RULE - from the recorder in that tab
+  if (request.type === 'START_RULE_RECORDER') {
+    consentManager.startRuleRecorder(request.tabId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'SAVE_RECORDED_RULE') {
+    consentManager.saveRecordedRule(sender, request.rule)
+      .then(rule => sendResponse({ success: true, data: rule }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'DELETE_USER_RULE') {
+    consentManager.ruleSync.deleteUserRule(request.name)
+      .then(rules => sendResponse({ success: true, data: rules }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // GET_TEST_TABS - web pages the rule editor can dry-run against
+  if (request.type === 'GET_TEST_TABS') {
+    Promise.all([chrome.tabs.query({ url: ['https://*/*', 'http://*/*'] }), getDashboardOrigin()])
+      .then(([tabs, dashboardOrigin]) => sendResponse({
+        success: true,
+        data: tabs
+          .filter(tab => !dashboardOrigin || !tab.url.startsWith(`${dashboardOrigin}/`))
+          .map(tab => ({ id: tab.id, title: tab.title, url: tab.url, active: tab.active }))
+      }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // DRY_RUN_RULE - from dashboard; every frame of the tab reports what the rule would match
+  if (request.type === 'DRY_RUN_RULE') {
+    consentManager.dryRunRule(request.tabId, request.rule)
+      .then(frames => sendResponse({ success: true, data: frames }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // GET_DASHBOARD_ORIGIN / SET_DASHBOARD_ORIGIN - wallet dashboard address; only extension pages may set it
+  if (request.type === 'GET_DASHBOARD_ORIGIN') {
+    getDashboardOrigin()
+      .then(origin => sendResponse({ success: true, data: origin }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'SET_DASHBOARD_ORIGIN') {
+    setDashboardOrigin(request.url)
+      .then(origin => sendResponse({ success: true, data: origin }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // SET_RULE_MANIFEST_URL - from dashboard; empty clears it
+  if (request.type === 'SET_RULE_MANIFEST_URL') {
+    consentManager.ruleSync.setManifestUrl(request.url)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   // ANALYZE_COOKIES - from dashboard
   if (request.type === 'ANALYZE_COOKIES') {
     const domain = request.domain; // Optional: filter by domain
@@ -551,13 +1327,45 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
   // Unknown message type - don't keep channel open
   return false;
+}
+
+// Scheduled work (registered at top level so it fires when the worker is woken by an alarm)
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BATCH_ALARM) {
+    consentManager.checkAndProcessBatch();
+  } else if (alarm.name === MAINTENANCE_ALARM) {
+    consentManager.performMaintenance();
+  } else if (alarm.name === RULE_SYNC_ALARM) {
+    consentManager.ruleSync.syncRules();
+  }
+});
+
+// Preferences are saved from the dashboard; keep the emitted signals in step
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.myTermsProfile) {
+    consentManager.syncPrivacySignals();
+  }
+});
+
+// A new page in the tab gets a fresh banner claim
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading' && changeInfo.url) {
+    consentManager.releaseBannerClaim(tabId);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  consentManager.releaseBannerClaim(tabId);
 });
 
 // Handle notification clicks
-chrome.notifications.onClicked.addListener((notificationId) => {
+chrome.notifications.onClicked.addListener(async (notificationId) => {
   // Open dashboard to sign batch
-  // Use localhost to allow wallet injection
-  const dashboardUrl = 'http://localhost:8080/dashboard/index.html?action=forceBatch';
+  // The wallet dashboard allows wallet injection; without one, Preferences is where to set it
+  const dashboardOrigin = await getDashboardOrigin();
+  const dashboardUrl = dashboardOrigin
+    ? `${dashboardOrigin}/dashboard/index.html?action=forceBatch`
+    : chrome.runtime.getURL('dashboard/index.html');
   chrome.tabs.create({ url: dashboardUrl });
   chrome.notifications.clear(notificationId);
 });
@@ -1,7 +1,14 @@
 // Enhanced ConsentChain Detector v2.0
 // Uses dynamic imports to avoid "Cannot use import statement outside a module" error
 
-let ConsentOMaticAdapter, RuleSyncService;
+let ConsentOMaticAdapter, RuleSyncService, ShadowDOM, TextMatcher, SiteOverrides, MessageOrigin;
+let consentChainDetector = null;
+
+// Time a heuristic candidate gets to finish rendering (and its CMP rule to become matchable)
+const HEURISTIC_SETTLE_MS = 2000;
+const SCAN_INTERVAL_MS = 3000;
+// Time a page gets to take its banner down before a handling attempt is judged
+const HANDLING_RECHECK_MS = 1000;
 
 (async () => {
   try {
@@ -9,20 +16,82 @@ let ConsentOMaticAdapter, RuleSyncService;
     const syncModule = await import(chrome.runtime.getURL('lib/rule-sync/sync-service.js'));
     ConsentOMaticAdapter = adapterModule.ConsentOMaticAdapter;
     RuleSyncService = syncModule.RuleSyncService;
+    ShadowDOM = await import(chrome.runtime.getURL('lib/dom/shadow-dom.js'));
+    ({ TextMatcher } = await import(chrome.runtime.getURL('lib/dom/text-matcher.js')));
+    SiteOverrides = await import(chrome.runtime.getURL('utils/site-overrides.js'));
+    MessageOrigin = await import(chrome.runtime.getURL('utils/message-origin.js'));
 
     // Initialize after imports are loaded
-    new EnhancedConsentChainDetector();
+    consentChainDetector = new EnhancedConsentChainDetector();
   } catch (err) {
     console.error('ConsentChain: Failed to load modules', err);
   }
 })();
 
+// Site the user is looking at. A CMP iframe (consent.example-cmp.com) should follow the
+// override for the page embedding it, and ancestorOrigins is readable cross-origin.
+function topLevelHostname() {
+  const ancestors = window.location.ancestorOrigins;
+  if (ancestors && ancestors.length > 0) {
+    return new URL(ancestors[ancestors.length - 1]).hostname;
+  }
+  return window.location.hostname;
+}
+
+// The content script runs in every frame, but a page should only have its banner handled once.
+// The background grants the first frame that asks (rule matches win over heuristics).
+async function claimBannerHandling(source) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CLAIM_BANNER', source });
+    return response?.granted !== false;
+  } catch (error) {
+    // Background unavailable: behave like a single-frame page
+    return true;
+  }
+}
+
+// Local telemetry for the dashboard's failure inbox. Outcomes: 'success', 'no_button'
+// (nothing to click), 'still_visible' (clicked, banner stayed) or 'error'.
+// isBannerVisible is checked once the page had a moment to react; a click reported
+// as successful whose banner is still there counts as 'still_visible'.
+function recordHandlingAttempt(attempt, isBannerVisible) {
+  setTimeout(async () => {
+    let bannerStillVisible = null;
+    try {
+      bannerStillVisible = Boolean(await isBannerVisible());
+    } catch (error) {
+      // Banner element or rule gone with the page: leave unknown
+    }
+
+    chrome.runtime.sendMessage({
+      type: 'RECORD_HANDLING_ATTEMPT',
+      attempt: {
+        ...attempt,
+        outcome: attempt.outcome === 'success' && bannerStillVisible ? 'still_visible' : attempt.outcome,
+        siteDomain: SiteOverrides.normalizeDomain(topLevelHostname()),
+        frameUrl: window.location.href,
+        bannerStillVisible
+      }
+    }).catch(error => console.warn('Could not record handling attempt', error));
+  }, HANDLING_RECHECK_MS);
+}
+
 class EnhancedConsentChainDetector {
   constructor() {
     this.adapter = null;
     this.userProfile = null;
     this.detectedCMPs = new Set();
-    this.legacyDetector = null; // Fallback
+    this.heuristicDetector = null; // Fallback scorer, only consulted when no rule matches
+    this.observedShadowRoots = new WeakSet();
+    this.observer = null;
+    this.scanTimer = null;
+    this.scanning = false;
+    this.handled = false; // One consent record per page, whichever engine produced it
+    this.ruleRecorder = null;
+    this.siteDomain = null;
+    this.ruleStats = {}; // Past rule outcomes on this site, weighs into detection confidence
+    this.reportedScores = null;
+    this.failedBanners = []; // Heuristic banners already tried without success on this page
 
     this.init();
   }
@@ -34,13 +103,14 @@ class EnhancedConsentChainDetector {
     await this.loadUserProfile();
 
     // Setup Dashboard Bridge (Critical for UI)
-    this.setupMessageListener();
+    await this.setupMessageListener();
 
     // Skip detection on dashboard/localhost
     if (this.isLocalDashboard()) return;
 
     // Initialize Consent-O-Matic adapter
     this.adapter = await this.initializeAdapter();
+    await this.loadRuleStats();
 
     // Start Hybrid Detection
     this.startDetection();
@@ -57,6 +127,13 @@ class EnhancedConsentChainDetector {
       const result = await chrome.storage.sync.get(['myTermsProfile']);
       this.userProfile = result.myTermsProfile || this.getDefaultProfile();
       console.log('Profile loaded:', this.userProfile.preferences);
+
+      // A per-site override replaces the global decision for this page
+      const override = SiteOverrides.findSiteOverride(await SiteOverrides.getSiteOverrides(), topLevelHostname());
+      if (override) {
+        this.userProfile = SiteOverrides.applySiteOverride(this.userProfile, override);
+        console.log(`Site override for ${override.domain}: ${override.policy}`);
+      }
     } catch (e) {
       console.error('Profile load failed', e);
       this.userProfile = this.getDefaultProfile();
@@ -82,6 +159,37 @@ class EnhancedConsentChainDetector {
     return adapter;
   }
 
+  async loadRuleStats() {
+    this.siteDomain = SiteOverrides.normalizeDomain(topLevelHostname());
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_RULE_STATS', siteDomain: this.siteDomain });
+      this.ruleStats = response?.success ? response.data : {};
+    } catch (error) {
+      console.warn('Rule stats unavailable, scoring without history', error);
+      this.ruleStats = {};
+    }
+  }
+
+  // Feeds the next page load's confidence scores for this site
+  recordRuleOutcome(ruleName, success) {
+    chrome.runtime.sendMessage({ type: 'RECORD_RULE_OUTCOME', siteDomain: this.siteDomain, ruleName, success })
+      .catch(error => console.warn('Could not record rule outcome', error));
+  }
+
+  // Candidate scores for the popup's debug panel, sent only when they change
+  reportDetectionScores(candidates, chosen) {
+    const signature = JSON.stringify([candidates, chosen]);
+    if (signature === this.reportedScores) return;
+    this.reportedScores = signature;
+
+    chrome.runtime.sendMessage({
+      type: 'REPORT_DETECTION_SCORES',
+      frameUrl: window.location.href,
+      candidates,
+      chosen
+    }).catch(() => { });
+  }
+
   async loadRules() {
     const syncService = new RuleSyncService();
     // Cache check/fetch logic is inside the service
@@ -90,90 +198,250 @@ class EnhancedConsentChainDetector {
     return await syncService.getLocalRules();
   }
 
-  setupMessageListener() {
+  async startRuleRecorder() {
+    if (this.ruleRecorder?.active) return;
+
+    const { RuleRecorder } = await import(chrome.runtime.getURL('lib/dom/rule-recorder.js'));
+    this.ruleRecorder = new RuleRecorder(document, {
+      onSave: async (rule) => {
+        const response = await chrome.runtime.sendMessage({ type: 'SAVE_RECORDED_RULE', rule });
+        if (!response?.success) throw new Error(response?.error || 'Saving the rule failed');
+        console.log('ConsentChain: Recorded rule saved', response.data.name);
+      }
+    });
+    this.ruleRecorder.start();
+  }
+
+  async setupMessageListener() {
     // Background Messages
     chrome.runtime?.onMessage?.addListener((request, sender, sendResponse) => {
       if (request.type === 'GET_BANNER_STATUS') {
         sendResponse({
-          bannersFound: this.detectedCMPs.size,
+          bannersFound: this.detectedCMPs.size + (this.heuristicDetector?.bannersFound.length || 0),
+          handled: this.handled,
           profile: this.userProfile?.preferences
         });
       }
+
+      // Rule editor dry-run: report what the rule would match in this frame, without clicking
+      if (request.type === 'DRY_RUN_RULE') {
+        (this.adapter || new ConsentOMaticAdapter()).dryRunRule(request.rule, document)
+          .then(result => sendResponse({ success: true, data: { ...result, frameUrl: window.location.href } }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
+
+      // Popup "Record Rule": overlay the top frame and save the picks as a user rule
+      if (request.type === 'START_RULE_RECORDER' && window === window.top) {
+        this.startRuleRecorder()
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
     });
 
-    // Dashboard Bridge (Web -> Extension)
+    // Dashboard Bridge (Web -> Extension): only the top frame of the wallet dashboard set in Preferences
+    if (window !== window.top || window.location.origin !== await MessageOrigin.getDashboardOrigin()) return;
+
     window.addEventListener('message', async (event) => {
-      if (event.source !== window || event.data.type !== 'MYTERMS_WEB_REQ') return;
+      if (event.source !== window || event.data?.type !== 'MYTERMS_WEB_REQ') return;
       console.log('Bridge received:', event.data);
+
       try {
-        const response = await chrome.runtime.sendMessage(event.data.payload);
+        // Forward to background script
+        console.log('Bridge: Forwarding to background script...');
+        const response = await new Promise((resolve, reject) => {
+          chrome.runtime.sendMessage(event.data.payload, (res) => {
+            if (chrome.runtime.lastError) {
+              console.error('Bridge: chrome.runtime.lastError:', chrome.runtime.lastError);
+              reject(new Error(chrome.runtime.lastError.message));
+            } else {
+              const size = JSON.stringify(res).length;
+              console.log('Bridge: Received response from background:', res, `Size: ${(size / 1024).toFixed(2)}KB`);
+              resolve(res);
+            }
+          });
+        });
+
+        console.log('Bridge: Sending response back to web page');
+        // Send response back to web page
         window.postMessage({
           type: 'MYTERMS_WEB_RES',
           requestId: event.data.requestId,
-          payload: response
-        }, '*');
-      } catch (e) {
-        console.error('Bridge error:', e);
+          success: true,
+          data: response
+        }, window.location.origin);
+      } catch (error) {
+        console.error('Bridge Error:', error);
+        window.postMessage({
+          type: 'MYTERMS_WEB_RES',
+          requestId: event.data.requestId,
+          success: false,
+          error: error.message
+        }, window.location.origin);
       }
     });
   }
 
+  // Single detection pipeline: Consent-O-Matic rules first, heuristic scoring only as a fallback
   async startDetection() {
-    // 1. Try CMP Detection (Consent-O-Matic)
-    await this.scanForCMPs();
-
-    // 2. Fallback to Legacy Heuristics if no CMP found
-    if (this.detectedCMPs.size === 0) {
-      console.log('No CMP matched via rules, initializing legacy detector...');
-      // We can dynamically import or just keep the logic if we want to support non-standard banners
-      // For V2, let's keep it simple: if adapter fails, we just log it.
-      // Or re-enable the old class (EnhancedBannerDetector) as a fallback module.
-    }
+    // Button vocabulary for the page language (plus English)
+    const textMatcher = await TextMatcher.load(document);
+    this.heuristicDetector = new EnhancedBannerDetector(this.userProfile, textMatcher);
+
+    await this.scan();
 
     // Watch for dynamic content
     this.observeDOMMutations();
-    setInterval(() => this.scanForCMPs(), 3000);
+    this.setupManualClickListener();
+    this.scanTimer = setInterval(() => this.scan(), SCAN_INTERVAL_MS);
   }
 
-  async scanForCMPs() {
-    // Don't re-scan if we already acted (unless we support multi-CMP... which is rare)
-    // if (this.detectedCMPs.size > 0) return;
+  async scan() {
+    if (this.handled || this.scanning) return;
+    this.scanning = true;
 
-    const detection = await this.adapter.detectAndExtractCMP(document);
+    try {
+      if (await this.scanForCMPs()) return;
+      await this.scanHeuristics();
+    } catch (error) {
+      console.error('Detection pass failed:', error);
+    } finally {
+      this.scanning = false;
+    }
+  }
 
-    if (!detection) return;
+  // Returns true once a rule-matched banner was handled and recorded
+  async scanForCMPs() {
+    const detection = await this.adapter.detectAndExtractCMP(document, this.ruleStats);
+    if (this.adapter.lastCandidates.length > 0) {
+      this.reportDetectionScores(this.adapter.lastCandidates, detection?.cmpProvider || null);
+    }
+
+    if (!detection) return false;
 
     const cmpId = `${detection.cmpProvider}:${window.location.hostname}`;
 
-    if (this.detectedCMPs.has(cmpId)) return;
+    // Rule already tried and failed on this page: let the heuristics have a go
+    if (this.detectedCMPs.has(cmpId)) return false;
 
     this.detectedCMPs.add(cmpId);
     console.log('CMP Detected:', detection);
 
     // Execute consent workflow
-    await this.handleCMP(detection);
+    return this.handleCMP(detection);
+  }
+
+  async scanHeuristics() {
+    // Every scan (interval and mutations) finds banners anew, often a part or a wrapper
+    // of one already tried: it gets one attempt, and one failure record, per page
+    const banner = this.heuristicDetector.searchForBanners()
+      .find(candidate => !this.failedBanners.some(tried => tried.contains(candidate) || candidate.contains(tried)));
+    if (!banner) return false;
+
+    // Let the banner finish rendering; a CMP whose markup arrives late is
+    // better served by its rule than by button guessing
+    await new Promise(resolve => setTimeout(resolve, HEURISTIC_SETTLE_MS));
+    if (this.handled) return true;
+    if (await this.scanForCMPs()) return true;
+
+    if (!this.userProfile.autoHandle) {
+      console.log(this.userProfile.siteOverride ? 'Auto-handle disabled for this site' : 'Auto-handle disabled in profile');
+      return false;
+    }
+
+    if (!(await claimBannerHandling('heuristic'))) {
+      console.log('[MyTerms] Banner already handled in another frame');
+      this.stopScanning();
+      return false;
+    }
+
+    const recorded = await this.heuristicDetector.handleBanner(banner);
+    if (recorded) this.stopScanning();
+    else this.failedBanners.push(banner);
+    return recorded;
   }
 
   observeDOMMutations() {
-    const observer = new MutationObserver((mutations) => {
+    this.observer = new MutationObserver((mutations) => {
       let shouldScan = false;
       mutations.forEach(mutation => {
-        if (mutation.addedNodes.length > 0) shouldScan = true;
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            shouldScan = true;
+            this.observeShadowRoots(node);
+          }
+        });
       });
-      if (shouldScan) this.scanForCMPs();
+      if (shouldScan) this.scan();
+    });
+    this.observer.observe(document.body, { childList: true, subtree: true });
+    this.observeShadowRoots(document.body);
+  }
+
+  // Mutations inside shadow roots don't reach the document observer, so watch each root too
+  observeShadowRoots(node) {
+    ShadowDOM.getShadowRoots(node).forEach((shadowRoot) => {
+      if (this.observedShadowRoots.has(shadowRoot)) return;
+      this.observedShadowRoots.add(shadowRoot);
+      this.observer.observe(shadowRoot, { childList: true, subtree: true });
     });
-    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  // Record the user's own click on a detected banner (synthetic clicks from automation are ignored)
+  setupManualClickListener() {
+    document.addEventListener('click', (event) => {
+      if (!event.isTrusted || this.handled) return;
+
+      // composedPath sees through shadow roots, event.target doesn't
+      const path = event.composedPath();
+      const banner = this.heuristicDetector.bannersFound.find(b => path.includes(b));
+      if (!banner) return;
+
+      const accepted = this.heuristicDetector.classifyManualClick(path[0]);
+      if (accepted === null) return;
+
+      console.log(`Manual ${accepted ? 'accept' : 'decline'} click detected`);
+      this.stopScanning();
+      this.heuristicDetector.recordConsent(banner, accepted, 'manual');
+    }, true); // Capture phase
+  }
+
+  stopScanning() {
+    this.handled = true;
+    if (this.scanTimer) {
+      clearInterval(this.scanTimer);
+      this.scanTimer = null;
+    }
+  }
+
+  disconnect() {
+    this.stopScanning();
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+    console.log('Banner detection disconnected');
   }
 
   async handleCMP(cmpData) {
     if (!this.userProfile.autoHandle) {
-      console.log('Auto-handle disabled in profile');
-      return;
+      console.log(this.userProfile.siteOverride ? 'Auto-handle disabled for this site' : 'Auto-handle disabled in profile');
+      return false;
+    }
+
+    if (!(await claimBannerHandling('rules'))) {
+      console.log('Banner already handled in another frame');
+      this.stopScanning();
+      return false;
     }
 
+    const startedAt = performance.now();
+    const attempt = { engine: 'rules', ruleName: cmpData.cmpProvider, confidence: cmpData.confidence };
+    const isBannerVisible = () => this.adapter.isShowing(cmpData.cmpProvider, document);
+
     try {
       // Match user preferences to CMP policy
-      const decision = this.matchPolicyToPreferences(
+      const decision = this.adapter.matchPolicyToPreferences(
         cmpData.policyData, // null in phase 1, object in phase 2
         this.userProfile.preferences
       );
@@ -185,35 +453,42 @@ class EnhancedConsentChainDetector {
       );
 
       console.log('Consent handled:', result);
+      this.recordRuleOutcome(cmpData.cmpProvider, result.success);
+      recordHandlingAttempt({
+        ...attempt,
+        methodTried: result.methodUsed || result.methodsTried?.join(', ') || null,
+        outcome: result.success ? 'success' : 'no_button',
+        latencyMs: Math.round(performance.now() - startedAt)
+      }, isBannerVisible);
 
       // Queue for blockchain (Proverb generation)
       if (result.success) {
+        // What the CMP recorded (TCF v2 only), read back after the banner was handled
+        const tcf = await this.adapter.readTCFConsent();
+
+        this.stopScanning();
         this.queueConsentRecord({
           ...result,
           cmpProvider: cmpData.cmpProvider,
+          detectionConfidence: cmpData.confidence,
           policyData: cmpData.policyData,
-          decision: decision
+          decision: decision,
+          grantedPurposes: result.grantedPurposes,
+          tcf
         });
       }
 
+      return result.success;
     } catch (error) {
       console.error('Failed to handle CMP:', error);
-    }
-  }
-
-  matchPolicyToPreferences(policy, preferences) {
-    // Simple logic for V1:
-    // If we want analytics/marketing, we accept all?
-    // Or we just try to find the "Reject All" equivalents.
-    // Our profile says: analytics: false, marketing: false.
-    // So usually we want 'reject' or 'minimize'.
-
-    const wantsPrivacy = !preferences.analytics && !preferences.marketing;
-
-    if (wantsPrivacy) {
-      return { action: 'reject', reason: 'User requested privacy' };
-    } else {
-      return { action: 'accept', reason: 'User allows tracking' };
+      this.recordRuleOutcome(cmpData.cmpProvider, false);
+      recordHandlingAttempt({
+        ...attempt,
+        outcome: 'error',
+        error: error.message,
+        latencyMs: Math.round(performance.now() - startedAt)
+      }, isBannerVisible);
+      return false;
     }
   }
 
@@ -225,110 +500,44 @@ class EnhancedConsentChainDetector {
         ...record,
         timestamp: Date.now(),
         url: window.location.href,
-        domain: window.location.hostname
+        domain: window.location.hostname,
+        userAgent: navigator.userAgent,
+        preferences: this.userProfile?.preferences,
+        siteOverride: this.userProfile?.siteOverride?.policy || null,
+        detectionEngine: 'rules'
       }
     });
   }
 }
 
-// Initialize
-new EnhancedConsentChainDetector();
-        }
-
-try {
-  // Forward to background script
-  console.log('Bridge: Forwarding to background script...');
-  const response = await new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(event.data.payload, (res) => {
-      if (chrome.runtime.lastError) {
-        console.error('Bridge: chrome.runtime.lastError:', chrome.runtime.lastError);
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        const size = JSON.stringify(res).length;
-        console.log('Bridge: Received response from background:', res, `Size: ${(size / 1024).toFixed(2)}KB`);
-        resolve(res);
-      }
-    });
-  });
-
-  console.log('Bridge: Sending response back to web page');
-  // Send response back to web page
-  window.postMessage({
-    type: 'MYTERMS_WEB_RES',
-    requestId: event.data.requestId,
-    success: true,
-    data: response
-  }, '*');
-} catch (error) {
-  console.error('Bridge Error:', error);
-  window.postMessage({
-    type: 'MYTERMS_WEB_RES',
-    requestId: event.data.requestId,
-    success: false,
-    error: error.message
-  }, '*');
-}
-      }
-    });
+// Heuristic banner scorer
+// Passive: the pipeline above decides when it runs and records through it
+class EnhancedBannerDetector {
+  constructor(profile, textMatcher = new TextMatcher()) {
+    this.observed = new WeakSet();
+    this.bannersFound = [];
+    this.myTermsProfile = profile || { preferences: {}, autoHandle: true };
+    this.textMatcher = textMatcher;
+    this.lastClick = null; // { actionType, selector } of the last button clicked while handling, for telemetry
   }
 
-observeDOMMutations() {
-  this.mutationObserver = new MutationObserver((mutations) => {
-    mutations.forEach((mutation) => {
-      mutation.addedNodes.forEach((node) => {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          this.checkElementForBanner(node);
-        }
-      });
-    });
-  });
-
-  // Observe with broader scope
-  this.mutationObserver.observe(document.body, {
-    childList: true,
-    subtree: true,
-    attributes: true,
-    attributeFilter: ['class', 'id', 'style']
-  });
-
-  console.log('DOM mutation observer started');
-}
-
-observeVisibilityChanges() {
-  this.intersectionObserver = new IntersectionObserver((entries) => {
-    entries.forEach((entry) => {
-      if (entry.isIntersecting) {
-        this.checkElementForBanner(entry.target);
-      }
-    });
-  }, {
-    threshold: 0.1,
-    rootMargin: '50px'
-  });
-}
-
-checkElementForBanner(element) {
+// shadowRoots: the page's shadow roots, collected once per search (see searchForBanners)
+checkElementForBanner(element, shadowRoots = null) {
   // Skip if already processed
-  if (this.observed.has(element)) return;
+  if (this.observed.has(element)) return false;
 
   // Comprehensive banner detection
-  const isBanner = this.isCookieBanner(element);
+  const isBanner = this.isCookieBanner(element, shadowRoots);
 
   if (isBanner) {
     this.observed.add(element);
     this.bannersFound.push(element);
-    this.handleBanner(element);
-
-    // Also observe this element for visibility changes
-    if (this.intersectionObserver) {
-      this.intersectionObserver.observe(element);
-    }
-
     console.log(`Cookie banner detected (${this.bannersFound.length} total):`, element);
   }
+  return isBanner;
 }
 
-isCookieBanner(element) {
+isCookieBanner(element, shadowRoots = null) {
   try {
     // Prevent re-scanning
     if (element.hasAttribute('data-myterms-scanned')) return false;
@@ -345,12 +554,8 @@ isCookieBanner(element) {
     // Heuristic scoring system
     let score = 0;
 
-    // Content keywords (high weight)
-    const contentKeywords = [
-      'cookie', 'consent', 'privacy', 'gdpr', 'ccpa', 'tracking', 'accept',
-      'decline', 'necessary', 'analytics', 'marketing', 'personal data',
-      'third party', 'preferences', 'settings'
-    ];
+    // Content keywords (high weight), from the locale vocabularies' "banner" lists
+    const contentKeywords = this.textMatcher.bannerKeywords;
 
     const contentMatches = contentKeywords.filter(keyword => textContent.includes(keyword));
     score += contentMatches.length * 3;
@@ -370,7 +575,7 @@ isCookieBanner(element) {
     if (element.getAttribute('aria-label')?.toLowerCase().includes('cookie')) score += 5;
 
     // Child elements with specific patterns (buttons)
-    const buttons = element.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"], a.btn, a[class*="button"]');
+    const buttons = ShadowDOM.deepQuerySelectorAll(element, 'button, [role="button"], input[type="button"], input[type="submit"], a.btn, a[class*="button"]', shadowRoots);
     if (buttons.length > 0) score += 2; // Having buttons is a good sign
 
     buttons.forEach(button => {
@@ -441,46 +646,60 @@ searchForBanners() {
     'div[style*="fixed"][style*="top"]'
   ];
 
+  // One walk of the shadow roots serves every selector and candidate below
+  const shadowRoots = ShadowDOM.getShadowRoots(document);
+  const found = [];
   bannerSelectors.forEach(selector => {
-    const elements = document.querySelectorAll(selector);
+    const elements = ShadowDOM.deepQuerySelectorAll(document, selector, shadowRoots);
     elements.forEach(element => {
-      this.checkElementForBanner(element);
+      if (this.checkElementForBanner(element, shadowRoots)) found.push(element);
     });
   });
 
-  console.log(`Initial banner search completed, found ${this.bannersFound.length} potential banners`);
+  return found;
 }
 
-periodicBannerCheck() {
-  // Check for new banners that might have loaded dynamically
-  this.searchForBanners();
-}
-
-handleBanner(bannerElement) {
+// Returns true once a decision was clicked and recorded
+  async handleBanner(bannerElement) {
   console.log('Processing banner:', bannerElement);
 
-  // Wait for the banner to fully render/animate
-  setTimeout(async () => {
-    try {
-      if (this.myTermsProfile?.autoHandle) {
-        await this.applyMyTermsPreferences(bannerElement);
-
-        // Retry once if failed (some banners animate slowly)
-        setTimeout(async () => {
-          const stillVisible = this.isElementVisible(bannerElement);
-          if (stillVisible) {
-            console.log('Banner still visible, retrying preferences...');
-            await this.applyMyTermsPreferences(bannerElement);
-          }
-        }, 2000);
-      }
+  const startedAt = performance.now();
+  const isBannerVisible = () => this.isElementVisible(bannerElement);
+  this.lastClick = null;
 
-      // Always record the consent/choice
-      await this.recordBannerContent(bannerElement);
-    } catch (error) {
-      console.error('Error handling banner:', error);
+  try {
+    let recorded = await this.applyMyTermsPreferences(bannerElement);
+
+    // Retry once if failed (some banners animate slowly)
+    if (!recorded && this.isElementVisible(bannerElement)) {
+      console.log('Banner still visible, retrying preferences...');
+      await new Promise(resolve => setTimeout(resolve, HEURISTIC_SETTLE_MS));
+      recorded = await this.applyMyTermsPreferences(bannerElement);
     }
-  }, 2000); // Increased from 1000ms to 2000ms
+
+    let outcome = 'success';
+    if (!recorded) outcome = this.lastClick ? 'still_visible' : 'no_button';
+    recordHandlingAttempt({
+      engine: 'heuristic',
+      ruleName: null,
+      methodTried: this.lastClick ? `${this.lastClick.actionType}: ${this.lastClick.selector}` : null,
+      outcome,
+      latencyMs: Math.round(performance.now() - startedAt)
+    }, isBannerVisible);
+
+    return recorded;
+  } catch (error) {
+    console.error('Error handling banner:', error);
+    recordHandlingAttempt({
+      engine: 'heuristic',
+      ruleName: null,
+      methodTried: null,
+      outcome: 'error',
+      error: error.message,
+      latencyMs: Math.round(performance.now() - startedAt)
+    }, isBannerVisible);
+    return false;
+  }
 }
 
   async applyMyTermsPreferences(bannerElement) {
@@ -493,21 +712,22 @@ handleBanner(bannerElement) {
       const accepted = await this.clickAccept(bannerElement);
       if (accepted) {
         await this.recordConsent(bannerElement, true);
-      } else {
-        console.log('[MyTerms] Failed to find/click ACCEPT button.');
+        return true;
       }
+      console.log('[MyTerms] Failed to find/click ACCEPT button.');
     } else {
       console.log('[MyTerms] Attempting to click DECLINE button...');
       const declined = await this.clickDecline(bannerElement);
       if (declined) {
         await this.recordConsent(bannerElement, false);
-      } else {
-        console.log('[MyTerms] Failed to find/click DECLINE button.');
+        return true;
       }
+      console.log('[MyTerms] Failed to find/click DECLINE button.');
     }
   } catch (error) {
     console.error('Failed to apply preferences:', error);
   }
+  return false;
 }
 
 shouldAcceptBasedOnProfile() {
@@ -537,12 +757,10 @@ shouldAcceptBasedOnProfile() {
     // Common selectors
     '[data-testid*="accept"]', '[aria-label*="accept"]', 'button[data-action="accept"]',
     '.accept-all', '#accept-all', '.accept-all-cookies', '#accept-cookies',
-    'button:contains("Accept")', 'button:contains("Agree")', 'button:contains("Ok")', 'button:contains("Allow all")',
     '[data-cy*="accept"]', '.cookie-accept', '.accept-cookies',
-    'button:contains("I Accept")', 'button:contains("Got it")',
 
-    // Generic Links
-    'a:contains("Accept")', 'a:contains("Agree")', 'a:contains("Allow all")',
+    // Button text, aria-label or title in the page language
+    { vocabulary: 'accept' },
 
     // Framework specific
     '.fc-primary-button', '.cc-accept-all', '.cmp-accept-all',
@@ -569,8 +787,7 @@ shouldAcceptBasedOnProfile() {
     'button[name*="decline"]', 'button[name*="reject"]', 'button[aria-label*="decline"]', 'button[aria-label*="reject"]',
     'a[id*="decline"]', 'a[id*="reject"]', 'a[class*="decline"]', 'a[class*="reject"]', 'a[aria-label*="decline"]',
     '[data-action="decline"]', '[data-action="reject"]',
-    'button:contains("Decline")', 'button:contains("Reject")', 'button:contains("Deny")', 'button:contains("No thanks")', 'button:contains("Disagree")',
-    'a:contains("Decline")', 'a:contains("Reject")', 'a:contains("Deny")', 'a:contains("No thanks")',
+    { vocabulary: 'reject' },
     '.cookie-setting-link:contains("Do Not Share")', // Specific support for OneTrust
     'button.onetrust-close-btn-handler', // OneTrust close button as fallback for "Reject" sometimes
 
@@ -578,13 +795,8 @@ shouldAcceptBasedOnProfile() {
     '[data-testid*="decline"]', '[data-testid*="reject"]',
     'button[data-action="decline"]', 'button[data-action="reject"]',
     '.decline-all', '.reject-all', '#reject-all', '#decline-all',
-    'button:contains("Reject All")', 'button:contains("Decline All")',
-    'button:contains("Refuse")', 'button:contains("Disagree")',
     '.cookie-decline', '.reject-cookies',
 
-    // Generic Links as buttons
-    'a:contains("Reject All")', 'a:contains("Decline")', 'a:contains("Deny")',
-
     // Frameworks
     '#onetrust-reject-all-handler',
     '.iubenda-cs-reject-btn',
@@ -600,18 +812,13 @@ shouldAcceptBasedOnProfile() {
   // These often don't close the banner immediately but open a drawer. 
   // We click them, then try to find a "Save" button.
   const secondarySelectors = [
-    'button:contains("Use necessary cookies only")', 'button:contains("Necessary only")',
-    'button:contains("Only necessary")',
+    { vocabulary: 'necessaryOnly' },
     '[aria-label*="necessary only"]',
 
-    'button:contains("Manage")', 'button:contains("Configure")', 'button:contains("Settings")',
-    'button:contains("Preferences")', '.cookie-settings', '.manage-cookies',
+    { vocabulary: 'manage' },
+    '.cookie-settings', '.manage-cookies',
     '[aria-label*="manage"]', '[aria-label*="settings"]',
 
-    // Link versions
-    'a:contains("Manage")', 'a:contains("Preferences")', 'a:contains("Settings")',
-    'a:contains("Necessary only")',
-
     '.fc-settings-button',
     '.osano-cm-manage'
   ];
@@ -639,9 +846,7 @@ shouldAcceptBasedOnProfile() {
   async clickSavePreferences(bannerElement) {
   const saveSelectors = [
     '.save-preferences', '#save-preferences',
-    'button:contains("Save")', 'button:contains("Confirm")',
-    'button:contains("Save Choices")', 'button:contains("Save Selection")',
-    'button:contains("Confirm My Choices")',
+    { vocabulary: 'save' },
     '.fc-confirm-choices',
     '.osano-cm-save-preferences',
     '.iubenda-cs-save-btn' // Iubenda specific
@@ -651,48 +856,44 @@ shouldAcceptBasedOnProfile() {
   return await this.clickButton(bannerElement, saveSelectors, 'save');
 }
 
+  // selectors: CSS selectors, legacy `tag:contains("Text")` patterns, or { vocabulary: '<action>' }
+  // entries that match button labels against the locale vocabularies
   async clickButton(bannerElement, selectors, actionType) {
-  for (const selector of selectors) {
+  const isVisible = (el) => this.isButtonVisible(el);
+
+  for (const entry of selectors) {
     let button = null;
-    let searchContext = bannerElement;
+    const selector = typeof entry === 'string' ? entry : `vocabulary:${entry.vocabulary}`;
 
     // Helper to find button
     const findButton = (context, sel) => {
-      if (sel.includes(':contains')) {
-        const parts = sel.match(/([a-z0-9\.\-\#\[\]="]+)?:contains\("(.+)"\)/i);
-        if (parts) {
-          const tag = parts[1] || '*';
-          const text = parts[2];
-          const elements = context.querySelectorAll(tag);
-          for (const el of elements) {
-            if (el.textContent.toLowerCase().includes(text.toLowerCase()) && this.isButtonVisible(el)) {
-              return el;
-            }
-          }
-        }
-      } else {
-        const el = context.querySelector(sel);
-        if (el && this.isButtonVisible(el)) return el;
+      if (typeof sel !== 'string') {
+        return this.textMatcher.findButton(context, sel.vocabulary, isVisible);
       }
-      return null;
+      const legacy = TextMatcher.parseContainsSelector(sel);
+      if (legacy) {
+        return this.textMatcher.findByPhrases(context, legacy.selector, [legacy.text], isVisible);
+      }
+      const el = ShadowDOM.deepQuerySelector(context, sel);
+      return el && isVisible(el) ? el : null;
     };
 
     // 1. Try scoped search
-    button = findButton(bannerElement, selector);
+    button = findButton(bannerElement, entry);
 
     // 2. Try parent search (fallback) - common if we detected the text wrapper sibling
-    if (!button && bannerElement.parentElement) {
-      // Search up to 2 levels up
-      let parent = bannerElement.parentElement;
+    if (!button && ShadowDOM.getParentElement(bannerElement)) {
+      // Search up to 2 levels up (crossing out of a shadow root if needed)
+      let parent = ShadowDOM.getParentElement(bannerElement);
       for (let i = 0; i < 2; i++) {
         if (!parent) break;
-        const fallbackButton = findButton(parent, selector);
+        const fallbackButton = findButton(parent, entry);
         if (fallbackButton) {
           console.log(`[MyTerms] Found button via parent fallback selector "${selector}":`, fallbackButton);
           button = fallbackButton;
           break;
         }
-        parent = parent.parentElement;
+        parent = ShadowDOM.getParentElement(parent);
       }
     } else if (button) {
       console.log(`[MyTerms] Found button via selector "${selector}":`, button);
@@ -706,6 +907,7 @@ shouldAcceptBasedOnProfile() {
         setTimeout(() => button.style.border = originalBorder, 500);
 
         console.log(`[MyTerms] Clicking ${actionType} button:`, button);
+        this.lastClick = { actionType, selector };
 
         // Dispatch full event sequence to satisfy strict frameworks (React, etc.)
         const events = ['mousedown', 'mouseup', 'click'];
@@ -740,33 +942,14 @@ shouldAcceptBasedOnProfile() {
   return false;
 }
 
-// Add a global click listener to catch manual user interactions
-setupManualClickListener() {
-  document.addEventListener('click', (event) => {
-    const target = event.target;
-
-    // Check if the click was on a button-like element
-    if (target.matches('button, a, input[type="button"], input[type="submit"], [role="button"]')) {
-      const text = target.textContent?.toLowerCase() || '';
-      const ariaLabel = target.getAttribute('aria-label')?.toLowerCase() || '';
-
-      // Check if it looks like an accept/decline action
-      if (text.includes('accept') || text.includes('agree') || ariaLabel.includes('accept')) {
-        console.log('Manual accept click detected');
-        // We can't be 100% sure it's a cookie banner, but we can check context
-        // For now, we'll just log it. In a real implementation, we'd check if it's inside a banner.
-        // To be safe, we only record if we've already detected a banner on this page
-        if (this.bannersFound.length > 0) {
-          this.recordConsent(target, true);
-        }
-      } else if (text.includes('decline') || text.includes('reject') || ariaLabel.includes('decline')) {
-        console.log('Manual decline click detected');
-        if (this.bannersFound.length > 0) {
-          this.recordConsent(target, false);
-        }
-      }
-    }
-  }, true); // Capture phase
+// true for an accept-like button, false for decline-like, null if it's neither
+classifyManualClick(target) {
+  const button = target.closest('button, a, input[type="button"], input[type="submit"], [role="button"]');
+  if (!button) return null;
+
+  if (this.textMatcher.matches(button, 'accept')) return true;
+  if (this.textMatcher.matches(button, 'reject') || this.textMatcher.matches(button, 'necessaryOnly')) return false;
+  return null;
 }
 
 isButtonVisible(button) {
@@ -794,41 +977,8 @@ isElementVisible(element) {
     rect.height > 20;
 }
 
-  async recordBannerContent(bannerElement) {
-  try {
-    // Generate hash of the banner content
-    const termsHash = await this.generateTermsHash({
-      text: bannerElement.textContent || ''
-      // Removed innerHTML capture to prevent XSS risks and reduce data size
-    });
-
-    const bannerData = {
-      siteDomain: window.location.hostname,
-      url: window.location.href,
-      termsHash: termsHash,
-      bannerContent: this.myTermsProfile?.hashOriginalContent ? null : bannerElement.textContent,
-      timestamp: Date.now(),
-      userAgent: navigator.userAgent,
-      preferences: this.myTermsProfile?.preferences,
-      viewport: {
-        width: window.innerWidth,
-        height: window.innerHeight
-      }
-    };
-
-    // Send to background script for queuing
-    chrome.runtime.sendMessage({
-      type: 'CONSENT_CAPTURED',
-      consent: bannerData
-    });
-
-    console.log('Banner content recorded for:', window.location.hostname);
-  } catch (error) {
-    console.error('Failed to record banner content:', error);
-  }
-}
-
-  async recordConsent(bannerElement, accepted) {
+  // detectionEngine: 'heuristic' when we clicked, 'manual' when the user did
+  async recordConsent(bannerElement, accepted, detectionEngine = 'heuristic') {
   try {
     const termsHash = await this.generateTermsHash({
       text: bannerElement.textContent || '',
@@ -839,13 +989,27 @@ isElementVisible(element) {
       siteDomain: window.location.hostname,
       url: window.location.href,
       termsHash: termsHash,
-      bannerContent: bannerElement.textContent || '', // Capture text for agreement storage
+      // Capture text for agreement storage unless the profile only wants the hash
+      bannerContent: this.myTermsProfile?.hashOriginalContent ? null : (bannerElement.textContent || ''),
       accepted: accepted,
       decisionType: accepted ? 'accept' : 'decline',
+      grantedPurposes: {
+        necessary: true,
+        functional: accepted,
+        analytics: accepted,
+        marketing: accepted,
+        social: accepted
+      },
       timestamp: Date.now(),
       userAgent: navigator.userAgent,
       preferences: this.myTermsProfile?.preferences,
-      automationSource: 'MyTerms Extension'
+      siteOverride: this.myTermsProfile?.siteOverride?.policy || null,
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight
+      },
+      detectionEngine,
+      automationSource: detectionEngine === 'manual' ? 'User' : 'MyTerms Extension'
     };
 
     // Send to background script for queuing
@@ -887,33 +1051,9 @@ isElementVisible(element) {
   }
 }
 
-// Cleanup method
-disconnect() {
-  if (this.mutationObserver) {
-    this.mutationObserver.disconnect();
-  }
-  if (this.intersectionObserver) {
-    this.intersectionObserver.disconnect();
-  }
-  console.log('Banner detector disconnected');
-}
-}
-
-// Global instance
-let bannerDetector = null;
-
-// Initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    bannerDetector = new EnhancedBannerDetector();
-  });
-} else {
-  bannerDetector = new EnhancedBannerDetector();
 }
 
 // Handle page unload
 window.addEventListener('beforeunload', () => {
-  if (bannerDetector) {
-    bannerDetector.disconnect();
-  }
+  consentChainDetector?.disconnect();
 });
@@ -1,9 +1,20 @@
 import { walletManager } from '../utils/wallet-manager.js';
 import { myTermsEthers } from '../utils/ethers.js';
+import { LEAF_TYPES, getLeafValues, hashConsentLeaf, verifyConsentProof } from '../utils/merkle.js';
 // Note: storage.js uses IndexedDB which is origin-specific. 
 // If dashboard is run from file:// or a different origin than the extension, it won't see the extension's DB.
 // For now, we assume it shares the origin or is just a visualization.
 import { consentStorage } from '../utils/storage.js';
+import { SITE_POLICIES, findSiteOverride } from '../utils/site-overrides.js';
+import { RETENTION_MODES, RETENTION_STORES } from '../utils/retention.js';
+import { walletKeyMessage } from '../utils/vault.js';
+
+// consent.detectionEngine -> timeline label
+const ENGINE_LABELS = {
+    rules: 'Rule',
+    heuristic: 'Heuristic',
+    manual: 'Manual'
+};
 
 /**
  * DataService handles communication with the extension backend.
@@ -222,6 +233,177 @@ class DataService {
         if (!response.success) throw new Error(response.error);
         return response;
     }
+
+    async getSiteOverrides() {
+        const response = await this.request('GET_SITE_OVERRIDES');
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    // policy null removes the override
+    async setSiteOverride(domain, policy) {
+        const response = await this.request('SET_SITE_OVERRIDE', { domain, policy });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async getRuleStatus() {
+        const response = await this.request('GET_RULE_STATUS');
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    // Resolves the sync result even when it failed; the error is part of the status
+    async syncRules() {
+        const response = await this.request('SYNC_RULES');
+        return response.data || response;
+    }
+
+    async rollbackRules(id) {
+        const response = await this.request('ROLLBACK_RULES', { id });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async getUserRules() {
+        const response = await this.request('GET_USER_RULES');
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async saveUserRule(rule) {
+        const response = await this.request('SAVE_USER_RULE', { rule });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async deleteUserRule(name) {
+        const response = await this.request('DELETE_USER_RULE', { name });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async getTestTabs() {
+        const response = await this.request('GET_TEST_TABS');
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    // One result per frame that has the content script
+    async dryRunRule(tabId, rule) {
+        const response = await this.request('DRY_RUN_RULE', { tabId, rule });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    // Sites with unhandled banners since their last success, newest first
+    async getFailureInbox() {
+        const response = await this.request('GET_FAILURE_INBOX');
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async getHandlingAttempts(siteDomain) {
+        const response = await this.request('GET_HANDLING_ATTEMPTS', { siteDomain });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async dismissFailures(siteDomain) {
+        const response = await this.request('DISMISS_FAILURES', { siteDomain });
+        if (!response.success) throw new Error(response.error);
+        return response;
+    }
+
+    // Encryption at rest; secret is the passphrase or the wallet signature
+    async getVaultStatus() {
+        const response = await this.request('GET_VAULT_STATUS');
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async enableVault({ secret, method, walletAddress }) {
+        const response = await this.request('VAULT_ENABLE', { secret, method, walletAddress });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async unlockVault(secret) {
+        const response = await this.request('VAULT_UNLOCK', { secret });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async lockVault() {
+        const response = await this.request('VAULT_LOCK');
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async disableVault(secret) {
+        const response = await this.request('VAULT_DISABLE', { secret });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    // Backup file as an object, MACed with the passphrase; restoring returns what was merged
+    async exportBackup(passphrase) {
+        const response = await this.request('EXPORT_BACKUP', { passphrase });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async importBackup(backup, passphrase) {
+        const response = await this.request('IMPORT_BACKUP', { backup, passphrase });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async getRetentionPolicy() {
+        const response = await this.request('GET_RETENTION_POLICY');
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    // What the policy would remove now: { <store>: { deleted, pruned } }
+    async previewRetention(policy) {
+        const response = await this.request('PREVIEW_RETENTION', { policy });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    // Saves and applies the policy: { policy, result }
+    async setRetentionPolicy(policy) {
+        const response = await this.request('SET_RETENTION_POLICY', { policy });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    // One page of consents matching filters, newest first: { consents, nextCursor }
+    async queryConsents(filters = {}, cursor = null, limit = 50) {
+        const response = await this.request('QUERY_CONSENTS', { filters, cursor, limit });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async getDashboardOrigin() {
+        const response = await this.request('GET_DASHBOARD_ORIGIN');
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    // Only honoured from the extension's own dashboard page
+    async setDashboardOrigin(url) {
+        const response = await this.request('SET_DASHBOARD_ORIGIN', { url });
+        if (!response.success) throw new Error(response.error);
+        return response.data;
+    }
+
+    async setRuleManifestUrl(url) {
+        const response = await this.request('SET_RULE_MANIFEST_URL', { url });
+        if (!response.success) throw new Error(response.error);
+        return response;
+    }
 }
 
 class DashboardApp {
@@ -229,6 +411,7 @@ class DashboardApp {
         console.log('DashboardApp v1.1 initialized');
         this.dataService = new DataService();
         this.consents = []; // Initialize empty array
+        this.anchoredConsents = new Map(); // id -> consent with merkleProof
 
         // Fail-safe: Force hide overlay if init takes too long (e.g., wallet/provider hanging)
         this.initTimeout = setTimeout(() => {
@@ -370,10 +553,7 @@ class DashboardApp {
             // Always reset ethers to ensure we pick up the correct network config (especially after a switch)
             await myTermsEthers.reset();
 
-            const txResult = await myTermsEthers.submitConsentBatch(
-                batchData.sites,
-                batchData.hashes
-            );
+            const txResult = await myTermsEthers.submitPreparedBatch(batchData);
 
             statusMsg.textContent = 'Finalizing batch...';
 
@@ -382,7 +562,9 @@ class DashboardApp {
                 hash: txResult.hash,
                 blockNumber: txResult.blockNumber,
                 gasUsed: txResult.gasUsed.toString(),
-                confirmations: 1 // Hardcode or extract value if available
+                confirmations: 1, // Hardcode or extract value if available
+                from: txResult.from,
+                contractAddress: txResult.contractAddress
             };
 
             // 4. Finalize
@@ -529,6 +711,8 @@ class DashboardApp {
             sites: document.getElementById('sitesView'),
             agreements: document.getElementById('agreementsView'),
             analytics: document.getElementById('analyticsView'),
+            rules: document.getElementById('rulesView'),
+            failures: document.getElementById('failuresView'),
             preferences: document.getElementById('preferencesView')
         };
 
@@ -546,9 +730,37 @@ class DashboardApp {
         this.timelineContainer = document.getElementById('timelineContainer');
         this.timelineTimeline = document.getElementById('timelineTimeline');
         this.sitesGrid = document.getElementById('sitesGrid');
+        this.siteOverrideForm = document.getElementById('siteOverrideForm');
+        this.siteOverrideList = document.getElementById('siteOverrideList');
         this.noDataMsg = document.getElementById('noDataMessage');
         this.walletStatus = document.getElementById('walletStatus');
         this.saveStatus = document.getElementById('saveStatus');
+        this.ruleStatus = document.getElementById('ruleStatus');
+        this.ruleHistory = document.getElementById('ruleHistory');
+        this.ruleManifestUrl = document.getElementById('ruleManifestUrl');
+        this.dashboardOrigin = document.getElementById('dashboardOrigin');
+
+        // Rule editor
+        this.ruleEditor = document.getElementById('ruleEditor');
+        this.ruleTestTab = document.getElementById('ruleTestTab');
+        this.ruleEditorStatus = document.getElementById('ruleEditorStatus');
+        this.dryRunResults = document.getElementById('dryRunResults');
+        this.userRulesList = document.getElementById('userRulesList');
+
+        // Timeline filters; the cursor continues the current query
+        this.timeFilter = document.getElementById('timeFilter');
+        this.timelineSearch = document.getElementById('timelineSearch');
+        this.timelineCursor = null;
+
+        // Failure inbox
+        this.failureInbox = document.getElementById('failureInbox');
+
+        // Encrypted history
+        this.vaultBanner = document.getElementById('vaultBanner');
+        this.vaultPanel = document.getElementById('vaultPanel');
+        this.retentionPanel = document.getElementById('retentionPanel');
+        this.retentionStatus = document.getElementById('retentionStatus');
+        this.vaultStatus = { enabled: false, unlocked: false };
 
         // Preferences
         this.prefs = {
@@ -557,7 +769,10 @@ class DashboardApp {
             marketing: document.getElementById('prefMarketing'),
             functional: document.getElementById('prefFunctional'),
             social: document.getElementById('prefSocial'),
-            blockchainEnabled: document.getElementById('prefBlockchainEnabled')
+            globalPrivacyControl: document.getElementById('prefGlobalPrivacyControl'),
+            blockchainEnabled: document.getElementById('prefBlockchainEnabled'),
+            merkleAnchoring: document.getElementById('prefMerkleAnchoring'),
+            gaslessRelay: document.getElementById('prefGaslessRelay')
         };
     }
 
@@ -576,9 +791,108 @@ class DashboardApp {
         this.retryBtn.addEventListener('click', () => this.loadData());
         this.loadMoreBtn.addEventListener('click', () => this.loadMore());
 
+        // Timeline filters re-query the timeline only; stats, sites and charts don't depend on them
+        this.timeFilter.addEventListener('change', () => this.reloadTimeline());
+        this.timelineSearch.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.reloadTimeline(), 300);
+        });
+
         // Preferences
         this.savePreferencesBtn.addEventListener('click', () => this.savePreferences());
 
+        // CMP rule sync
+        const syncRulesBtn = document.getElementById('syncRulesBtn');
+        if (syncRulesBtn) {
+            syncRulesBtn.addEventListener('click', () => this.handleSyncRules(syncRulesBtn));
+        }
+
+        const saveRuleManifestBtn = document.getElementById('saveRuleManifestBtn');
+        if (saveRuleManifestBtn) {
+            saveRuleManifestBtn.addEventListener('click', () => this.handleSaveRuleManifest());
+        }
+
+        const saveDashboardOriginBtn = document.getElementById('saveDashboardOriginBtn');
+        if (saveDashboardOriginBtn) {
+            saveDashboardOriginBtn.addEventListener('click', () => this.handleSaveDashboardOrigin());
+        }
+
+        // Rule editor
+        if (this.ruleEditor) {
+            document.getElementById('newUserRuleBtn').addEventListener('click', () => this.editUserRule(null));
+            document.getElementById('refreshTestTabsBtn').addEventListener('click', () => this.loadTestTabs());
+            document.getElementById('dryRunRuleBtn').addEventListener('click', () => this.handleDryRunRule());
+            document.getElementById('saveUserRuleBtn').addEventListener('click', () => this.handleSaveUserRule());
+
+            this.userRulesList.addEventListener('click', (e) => {
+                const editBtn = e.target.closest('.edit-user-rule-btn');
+                const deleteBtn = e.target.closest('.delete-user-rule-btn');
+                if (editBtn) {
+                    this.editUserRule(this.userRules.find(rule => rule.name === editBtn.dataset.name));
+                } else if (deleteBtn) {
+                    this.handleDeleteUserRule(deleteBtn.dataset.name);
+                }
+            });
+        }
+
+        if (this.failureInbox) {
+            this.failureInbox.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-site]');
+                if (!button) return;
+                const site = this.failures.find(entry => entry.siteDomain === button.dataset.site);
+                if (!site) return;
+
+                if (button.classList.contains('open-site-btn')) {
+                    window.open(site.url, '_blank', 'noopener');
+                } else if (button.classList.contains('write-rule-btn')) {
+                    this.writeRuleForSite(site);
+                } else if (button.classList.contains('report-failure-btn')) {
+                    this.handleReportFailure(site);
+                } else if (button.classList.contains('dismiss-failure-btn')) {
+                    this.handleDismissFailures(site.siteDomain);
+                }
+            });
+        }
+
+        if (this.ruleHistory) {
+            this.ruleHistory.addEventListener('click', (e) => {
+                const rollbackBtn = e.target.closest('.rollback-rules-btn');
+                if (rollbackBtn) {
+                    this.handleRollbackRules(rollbackBtn.dataset.id, rollbackBtn);
+                }
+            });
+        }
+
+        // Encrypted history: locked banner and the Preferences panel share one handler
+        [this.vaultBanner, this.vaultPanel].forEach(container => {
+            if (!container) return;
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-vault-action]');
+                if (button) this.handleVaultAction(button.dataset.vaultAction, container, button);
+            });
+        });
+
+        // Data retention: days only apply to the modes that use them
+        if (this.retentionPanel) {
+            this.retentionPanel.addEventListener('change', (e) => {
+                if (e.target.matches('.retention-mode')) this.toggleRetentionDays(e.target);
+            });
+            document.getElementById('previewRetentionBtn').addEventListener('click', () => this.handlePreviewRetention());
+            document.getElementById('saveRetentionBtn').addEventListener('click', (e) => this.handleSaveRetention(e.currentTarget));
+        }
+
+        // Backup & restore
+        const exportBackupBtn = document.getElementById('exportBackupBtn');
+        if (exportBackupBtn) {
+            exportBackupBtn.addEventListener('click', () => this.handleExportBackup(exportBackupBtn));
+        }
+
+        const importBackupInput = document.getElementById('importBackupInput');
+        if (importBackupInput) {
+            document.getElementById('importBackupBtn').addEventListener('click', () => importBackupInput.click());
+            importBackupInput.addEventListener('change', () => this.handleImportBackup(importBackupInput));
+        }
+
         // Clear Data (Error Modal)
         const clearBtn = document.getElementById('clearDataBtn');
         if (clearBtn) {
@@ -592,53 +906,80 @@ class DashboardApp {
         }
 
         this.simulateBtn = document.getElementById('simulateConsentBtn');
+        if (this.simulateBtn) {
+            this.simulateBtn.addEventListener('click', () => this.handleSimulateConsent());
+        }
 
-        // ... existing code ...
+        // Network Switching
+        const networkSelect = document.getElementById('networkSelect');
+        if (networkSelect) {
+            networkSelect.addEventListener('change', (e) => this.handleNetworkSwitch(e.target.value));
+        }
 
-    }
+        // Timeline Cookie Actions (Delegation)
+        if (this.timelineTimeline) {
+            this.timelineTimeline.addEventListener('click', (e) => {
+                // Handle View Cookies
+                if (e.target.classList.contains('view-cookies-btn')) {
+                    const { domain, url, container } = e.target.dataset;
+                    this.loadCookiesForEvent(domain, url, container);
+                }
 
-    if(!isMonster && scoreText && !isError) {
-    // Let renderReport handle score text usually, but valid for errors
-}
-            }
-        }
+                // Handle Delete All Cookies
+                if (e.target.classList.contains('delete-all-cookies-btn')) {
+                    const { domain, url, container } = e.target.dataset;
+                    this.deleteAllCookies(domain, url, container);
+                }
 
-// Initialize on load if on analysis page
-if (window.location.pathname.includes('analysis.html')) {
-    const dataService = new DataService();
-    new AnalysisController(dataService);
-}
+                // Handle Merkle Proof Export
+                if (e.target.classList.contains('export-proof-btn')) {
+                    this.exportConsentProof(e.target.dataset.id);
+                }
 
+                // Handle Delete Single Cookie
+                if (e.target.closest('.delete-cookie-btn')) {
+                    const btn = e.target.closest('.delete-cookie-btn');
+                    const { url, name, storeid } = btn.dataset;
+                    this.deleteSingleCookie(url, name, storeid, btn);
+                }
+            });
+        }
 
-// Network Switching
-const networkSelect = document.getElementById('networkSelect');
-if (networkSelect) {
-    networkSelect.addEventListener('change', (e) => this.handleNetworkSwitch(e.target.value));
-}
+        // Site Card Actions (Delegation)
+        if (this.sitesGrid) {
+            this.sitesGrid.addEventListener('click', (e) => {
+                const revokeBtn = e.target.closest('.revoke-consent-btn');
+                if (revokeBtn) {
+                    this.handleRevokeConsent(revokeBtn.dataset.domain, revokeBtn);
+                }
+            });
 
-// Timeline Cookie Actions (Delegation)
-if (this.timelineTimeline) {
-    this.timelineTimeline.addEventListener('click', (e) => {
-        // Handle View Cookies
-        if (e.target.classList.contains('view-cookies-btn')) {
-            const { domain, url, container } = e.target.dataset;
-            this.loadCookiesForEvent(domain, url, container);
+            this.sitesGrid.addEventListener('change', (e) => {
+                const policySelect = e.target.closest('.site-policy-select');
+                if (policySelect) {
+                    this.handleSiteOverride(policySelect.dataset.domain, policySelect.value || null);
+                }
+            });
         }
 
-        // Handle Delete All Cookies
-        if (e.target.classList.contains('delete-all-cookies-btn')) {
-            const { domain, url, container } = e.target.dataset;
-            this.deleteAllCookies(domain, url, container);
+        // Per-site overrides
+        if (this.siteOverrideForm) {
+            this.siteOverrideForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const domain = document.getElementById('siteOverrideDomain').value;
+                const policy = document.getElementById('siteOverridePolicy').value;
+                this.handleSiteOverride(domain, policy).then(() => this.siteOverrideForm.reset());
+            });
         }
 
-        // Handle Delete Single Cookie
-        if (e.target.closest('.delete-cookie-btn')) {
-            const btn = e.target.closest('.delete-cookie-btn');
-            const { url, name, storeid } = btn.dataset;
-            this.deleteSingleCookie(url, name, storeid, btn);
+        if (this.siteOverrideList) {
+            this.siteOverrideList.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.remove-override-btn');
+                if (removeBtn) {
+                    this.handleSiteOverride(removeBtn.dataset.domain, null);
+                }
+            });
         }
-    });
-}
     }
 
     async handleNetworkSwitch(network) {
@@ -722,7 +1063,10 @@ setupWalletListeners() {
             this.prefs.marketing.checked = prefs.marketing;
             this.prefs.functional.checked = prefs.functional;
             this.prefs.social.checked = prefs.social;
+            this.prefs.globalPrivacyControl.checked = prefs.globalPrivacyControl || false;
             this.prefs.blockchainEnabled.checked = prefs.blockchainEnabled || false;
+            this.prefs.merkleAnchoring.checked = prefs.merkleAnchoring !== false;
+            this.prefs.gaslessRelay.checked = prefs.gaslessRelay || false;
         }
     } catch (error) {
         console.error('Failed to load preferences:', error);
@@ -740,7 +1084,10 @@ setupWalletListeners() {
             marketing: this.prefs.marketing.checked,
             functional: this.prefs.functional.checked,
             social: this.prefs.social.checked,
+            globalPrivacyControl: this.prefs.globalPrivacyControl.checked,
             blockchainEnabled: this.prefs.blockchainEnabled.checked,
+            merkleAnchoring: this.prefs.merkleAnchoring.checked,
+            gaslessRelay: this.prefs.gaslessRelay.checked,
             necessary: true // Always true
         };
 
@@ -858,10 +1205,7 @@ setupWalletListeners() {
 
         // 2. Submit to blockchain using dashboard's wallet connection
         // We use myTermsEthers directly since we are in the dashboard context
-        const txResult = await myTermsEthers.submitConsentBatch(
-            batchData.sites,
-            batchData.hashes
-        );
+        const txResult = await myTermsEthers.submitPreparedBatch(batchData);
 
         console.log('Batch submitted:', txResult);
 
@@ -894,19 +1238,119 @@ setupWalletListeners() {
     }
 }
 
+    async handleRevokeConsent(domain, btn) {
+    if (window.location.protocol === 'chrome-extension:') {
+        alert('Revoking consent requires a wallet. Open the Blockchain Dashboard (localhost) to revoke.');
+        return;
+    }
+
+    if (!confirm(`Withdraw all recorded consent for ${domain}? This publishes a revocation to the blockchain.`)) {
+        return;
+    }
+
+    try {
+        if (btn) {
+            btn.textContent = '⏳ Preparing...';
+            btn.disabled = true;
+        }
+
+        // 1. Collect the site's logged consents from background
+        const response = await this.dataService.request('PREPARE_REVOCATION', { domain });
+
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to prepare revocation');
+        }
+
+        const revocationData = response.data;
+
+        if (btn) btn.textContent = '✍️ Signing...';
+
+        // 2. Submit revocation using dashboard's wallet connection
+        const txResult = await myTermsEthers.submitRevocationBatch(
+            revocationData.sites,
+            revocationData.hashes
+        );
+
+        // 3. Notify background to mark consents as revoked
+        const completeResponse = await this.dataService.request('REVOCATION_COMPLETE', {
+            result: txResult,
+            revocationData
+        });
+
+        if (!completeResponse.success) {
+            throw new Error(completeResponse.error || 'Failed to finalize revocation');
+        }
+
+        alert(`Consent for ${domain} revoked.\nTx: ${txResult.hash}`);
+
+        this.loadData();
+
+    } catch (error) {
+        console.error('Revocation failed:', error);
+        alert('Revocation failed: ' + error.message);
+        if (btn) {
+            btn.textContent = '↩️ Revoke';
+            btn.disabled = false;
+        }
+    }
+}
+
+    // Download a self-contained inclusion proof for one Merkle-anchored consent
+    exportConsentProof(consentId) {
+    const consent = this.anchoredConsents.get(String(consentId));
+    if (!consent) {
+        alert('No Merkle proof stored for this consent.');
+        return;
+    }
+
+    const { root, leaf, proof, txHash, blockNumber, anchoredBy, contractAddress } = consent.merkleProof;
+
+    if (!verifyConsentProof(proof, root, leaf)) {
+        alert('Stored proof does not match its Merkle root.');
+        return;
+    }
+
+    // The record below must be what the leaf commits to, or the bundle proves nothing about it
+    if (hashConsentLeaf(consent) !== leaf) {
+        alert('Stored consent no longer matches its anchored Merkle leaf.');
+        return;
+    }
+
+    const [siteDomain, termsHash, accepted, timestamp] = getLeafValues(consent);
+
+    const bundle = {
+        type: 'MyTermsConsentInclusionProof',
+        record: { siteDomain, termsHash, accepted, timestamp: timestamp.toString() },
+        leafEncoding: `keccak256(keccak256(abi.encode(${LEAF_TYPES.join(', ')})))`,
+        leaf,
+        proof,
+        root,
+        anchor: { contractAddress, user: anchoredBy, txHash, blockNumber },
+        verify: 'rootAnchoredAt(user, root) > 0 && verifyConsentProof(proof, root, leaf)'
+    };
+
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `consent-proof-${consent.siteDomain}-${consent.timestamp}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
     async loadMore() {
     try {
         this.loadMoreBtn.classList.add('loading');
         this.loadMoreBtn.textContent = 'Loading...';
 
-        // Calculate current offset based on displayed items
-        const currentCount = document.querySelectorAll('.timeline-item').length;
+        const page = await this.dataService.queryConsents(this.timelineFilters(), this.timelineCursor);
+        this.timelineCursor = page.nextCursor;
+        this.consents = [...this.consents, ...page.consents];
 
-        const data = await this.dataService.getConsentData(50, currentCount);
-
-        if (data.consents && data.consents.length > 0) {
-            this.renderTimeline(data.consents, true); // true = append
-        } else {
+        if (page.consents.length > 0) {
+            this.renderTimeline(page.consents, true); // true = append
+        }
+        if (!page.nextCursor) {
             this.loadMoreBtn.textContent = 'No more events';
             this.loadMoreBtn.disabled = true;
         }
@@ -988,16 +1432,22 @@ clearBlockchainData() {
     try {
         this.showLoading(true);
 
-        // Fetch paginated consents for timeline
-        const data = await this.dataService.getConsentData(this.limit, this.offset);
-
-        // Safety check for data.consents
-        const newConsents = data.consents || [];
-
-        this.consents = this.offset === 0 ? newConsents : [...this.consents, ...newConsents];
+        // Locked history: only the counts are readable until it is unlocked
+        const vault = await this.loadVaultStatus();
+        if (vault.enabled && !vault.unlocked) {
+            const stats = await this.dataService.request('GET_STATS');
+            if (!stats.error) this.updateDashboardStats(stats);
+            this.renderTimeline([], false);
+            this.loadMoreBtn.style.display = 'none';
+            return;
+        }
 
         // Fetch aggregated sites data for charts and sites view
         const sitesData = await this.dataService.getAllSitesData();
+        this.siteOverrides = await this.dataService.getSiteOverrides().catch((error) => {
+            console.warn('Failed to load site overrides:', error);
+            return {};
+        });
 
         // Update UI
         // Actually getStats in background returns totals, so we should use that for stats
@@ -1006,16 +1456,11 @@ clearBlockchainData() {
             this.updateDashboardStats(stats);
         }
 
-        this.renderTimeline(this.consents, this.offset > 0);
         this.renderSites(sitesData); // Use full sites data
+        this.renderSiteOverrides();
         this.updateCharts(sitesData); // Use full sites data
 
-        // Check for load more
-        if (data.consents.length < this.limit) {
-            this.loadMoreBtn.style.display = 'none';
-        } else {
-            this.loadMoreBtn.style.display = 'block';
-        }
+        await this.reloadTimeline();
 
     } catch (error) {
         console.error('Failed to load data:', error);
@@ -1025,6 +1470,43 @@ clearBlockchainData() {
     }
 }
 
+// First page of the timeline for the current filters
+async reloadTimeline() {
+    // Locked history has no timeline to filter (loadData shows the counts)
+    if (this.vaultStatus?.enabled && !this.vaultStatus.unlocked) return;
+
+    // Typing in the search box can overlap queries; only the latest one renders
+    const query = this.timelineQuery = (this.timelineQuery || 0) + 1;
+    try {
+        const page = await this.dataService.queryConsents(this.timelineFilters());
+        if (query !== this.timelineQuery) return;
+
+        this.consents = page.consents;
+        this.timelineCursor = page.nextCursor;
+        this.renderTimeline(this.consents, false);
+
+        // Check for load more
+        this.loadMoreBtn.style.display = this.timelineCursor ? 'block' : 'none';
+        this.loadMoreBtn.disabled = false;
+        this.loadMoreBtn.textContent = 'Load More Events';
+    } catch (error) {
+        if (query !== this.timelineQuery) return;
+        console.error('Failed to load timeline:', error);
+        this.showError('Failed to load timeline: ' + error.message);
+    }
+}
+
+// Timeline dropdown and search box as QUERY_CONSENTS filters
+timelineFilters() {
+    const periods = { day: 1, week: 7, month: 30 };
+    const days = periods[this.timeFilter?.value];
+    const filters = {};
+    if (days) filters.from = Date.now() - days * 24 * 60 * 60 * 1000;
+    const text = this.timelineSearch?.value.trim();
+    if (text) filters.text = text;
+    return filters;
+}
+
 updateDashboardStats(stats) {
     if (this.stats.total) this.stats.total.textContent = stats.totalConsents || 0;
     if (this.stats.sites) this.stats.sites.textContent = stats.totalSites || 0;
@@ -1067,6 +1549,15 @@ switchView(viewName) {
     } else if (viewName === 'analytics') {
         // Stats are updated by loadData
         this.loadData();
+    } else if (viewName === 'rules') {
+        this.loadRuleEditor();
+    } else if (viewName === 'failures') {
+        this.loadFailureInbox();
+    } else if (viewName === 'preferences') {
+        this.loadDashboardOrigin();
+        this.loadRuleStatus();
+        this.loadVaultStatus();
+        this.loadRetentionPolicy();
     }
 }
 
@@ -1363,6 +1854,20 @@ renderTimeline(consents, append = false) {
 
             const hashDisplay = consent.termsHash ? `${consent.termsHash.substring(0, 16)}...` : 'Pending Generation';
 
+            // Per-purpose grants (older records only have accept/decline)
+            const granted = consent.grantedPurposes
+                ? Object.keys(consent.grantedPurposes).filter(p => p !== 'necessary' && consent.grantedPurposes[p])
+                : [];
+            const badgeText = isAccept ? 'Allowed' : (granted.length > 0 ? 'Partial' : 'Blocked');
+            const purposesHtml = consent.grantedPurposes && !isAccept && granted.length > 0
+                ? `<div class="consent-purposes">${granted.map(p => `<span class="purpose-chip">${p}</span>`).join('')}</div>`
+                : '';
+
+            // Keep Merkle-anchored records around for proof export
+            if (consent.merkleProof) {
+                this.anchoredConsents.set(String(consent.id), consent);
+            }
+
             const item = document.createElement('div');
             item.className = 'timeline-item';
             item.dataset.id = consent.timestamp;
@@ -1375,32 +1880,40 @@ renderTimeline(consents, append = false) {
                     <div class="timeline-content">
                         <div class="consent-header">
                             <div class="site-info">
-                                <span class="consent-site">${consent.siteDomain || 'Unknown Site'}</span>
-                                <span class="consent-url">${new URL(consent.url).pathname}</span>
+                                <span class="consent-site">${consent.siteDomain || (consent.prunedAt ? 'Pruned record' : 'Unknown Site')}</span>
+                                <span class="consent-url">${consent.url ? new URL(consent.url).pathname : ''}</span>
                             </div>
                             <span class="consent-timestamp">${timeStr} · ${dateStr}</span>
                         </div>
 
                         <div class="consent-body">
                             <span class="decision-badge ${statusClass}">
-                                ${isAccept ? 'Allowed' : 'Blocked'}
+                                ${badgeText}
                             </span>
                             <span class="consent-hash-mini" title="${consent.termsHash || ''}">
                                 <i class="fas fa-fingerprint"></i> ${hashDisplay}
                             </span>
+                            ${consent.detectionEngine ? `
+                            <span class="engine-chip" title="Handled by">${ENGINE_LABELS[consent.detectionEngine] || consent.detectionEngine}</span>` : ''}
                         </div>
+                        ${purposesHtml}
 
                         <div class="consent-footer">
+                            ${consent.siteDomain ? `
                              <button class="action-btn-sm view-cookies-btn" 
                                 data-domain="${consent.siteDomain}" 
                                 data-url="${consent.url}" 
                                 data-container="cookies-${consent.timestamp}">
                                 🍪 Cookies
-                            </button>
+                            </button>` : ''}
                             ${consent.termsHash ? `
                             <button class="action-btn-sm" onclick="navigator.clipboard.writeText('${consent.termsHash}')">
                                 📋 Copy Proof
                             </button>` : ''}
+                            ${consent.merkleProof ? `
+                            <button class="action-btn-sm export-proof-btn" data-id="${consent.id}">
+                                🌳 Export Proof
+                            </button>` : ''}
                         </div>
                         
                         <!-- Collapsible Cookie Container -->
@@ -1469,7 +1982,9 @@ renderAgreements(agreements) {
                     <div class="hash-badge" title="SHA-256 Hash of content">
                         <i class="fas fa-fingerprint"></i> ${agreement.termsHash.substring(0, 10)}...
                     </div>
-                    <pre class="text-content">${this.escapeHtml(agreement.text)}</pre>
+                    ${agreement.text
+                        ? `<pre class="text-content">${this.escapeHtml(agreement.text)}</pre>`
+                        : '<p class="tcf-meta">Banner text removed by your retention policy; the hash is kept.</p>'}
                 </div>
             `;
 
@@ -1518,11 +2033,714 @@ renderSites(sitesData) {
                     </div>
                 </div>
                 <div class="last-visit">Last: ${new Date(data.lastVisit).toLocaleDateString()}</div>
+                ${data.violations > 0 ? this.renderViolations(data) : ''}
+                ${data.tcf ? this.renderTcfVendors(data.tcf) : ''}
+                <div class="site-actions">
+                    ${this.renderSitePolicySelect(data.domain)}
+                    ${data.revoked >= data.count ? `
+                    <span class="decision-badge decline">Revoked</span>` : `
+                    <button class="action-btn-sm revoke-consent-btn" data-domain="${data.domain}">
+                        ↩️ Revoke
+                    </button>`}
+                </div>
             `;
         this.sitesGrid.appendChild(card);
     });
 }
 
+async loadRuleEditor() {
+    if (!this.ruleEditor.value.trim()) {
+        this.editUserRule(null);
+    }
+    await Promise.all([this.loadTestTabs(), this.loadUserRules()]);
+}
+
+async loadTestTabs() {
+    try {
+        const tabs = await this.dataService.getTestTabs();
+        const selected = this.ruleTestTab.value;
+        this.ruleTestTab.innerHTML = tabs.length === 0
+            ? '<option value="">Open the site to test in another tab</option>'
+            : tabs.map(tab => `
+                <option value="${tab.id}" ${String(tab.id) === selected ? 'selected' : ''}>
+                    ${this.escapeHtml((tab.title || tab.url).slice(0, 60))} (${this.escapeHtml(new URL(tab.url).hostname)})
+                </option>`).join('');
+    } catch (error) {
+        console.error('Failed to list tabs:', error);
+        this.ruleTestTab.innerHTML = '<option value="">Tabs unavailable</option>';
+    }
+}
+
+async loadUserRules() {
+    try {
+        this.userRules = await this.dataService.getUserRules();
+    } catch (error) {
+        console.error('Failed to load user rules:', error);
+        this.userRules = [];
+    }
+
+    this.userRulesList.innerHTML = this.userRules.length === 0
+        ? '<span class="tcf-meta">No custom rules yet.</span>'
+        : this.userRules.map(rule => `
+                <div class="rule-history-item">
+                    <div>
+                        <div><strong>${this.escapeHtml(rule.name)}</strong></div>
+                        <div class="tcf-meta">
+                            ${rule.detectors.length} detector${rule.detectors.length === 1 ? '' : 's'} ·
+                            ${rule.methods.map(m => this.escapeHtml(m.name)).join(', ') || 'no methods'} ·
+                            saved ${new Date(rule.updatedAt).toLocaleString()}
+                        </div>
+                    </div>
+                    <div>
+                        <button class="action-btn-sm edit-user-rule-btn" data-name="${this.escapeHtml(rule.name)}">✏️ Edit</button>
+                        <button class="action-btn-sm delete-user-rule-btn" data-name="${this.escapeHtml(rule.name)}">🗑️</button>
+                    </div>
+                </div>`).join('');
+}
+
+// Load a rule into the editor; null starts from a template
+editUserRule(rule) {
+    const { source, updatedAt, consentChainExtensions, ...editable } = rule || this.ruleTemplate('my-site-banner');
+
+    this.ruleEditor.value = JSON.stringify(editable, null, 2);
+    this.ruleEditorStatus.textContent = '';
+    this.dryRunResults.innerHTML = '';
+}
+
+ruleTemplate(name) {
+    return {
+        name,
+        detectors: [{
+            presentMatcher: { type: 'css', target: { selector: '#cookie-banner' } },
+            showingMatcher: { type: 'css', target: { selector: '#cookie-banner', displayFilter: true } }
+        }],
+        methods: [
+            { name: 'ACCEPT_ALL', action: { type: 'click', target: { selector: '#cookie-banner .accept' } } },
+            { name: 'REJECT_ALL', action: { type: 'click', target: { selector: '#cookie-banner .reject' } } }
+        ]
+    };
+}
+
+// Parsed editor contents, or null with the parse error shown
+readEditorRule() {
+    try {
+        const rule = JSON.parse(this.ruleEditor.value);
+        this.ruleEditorStatus.textContent = '';
+        return rule;
+    } catch (error) {
+        this.ruleEditorStatus.textContent = `Invalid JSON: ${error.message}`;
+        return null;
+    }
+}
+
+async handleDryRunRule() {
+    const rule = this.readEditorRule();
+    if (!rule) return;
+
+    const tabId = Number(this.ruleTestTab.value);
+    if (!tabId) {
+        this.ruleEditorStatus.textContent = 'Pick a tab to test against.';
+        return;
+    }
+
+    try {
+        this.dryRunResults.innerHTML = '<div class="loading-spinner">Testing...</div>';
+        const frames = await this.dataService.dryRunRule(tabId, rule);
+        this.renderDryRun(frames);
+    } catch (error) {
+        this.dryRunResults.innerHTML = '';
+        this.ruleEditorStatus.textContent = `Test failed: ${error.message}`;
+    }
+}
+
+// Frames where the rule detected something come first; the top frame is kept either way
+renderDryRun(frames) {
+    const relevant = frames
+        .filter(frame => frame.frameId === 0 || frame.detected || frame.highlighted > 0)
+        .sort((a, b) => Number(b.detected) - Number(a.detected));
+
+    if (relevant.length === 0) {
+        this.dryRunResults.innerHTML = '<span class="tcf-meta">The content script is not running in that tab. Reload the tab and try again.</span>';
+        return;
+    }
+
+    const count = (matches) => matches === null
+        ? '<span class="tcf-meta">—</span>'
+        : `<span class="match-count ${matches > 0 ? 'hit' : 'miss'}">${matches}</span>`;
+
+    this.dryRunResults.innerHTML = relevant.map(frame => `
+                <div class="dry-run-frame">
+                    <div class="dry-run-header">
+                        <span class="decision-badge ${frame.detected ? 'accept' : 'decline'}">${frame.detected ? 'Detected' : 'Not detected'}</span>
+                        ${frame.detected ? `<span class="decision-badge ${frame.showing ? 'accept' : 'decline'}">${frame.showing ? 'Showing' : 'Hidden'}</span>` : ''}
+                        <span class="tcf-meta">${frame.frameId === 0 ? 'Top frame' : 'Frame'} · ${this.escapeHtml(frame.frameUrl)} · ${frame.highlighted} element${frame.highlighted === 1 ? '' : 's'} outlined</span>
+                    </div>
+                    <table class="dry-run-table">
+                        ${frame.detectors.map(d => `
+                        <tr><td>Detector ${d.index + 1}</td><td>${d.present ? 'present' : 'absent'}${d.present ? `, ${d.showing ? 'showing' : 'not showing'}` : ''}</td><td>${count(d.matches)}</td></tr>`).join('')}
+                        ${frame.methods.map(method => method.steps.map(step => `
+                        <tr>
+                            <td>${this.escapeHtml(step.path)}</td>
+                            <td><code>${this.escapeHtml(step.type)}</code> ${step.selector ? `<code>${this.escapeHtml(step.selector)}</code>` : ''}
+                                ${step.error ? `<div class="rule-error">${this.escapeHtml(step.error)}</div>` : ''}</td>
+                            <td>${count(step.matches)}</td>
+                        </tr>`).join('')).join('')}
+                    </table>
+                </div>`).join('');
+}
+
+async handleSaveUserRule() {
+    const rule = this.readEditorRule();
+    if (!rule) return;
+
+    try {
+        const saved = await this.dataService.saveUserRule(rule);
+        this.ruleEditorStatus.textContent = `Saved "${saved.name}". It applies from the next page load.`;
+        await this.loadUserRules();
+    } catch (error) {
+        this.ruleEditorStatus.textContent = `Not saved: ${error.message}`;
+    }
+}
+
+async handleDeleteUserRule(name) {
+    if (!confirm(`Delete your rule "${name}"?`)) return;
+
+    try {
+        await this.dataService.deleteUserRule(name);
+        await this.loadUserRules();
+    } catch (error) {
+        this.showError('Failed to delete rule: ' + error.message);
+    }
+}
+
+async loadFailureInbox() {
+    try {
+        this.failures = await this.dataService.getFailureInbox();
+    } catch (error) {
+        console.error('Failed to load failure inbox:', error);
+        this.failures = [];
+    }
+
+    const OUTCOME_LABELS = { no_button: 'no button found', still_visible: 'clicked, banner stayed', error: 'error' };
+    const unique = (values) => [...new Set(values)].map(value => this.escapeHtml(value)).join(', ');
+
+    this.failureInbox.innerHTML = this.failures.length === 0
+        ? '<span class="tcf-meta">No unhandled banners. Sites show up here when a banner is found but no button to answer it.</span>'
+        : this.failures.map(site => `
+                <div class="rule-history-item failure-item">
+                    <div>
+                        <div><strong>${this.escapeHtml(site.siteDomain)}</strong></div>
+                        <div class="tcf-meta">
+                            ${site.failureCount} failed attempt${site.failureCount === 1 ? '' : 's'} ·
+                            last ${new Date(site.lastAttempt).toLocaleString()} ·
+                            ${site.rules.length > 0 ? `rules: ${unique(site.rules)}` : `engine: ${unique(site.engines)}`} ·
+                            banner ${site.bannerStillVisible === false ? 'gone afterwards' : 'still visible'}
+                        </div>
+                        <details>
+                            <summary>Attempts</summary>
+                            <table class="dry-run-table">
+                                ${site.attempts.map(attempt => `
+                                <tr>
+                                    <td>${new Date(attempt.timestamp).toLocaleString()}</td>
+                                    <td>${this.escapeHtml(attempt.engine)}${attempt.ruleName ? ` · ${this.escapeHtml(attempt.ruleName)}` : ''}</td>
+                                    <td>${attempt.methodTried ? `<code>${this.escapeHtml(attempt.methodTried)}</code>` : '<span class="tcf-meta">—</span>'}</td>
+                                    <td>${this.escapeHtml(OUTCOME_LABELS[attempt.outcome] || attempt.outcome)}</td>
+                                    <td>${attempt.latencyMs} ms</td>
+                                </tr>`).join('')}
+                            </table>
+                        </details>
+                    </div>
+                    <div class="failure-actions">
+                        <button class="action-btn-sm open-site-btn" data-site="${this.escapeHtml(site.siteDomain)}">🔗 Open site</button>
+                        <button class="action-btn-sm write-rule-btn" data-site="${this.escapeHtml(site.siteDomain)}">🧩 Write a rule</button>
+                        <button class="action-btn-sm report-failure-btn" data-site="${this.escapeHtml(site.siteDomain)}">📝 Report</button>
+                        <button class="action-btn-sm dismiss-failure-btn" data-site="${this.escapeHtml(site.siteDomain)}" title="Remove from this list">✖</button>
+                    </div>
+                </div>`).join('');
+}
+
+// Rule editor with a template named after the site; testing needs the site open in a tab
+writeRuleForSite(site) {
+    this.editUserRule(this.ruleTemplate(`${site.siteDomain}-banner`));
+    this.switchView('rules');
+    this.ruleEditorStatus.textContent = `Open ${site.url} in a tab, pick it above and use "Test on tab" while you fill in the selectors.`;
+}
+
+// Saves the site's attempts as a file; nothing is sent anywhere
+async handleReportFailure(site) {
+    try {
+        const attempts = await this.dataService.getHandlingAttempts(site.siteDomain);
+        const report = {
+            type: 'ConsentChainBannerFailureReport',
+            generatedAt: new Date().toISOString(),
+            extensionVersion: window.chrome?.runtime?.getManifest?.().version || null,
+            userAgent: navigator.userAgent,
+            siteDomain: site.siteDomain,
+            url: site.url,
+            attempts
+        };
+
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `banner-failure-${site.siteDomain}-${Date.now()}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        this.showError('Failed to build report: ' + error.message);
+    }
+}
+
+async handleDismissFailures(siteDomain) {
+    try {
+        await this.dataService.dismissFailures(siteDomain);
+        await this.loadFailureInbox();
+    } catch (error) {
+        this.showError('Failed to dismiss: ' + error.message);
+    }
+}
+
+async handleExportBackup(button) {
+    const status = document.getElementById('backupStatus');
+    button.disabled = true;
+    try {
+        const backup = await this.dataService.exportBackup(document.getElementById('backupPassphrase').value);
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `consentchain-backup-${backup.createdAt.slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        const consents = backup.data.stores.consentQueue.length;
+        status.textContent = `Exported ${consents} consents. The file is not encrypted; keep it somewhere safe, ` +
+            'and keep the passphrase: it is needed to import the file.';
+    } catch (error) {
+        this.showError('Backup failed: ' + error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async handleImportBackup(input) {
+    const status = document.getElementById('backupStatus');
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        const ruleNames = (backup.data?.userRules || []).map(rule => rule.name).join(', ');
+        if (!confirm(`Restore ${file.name}? Records are merged with your history; your preferences are replaced by the backup's.` +
+            (ruleNames ? `\n\nIt adds or updates these banner rules, which click on the sites they match: ${ruleNames}` : ''))) return;
+
+        const result = await this.dataService.importBackup(backup, document.getElementById('backupPassphrase').value);
+        const added = Object.values(result.records).reduce((sum, counts) => sum + counts.added, 0);
+        const updated = Object.values(result.records).reduce((sum, counts) => sum + counts.updated, 0);
+        const skipped = Object.values(result.records).reduce((sum, counts) => sum + counts.skipped, 0);
+        const ruleErrors = result.ruleErrors.length > 0 ? ` Rules not restored: ${result.ruleErrors.join('; ')}` : '';
+        status.textContent = `Restored: ${added} records added, ${updated} updated, ${skipped} already present; ` +
+            `${result.siteOverrides} site overrides, ${result.userRules} rules.${ruleErrors}`;
+
+        await this.loadPreferences();
+        await this.loadData();
+    } catch (error) {
+        this.showError('Restore failed: ' + error.message);
+    }
+}
+
+async loadRetentionPolicy() {
+    if (!this.retentionPanel) return;
+    try {
+        this.renderRetention(await this.dataService.getRetentionPolicy());
+    } catch (error) {
+        console.error('Failed to load retention policy:', error);
+        this.retentionPanel.innerHTML = `<div class="error-message">Failed to load retention policy: ${this.escapeHtml(error.message)}</div>`;
+    }
+}
+
+renderRetention(policy) {
+    this.retentionPanel.innerHTML = Object.entries(RETENTION_STORES).map(([storeName, { label, modes }]) => `
+                <div class="retention-row" data-store="${storeName}">
+                    <span class="retention-label">${label}</span>
+                    <select class="retention-mode">
+                        ${modes.map(mode => `
+                        <option value="${mode}" ${policy[storeName].mode === mode ? 'selected' : ''}>${RETENTION_MODES[mode]}</option>`).join('')}
+                    </select>
+                    <input type="number" class="retention-days" min="1" step="1" value="${policy[storeName].days}" title="Days">
+                </div>`).join('');
+    this.retentionPanel.querySelectorAll('.retention-mode').forEach(select => this.toggleRetentionDays(select));
+    this.retentionStatus.textContent = '';
+}
+
+toggleRetentionDays(select) {
+    const days = select.closest('.retention-row').querySelector('.retention-days');
+    days.disabled = !['days', 'hashes'].includes(select.value);
+}
+
+// The policy as currently set in the form (not yet saved)
+readRetentionPolicy() {
+    return Object.fromEntries(Array.from(this.retentionPanel.querySelectorAll('.retention-row')).map(row => [
+        row.dataset.store,
+        { mode: row.querySelector('.retention-mode').value, days: Number(row.querySelector('.retention-days').value) }
+    ]));
+}
+
+// "Consent history: 3 deleted, 12 reduced to hashes; ..." or null when nothing changes
+describeRetention(result) {
+    const lines = Object.entries(result)
+        .filter(([, counts]) => counts.deleted > 0 || counts.pruned > 0)
+        .map(([storeName, { deleted, pruned }]) => `${RETENTION_STORES[storeName].label}: ${deleted} deleted, ${pruned} reduced to hashes`);
+    return lines.length > 0 ? lines.join('; ') : null;
+}
+
+async handlePreviewRetention() {
+    try {
+        const result = await this.dataService.previewRetention(this.readRetentionPolicy());
+        const summary = this.describeRetention(result);
+        this.retentionStatus.textContent = summary ? `Would remove now: ${summary}.` : 'Nothing would be removed now.';
+    } catch (error) {
+        this.showError('Preview failed: ' + error.message);
+    }
+}
+
+async handleSaveRetention(button) {
+    button.disabled = true;
+    try {
+        const policy = this.readRetentionPolicy();
+        const summary = this.describeRetention(await this.dataService.previewRetention(policy));
+        if (summary && !confirm(`Saving this policy removes records right away.\n\n${summary}.\n\nAnchored proofs are kept. Continue?`)) return;
+
+        const saved = await this.dataService.setRetentionPolicy(policy);
+        this.renderRetention(saved.policy);
+        const applied = this.describeRetention(saved.result);
+        this.retentionStatus.textContent = applied ? `Saved. Removed: ${applied}.` : 'Saved. Nothing to remove yet.';
+        if (applied) this.loadData();
+    } catch (error) {
+        this.showError('Failed to save retention policy: ' + error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async loadVaultStatus() {
+    try {
+        this.vaultStatus = await this.dataService.getVaultStatus();
+    } catch (error) {
+        console.warn('Failed to load vault status:', error);
+        this.vaultStatus = { enabled: false, unlocked: false };
+    }
+    this.renderVault(this.vaultStatus);
+    return this.vaultStatus;
+}
+
+renderVault(status) {
+    const locked = status.enabled && !status.unlocked;
+    const wallet = status.method === 'wallet';
+    const unlockControls = wallet
+        ? '<button class="action-btn-sm" data-vault-action="unlock">🦊 Unlock with wallet</button>'
+        : `<input type="password" class="vault-secret" placeholder="Passphrase" autocomplete="current-password">
+           <button class="action-btn-sm" data-vault-action="unlock">🔓 Unlock</button>`;
+
+    if (this.vaultBanner) {
+        this.vaultBanner.classList.toggle('hidden', !locked);
+        this.vaultBanner.innerHTML = locked ? `
+            <span>🔒 Your consent history is encrypted and locked. New consents are still recorded.</span>
+            <div class="rule-manifest-form">${unlockControls}</div>` : '';
+    }
+
+    if (!this.vaultPanel) return;
+
+    if (!status.enabled) {
+        this.vaultPanel.innerHTML = `
+            <div class="rule-manifest-form">
+                <input type="password" class="vault-secret" placeholder="Passphrase (8+ characters)" autocomplete="new-password">
+                <input type="password" class="vault-confirm" placeholder="Confirm passphrase" autocomplete="new-password">
+                <button class="action-btn-sm" data-vault-action="enable-passphrase">🔐 Encrypt</button>
+            </div>
+            <div class="rule-manifest-form">
+                <button class="action-btn-sm" data-vault-action="enable-wallet">🦊 Encrypt with wallet signature</button>
+            </div>`;
+        return;
+    }
+
+    const pending = status.pendingIndexCount > 0 ? ` · ${status.pendingIndexCount} captured while locked` : '';
+    const method = wallet ? `wallet ${this.escapeHtml(status.walletAddress)}` : 'passphrase';
+    this.vaultPanel.innerHTML = `
+        <div class="rule-status">
+            <span>${status.unlocked ? '🔓 Unlocked' : '🔒 Locked'} · ${method} · ${status.sealedCount} encrypted records${pending}</span>
+        </div>
+        <div class="rule-manifest-form">
+            ${status.unlocked ? '<button class="action-btn-sm" data-vault-action="lock">🔒 Lock</button>' : unlockControls}
+        </div>
+        <div class="rule-manifest-form">
+            ${wallet ? '' : '<input type="password" class="vault-disable-secret" placeholder="Passphrase" autocomplete="current-password">'}
+            <button class="action-btn-sm" data-vault-action="disable">Turn off encryption</button>
+        </div>`;
+}
+
+async handleVaultAction(action, container, button) {
+    const wallet = this.vaultStatus.method === 'wallet';
+    button.disabled = true;
+    try {
+        if (action === 'enable-passphrase') {
+            const secret = container.querySelector('.vault-secret').value;
+            if (secret !== container.querySelector('.vault-confirm').value) {
+                throw new Error('Passphrases do not match');
+            }
+            await this.dataService.enableVault({ secret, method: 'passphrase' });
+        } else if (action === 'enable-wallet') {
+            if (!confirm('Your wallet will be asked to sign a message. The same wallet is needed to unlock your history; there is no other way to recover it.')) return;
+            const { account, signature } = await this.signVaultMessage();
+            await this.dataService.enableVault({ secret: signature, method: 'wallet', walletAddress: account });
+        } else if (action === 'unlock') {
+            const secret = wallet
+                ? (await this.signVaultMessage(this.vaultStatus.walletAddress)).signature
+                : container.querySelector('.vault-secret').value;
+            await this.dataService.unlockVault(secret);
+        } else if (action === 'lock') {
+            await this.dataService.lockVault();
+        } else if (action === 'disable') {
+            if (!confirm('Decrypt your consent history and store it unencrypted again?')) return;
+            const secret = wallet
+                ? (await this.signVaultMessage(this.vaultStatus.walletAddress)).signature
+                : container.querySelector('.vault-disable-secret').value;
+            await this.dataService.disableVault(secret);
+        }
+        await this.loadData();
+    } catch (error) {
+        console.error(`Vault ${action} failed:`, error);
+        this.showError(error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// The signature over walletKeyMessage is the vault secret; only the enrolled wallet reproduces it
+async signVaultMessage(expectedAddress = null) {
+    if (!walletManager.getConnectedWallet()) {
+        await walletManager.connectWallet('metamask');
+    }
+    const account = walletManager.getConnectedWallet().account.toLowerCase();
+    if (expectedAddress && account !== expectedAddress) {
+        throw new Error(`Switch your wallet to ${expectedAddress} to unlock your history`);
+    }
+    return { account, signature: await walletManager.signMessage(walletKeyMessage(account)) };
+}
+
+async loadRuleStatus() {
+    if (!this.ruleStatus) return;
+
+    try {
+        const state = await this.dataService.getRuleStatus();
+        this.ruleManifestUrl.value = state.manifestUrl || '';
+        ['ruleManifestUrl', 'saveRuleManifestBtn', 'syncRulesBtn'].forEach((id) => {
+            document.getElementById(id).disabled = !state.signingEnabled;
+        });
+        this.renderRuleStatus(state);
+    } catch (error) {
+        console.error('Failed to load rule status:', error);
+        this.ruleStatus.innerHTML = `<span class="tcf-meta">Rule status unavailable: ${this.escapeHtml(error.message)}</span>`;
+    }
+}
+
+renderRuleStatus(state) {
+    const active = state.active;
+
+    this.ruleStatus.innerHTML = `
+                <div>
+                    <strong>Active:</strong>
+                    ${active ? `${this.describeRuleBundle(active)} · ${active.ruleCount} rules` : 'none'}
+                    ${state.heldVersion ? `<span class="decision-badge decline">v${state.heldVersion} held after rollback</span>` : ''}
+                </div>
+                ${state.lastCheckedAt ? `<div class="tcf-meta">Last checked ${new Date(state.lastCheckedAt).toLocaleString()}</div>` : ''}
+                ${!state.signingEnabled
+                    ? '<div class="rule-error">⚠️ Signed rule sync is disabled in this build (no rules signing key is pinned): only the bundled rules are used.</div>'
+                    : !state.manifestUrl
+                    ? '<div class="rule-error">⚠️ No rule manifest URL set: upstream rule updates are off until one is saved.</div>'
+                    : state.lastError ? `<div class="rule-error">⚠️ Last sync kept the active rules: ${this.escapeHtml(state.lastError)}</div>` : ''}
+                ${active?.diff ? `<div class="tcf-meta">Changes: ${this.summarizeRuleDiff(active.diff)}</div>` : ''}
+            `;
+
+    this.ruleHistory.innerHTML = (state.history || []).map(entry => `
+                <div class="rule-history-item">
+                    <div>
+                        <div>${this.describeRuleBundle(entry)} · ${entry.ruleCount} rules</div>
+                        <div class="tcf-meta">Synced ${new Date(entry.syncedAt).toLocaleString()} · ${this.summarizeRuleDiff(entry.diff)}</div>
+                    </div>
+                    ${entry.id === active?.id
+                        ? '<span class="decision-badge accept">Active</span>'
+                        : `<button class="action-btn-sm rollback-rules-btn" data-id="${this.escapeHtml(entry.id)}">↩️ Roll back</button>`}
+                </div>`).join('');
+}
+
+describeRuleBundle(entry) {
+    return entry.source === 'signed' ? `Signed v${entry.version}` : 'Bundled defaults';
+}
+
+// "+3 added, −1 removed, 2 changed" with the CMP names on hover
+summarizeRuleDiff(diff = {}) {
+    const parts = [
+        ['added', '+', diff.added],
+        ['removed', '−', diff.removed],
+        ['changed', '~', diff.changed]
+    ]
+        .filter(([, , names]) => names?.length)
+        .map(([label, sign, names]) =>
+            `<span title="${this.escapeHtml(names.join(', '))}">${sign}${names.length} ${label}</span>`);
+
+    return parts.length ? parts.join(', ') : 'no rule changes';
+}
+
+async handleSyncRules(btn) {
+    btn.disabled = true;
+    try {
+        const result = await this.dataService.syncRules();
+        if (!result.success) {
+            this.showError('Rule sync failed, active rules kept: ' + result.error);
+        }
+    } catch (error) {
+        this.showError('Rule sync failed: ' + error.message);
+    } finally {
+        btn.disabled = false;
+        await this.loadRuleStatus();
+    }
+}
+
+async handleSaveRuleManifest() {
+    try {
+        await this.dataService.setRuleManifestUrl(this.ruleManifestUrl.value.trim());
+        await this.loadRuleStatus();
+    } catch (error) {
+        this.showError('Invalid manifest URL: ' + error.message);
+    }
+}
+
+async loadDashboardOrigin() {
+    if (!this.dashboardOrigin) return;
+
+    try {
+        this.dashboardOrigin.value = await this.dataService.getDashboardOrigin() || '';
+    } catch (error) {
+        console.error('Failed to load wallet dashboard address:', error);
+    }
+}
+
+async handleSaveDashboardOrigin() {
+    try {
+        this.dashboardOrigin.value = await this.dataService.setDashboardOrigin(this.dashboardOrigin.value.trim()) || '';
+    } catch (error) {
+        this.showError('Wallet dashboard address not saved: ' + error.message);
+    }
+}
+
+async handleRollbackRules(id, btn) {
+    if (!confirm(`Switch CMP rules back to ${id}? The newer bundle won't be reinstalled until a newer one is published.`)) {
+        return;
+    }
+
+    btn.disabled = true;
+    try {
+        await this.dataService.rollbackRules(id);
+    } catch (error) {
+        this.showError('Rollback failed: ' + error.message);
+    } finally {
+        await this.loadRuleStatus();
+    }
+}
+
+// Policy picker for a site card; an override on a parent domain shows as the current value
+renderSitePolicySelect(domain) {
+    const override = findSiteOverride(this.siteOverrides || {}, domain);
+    const options = Object.entries(SITE_POLICIES).map(([policy, label]) => `
+                        <option value="${policy}" ${override?.policy === policy ? 'selected' : ''}>${label}</option>`).join('');
+
+    return `
+                    <select class="site-policy-select" data-domain="${this.escapeHtml(domain)}"
+                        title="${override ? `Override set on ${this.escapeHtml(override.domain)}` : 'Follows your privacy profile'}">
+                        <option value="">Use my profile</option>${options}
+                    </select>`;
+}
+
+renderSiteOverrides() {
+    if (!this.siteOverrideList) return;
+
+    const entries = Object.entries(this.siteOverrides || {}).sort(([a], [b]) => a.localeCompare(b));
+    this.siteOverrideList.innerHTML = entries.length === 0
+        ? '<span class="tcf-meta">No overrides: every site follows your privacy profile.</span>'
+        : entries.map(([domain, { policy }]) => `
+                <span class="override-chip override-${policy}">
+                    ${this.escapeHtml(domain)} · ${SITE_POLICIES[policy] || policy}
+                    <button class="remove-override-btn" data-domain="${this.escapeHtml(domain)}" title="Remove override">×</button>
+                </span>`).join('');
+}
+
+async handleSiteOverride(domain, policy) {
+    try {
+        this.siteOverrides = await this.dataService.setSiteOverride(domain, policy);
+        this.renderSiteOverrides();
+        this.sitesGrid.querySelectorAll('.site-policy-select').forEach((select) => {
+            select.outerHTML = this.renderSitePolicySelect(select.dataset.domain);
+        });
+    } catch (error) {
+        console.error('Failed to save site override:', error);
+        this.showError('Failed to save site override: ' + error.message);
+    }
+}
+
+// Evidence from the post-consent check that found the site ignoring a refusal
+renderViolations(data) {
+    const verification = data.lastViolation || { violations: [] };
+
+    return `
+                <details class="consent-violations">
+                    <summary>
+                        <span class="decision-badge decline">⚠️ Not honored</span>
+                        ${data.violations} violation${data.violations === 1 ? '' : 's'}
+                    </summary>
+                    <div class="tcf-meta">Checked ${new Date(verification.checkedAt).toLocaleString()}</div>
+                    <ul class="violation-list">
+                        ${verification.violations.map(v => `
+                        <li>
+                            <span class="purpose-chip">${this.escapeHtml(v.category)}</span>
+                            ${v.type === 'cookie'
+                                ? `Cookie <code>${this.escapeHtml(v.name)}</code> (${this.escapeHtml(v.domain)}) ${this.escapeHtml(v.detail)}`
+                                : `${v.type.toUpperCase()}: ${this.escapeHtml(v.detail)}`}
+                        </li>`).join('')}
+                    </ul>
+                </details>
+            `;
+}
+
+// Vendors the CMP itself recorded as consented in its TC string (IAB GVL ids)
+renderTcfVendors(tcf) {
+    const vendors = tcf.vendorConsents || [];
+    const purposes = tcf.purposeConsents || [];
+
+    return `
+                <details class="tcf-vendors">
+                    <summary>
+                        TCF: ${vendors.length} vendor${vendors.length === 1 ? '' : 's'} consented
+                        · purposes ${purposes.length ? purposes.join(', ') : 'none'}
+                    </summary>
+                    <div class="tcf-meta">CMP #${tcf.cmpId} · GVL v${tcf.vendorListVersion} · via ${tcf.source || 'tcfapi'}</div>
+                    <div class="vendor-list">
+                        ${vendors.length
+                            ? vendors.map(id => `<span class="vendor-chip" title="IAB vendor ${id}">#${id}</span>`).join('')
+                            : '<span class="vendor-empty">No vendor consents</span>'}
+                    </div>
+                </details>
+            `;
+}
+
 initCharts() {
     // Decisions Chart
     const ctx1 = document.getElementById('decisionsChart').getContext('2d');
@@ -1,12 +1,29 @@
 import { CMPDetector } from '../consent-o-matic/detector.js';
 import { ActionExecutor } from '../consent-o-matic/actions.js';
+import { RuleDryRun } from '../consent-o-matic/dry-run.js';
 import { PolicyExtractor } from '../policy-extractor/extractor.js';
+import { readTCFConsent } from '../tcf/tcf-client.js';
+
+// Profile purposes -> upstream Consent-O-Matic purpose letters
+// (D storage/access, A preferences, B analytics, E content, F ads, X other)
+const PURPOSE_CONSENT_TYPES = {
+    functional: ['A', 'D'],
+    analytics: ['B'],
+    marketing: ['E', 'F'],
+    social: ['X']
+};
+
+const OPTIONAL_PURPOSES = Object.keys(PURPOSE_CONSENT_TYPES);
+
+// CMPs write the updated TC string asynchronously after the save click
+const TCF_SETTLE_MS = 1000;
 
 export class ConsentOMaticAdapter {
     constructor() {
         this.detector = null;
         this.actionExecutor = new ActionExecutor();
         this.rules = [];
+        this.lastCandidates = []; // Scored matches from the last detection pass, for the debug panel
     }
 
     /**
@@ -20,19 +37,24 @@ export class ConsentOMaticAdapter {
 
     /**
      * Detect CMP using Consent-O-Matic detection logic
+     * @param {object} ruleStats - past outcomes per rule on this site, see CMPDetector.detectCMPs
      */
-    async detectAndExtractCMP(document) {
+    async detectAndExtractCMP(document, ruleStats = {}) {
         if (!this.detector) {
             console.warn('ConsentOMaticAdapter: Rules not loaded');
             return null;
         }
 
-        const detections = await this.detector.detectCMPs(document);
+        const detections = await this.detector.detectCMPs(document, ruleStats);
+        this.lastCandidates = detections.map(({ cmpName, showing, confidence, scores }) => ({
+            cmpName, showing, confidence, scores
+        }));
 
         if (detections.length === 0) return null;
 
-        // Use highest confidence match
-        const cmpMatch = detections[0];
+        // Use highest confidence match that is actually on screen
+        const cmpMatch = detections.find(d => d.showing);
+        if (!cmpMatch) return null;
 
         // Initialize Extractor with the matched rule
         const extractor = new PolicyExtractor(cmpMatch.cmpRule);
@@ -43,16 +65,37 @@ export class ConsentOMaticAdapter {
             cmpVersion: cmpMatch.cmpRule.version || 'unknown',
             detectionMethod: 'consent-o-matic',
             policyData: policyData,
-            consentOptions: cmpMatch.cmpRule.methods
+            consentOptions: cmpMatch.cmpRule.methods,
+            confidence: cmpMatch.confidence,
+            candidates: this.lastCandidates
         };
     }
 
+    /**
+     * Test a single (usually user-authored) rule against the page without acting on it.
+     * Matched elements are outlined for a few seconds.
+     */
+    async dryRunRule(rule, document) {
+        return RuleDryRun.run(rule, document);
+    }
+
     /**
      * Execute CMP interaction using Consent-O-Matic action model
      */
     async executeConsentDecision(cmpData, decision) {
         console.log(`Executing ${decision.action} on ${cmpData.cmpProvider}`);
 
+        const context = {
+            document,
+            consentTypes: this.buildConsentTypes(decision),
+            methods: cmpData.consentOptions || []
+        };
+
+        // Upstream rules express choices through DO_CONSENT per-purpose toggles
+        if (this.findMethod(cmpData, 'DO_CONSENT')) {
+            return this.executeUpstreamFlow(cmpData, decision, context);
+        }
+
         // Find method matching the decision (e.g., 'HIDE_CMP', 'ACCEPT_ALL', 'REJECT_ALL')
         // Consent-O-Matic rules map methods to actions.
         // We need to map our decision ('accept', 'reject', 'minimize') to their method names.
@@ -60,31 +103,162 @@ export class ConsentOMaticAdapter {
         // Mapping Heuristic:
         // reject -> 'REJECT_ALL', 'MINIMIZE', 'SAVE_PREFERENCES'
         // accept -> 'ACCEPT_ALL'
+        // custom -> rules without per-purpose toggles can't express it, so fall back to rejecting
 
         const methodMap = {
             'reject': ['REJECT_ALL', 'MINIMIZE', 'SAVE_PREFERENCES', 'HIDE_CMP'],
+            'custom': ['REJECT_ALL', 'MINIMIZE', 'SAVE_PREFERENCES', 'HIDE_CMP'],
             'accept': ['ACCEPT_ALL', 'HIDE_CMP']
         };
 
         const targetMethods = methodMap[decision.action] || [];
-        let executed = false;
+        const methodsTried = [];
+        let methodUsed = null;
 
         for (const methodName of targetMethods) {
-            const method = cmpData.consentOptions.find(m => m.name === methodName);
+            const method = this.findMethod(cmpData, methodName);
             if (method) {
                 console.log(`Found method ${methodName}, executing...`);
-                const result = await this.actionExecutor.execute(method.action, { document });
+                methodsTried.push(methodName);
+                const result = await this.actionExecutor.execute(method.action, context);
                 if (result) {
-                    executed = true;
+                    methodUsed = methodName;
                     break; // Stop after first successful action
                 }
             }
         }
 
         return {
-            success: executed,
+            success: methodUsed !== null,
             provider: cmpData.cmpProvider,
-            actionTaken: decision.action
+            actionTaken: decision.action,
+            methodUsed,
+            methodsTried,
+            grantedPurposes: this.buildGrantedPurposes(methodUsed === 'ACCEPT_ALL')
         };
     }
+
+    /**
+     * Same method sequence the Consent-O-Matic extension runs:
+     * HIDE_CMP -> OPEN_OPTIONS -> HIDE_CMP -> DO_CONSENT -> SAVE_CONSENT
+     * It worked once DO_CONSENT reached the purpose switches (changing them, or finding
+     * them as chosen) and SAVE_CONSENT, where the rule has one, went through.
+     * grantedPurposes is what the switches ended up as, not what was asked for.
+     */
+    async executeUpstreamFlow(cmpData, decision, context) {
+        const methodsTried = [];
+        const run = async (name) => {
+            const method = this.findMethod(cmpData, name);
+            if (!method) return false;
+            methodsTried.push(name);
+            console.log(`Running ${name} for ${cmpData.cmpProvider}`);
+            return this.actionExecutor.execute(method.action, context);
+        };
+
+        context.consentStates = {};
+        await run('HIDE_CMP');
+        await run('OPEN_OPTIONS');
+        await run('HIDE_CMP');
+        const consented = await run('DO_CONSENT');
+        const saved = await run('SAVE_CONSENT');
+
+        const reachedSwitches = Object.keys(context.consentStates).length > 0;
+        const success = reachedSwitches && (methodsTried.includes('SAVE_CONSENT') ? saved : consented);
+        let methodUsed = null;
+        if (success) methodUsed = consented ? 'DO_CONSENT' : 'SAVE_CONSENT';
+
+        return {
+            success,
+            provider: cmpData.cmpProvider,
+            actionTaken: decision.action,
+            methodUsed,
+            methodsTried,
+            grantedPurposes: this.purposesFromConsentStates(context.consentStates)
+        };
+    }
+
+    /**
+     * Whether a rule's banner is still on screen, e.g. after its method ran
+     */
+    async isShowing(cmpName, document) {
+        const rule = this.rules.find(r => r.name === cmpName);
+        if (!rule || !this.detector) return false;
+
+        const { showing } = await this.detector.evaluateDetectors(rule.detectors || [], document);
+        return showing.length > 0;
+    }
+
+    /**
+     * Read the TC string the CMP stored after our decision was applied,
+     * so the record reflects what the CMP actually registered rather than what we asked for.
+     */
+    async readTCFConsent() {
+        await this.actionExecutor.sleep(TCF_SETTLE_MS);
+        return readTCFConsent(window);
+    }
+
+    findMethod(cmpData, name) {
+        return (cmpData.consentOptions || []).find(m => m.name === name && m.action);
+    }
+
+    /**
+     * Build a per-purpose decision from the saved profile.
+     * action is 'accept' (everything granted), 'reject' (only necessary) or 'custom'.
+     */
+    matchPolicyToPreferences(policy, preferences = {}) {
+        const purposes = { necessary: true };
+
+        OPTIONAL_PURPOSES.forEach(purpose => {
+            purposes[purpose] = !preferences.denyAll && preferences[purpose] === true;
+        });
+
+        const granted = OPTIONAL_PURPOSES.filter(purpose => purposes[purpose]);
+
+        if (granted.length === OPTIONAL_PURPOSES.length) {
+            return { action: 'accept', purposes, reason: 'User allows all purposes' };
+        }
+        if (granted.length === 0) {
+            return { action: 'reject', purposes, reason: 'User requested privacy' };
+        }
+        return { action: 'custom', purposes, reason: `User allows only: ${granted.join(', ')}` };
+    }
+
+    /**
+     * Map a decision to upstream purpose letters.
+     * Precedence: explicit decision.consentTypes, then the per-purpose vector,
+     * then the blanket accept/reject.
+     */
+    buildConsentTypes(decision) {
+        if (decision.consentTypes) return decision.consentTypes;
+
+        const consentTypes = {};
+        for (const [purpose, letters] of Object.entries(PURPOSE_CONSENT_TYPES)) {
+            const allow = decision.purposes
+                ? decision.purposes[purpose] === true
+                : decision.action === 'accept';
+            letters.forEach(letter => {
+                consentTypes[letter] = allow;
+            });
+        }
+        return consentTypes;
+    }
+
+    // Profile purposes from the upstream letters a consent action left on; purposes the
+    // banner had no switch for count as not granted
+    purposesFromConsentStates(consentStates) {
+        const purposes = { necessary: true };
+        for (const [purpose, letters] of Object.entries(PURPOSE_CONSENT_TYPES)) {
+            purposes[purpose] = letters.some(letter => consentStates[letter] === true);
+        }
+        return purposes;
+    }
+
+    // All-or-nothing purposes for rules that only offer accept/reject buttons
+    buildGrantedPurposes(allowAll) {
+        const purposes = { necessary: true };
+        OPTIONAL_PURPOSES.forEach(purpose => {
+            purposes[purpose] = allowAll;
+        });
+        return purposes;
+    }
 }
@@ -1,5 +1,25 @@
+import { ElementFinder } from './finder.js';
+import { Matcher } from './matcher.js';
+
+// Upstream defaults
+const DEFAULT_WAIT_TIME = 250;
+const DEFAULT_RETRIES = 10;
+
 export class ActionExecutor {
+    /**
+     * Run a Consent-O-Matic action.
+     * context: {
+     *   document,
+     *   base?          - current search scope (set by foreach)
+     *   consentTypes?  - { A: bool, B: bool, ... } user choice per upstream purpose letter
+     *   consentStates? - filled by consent actions: { A: bool, ... } what each purpose they saw ended up as
+     *   methods?       - rule methods, for runmethod
+     * }
+     * Returns true if the action did something.
+     */
     async execute(action, context) {
+        if (!action) return false;
+
         switch (action.type) {
             case 'click':
                 return await this.executeClick(action, context);
@@ -7,8 +27,22 @@ export class ActionExecutor {
                 return await this.executeList(action, context);
             case 'consent':
                 return await this.executeConsent(action, context);
+            case 'ifcss':
+                return await this.executeIfCss(action, context);
+            case 'waitcss':
+                return await this.executeWaitCss(action, context);
+            case 'foreach':
+                return await this.executeForEach(action, context);
+            case 'slide':
+                return await this.executeSlide(action, context);
+            case 'wait':
+                return await this.executeWait(action, context);
+            case 'close':
+                return this.executeClose(action, context);
             case 'hide':
                 return await this.executeHide(action, context);
+            case 'runmethod':
+                return await this.executeRunMethod(action, context);
             default:
                 console.warn('Unknown action type:', action.type);
                 return false;
@@ -16,7 +50,7 @@ export class ActionExecutor {
     }
 
     async executeClick(action, context) {
-        const element = context.document.querySelector(action.selector);
+        const element = ElementFinder.find(action, context);
         if (element) {
             // Visual indicator for debugging
             const originalBorder = element.style.border;
@@ -24,6 +58,11 @@ export class ActionExecutor {
             setTimeout(() => element.style.border = originalBorder, 500);
 
             element.click();
+
+            // Give the CMP time to react unless the rule opts out
+            if (!action.noTimeout) {
+                await this.sleep(DEFAULT_WAIT_TIME);
+            }
             return true;
         }
         return false;
@@ -31,36 +70,154 @@ export class ActionExecutor {
 
     async executeList(action, context) {
         // Handle list actions (iterate selectors)
-        for (const subAction of action.actions) {
+        for (const subAction of action.actions || []) {
             await this.execute(subAction, context);
         }
         return true;
     }
 
+    /**
+     * Per-purpose toggles. Each entry is either
+     *   { type, matcher, toggleAction } - toggle when the current state differs from the user's choice
+     *   { type, trueAction?, falseAction? } - run the action matching the user's choice
+     * Returns true if at least one of those actions ran and succeeded.
+     */
     async executeConsent(action, context) {
-        // Implement IAB TCF consent setting if available
-        if (window.__tcfapi) {
-            return new Promise((resolve) => {
-                window.__tcfapi('setConsentUiCallback', 2, (success) => {
-                    resolve(success);
-                }, action.consents);
-            });
+        const consentTypes = context.consentTypes || {};
+        let applied = false;
+
+        for (const consent of action.consents || []) {
+            // Privacy-first: purposes the user hasn't decided on stay off
+            const shouldBeEnabled = consentTypes[consent.type] === true;
+            // Whether the purpose is on, once known
+            let state = null;
+            let subAction = null;
+
+            if (consent.matcher && consent.toggleAction) {
+                // A switch that isn't on the page says nothing about the purpose
+                const switchShown = [].concat(consent.matcher).some(m => ElementFinder.find(m, context) !== null);
+                if (switchShown) {
+                    state = await Matcher.evaluate(consent.matcher, context);
+                    if (state !== shouldBeEnabled) subAction = consent.toggleAction;
+                }
+            } else {
+                subAction = shouldBeEnabled ? consent.trueAction : consent.falseAction;
+            }
+
+            if (subAction && await this.execute(subAction, context)) {
+                applied = true;
+                state = shouldBeEnabled;
+            }
+
+            // A purpose with several switches is on if any of them is
+            if (state !== null && context.consentStates) {
+                context.consentStates[consent.type] = context.consentStates[consent.type] === true || state;
+            }
+        }
+
+        return applied;
+    }
+
+    async executeIfCss(action, context) {
+        const found = ElementFinder.find(action, context) !== null;
+
+        if (found && action.trueAction) {
+            return await this.execute(action.trueAction, context);
+        }
+        if (!found && action.falseAction) {
+            return await this.execute(action.falseAction, context);
         }
+        return true;
+    }
+
+    // Wait until the target appears (or disappears when negated)
+    async executeWaitCss(action, context) {
+        const retries = action.retries ?? DEFAULT_RETRIES;
+        const waitTime = action.waitTime ?? DEFAULT_WAIT_TIME;
+
+        for (let i = 0; i < retries; i++) {
+            const found = ElementFinder.find(action, context) !== null;
+            if (found !== !!action.negated) return true;
+            await this.sleep(waitTime);
+        }
+
+        console.log('waitcss gave up on', action.target || action.selector);
         return false;
     }
 
-    async executeHide(action, context) {
-        // Support array of selectors or single selector
-        const selectors = Array.isArray(action.selector) ? action.selector : [action.selector];
-        let hidden = false;
-
-        for (const selector of selectors) {
-            const elements = context.document.querySelectorAll(selector);
-            elements.forEach(el => {
-                el.style.display = 'none';
-                hidden = true;
-            });
+    // Run the nested action once per matching element, scoped to that element
+    async executeForEach(action, context) {
+        const elements = ElementFinder.find(action, context, true);
+
+        for (const element of elements) {
+            await this.execute(action.action, { ...context, base: element });
         }
-        return hidden;
+        return elements.length > 0;
+    }
+
+    // Drag a slider handle towards dragTarget along one axis
+    async executeSlide(action, context) {
+        const source = ElementFinder.find(action, context);
+        const dragTarget = ElementFinder.find(action.dragTarget, context);
+        if (!source || !dragTarget) return false;
+
+        const sourceRect = source.getBoundingClientRect();
+        const targetRect = dragTarget.getBoundingClientRect();
+
+        let xDiff = targetRect.left - sourceRect.left;
+        let yDiff = targetRect.top - sourceRect.top;
+        if (action.axis === 'y') {
+            xDiff = 0;
+        } else {
+            yDiff = 0;
+        }
+
+        const view = source.ownerDocument.defaultView;
+        const startX = sourceRect.left + sourceRect.width / 2;
+        const startY = sourceRect.top + sourceRect.height / 2;
+        const fire = (type, x, y) => source.dispatchEvent(new view.MouseEvent(type, {
+            bubbles: true,
+            cancelable: true,
+            view,
+            clientX: x,
+            clientY: y
+        }));
+
+        fire('mousedown', startX, startY);
+        fire('mousemove', startX + xDiff, startY + yDiff);
+        fire('mouseup', startX + xDiff, startY + yDiff);
+        return true;
+    }
+
+    async executeWait(action, context) {
+        await this.sleep(action.waitTime ?? DEFAULT_WAIT_TIME);
+        return true;
+    }
+
+    executeClose(action, context) {
+        const view = context.document.defaultView || window;
+        view.close();
+        return true;
+    }
+
+    async executeHide(action, context) {
+        // Upstream hides with opacity so later waitcss/displayFilter checks still see the CMP
+        const elements = ElementFinder.find(action, context, true);
+
+        elements.forEach(el => {
+            el.style.setProperty('opacity', '0', 'important');
+            el.style.setProperty('pointer-events', 'none', 'important');
+        });
+        return elements.length > 0;
+    }
+
+    async executeRunMethod(action, context) {
+        const method = (context.methods || []).find(m => m.name === action.method);
+        if (!method?.action) return false;
+        return await this.execute(method.action, context);
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
     }
 }
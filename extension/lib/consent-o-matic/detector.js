@@ -1,4 +1,19 @@
+import { ElementFinder } from './finder.js';
 import { Matcher } from './matcher.js';
+import { getShadowRoots } from '../dom/shadow-dom.js';
+
+// Confidence components, out of 100
+const WEIGHTS = {
+    detectors: 30,   // share of the rule's detectors whose presentMatcher matched
+    showing: 25,     // a matched detector's showingMatcher matched too
+    visibility: 25,  // the matched element is rendered, scaled by its size
+    history: 20      // how often this rule worked on this site before
+};
+
+// A banner covering this share of the viewport gets the full size score
+const FULL_SIZE_RATIO = 0.1;
+// Rendered but tiny (or unmeasurable) elements still get this share of the visibility score
+const MIN_VISIBLE_SHARE = 0.4;
 
 export class CMPDetector {
     constructor(rules) {
@@ -6,45 +21,114 @@ export class CMPDetector {
         this.detectedCMPs = new Map();
     }
 
-    async detectCMPs(document) {
+    /**
+     * Every rule that matches the page, best first.
+     * @param {Document} document
+     * @param {object} ruleStats - { [ruleName]: { successes, failures } } for this site
+     * @returns {Promise<Array<{ cmpName, cmpRule, showing, confidence, scores }>>}
+     */
+    async detectCMPs(document, ruleStats = {}) {
         const detections = [];
+        // Every lookup of every rule shares one walk of the page's shadow roots
+        const context = { document, shadowRoots: getShadowRoots(document) };
 
         for (const rule of this.rules) {
-            const isPresent = await this.evaluateDetectors(rule.detectors, document);
-            if (isPresent) {
+            const evaluation = await this.evaluateDetectors(rule.detectors || [], context);
+            if (evaluation.matched.length > 0) {
+                const scores = this.calculateConfidence(rule, evaluation, context, ruleStats[rule.name]);
                 detections.push({
                     cmpName: rule.name,
                     cmpRule: rule,
-                    confidence: this.calculateConfidence(rule, document)
+                    showing: evaluation.showing.length > 0,
+                    confidence: scores.total,
+                    scores
                 });
             }
         }
 
+        // Stable sort: equal scores keep rule order
         return detections.sort((a, b) => b.confidence - a.confidence);
     }
 
-    async evaluateDetectors(detectors, document) {
+    // Detectors whose presentMatcher (single or array) matches, and those of them that are showing.
+    // context is a matcher context ({ document, shadowRoots? }) or a bare Document.
+    async evaluateDetectors(detectors, context) {
+        const matched = [];
+        const showing = [];
+
         for (const detector of detectors) {
-            if (detector.presentMatcher) {
-                const matched = await Matcher.evaluate(
-                    detector.presentMatcher,
-                    document
-                );
-                if (matched) return true;
-            }
+            if (!detector.presentMatcher) continue;
+            if (!(await Matcher.evaluate(detector.presentMatcher, context))) continue;
+
+            matched.push(detector);
+            if (await this.isShowing(detector, context)) showing.push(detector);
         }
-        return false;
+
+        return { total: detectors.length, matched, showing };
+    }
+
+    // Upstream only acts once the CMP is visible; rules without showingMatcher count as showing
+    async isShowing(detector, context) {
+        if (!detector.showingMatcher) return true;
+        return Matcher.evaluate(detector.showingMatcher, context);
+    }
+
+    /**
+     * Score one matching rule from what is actually on the page.
+     * @returns {{ total, detectors, showing, visibility, history }}
+     */
+    calculateConfidence(rule, evaluation, context, stats) {
+        const detectors = WEIGHTS.detectors * evaluation.matched.length / Math.max(evaluation.total, 1);
+
+        // A showingMatcher that matched is evidence; a rule without one only says "present"
+        const explicitlyShowing = evaluation.showing.some(d => d.showingMatcher);
+        const showing = explicitlyShowing
+            ? WEIGHTS.showing
+            : (evaluation.showing.length > 0 ? WEIGHTS.showing / 2 : 0);
+
+        const visibility = WEIGHTS.visibility * this.visibilityShare(evaluation.matched, Matcher.toContext(context));
+
+        // Laplace-smoothed success rate: no history scores as 50%
+        const successes = stats?.successes || 0;
+        const failures = stats?.failures || 0;
+        const history = WEIGHTS.history * (successes + 1) / (successes + failures + 2);
+
+        const round = value => Math.round(value * 10) / 10;
+        return {
+            total: Math.round(detectors + showing + visibility + history),
+            detectors: round(detectors),
+            showing: round(showing),
+            visibility: round(visibility),
+            history: round(history)
+        };
     }
 
-    calculateConfidence(rule, document) {
-        let score = 0;
-        // Implement confidence scoring based on multiple detectors
-        if (rule.detectors.length > 1) score += 20;
-        if (rule.methods && rule.methods.length > 0) score += 30;
+    // 0..1 for the most prominent element the matched detectors point at
+    visibilityShare(detectors, context) {
+        const view = context.document.defaultView;
+        const viewportArea = view ? view.innerWidth * view.innerHeight : 0;
 
-        // Base score for finding it
-        score += 50;
+        const elements = detectors
+            .flatMap(detector => Array.isArray(detector.presentMatcher) ? detector.presentMatcher : [detector.presentMatcher])
+            .filter(matcher => matcher.type === 'css')
+            .flatMap(matcher => ElementFinder.find(matcher, context, true));
+
+        let best = 0;
+        for (const el of elements) {
+            if (!this.isRendered(el)) continue;
+
+            const rect = el.getBoundingClientRect();
+            const sizeShare = viewportArea > 0
+                ? Math.min(1, (rect.width * rect.height) / (viewportArea * FULL_SIZE_RATIO))
+                : 0;
+            best = Math.max(best, MIN_VISIBLE_SHARE + (1 - MIN_VISIBLE_SHARE) * sizeShare);
+        }
+        return best;
+    }
 
-        return Math.min(score, 100);
+    isRendered(el) {
+        if (!ElementFinder.isDisplayed(el)) return false;
+        const style = el.ownerDocument.defaultView.getComputedStyle(el);
+        return style.visibility !== 'hidden' && style.opacity !== '0';
     }
 }
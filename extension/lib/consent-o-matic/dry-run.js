@@ -0,0 +1,174 @@
+import { ElementFinder } from './finder.js';
+import { Matcher } from './matcher.js';
+import { getShadowRoots } from '../dom/shadow-dom.js';
+
+// How long matched elements stay outlined on the page
+const HIGHLIGHT_MS = 5000;
+const DETECTOR_COLOR = '#22c55e';
+const METHOD_COLOR = '#f97316';
+
+/**
+ * Evaluates a Consent-O-Matic rule against a page without acting on it:
+ * detectors are matched and every element-targeting action is resolved to the
+ * elements it would hit, but nothing is clicked, hidden or toggled.
+ * Used by the dashboard rule editor to test rules against a live tab.
+ */
+export class RuleDryRun {
+    /**
+     * @returns {Promise<object>} {
+     *   name, detected, showing,
+     *   detectors: [{ index, present, showing, matches }],
+     *   methods: [{ name, steps: [{ path, type, selector, matches, error? }] }],
+     *   highlighted
+     * }
+     */
+    static async run(rule, document, { highlight = true } = {}) {
+        const context = { document, shadowRoots: getShadowRoots(document) };
+        const highlighted = new Set();
+        const mark = (elements, color) => {
+            if (!highlight) return;
+            elements.forEach(el => {
+                if (highlighted.has(el)) return;
+                highlighted.add(el);
+                RuleDryRun.outline(el, color);
+            });
+        };
+
+        const detectors = [];
+        for (const [index, detector] of (rule.detectors || []).entries()) {
+            const present = detector.presentMatcher
+                ? await RuleDryRun.safeEvaluate(detector.presentMatcher, context)
+                : false;
+            const showing = present && detector.showingMatcher
+                ? await RuleDryRun.safeEvaluate(detector.showingMatcher, context)
+                : present;
+            const elements = RuleDryRun.matcherElements(detector.presentMatcher, context);
+            mark(elements, DETECTOR_COLOR);
+            detectors.push({ index, present, showing, matches: elements.length });
+        }
+
+        const methods = (rule.methods || []).map(method => {
+            const steps = [];
+            RuleDryRun.walk(method.action, context, method.name, steps, rule.methods || [], mark);
+            return { name: method.name, steps };
+        });
+
+        return {
+            name: rule.name,
+            detected: detectors.some(d => d.present),
+            showing: detectors.some(d => d.showing),
+            detectors,
+            methods,
+            highlighted: highlighted.size
+        };
+    }
+
+    // Resolve every element an action (and its nested actions) would target
+    static walk(action, context, path, steps, methods, mark) {
+        if (!action) return;
+
+        const step = (type, options, stepPath = path) => {
+            try {
+                const elements = ElementFinder.find(options, context, true);
+                mark(elements, METHOD_COLOR);
+                steps.push({ path: stepPath, type, selector: RuleDryRun.describe(options), matches: elements.length });
+                return elements;
+            } catch (error) {
+                steps.push({ path: stepPath, type, selector: RuleDryRun.describe(options), matches: 0, error: error.message });
+                return [];
+            }
+        };
+
+        switch (action.type) {
+            case 'click':
+            case 'hide':
+            case 'waitcss':
+                step(action.type, action);
+                break;
+            case 'slide':
+                step('slide', action);
+                step('slide target', action.dragTarget || {});
+                break;
+            case 'ifcss':
+                step('ifcss', action);
+                RuleDryRun.walk(action.trueAction, context, `${path} › if found`, steps, methods, mark);
+                RuleDryRun.walk(action.falseAction, context, `${path} › if missing`, steps, methods, mark);
+                break;
+            case 'foreach': {
+                // Nested actions are resolved inside the first match only
+                const [first] = step('foreach', action);
+                RuleDryRun.walk(action.action, first ? { ...context, base: first } : context,
+                    `${path} › each`, steps, methods, mark);
+                break;
+            }
+            case 'list':
+                (action.actions || []).forEach((subAction, i) =>
+                    RuleDryRun.walk(subAction, context, `${path} › ${i + 1}`, steps, methods, mark));
+                break;
+            case 'consent':
+                (action.consents || []).forEach(consent => {
+                    const consentPath = `${path} › ${consent.type}`;
+                    if (consent.matcher) {
+                        RuleDryRun.matcherList(consent.matcher).forEach(m => step(`${m.type} state`, m, consentPath));
+                    }
+                    RuleDryRun.walk(consent.toggleAction, context, `${consentPath} toggle`, steps, methods, mark);
+                    RuleDryRun.walk(consent.trueAction, context, `${consentPath} on`, steps, methods, mark);
+                    RuleDryRun.walk(consent.falseAction, context, `${consentPath} off`, steps, methods, mark);
+                });
+                break;
+            case 'runmethod': {
+                const exists = methods.some(m => m.name === action.method);
+                steps.push({
+                    path,
+                    type: 'runmethod',
+                    selector: action.method,
+                    matches: exists ? 1 : 0,
+                    ...(exists ? {} : { error: `No method named ${action.method}` })
+                });
+                break;
+            }
+            case 'wait':
+            case 'close':
+                steps.push({ path, type: action.type, selector: null, matches: null });
+                break;
+            default:
+                steps.push({ path, type: action.type, selector: null, matches: 0, error: `Unknown action type: ${action.type}` });
+        }
+    }
+
+    static matcherList(matcher) {
+        if (!matcher) return [];
+        return Array.isArray(matcher) ? matcher : [matcher];
+    }
+
+    static matcherElements(matcher, context) {
+        return RuleDryRun.matcherList(matcher)
+            .filter(m => m.type !== 'xpath' && m.type !== 'presence')
+            .flatMap(m => ElementFinder.find(m, context, true));
+    }
+
+    static async safeEvaluate(matcher, context) {
+        try {
+            return await Matcher.evaluate(matcher, context);
+        } catch (error) {
+            console.warn('RuleDryRun: matcher failed', error);
+            return false;
+        }
+    }
+
+    // "parent › target" selector text for display
+    static describe(options) {
+        const normalized = ElementFinder.normalize(options);
+        if (!normalized) return null;
+        const parent = ElementFinder.normalize(normalized.parent || null)?.target?.selector;
+        const target = normalized.target.selector;
+        return parent ? `${parent} › ${target}` : target;
+    }
+
+    static outline(el, color) {
+        const original = el.style.getPropertyValue('outline');
+        const priority = el.style.getPropertyPriority('outline');
+        el.style.setProperty('outline', `3px dashed ${color}`, 'important');
+        setTimeout(() => el.style.setProperty('outline', original, priority), HIGHLIGHT_MS);
+    }
+}
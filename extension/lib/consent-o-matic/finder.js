@@ -0,0 +1,100 @@
+import { deepQuerySelectorAll } from '../dom/shadow-dom.js';
+
+/**
+ * Element lookup shared by Consent-O-Matic matchers and actions.
+ * Mirrors upstream Tools.find: an optional `parent` scopes the search,
+ * `target` selects candidates, and both support the upstream filters
+ * (textFilter, styleFilter, displayFilter, iframeFilter, childFilter).
+ * Lookups descend into open shadow roots.
+ */
+export class ElementFinder {
+    /**
+     * @param {object} options - { parent?, target } or legacy shorthand ({ selector } / { target: 'css' })
+     * @param {object} context - { document, base?, shadowRoots? } where base is the current scope (e.g. inside
+     *   foreach) and shadowRoots, if given, is getShadowRoots(document) collected once for many lookups
+     * @param {boolean} multiple - return every match instead of the first
+     */
+    static find(options, context, multiple = false) {
+        const empty = multiple ? [] : null;
+        const normalized = ElementFinder.normalize(options);
+        if (!normalized) return empty;
+
+        let base = context.base || context.document;
+
+        if (normalized.parent) {
+            const parents = ElementFinder.query(normalized.parent, base, context);
+            if (parents.length === 0) return empty;
+            base = parents[0];
+        }
+
+        const matches = ElementFinder.query(normalized.target, base, context);
+        return multiple ? matches : (matches[0] || null);
+    }
+
+    // Accept upstream { parent, target: { selector } } as well as the repo's { selector } shorthand
+    static normalize(options) {
+        if (!options) return null;
+
+        if (typeof options.target === 'string') {
+            return { parent: options.parent, target: { selector: options.target } };
+        }
+        if (options.target) {
+            return { parent: options.parent, target: options.target };
+        }
+        if (options.selector) {
+            const selector = Array.isArray(options.selector) ? options.selector.join(', ') : options.selector;
+            return { parent: options.parent, target: { ...options, selector } };
+        }
+        return null;
+    }
+
+    static query(spec, base, context) {
+        if (!spec || !spec.selector) return [];
+
+        let candidates;
+        try {
+            candidates = deepQuerySelectorAll(base, spec.selector, context.shadowRoots);
+        } catch (e) {
+            console.warn('ElementFinder: Invalid selector', spec.selector);
+            return [];
+        }
+
+        return candidates.filter(el => ElementFinder.passesFilters(el, spec, context));
+    }
+
+    static passesFilters(el, spec, context) {
+        const view = el.ownerDocument.defaultView;
+
+        if (spec.textFilter != null) {
+            const text = (el.textContent || '').toLowerCase();
+            const filters = Array.isArray(spec.textFilter) ? spec.textFilter : [spec.textFilter];
+            if (!filters.some(f => text.includes(String(f).toLowerCase()))) return false;
+        }
+
+        if (spec.styleFilter) {
+            const { option, value, negated } = spec.styleFilter;
+            const matches = view.getComputedStyle(el)[option] === value;
+            if (matches === !!negated) return false;
+        }
+
+        if (spec.displayFilter != null) {
+            if (ElementFinder.isDisplayed(el) !== !!spec.displayFilter) return false;
+        }
+
+        if (spec.iframeFilter != null) {
+            const inIframe = view.self !== view.top;
+            if (inIframe !== !!spec.iframeFilter) return false;
+        }
+
+        if (spec.childFilter) {
+            const child = ElementFinder.find(spec.childFilter, { ...context, base: el });
+            if (!child) return false;
+        }
+
+        return true;
+    }
+
+    static isDisplayed(el) {
+        return el.offsetWidth > 0 || el.offsetHeight > 0 || el.getClientRects().length > 0;
+    }
+}
@@ -1,24 +1,55 @@
+import { ElementFinder } from './finder.js';
+
 export class Matcher {
-    static async evaluate(matcher, document) {
+    /**
+     * Evaluate a Consent-O-Matic matcher.
+     * An array of matchers matches only if every entry matches (upstream semantics).
+     * `context` is { document, base? }; a bare Document is accepted for older callers.
+     */
+    static async evaluate(matcher, context) {
+        const ctx = Matcher.toContext(context);
+
+        if (Array.isArray(matcher)) {
+            for (const m of matcher) {
+                if (!(await Matcher.evaluate(m, ctx))) return false;
+            }
+            return matcher.length > 0;
+        }
+
         switch (matcher.type) {
             case 'css':
-                return document.querySelector(matcher.target || matcher.selector) !== null;
-            case 'xpath':
-                const result = document.evaluate(
-                    matcher.target || matcher.selector,
-                    document,
+                return ElementFinder.find(matcher, ctx) !== null;
+            case 'checkbox': {
+                // Toggle state of a real checkbox/radio input
+                const el = ElementFinder.find(matcher, ctx);
+                return el?.checked === true;
+            }
+            case 'onoff': {
+                // Toggle state of custom switches (aria-checked/aria-pressed or a nested input)
+                const el = ElementFinder.find(matcher, ctx);
+                if (!el) return false;
+                if (typeof el.checked === 'boolean') return el.checked;
+                const ariaState = el.getAttribute('aria-checked') ?? el.getAttribute('aria-pressed');
+                if (ariaState != null) return ariaState === 'true';
+                return el.querySelector('input[type="checkbox"]')?.checked === true;
+            }
+            case 'xpath': {
+                const result = ctx.document.evaluate(
+                    matcher.target?.xpath || matcher.target || matcher.selector,
+                    ctx.base || ctx.document,
                     null,
                     XPathResult.FIRST_ORDERED_NODE_TYPE,
                     null
                 );
                 return result.singleNodeValue !== null;
+            }
             case 'presence':
                 // Check for global variable presence
                 // Note: content scripts interact with DOM but variable access might be restricted
                 // We might need to inject a script to check window vars if this fails
                 // For now, check standard DOM window properties
-                // return window[matcher.target] !== undefined; 
-                // Security Note: Content scripts view of 'window' is isolated. 
+                // return window[matcher.target] !== undefined;
+                // Security Note: Content scripts view of 'window' is isolated.
                 // We typically check DOM elements or use script injection for var checks.
                 // Fallback to checking if a script tag usually associated exists?
                 // Or try to access if it's attached to DOM.
@@ -29,4 +60,9 @@ export class Matcher {
                 return false;
         }
     }
+
+    static toContext(context) {
+        // A Document has no `document` property of its own
+        return context && context.document ? context : { document: context };
+    }
 }
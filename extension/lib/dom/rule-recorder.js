@@ -0,0 +1,292 @@
+import { getParentElement } from './shadow-dom.js';
+import { stableTarget } from './stable-selector.js';
+import { CLICKABLE_SELECTOR } from './text-matcher.js';
+
+/**
+ * Point-and-click rule recorder.
+ * Overlays the page, lets the user pick the banner container and then its
+ * buttons, and turns the picks into a Consent-O-Matic style rule. Clicks are
+ * swallowed while recording, so picking "Reject all" doesn't press it.
+ */
+
+// Recorder steps in order; buttons map to the method names the adapter looks for
+export const RECORDER_STEPS = [
+    // Clicks inside frames never reach the top page, so framed banners can't be picked
+    { key: 'container', prompt: 'Click the cookie banner itself (its outer box). Banners shown inside a frame (Sourcepoint, TrustArc) can\'t be recorded.' },
+    { key: 'reject', method: 'REJECT_ALL', prompt: 'Click the "Reject all" button.' },
+    { key: 'accept', method: 'ACCEPT_ALL', prompt: 'Click the "Accept all" button.' },
+    { key: 'save', method: 'SAVE_PREFERENCES', prompt: 'Click the "Save settings" / "Only necessary" button.' }
+];
+
+const HOST_ATTRIBUTE = 'data-consentchain-recorder';
+const HOVER_COLOR = '#6366f1';
+const PICKED_COLOR = '#22c55e';
+
+/**
+ * Rule for recorded picks: { container, reject?, accept?, save? } as elements.
+ * Button selectors are scoped to the container when they live inside it.
+ */
+export function buildRecordedRule(name, picks, doc = document) {
+    if (!picks.container) {
+        throw new Error('Pick the banner container first');
+    }
+
+    const container = stableTarget(picks.container, doc);
+    const methods = RECORDER_STEPS
+        .filter(step => step.method && picks[step.key])
+        .map(step => {
+            const button = picks[step.key];
+            const inside = isInside(button, picks.container);
+            return {
+                name: step.method,
+                action: inside
+                    ? { type: 'click', parent: container, target: stableTarget(button, picks.container) }
+                    : { type: 'click', target: stableTarget(button, doc) }
+            };
+        });
+
+    if (methods.length === 0) {
+        throw new Error('Pick at least one button');
+    }
+
+    return {
+        name,
+        detectors: [{
+            presentMatcher: { type: 'css', target: container },
+            showingMatcher: { type: 'css', target: { ...container, displayFilter: true } }
+        }],
+        methods,
+        recordedFrom: doc.location?.hostname || null
+    };
+}
+
+// Ancestor check that steps out of shadow roots
+function isInside(el, container) {
+    for (let node = el; node; node = getParentElement(node)) {
+        if (node === container) return true;
+    }
+    return false;
+}
+
+export class RuleRecorder {
+    /**
+     * @param {Document} doc
+     * @param {object} options - { onSave(rule) -> Promise, onClose() }
+     */
+    constructor(doc = document, { onSave, onClose } = {}) {
+        this.doc = doc;
+        this.onSave = onSave;
+        this.onClose = onClose;
+        this.picks = {};
+        this.stepIndex = 0;
+        this.hovered = null;
+        this.host = null;
+        this.handlers = null;
+    }
+
+    get active() {
+        return this.host !== null;
+    }
+
+    get eventTarget() {
+        return this.doc.defaultView || this.doc;
+    }
+
+    get step() {
+        return RECORDER_STEPS[this.stepIndex] || null;
+    }
+
+    start() {
+        if (this.active) return;
+
+        this.host = this.doc.createElement('div');
+        this.host.setAttribute(HOST_ATTRIBUTE, '');
+        const shadow = this.host.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+            <style>
+                .box { position: fixed; pointer-events: none; z-index: 2147483646; border: 2px solid ${HOVER_COLOR}; background: rgba(99, 102, 241, 0.12); display: none; }
+                .panel { position: fixed; top: 16px; right: 16px; z-index: 2147483647; width: 300px; padding: 14px; border-radius: 10px;
+                    background: #1e293b; color: #f8fafc; font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.35); }
+                .title { font-weight: 600; margin-bottom: 6px; }
+                .prompt { margin-bottom: 8px; }
+                .picks { margin: 0 0 10px; padding: 0; list-style: none; font-size: 12px; }
+                .picks li { margin: 2px 0; color: #cbd5e1; }
+                .picks code { color: #86efac; word-break: break-all; }
+                input { width: 100%; box-sizing: border-box; margin-bottom: 8px; padding: 6px; border-radius: 6px; border: 1px solid #475569; background: #0f172a; color: inherit; }
+                .actions { display: flex; flex-wrap: wrap; gap: 6px; }
+                button { padding: 5px 10px; border-radius: 6px; border: 1px solid #475569; background: #334155; color: inherit; cursor: pointer; font: inherit; }
+                button.primary { background: #6366f1; border-color: #6366f1; }
+                button:disabled { opacity: 0.5; cursor: not-allowed; }
+                .status { margin-top: 8px; font-size: 12px; color: #fca5a5; }
+                .status.ok { color: #86efac; }
+            </style>
+            <div class="box"></div>
+            <div class="panel">
+                <div class="title">🎯 Record a consent rule</div>
+                <div class="prompt"></div>
+                <ul class="picks"></ul>
+                <input class="name" type="text" placeholder="Rule name">
+                <div class="actions">
+                    <button class="wider" title="Select the element around the current pick">⬆ Wider</button>
+                    <button class="skip">Skip</button>
+                    <button class="save primary">Save rule</button>
+                    <button class="cancel">Cancel</button>
+                </div>
+                <div class="status"></div>
+            </div>
+        `;
+
+        this.ui = {
+            box: shadow.querySelector('.box'),
+            prompt: shadow.querySelector('.prompt'),
+            picks: shadow.querySelector('.picks'),
+            name: shadow.querySelector('.name'),
+            wider: shadow.querySelector('.wider'),
+            skip: shadow.querySelector('.skip'),
+            save: shadow.querySelector('.save'),
+            cancel: shadow.querySelector('.cancel'),
+            status: shadow.querySelector('.status')
+        };
+        this.ui.name.value = `Recorded: ${this.doc.location?.hostname || 'site'}`;
+        this.ui.wider.addEventListener('click', () => this.widenLastPick());
+        this.ui.skip.addEventListener('click', () => this.advance());
+        this.ui.save.addEventListener('click', () => this.save());
+        this.ui.cancel.addEventListener('click', () => this.stop());
+
+        this.doc.documentElement.appendChild(this.host);
+
+        // Capture phase on the window runs before the page's own handlers
+        this.handlers = {
+            mousemove: (event) => this.handleHover(event),
+            click: (event) => this.handlePick(event),
+            keydown: (event) => {
+                if (event.key === 'Escape') this.stop();
+            }
+        };
+        ['mousedown', 'mouseup', 'pointerdown', 'pointerup'].forEach(type => {
+            this.handlers[type] = (event) => this.swallow(event);
+        });
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            this.eventTarget.addEventListener(type, handler, true);
+        });
+
+        this.render();
+        console.log('RuleRecorder: started');
+    }
+
+    stop() {
+        if (!this.active) return;
+
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            this.eventTarget.removeEventListener(type, handler, true);
+        });
+        this.host.remove();
+        this.host = null;
+        this.handlers = null;
+        console.log('RuleRecorder: stopped');
+        this.onClose?.();
+    }
+
+    // The page element under the pointer, looking through open shadow roots
+    targetOf(event) {
+        const path = event.composedPath?.() || [event.target];
+        if (path.includes(this.host)) return null;
+        return path.find(node => node.nodeType === 1) || null;
+    }
+
+    swallow(event) {
+        if (!this.targetOf(event)) return false;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        return true;
+    }
+
+    handleHover(event) {
+        const target = this.targetOf(event);
+        if (!target || !this.step) return;
+        this.hovered = this.resolvePick(target);
+        this.outline(this.hovered, HOVER_COLOR);
+    }
+
+    handlePick(event) {
+        const target = this.targetOf(event);
+        if (!target || !this.swallow(event) || !this.step) return;
+
+        this.picks[this.step.key] = this.resolvePick(target);
+        this.advance();
+    }
+
+    // Buttons: the clickable element around the text that was clicked
+    resolvePick(target) {
+        if (this.step?.key === 'container') return target;
+        return target.closest?.(CLICKABLE_SELECTOR) || target;
+    }
+
+    widenLastPick() {
+        const lastKey = RECORDER_STEPS[this.stepIndex - 1]?.key;
+        const current = lastKey && this.picks[lastKey];
+        const parent = current && getParentElement(current);
+        if (!parent || parent === this.doc.documentElement) return;
+
+        this.picks[lastKey] = parent;
+        this.render();
+    }
+
+    advance() {
+        this.stepIndex = Math.min(this.stepIndex + 1, RECORDER_STEPS.length);
+        this.render();
+    }
+
+    async save() {
+        try {
+            const rule = buildRecordedRule(this.ui.name.value.trim(), this.picks, this.doc);
+            this.ui.save.disabled = true;
+            await this.onSave?.(rule);
+            this.showStatus('Rule saved. It applies from the next page load; edit it in Dashboard › Rules.', true);
+            setTimeout(() => this.stop(), 2500);
+        } catch (error) {
+            this.ui.save.disabled = false;
+            this.showStatus(error.message, false);
+        }
+    }
+
+    render() {
+        const step = this.step;
+        this.ui.prompt.textContent = step ? step.prompt : 'All steps done. Name the rule and save it.';
+        this.ui.skip.disabled = !step || step.key === 'container';
+        this.ui.wider.disabled = this.stepIndex === 0;
+
+        this.ui.picks.innerHTML = '';
+        RECORDER_STEPS.forEach(({ key }) => {
+            const el = this.picks[key];
+            if (!el) return;
+            const item = this.doc.createElement('li');
+            const code = this.doc.createElement('code');
+            code.textContent = stableTarget(el, key === 'container' ? this.doc : this.picks.container || this.doc).selector;
+            item.append(`${key}: `, code);
+            this.ui.picks.appendChild(item);
+        });
+
+        if (this.picks.container) {
+            this.outline(this.picks.container, PICKED_COLOR);
+        }
+    }
+
+    outline(el, color) {
+        if (!el?.getBoundingClientRect) return;
+        const rect = el.getBoundingClientRect();
+        Object.assign(this.ui.box.style, {
+            display: 'block',
+            top: `${rect.top}px`,
+            left: `${rect.left}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`,
+            borderColor: color
+        });
+    }
+
+    showStatus(message, ok) {
+        this.ui.status.textContent = message;
+        this.ui.status.className = ok ? 'status ok' : 'status';
+    }
+}
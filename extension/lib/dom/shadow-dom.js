@@ -0,0 +1,60 @@
+/**
+ * DOM traversal that descends into open shadow roots.
+ * querySelectorAll stops at shadow boundaries, which hides CMPs built from
+ * custom elements (Usercentrics and friends) from the matcher and heuristics.
+ */
+
+// Every open shadow root under `root`, depth-first (root's own shadow root first)
+export function getShadowRoots(root) {
+    const roots = [];
+    const visit = (node) => {
+        if (node.shadowRoot) {
+            roots.push(node.shadowRoot);
+            visit(node.shadowRoot);
+        }
+        for (const el of node.querySelectorAll('*')) {
+            if (el.shadowRoot) {
+                roots.push(el.shadowRoot);
+                visit(el.shadowRoot);
+            }
+        }
+    };
+    visit(root);
+    return roots;
+}
+
+// Whether node is root or under it, crossing shadow boundaries
+function isWithin(node, root) {
+    for (let current = node; current; current = current.parentNode || current.host) {
+        if (current === root) return true;
+    }
+    return false;
+}
+
+/**
+ * querySelectorAll across light DOM and every nested open shadow root, in document order per root.
+ * Finding the shadow roots walks the whole subtree, so callers running many queries
+ * pass `shadowRoots`: getShadowRoots() of the document (or of an ancestor of `root`),
+ * collected once.
+ */
+export function deepQuerySelectorAll(root, selector, shadowRoots = null) {
+    const results = Array.from(root.querySelectorAll(selector));
+    const roots = shadowRoots
+        ? (root.nodeType === 9 ? shadowRoots : shadowRoots.filter(shadowRoot => isWithin(shadowRoot.host, root)))
+        : getShadowRoots(root);
+    for (const shadowRoot of roots) {
+        results.push(...shadowRoot.querySelectorAll(selector));
+    }
+    return results;
+}
+
+export function deepQuerySelector(root, selector, shadowRoots = null) {
+    return root.querySelector(selector) || deepQuerySelectorAll(root, selector, shadowRoots)[0] || null;
+}
+
+// parentElement that steps out of a shadow root to its host
+export function getParentElement(el) {
+    if (el.parentElement) return el.parentElement;
+    const rootNode = el.getRootNode?.();
+    return rootNode && rootNode.host ? rootNode.host : null;
+}
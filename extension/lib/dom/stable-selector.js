@@ -0,0 +1,118 @@
+import { deepQuerySelectorAll } from './shadow-dom.js';
+
+/**
+ * Selectors for recorded rules that survive the next deploy of the site.
+ * Prefers ids, test hooks and accessible names over class soup and position;
+ * generated-looking tokens (css-1x2y3z, sc-bdVaJa, ember1234) are ignored.
+ */
+
+// Attributes CMP vendors and site builders keep stable across releases
+const STABLE_ATTRIBUTES = ['data-testid', 'data-test', 'data-qa', 'data-cy', 'data-action', 'data-role', 'aria-label', 'name', 'role'];
+
+// Classes that flip while the page is in use
+const STATE_CLASSES = /^(is-|has-)?(active|open|opened|show|shown|visible|hidden|hover|focus|focused|selected|in|fade|animating)$/i;
+
+const MAX_ANCESTORS = 4;
+const MAX_CLASSES = 2;
+const MAX_TEXT_FILTER_LENGTH = 40;
+
+// Hashed or counter-based names a build step invents
+export function isStableToken(token) {
+    if (!token || token.length > 40) return false;
+    if (/\d{3,}/.test(token)) return false;
+    // Hex hashes, e.g. "cmp-7c9a2f81"
+    if ((token.match(/[0-9a-f]{6,}/gi) || []).some(run => /\d/.test(run) && /[a-f]/i.test(run))) return false;
+    if (/^(css|sc|jsx|emotion|svelte|styled|ember|ng-tns|tw)-/i.test(token)) return false;
+    // Mixed-case alphanumerics with digits, e.g. "aB3xYz"
+    if (/^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])[A-Za-z\d_-]{5,}$/.test(token)) return false;
+    return true;
+}
+
+export function cssEscape(value) {
+    if (typeof CSS !== 'undefined' && CSS.escape) return CSS.escape(value);
+    return String(value).replace(/^(\d)/, '\\3$1 ').replace(/([^\w-])/g, '\\$1');
+}
+
+// Selectors for `el` alone, most stable first
+export function candidateSelectors(el) {
+    const tag = el.tagName.toLowerCase();
+    const candidates = [];
+
+    if (el.id && isStableToken(el.id)) {
+        candidates.push(`#${cssEscape(el.id)}`);
+    }
+
+    for (const attr of STABLE_ATTRIBUTES) {
+        const value = el.getAttribute(attr);
+        if (value && value.length <= 60 && (attr.startsWith('aria') || isStableToken(value))) {
+            candidates.push(`${tag}[${attr}="${value.replace(/"/g, '\\"')}"]`);
+        }
+    }
+
+    const classes = Array.from(el.classList || [])
+        .filter(cls => isStableToken(cls) && !STATE_CLASSES.test(cls))
+        .slice(0, MAX_CLASSES);
+    if (classes.length > 0) {
+        candidates.push(`${tag}${classes.map(cls => `.${cssEscape(cls)}`).join('')}`);
+    }
+
+    candidates.push(tag);
+    return candidates;
+}
+
+/**
+ * A { selector, textFilter? } target that finds `el` as the first match under
+ * `scope` (an element or document), searching open shadow roots the way
+ * ElementFinder does. Falls back to the visible text, then to a short path.
+ */
+export function stableTarget(el, scope = el.ownerDocument) {
+    const isFirstMatch = (selector, textFilter) => {
+        let matches;
+        try {
+            matches = deepQuerySelectorAll(scope, selector);
+        } catch (error) {
+            return false;
+        }
+        if (textFilter) {
+            matches = matches.filter(match => (match.textContent || '').toLowerCase().includes(textFilter.toLowerCase()));
+        }
+        return matches[0] === el;
+    };
+
+    const own = candidateSelectors(el);
+    const direct = own.find(selector => isFirstMatch(selector));
+    if (direct) return { selector: direct };
+
+    const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+    if (text && text.length <= MAX_TEXT_FILTER_LENGTH) {
+        const byText = own.find(selector => isFirstMatch(selector, text));
+        if (byText) return { selector: byText, textFilter: text };
+    }
+
+    // Qualify with ancestors (within the same shadow tree, never above the scope)
+    let path = nthOfType(el, own[0]);
+    if (isFirstMatch(path)) return { selector: path };
+
+    let current = el;
+    for (let depth = 0; depth < MAX_ANCESTORS; depth++) {
+        const parent = current.parentElement;
+        if (!parent || parent === scope) break;
+
+        const parentPart = candidateSelectors(parent)[0];
+        const anchored = `${parentPart} > ${path}`;
+        if (isFirstMatch(anchored)) return { selector: anchored };
+
+        path = `${nthOfType(parent, parentPart)} > ${path}`;
+        current = parent;
+    }
+
+    return { selector: path };
+}
+
+// Pin the position among same-tag siblings when the selector alone is ambiguous
+function nthOfType(el, selector) {
+    const siblings = el.parentElement
+        ? Array.from(el.parentElement.children).filter(child => child.tagName === el.tagName)
+        : [el];
+    return siblings.length > 1 ? `${selector}:nth-of-type(${siblings.indexOf(el) + 1})` : selector;
+}
@@ -0,0 +1,187 @@
+import { deepQuerySelectorAll } from './shadow-dom.js';
+
+/**
+ * Finds banner buttons by what they say rather than how they're styled.
+ * Matches visible text, aria-label, title and input values against per-locale
+ * vocabularies (lib/vocabulary/<locale>.json), so "Alle ablehnen" or
+ * "Tout refuser" work the same as "Reject all".
+ *
+ * Vocabulary format:
+ * {
+ *   "locale": "de",
+ *   "actions": { "accept": [...], "reject": [...], "necessaryOnly": [...], "manage": [...], "save": [...] },
+ *   "banner": [...],                  // keywords that make an element look like a consent banner
+ *   "exclude": { "accept": [...] }    // phrases that disqualify a button for an action
+ * }
+ *
+ * Users can add phrases without touching the files through chrome.storage.local
+ * `customVocabulary`: { "<locale>" | "*": { actions?, banner?, exclude? } }.
+ */
+
+export const SUPPORTED_LOCALES = ['en', 'de', 'fr', 'es', 'it', 'nl', 'pl', 'pt'];
+const DEFAULT_LOCALE = 'en';
+
+export const CLICKABLE_SELECTOR = 'button, a, [role="button"], input[type="button"], input[type="submit"]';
+
+// Long labels are paragraphs or links inside prose, not buttons
+const MAX_LABEL_LENGTH = 60;
+const EXACT_SCORE = 100;
+const PARTIAL_SCORE = 50;
+
+export class TextMatcher {
+    constructor(vocabularies = []) {
+        this.locales = [];
+        this.actions = {};
+        this.bannerKeywords = [];
+        this.exclusions = {};
+
+        vocabularies.forEach(vocabulary => this.extend(vocabulary));
+    }
+
+    /**
+     * Vocabularies for the page language (plus English, which many sites mix in)
+     * and any user additions.
+     */
+    static async load(doc = document) {
+        const locale = TextMatcher.detectLocale(doc);
+        const locales = [...new Set([DEFAULT_LOCALE, locale])]
+            .filter(l => SUPPORTED_LOCALES.includes(l));
+
+        const vocabularies = await Promise.all(locales.map(fetchVocabulary));
+        const custom = await loadCustomVocabulary(locale);
+
+        return new TextMatcher([...vocabularies.filter(Boolean), ...custom]);
+    }
+
+    // Primary subtag of <html lang>, falling back to the browser language
+    static detectLocale(doc = document) {
+        const lang = doc.documentElement?.lang ||
+            (typeof navigator !== 'undefined' ? navigator.language : '') ||
+            DEFAULT_LOCALE;
+        return lang.toLowerCase().split(/[-_]/)[0] || DEFAULT_LOCALE;
+    }
+
+    static normalize(text) {
+        return (text || '')
+            .normalize('NFKC')
+            .replace(/[‘’`]/g, "'")
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+
+    // Legacy `tag:contains("Text")` selectors from user patterns -> { selector, text }
+    static parseContainsSelector(selector) {
+        const parts = selector.match(/^(.*?):contains\(["'](.+)["']\)$/i);
+        return parts ? { selector: parts[1] || '*', text: parts[2] } : null;
+    }
+
+    extend(vocabulary = {}) {
+        if (vocabulary.locale && !this.locales.includes(vocabulary.locale)) {
+            this.locales.push(vocabulary.locale);
+        }
+
+        for (const [action, phrases] of Object.entries(vocabulary.actions || {})) {
+            this.actions[action] = mergePhrases(this.actions[action], phrases);
+        }
+        for (const [action, phrases] of Object.entries(vocabulary.exclude || {})) {
+            this.exclusions[action] = mergePhrases(this.exclusions[action], phrases);
+        }
+        this.bannerKeywords = mergePhrases(this.bannerKeywords, vocabulary.banner);
+        return this;
+    }
+
+    phrases(action) {
+        return this.actions[action] || [];
+    }
+
+    // Everything a user could read (or hear, via a screen reader) on the element
+    getLabels(el) {
+        return [
+            el.textContent,
+            el.getAttribute?.('aria-label'),
+            el.getAttribute?.('title'),
+            el.tagName === 'INPUT' ? el.value : null
+        ]
+            .map(TextMatcher.normalize)
+            .filter(label => label && label.length <= MAX_LABEL_LENGTH);
+    }
+
+    /**
+     * How well the element's labels match `phrases`: an exact label beats a
+     * label containing the phrase, and shorter labels beat longer ones. 0 = no match.
+     */
+    score(el, phrases, exclusions = []) {
+        const labels = this.getLabels(el);
+        if (labels.some(label => exclusions.some(phrase => containsPhrase(label, phrase)))) {
+            return 0;
+        }
+
+        let best = 0;
+        for (const label of labels) {
+            for (const phrase of phrases) {
+                if (label === phrase) return EXACT_SCORE;
+                if (containsPhrase(label, phrase)) {
+                    best = Math.max(best, PARTIAL_SCORE - Math.min(label.length, PARTIAL_SCORE - 1));
+                }
+            }
+        }
+        return best;
+    }
+
+    matches(el, action) {
+        return this.score(el, this.phrases(action), this.exclusions[action]) > 0;
+    }
+
+    /**
+     * Best clickable element under `root` (shadow roots included) for an action,
+     * e.g. findButton(banner, 'reject', isVisible). Ties go to document order.
+     */
+    findButton(root, action, isVisible = () => true) {
+        return this.findByPhrases(root, CLICKABLE_SELECTOR, this.phrases(action), isVisible, this.exclusions[action]);
+    }
+
+    findByPhrases(root, selector, phrases, isVisible = () => true, exclusions = []) {
+        const normalized = phrases.map(TextMatcher.normalize);
+        let best = null;
+        let bestScore = 0;
+
+        for (const el of deepQuerySelectorAll(root, selector)) {
+            const score = this.score(el, normalized, exclusions);
+            if (score > bestScore && isVisible(el)) {
+                best = el;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+}
+
+function mergePhrases(existing = [], added = []) {
+    return [...new Set([...existing, ...added.map(TextMatcher.normalize)])];
+}
+
+// Whole-word match, so "ok" doesn't fire on "cookie" and "accept" doesn't on "unacceptable"
+function containsPhrase(label, phrase) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(label);
+}
+
+async function fetchVocabulary(locale) {
+    try {
+        const response = await fetch(chrome.runtime.getURL(`lib/vocabulary/${locale}.json`));
+        return response.ok ? await response.json() : null;
+    } catch (error) {
+        console.warn(`TextMatcher: could not load ${locale} vocabulary`, error);
+        return null;
+    }
+}
+
+async function loadCustomVocabulary(locale) {
+    try {
+        const { customVocabulary = {} } = await chrome.storage.local.get(['customVocabulary']);
+        return [customVocabulary['*'], customVocabulary[locale]].filter(Boolean);
+    } catch (error) {
+        return [];
+    }
+}
@@ -1,3 +1,5 @@
+import { readTCFConsent } from '../tcf/tcf-client.js';
+
 export class PolicyExtractor {
     constructor(rule) {
         this.rule = rule;
@@ -74,34 +76,9 @@ export class PolicyExtractor {
         return 'other';
     }
 
+    // Decoded TC string (purposes, special features, vendor consents/LI) if the page runs a TCF v2 CMP
     async extractIABTCFData(document) {
-        if (!window.__tcfapi) return null;
-
-        return new Promise((resolve) => {
-            // Short timeout to prevent hanging if API is broken
-            const timeout = setTimeout(() => resolve(null), 1000);
-
-            try {
-                window.__tcfapi('getTCData', 2, (tcData, success) => {
-                    clearTimeout(timeout);
-                    if (success) {
-                        resolve({
-                            tcfVersion: tcData.tcfPolicyVersion,
-                            gdprApplies: tcData.gdprApplies,
-                            purposes: tcData.purpose,
-                            specialFeatures: tcData.specialFeatureOptins,
-                            vendor: tcData.vendor,
-                            publisher: tcData.publisher
-                        });
-                    } else {
-                        resolve(null);
-                    }
-                });
-            } catch (e) {
-                clearTimeout(timeout);
-                resolve(null);
-            }
-        });
+        return readTCFConsent(document.defaultView || window);
     }
 
     // Deterministic hash for blockchain anchoring (SHA-256)
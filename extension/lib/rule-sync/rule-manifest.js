@@ -0,0 +1,103 @@
+/**
+ * Signed rule manifests.
+ *
+ * Upstream rule files are only applied when a manifest signed with the pinned
+ * key lists their exact SHA-256. Manifests are produced by scripts/sign-rules.js:
+ * {
+ *   "version": 12,                          // increases with every publish
+ *   "publishedAt": "2026-01-01T00:00:00Z",
+ *   "source": "https://.../rules-list.json", // entry point, references are followed
+ *   "files": { "<url>": "<sha256 hex>" },    // every file sync may fetch
+ *   "signature": "<base64url ECDSA P-256/SHA-256 over the other fields>"
+ * }
+ */
+
+// Public half of the project's rules signing key (scripts/sign-rules.js keygen; the
+// private half is held by the maintainers). None is pinned yet, so signed sync is
+// off and only the bundled default-rules.json is used.
+export const RULES_SIGNING_KEY = null;
+
+export const SIGNED_SYNC_DISABLED = 'Signed rule sync is disabled: no rules signing key is pinned in this build';
+
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Deterministic JSON (sorted keys) so signer and verifier hash the same bytes
+export function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// The bytes that get signed: every manifest field except the signature itself
+export function manifestPayload(manifest) {
+    const { signature, ...payload } = manifest;
+    return new TextEncoder().encode(canonicalJSON(payload));
+}
+
+export async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Throws unless the manifest is well-formed and signed with `publicKey`.
+ */
+export async function verifyRuleManifest(manifest, publicKey = RULES_SIGNING_KEY) {
+    if (!manifest || typeof manifest !== 'object') {
+        throw new Error('Rule manifest is not an object');
+    }
+    if (!Number.isInteger(manifest.version) || typeof manifest.source !== 'string' ||
+        !manifest.files || typeof manifest.files !== 'object') {
+        throw new Error('Rule manifest is missing version, source or files');
+    }
+    if (typeof manifest.signature !== 'string') {
+        throw new Error('Rule manifest is not signed');
+    }
+    if (!publicKey) {
+        throw new Error(SIGNED_SYNC_DISABLED);
+    }
+
+    const key = await crypto.subtle.importKey('jwk', publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+        SIGNATURE_ALGORITHM,
+        key,
+        base64UrlDecode(manifest.signature),
+        manifestPayload(manifest)
+    );
+
+    if (!valid) {
+        throw new Error('Rule manifest signature is invalid');
+    }
+    return manifest;
+}
+
+// Throws unless `text` is exactly what the manifest pinned for `url`
+export async function verifyRuleFile(manifest, url, text) {
+    const expected = manifest.files[url];
+    if (!expected) {
+        throw new Error(`Rule file not listed in manifest: ${url}`);
+    }
+
+    const actual = await sha256Hex(text);
+    if (actual !== expected) {
+        throw new Error(`Rule file hash mismatch for ${url}`);
+    }
+}
+
+export function base64UrlEncode(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
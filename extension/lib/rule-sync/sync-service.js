@@ -1,53 +1,96 @@
+import { RULES_SIGNING_KEY, SIGNED_SYNC_DISABLED, verifyRuleManifest, verifyRuleFile, sha256Hex, canonicalJSON } from './rule-manifest.js';
+
+// Bundles kept for rollback, newest first
+export const RULE_HISTORY_SIZE = 5;
+// A sync that would drop more than half of the active rules is treated as a broken push
+const MIN_RETAINED_RATIO = 0.5;
+
 export class RuleSyncService {
-    constructor() {
-        this.ruleSource = 'https://raw.githubusercontent.com/cavi-au/Consent-O-Matic/master/rules-list.json';
+    // signingKey: public JWK manifests must be signed with (tests pass a throwaway one)
+    constructor({ signingKey = RULES_SIGNING_KEY } = {}) {
+        this.signingKey = signingKey;
         this.localRulesKey = 'consentchain_rules';
         this.lastSyncKey = 'consentchain_last_sync';
+        this.historyKey = 'consentchain_rule_history';
+        this.statusKey = 'consentchain_rule_status';
+        // Rules written in the dashboard rule editor; merged over the synced set
+        this.userRulesKey = 'consentchain_user_rules';
+        // Where scripts/sign-rules.js output is published; unsigned upstream rules are never applied
+        this.manifestUrlKey = 'ruleManifestUrl';
     }
 
+    /**
+     * Fetch the signed manifest, then the rule files it pins, and activate them.
+     * Any failure (bad signature, hash mismatch, implausible bundle) keeps the
+     * active rules; the bundled default-rules.json is only used when nothing is active yet.
+     */
     async syncRules() {
+        const status = await this.getStatus();
+
         try {
             console.log('Starting rule sync...');
 
-            // Fetch latest rules from Consent-O-Matic
-            const response = await fetch(this.ruleSource);
-            if (!response.ok) throw new Error('Network response was not ok');
+            if (!this.signingKey) {
+                throw new Error(SIGNED_SYNC_DISABLED);
+            }
+
+            const { [this.manifestUrlKey]: manifestUrl } = await chrome.storage.local.get(this.manifestUrlKey);
+            if (!manifestUrl) {
+                throw new Error('No signed rule manifest configured');
+            }
 
-            const baseRules = await response.json();
+            const manifest = await verifyRuleManifest(await this.fetchJSON(manifestUrl), this.signingKey);
 
-            // Enhance with ConsentChain extensions
+            if (status.active?.source === 'signed' && manifest.version <= status.active.version) {
+                await this.updateStatus({ lastCheckedAt: Date.now(), lastError: null });
+                return { success: true, upToDate: true, version: status.active.version };
+            }
+            if (manifest.version === status.heldVersion) {
+                await this.updateStatus({ lastCheckedAt: Date.now(), lastError: null });
+                return { success: true, held: true, version: manifest.version };
+            }
+
+            const baseRules = await this.fetchRuleSet(manifest.source, 0, manifest);
             const enhancedRules = await this.enhanceRules(baseRules);
+            this.validateRules(enhancedRules, await this.getSyncedRules());
 
-            // Store locally
-            await chrome.storage.local.set({
-                [this.localRulesKey]: enhancedRules,
-                [this.lastSyncKey]: Date.now()
+            const entry = await this.activateBundle(enhancedRules, {
+                source: 'signed',
+                version: manifest.version,
+                publishedAt: manifest.publishedAt || null
             });
 
-            console.log(`Synced ${enhancedRules.length} CMP rules`);
+            console.log(`Synced ${enhancedRules.length} CMP rules (manifest v${manifest.version})`, entry.diff);
 
             return {
                 success: true,
                 ruleCount: enhancedRules.length,
-                syncedAt: Date.now()
+                syncedAt: entry.syncedAt,
+                version: manifest.version,
+                diff: entry.diff
             };
 
         } catch (error) {
             console.error('Rule sync failed:', error);
+            await this.updateStatus({ lastCheckedAt: Date.now(), lastError: error.message });
 
-            // Fallback to bundled rules
+            if (status.active) {
+                return { success: false, error: error.message, keptVersion: status.active.id };
+            }
+
+            // Nothing active yet: fall back to bundled rules
             try {
                 console.log('Attempting fallback to default-rules.json ...');
                 const url = chrome.runtime.getURL('default-rules.json');
                 const response = await fetch(url);
-                const defaultRules = await response.json();
+                const defaultRules = this.normalizeRules(await response.json());
 
                 // Enhance default rules too
                 const enhancedRules = await this.enhanceRules(defaultRules);
-
-                await chrome.storage.local.set({
-                    [this.localRulesKey]: enhancedRules,
-                    [this.lastSyncKey]: Date.now()
+                const entry = await this.activateBundle(enhancedRules, {
+                    source: 'bundled',
+                    version: 0,
+                    publishedAt: null
                 });
 
                 console.log(`Fallback success: Synced ${enhancedRules.length} default rules`);
@@ -55,8 +98,9 @@ export class RuleSyncService {
                 return {
                     success: true,
                     ruleCount: enhancedRules.length,
-                    syncedAt: Date.now(),
-                    isFallback: true
+                    syncedAt: entry.syncedAt,
+                    isFallback: true,
+                    error: error.message
                 };
             } catch (fallbackError) {
                 console.error('Critical: Fallback rule load failed', fallbackError);
@@ -69,6 +113,186 @@ export class RuleSyncService {
         }
     }
 
+    async fetchJSON(url) {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`Fetching ${url} failed: ${response.status}`);
+        return response.json();
+    }
+
+    // Fetch a rule file, following upstream rules-list.json `references`.
+    // With a manifest, every file must match the hash it pins.
+    async fetchRuleSet(url, depth = 0, manifest = null) {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) throw new Error('Network response was not ok');
+
+        const text = await response.text();
+        if (manifest) {
+            await verifyRuleFile(manifest, url, text);
+        }
+        const data = JSON.parse(text);
+
+        if (Array.isArray(data?.references)) {
+            if (depth > 1) throw new Error('Rule list references nested too deeply');
+
+            const ruleSets = await Promise.all(
+                data.references.map(ref => this.fetchRuleSet(ref, depth + 1, manifest))
+            );
+            return ruleSets.flat();
+        }
+
+        return this.normalizeRules(data);
+    }
+
+    // Reject bundles the adapter couldn't use, or that lose most of the rules we have
+    validateRules(rules, activeRules = []) {
+        if (rules.length === 0) {
+            throw new Error('Rule bundle is empty');
+        }
+
+        const malformed = rules.filter(rule => this.findRuleProblem(rule));
+        if (malformed.length > 0) {
+            throw new Error(`Rule bundle has ${malformed.length} malformed rules (e.g. ${malformed[0].name || 'unnamed'})`);
+        }
+
+        if (activeRules.length > 0 && rules.length < activeRules.length * MIN_RETAINED_RATIO) {
+            throw new Error(`Rule bundle has ${rules.length} rules, down from ${activeRules.length}`);
+        }
+    }
+
+    // What makes a rule unusable for the adapter, or null
+    findRuleProblem(rule) {
+        if (!rule || typeof rule !== 'object') return 'Rule must be an object';
+        if (typeof rule.name !== 'string' || !rule.name.trim()) return 'Rule needs a name';
+        if (!Array.isArray(rule.detectors) || rule.detectors.length === 0) return 'Rule needs at least one detector';
+        if (rule.detectors.some(detector => !detector?.presentMatcher)) return 'Every detector needs a presentMatcher';
+        if (!Array.isArray(rule.methods)) return 'Rule needs a methods array';
+        if (rule.methods.some(method => typeof method?.name !== 'string')) return 'Every method needs a name';
+        return null;
+    }
+
+    // Rules added, removed and changed between two bundles, by CMP name
+    diffRules(previous = [], next = []) {
+        const before = new Map(previous.map(rule => [rule.name, canonicalJSON(rule)]));
+        const after = new Map(next.map(rule => [rule.name, canonicalJSON(rule)]));
+
+        return {
+            added: [...after.keys()].filter(name => !before.has(name)),
+            removed: [...before.keys()].filter(name => !after.has(name)),
+            changed: [...after.keys()].filter(name => before.has(name) && before.get(name) !== after.get(name))
+        };
+    }
+
+    // Make a bundle the active rule set and push it onto the history
+    async activateBundle(rules, { source, version, publishedAt }) {
+        const previous = await this.getSyncedRules();
+        const syncedAt = Date.now();
+        const entry = {
+            id: `${source}-${version}`,
+            source,
+            version,
+            publishedAt,
+            syncedAt,
+            sha256: await sha256Hex(canonicalJSON(rules)),
+            ruleCount: rules.length,
+            diff: this.diffRules(previous, rules),
+            rules
+        };
+
+        const history = (await this.getHistory()).filter(item => item.id !== entry.id);
+        history.unshift(entry);
+
+        await chrome.storage.local.set({
+            [this.localRulesKey]: rules,
+            [this.lastSyncKey]: syncedAt,
+            [this.historyKey]: history.slice(0, RULE_HISTORY_SIZE)
+        });
+        await this.updateStatus({ active: this.summarize(entry), heldVersion: null, lastCheckedAt: syncedAt, lastError: null });
+
+        return entry;
+    }
+
+    /**
+     * Re-activate a bundle from history. The manifest version rolled back from is
+     * held, so the next sync doesn't reinstall it; a newer publish clears the hold.
+     */
+    async rollback(id) {
+        const history = await this.getHistory();
+        const target = history.find(item => item.id === id);
+        if (!target) {
+            throw new Error(`Rule bundle ${id} is not in history`);
+        }
+
+        const status = await this.getStatus();
+        const diff = this.diffRules(await this.getSyncedRules(), target.rules);
+
+        await chrome.storage.local.set({ [this.localRulesKey]: target.rules });
+        await this.updateStatus({
+            active: this.summarize(target),
+            heldVersion: status.active?.source === 'signed' && status.active.id !== id
+                ? status.active.version
+                : status.heldVersion ?? null,
+            rolledBackAt: Date.now()
+        });
+
+        console.log(`Rolled back CMP rules to ${id}`, diff);
+        return { ...this.summarize(target), diff };
+    }
+
+    async getHistory() {
+        const result = await chrome.storage.local.get(this.historyKey);
+        return result[this.historyKey] || [];
+    }
+
+    async getStatus() {
+        const result = await chrome.storage.local.get(this.statusKey);
+        return result[this.statusKey] || {};
+    }
+
+    async updateStatus(changes) {
+        const status = { ...(await this.getStatus()), ...changes };
+        await chrome.storage.local.set({ [this.statusKey]: status });
+        return status;
+    }
+
+    // Status and history for the dashboard, without the rule bodies
+    async getSyncState() {
+        const [status, history, manifestUrl] = await Promise.all([
+            this.getStatus(),
+            this.getHistory(),
+            chrome.storage.local.get(this.manifestUrlKey).then(result => result[this.manifestUrlKey] || null)
+        ]);
+
+        return {
+            ...status,
+            manifestUrl,
+            signingEnabled: Boolean(this.signingKey),
+            history: history.map(entry => this.summarize(entry))
+        };
+    }
+
+    async setManifestUrl(url) {
+        if (url) {
+            new URL(url); // throws on garbage
+            await chrome.storage.local.set({ [this.manifestUrlKey]: url });
+        } else {
+            await chrome.storage.local.remove(this.manifestUrlKey);
+        }
+    }
+
+    summarize({ rules, ...meta }) {
+        return meta;
+    }
+
+    // Upstream rule files are keyed by CMP name; the adapter expects [{ name, detectors, methods }]
+    normalizeRules(data) {
+        if (Array.isArray(data)) return data;
+        if (!data || typeof data !== 'object') return [];
+
+        return Object.entries(data)
+            .filter(([, rule]) => rule && Array.isArray(rule.detectors))
+            .map(([name, rule]) => ({ name, ...rule }));
+    }
+
     async enhanceRules(baseRules) {
         // In a real implementation, we would use RuleEnhancer to insert our metadata
         // For V1 (MVP), we just pass them through or add default empty extensions
@@ -86,14 +310,56 @@ export class RuleSyncService {
         }));
     }
 
+    /**
+     * Rules the adapter runs: the user's own rules first, then the synced set.
+     * A user rule replaces the synced rule with the same name.
+     */
     async getLocalRules() {
+        const [synced, userRules] = await Promise.all([this.getSyncedRules(), this.getUserRules()]);
+        const overridden = new Set(userRules.map(rule => rule.name));
+
+        return [
+            ...userRules,
+            ...synced.filter(rule => !overridden.has(rule.name))
+        ];
+    }
+
+    async getSyncedRules() {
         const result = await chrome.storage.local.get(this.localRulesKey);
         return result[this.localRulesKey] || [];
     }
 
+    async getUserRules() {
+        const result = await chrome.storage.local.get(this.userRulesKey);
+        return result[this.userRulesKey] || [];
+    }
+
+    // Add or replace (by name) a user rule; throws with the reason if the rule is unusable
+    async saveUserRule(rule) {
+        const problem = this.findRuleProblem(rule);
+        if (problem) {
+            throw new Error(problem);
+        }
+
+        const [saved] = await this.enhanceRules([{ ...rule, name: rule.name.trim(), source: 'user', updatedAt: Date.now() }]);
+        const userRules = (await this.getUserRules()).filter(existing => existing.name !== saved.name);
+        userRules.push(saved);
+
+        await chrome.storage.local.set({ [this.userRulesKey]: userRules });
+        return saved;
+    }
+
+    async deleteUserRule(name) {
+        const userRules = (await this.getUserRules()).filter(rule => rule.name !== name);
+        await chrome.storage.local.set({ [this.userRulesKey]: userRules });
+        return userRules;
+    }
+
     async shouldSync() {
         const result = await chrome.storage.local.get(this.lastSyncKey);
-        const lastSync = result[this.lastSyncKey] || 0;
+        const status = await this.getStatus();
+        // An up-to-date or failed check counts too, so a broken manifest isn't refetched on every wake-up
+        const lastSync = Math.max(result[this.lastSyncKey] || 0, status.lastCheckedAt || 0);
         const hoursSinceSync = (Date.now() - lastSync) / (1000 * 60 * 60);
 
         // Sync once per day
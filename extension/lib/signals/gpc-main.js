@@ -0,0 +1,99 @@
+// Runs in the page's MAIN world, registered by utils/privacy-signals.js
+// only while the user has Global Privacy Control turned on.
+// Exposes navigator.globalPrivacyControl and a minimal __gpp (GPP 1.1) API
+// that reports a US National opt-out. The stub is marked with `myTermsStub`
+// so the consent verifier doesn't read our own signal back as the site's.
+(() => {
+    if (window.__myTermsPrivacySignals) return;
+    window.__myTermsPrivacySignals = true;
+
+    // https://privacycg.github.io/gpc-spec/
+    try {
+        Object.defineProperty(Navigator.prototype, 'globalPrivacyControl', {
+            get: () => true,
+            configurable: true,
+            enumerable: true
+        });
+    } catch (e) {
+        // Already defined by the browser
+    }
+
+    // A real CMP's __gpp takes precedence; it may also replace ours once it loads
+    if (typeof window.__gpp === 'function') return;
+
+    // Header (usnat, id 7) ~ core (sale/sharing/targeted-ads/sensitive opt-outs) . GPC subsection (Gpc = 1)
+    // Keep in sync with GPP_OPT_OUT_STRING in utils/privacy-signals.js
+    const GPP_STRING = 'DBABLA~BAAVVVVVVgA.YA';
+    const OPTED_OUT = 1;
+    const usnat = {
+        Version: 1,
+        SharingNotice: 0,
+        SaleOptOutNotice: 0,
+        SharingOptOutNotice: 0,
+        TargetedAdvertisingOptOutNotice: 0,
+        SensitiveDataProcessingOptOutNotice: 0,
+        SensitiveDataLimitUseNotice: 0,
+        SaleOptOut: OPTED_OUT,
+        SharingOptOut: OPTED_OUT,
+        TargetedAdvertisingOptOut: OPTED_OUT,
+        SensitiveDataProcessing: new Array(12).fill(OPTED_OUT),
+        KnownChildSensitiveDataConsents: [OPTED_OUT, OPTED_OUT],
+        PersonalDataConsents: OPTED_OUT,
+        MspaCoveredTransaction: 2,
+        MspaOptOutOptionMode: 0,
+        MspaServiceProviderMode: 0,
+        GpcSegmentType: 1,
+        Gpc: true
+    };
+
+    const pingData = () => ({
+        gppVersion: '1.1',
+        cmpStatus: 'loaded',
+        cmpDisplayStatus: 'disabled',
+        signalStatus: 'ready',
+        supportedAPIs: ['7:usnat'],
+        cmpId: 0,
+        sectionList: [7],
+        applicableSections: [7],
+        gppString: GPP_STRING,
+        parsedSections: { usnat: [usnat] }
+    });
+
+    let nextListenerId = 0;
+
+    window.__gpp = (command, callback, parameter) => {
+        if (typeof callback !== 'function') return;
+
+        switch (command) {
+            case 'ping':
+                callback(pingData(), true);
+                break;
+            case 'addEventListener':
+                // Our signal never changes, so the listener only ever sees the initial event
+                callback({
+                    eventName: 'signalStatus',
+                    listenerId: nextListenerId++,
+                    data: 'ready',
+                    pingData: pingData()
+                }, true);
+                break;
+            case 'removeEventListener':
+                callback(true, true);
+                break;
+            case 'hasSection':
+                callback(parameter === 'usnat', true);
+                break;
+            case 'getSection':
+                callback(parameter === 'usnat' ? [usnat] : null, true);
+                break;
+            case 'getField': {
+                const [section, field] = String(parameter).split('.');
+                callback(section === 'usnat' ? usnat[field] ?? null : null, true);
+                break;
+            }
+            default:
+                callback(null, false);
+        }
+    };
+    window.__gpp.myTermsStub = true;
+})();
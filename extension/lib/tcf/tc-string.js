@@ -0,0 +1,168 @@
+/**
+ * IAB TCF v2 TC string decoder.
+ * Pure JS, no DOM access, so it runs in the content script, background and tests alike.
+ * Only the core segment is decoded; disclosed-vendor and publisher-TC segments are skipped.
+ */
+
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// Core segment field widths (TCF v2.x spec, "TC String Format")
+const BITS = {
+    version: 6,
+    created: 36,
+    lastUpdated: 36,
+    cmpId: 12,
+    cmpVersion: 12,
+    consentScreen: 6,
+    consentLanguage: 12,
+    vendorListVersion: 12,
+    policyVersion: 6,
+    isServiceSpecific: 1,
+    useNonStandardTexts: 1,
+    specialFeatureOptIns: 12,
+    purposeConsents: 24,
+    purposeLegitimateInterests: 24,
+    purposeOneTreatment: 1,
+    publisherCC: 12,
+    maxVendorId: 16,
+    isRangeEncoding: 1,
+    numEntries: 12,
+    vendorId: 16,
+    numPubRestrictions: 12,
+    purposeId: 6,
+    restrictionType: 2
+};
+
+const RESTRICTION_TYPES = ['notAllowed', 'requireConsent', 'requireLegitimateInterest', 'undefined'];
+
+class BitReader {
+    constructor(segment) {
+        this.bits = [];
+        for (const char of segment) {
+            const value = BASE64URL.indexOf(char);
+            if (value === -1) {
+                throw new Error(`Invalid TC string character: ${char}`);
+            }
+            for (let i = 5; i >= 0; i--) {
+                this.bits.push((value >> i) & 1);
+            }
+        }
+        this.offset = 0;
+    }
+
+    // Multiplication instead of shifts: created/lastUpdated are 36 bits wide
+    readInt(length) {
+        if (this.offset + length > this.bits.length) {
+            throw new Error('TC string is truncated');
+        }
+        let value = 0;
+        for (let i = 0; i < length; i++) {
+            value = value * 2 + this.bits[this.offset++];
+        }
+        return value;
+    }
+
+    readBool() {
+        return this.readInt(1) === 1;
+    }
+
+    // Two 6-bit letters, A = 0
+    readLetters(length) {
+        let letters = '';
+        for (let i = 0; i < length / 6; i++) {
+            letters += String.fromCharCode(65 + this.readInt(6));
+        }
+        return letters;
+    }
+
+    // Returns the 1-based ids whose bit is set
+    readBitField(length) {
+        const ids = [];
+        for (let i = 1; i <= length; i++) {
+            if (this.readBool()) ids.push(i);
+        }
+        return ids;
+    }
+
+    readRangeEntries() {
+        const ids = [];
+        const numEntries = this.readInt(BITS.numEntries);
+        for (let i = 0; i < numEntries; i++) {
+            const isRange = this.readBool();
+            const start = this.readInt(BITS.vendorId);
+            const end = isRange ? this.readInt(BITS.vendorId) : start;
+            for (let id = start; id <= end; id++) {
+                ids.push(id);
+            }
+        }
+        return ids;
+    }
+
+    // Vendor consent / legitimate interest sections share one layout
+    readVendorSection() {
+        const maxVendorId = this.readInt(BITS.maxVendorId);
+        const isRangeEncoding = this.readBool();
+        return isRangeEncoding ? this.readRangeEntries() : this.readBitField(maxVendorId);
+    }
+}
+
+/**
+ * Decode a TC string into plain data.
+ * Dates are returned as epoch milliseconds; id lists are sorted arrays of numbers.
+ * Throws on malformed input or a non-v2 string.
+ */
+export function decodeTCString(tcString) {
+    if (typeof tcString !== 'string' || tcString.trim() === '') {
+        throw new Error('TC string is empty');
+    }
+
+    const [coreSegment] = tcString.trim().split('.');
+    const reader = new BitReader(coreSegment);
+
+    const version = reader.readInt(BITS.version);
+    if (version !== 2) {
+        throw new Error(`Unsupported TC string version: ${version}`);
+    }
+
+    const decoded = {
+        version,
+        // Stored as deciseconds since epoch
+        created: reader.readInt(BITS.created) * 100,
+        lastUpdated: reader.readInt(BITS.lastUpdated) * 100,
+        cmpId: reader.readInt(BITS.cmpId),
+        cmpVersion: reader.readInt(BITS.cmpVersion),
+        consentScreen: reader.readInt(BITS.consentScreen),
+        consentLanguage: reader.readLetters(BITS.consentLanguage),
+        vendorListVersion: reader.readInt(BITS.vendorListVersion),
+        policyVersion: reader.readInt(BITS.policyVersion),
+        isServiceSpecific: reader.readBool(),
+        useNonStandardTexts: reader.readBool(),
+        specialFeatureOptIns: reader.readBitField(BITS.specialFeatureOptIns),
+        purposeConsents: reader.readBitField(BITS.purposeConsents),
+        purposeLegitimateInterests: reader.readBitField(BITS.purposeLegitimateInterests),
+        purposeOneTreatment: reader.readBool(),
+        publisherCC: reader.readLetters(BITS.publisherCC)
+    };
+
+    decoded.vendorConsents = reader.readVendorSection();
+    decoded.vendorLegitimateInterests = reader.readVendorSection();
+    decoded.publisherRestrictions = readPublisherRestrictions(reader);
+
+    return decoded;
+}
+
+function readPublisherRestrictions(reader) {
+    // Older encoders omit the section entirely when it is empty
+    if (reader.offset + BITS.numPubRestrictions > reader.bits.length) {
+        return [];
+    }
+
+    const restrictions = [];
+    const count = reader.readInt(BITS.numPubRestrictions);
+    for (let i = 0; i < count; i++) {
+        const purposeId = reader.readInt(BITS.purposeId);
+        const restrictionType = RESTRICTION_TYPES[reader.readInt(BITS.restrictionType)];
+        restrictions.push({ purposeId, restrictionType, vendorIds: reader.readRangeEntries() });
+    }
+    return restrictions;
+}
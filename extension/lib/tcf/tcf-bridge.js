@@ -0,0 +1,45 @@
+// Runs in the page's MAIN world (see manifest content_scripts).
+// Content scripts live in an isolated world and can't see window.__tcfapi,
+// so this relays getTCData over window.postMessage.
+(() => {
+    if (window.__myTermsTcfBridge) return;
+    window.__myTermsTcfBridge = true;
+
+    window.addEventListener('message', (event) => {
+        if (event.source !== window || event.data?.type !== 'MYTERMS_TCF_REQ') return;
+
+        const { requestId } = event.data;
+        let replied = false;
+        const reply = (payload) => {
+            if (replied) return;
+            replied = true;
+            window.postMessage({ type: 'MYTERMS_TCF_RES', requestId, ...payload }, '*');
+        };
+
+        if (typeof window.__tcfapi !== 'function') {
+            reply({ success: false, error: '__tcfapi not available' });
+            return;
+        }
+
+        try {
+            window.__tcfapi('getTCData', 2, (tcData, success) => {
+                if (!success || !tcData) {
+                    reply({ success: false, error: 'getTCData failed' });
+                    return;
+                }
+                reply({
+                    success: true,
+                    data: {
+                        tcString: tcData.tcString,
+                        gdprApplies: tcData.gdprApplies,
+                        cmpId: tcData.cmpId,
+                        cmpStatus: tcData.cmpStatus,
+                        eventStatus: tcData.eventStatus
+                    }
+                });
+            });
+        } catch (error) {
+            reply({ success: false, error: error.message });
+        }
+    });
+})();
@@ -0,0 +1,69 @@
+import { decodeTCString } from './tc-string.js';
+
+// Cookie most TCF v2 CMPs persist the TC string under
+const TC_COOKIE = 'euconsent-v2';
+const BRIDGE_TIMEOUT_MS = 1000;
+
+/**
+ * Ask the MAIN-world bridge (tcf-bridge.js) for the page's TC data.
+ * Resolves null if the page has no __tcfapi or the bridge doesn't answer in time.
+ */
+export function requestTCData(win = window, timeoutMs = BRIDGE_TIMEOUT_MS) {
+    return new Promise((resolve) => {
+        const requestId = `tcf_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+
+        const finish = (result) => {
+            clearTimeout(timeout);
+            win.removeEventListener('message', onMessage);
+            resolve(result);
+        };
+
+        const onMessage = (event) => {
+            if (event.source !== win || event.data?.type !== 'MYTERMS_TCF_RES') return;
+            if (event.data.requestId !== requestId) return;
+            finish(event.data.success ? event.data.data : null);
+        };
+
+        const timeout = setTimeout(() => finish(null), timeoutMs);
+        win.addEventListener('message', onMessage);
+        win.postMessage({ type: 'MYTERMS_TCF_REQ', requestId }, '*');
+    });
+}
+
+export function readTCStringCookie(doc = document) {
+    const entry = (doc.cookie || '')
+        .split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${TC_COOKIE}=`));
+
+    return entry ? decodeURIComponent(entry.slice(TC_COOKIE.length + 1)) : null;
+}
+
+/**
+ * Read and decode the TC string the CMP recorded for this page.
+ * Prefers __tcfapi via the bridge and falls back to the euconsent-v2 cookie.
+ * Returns null when there is no (decodable) TC string.
+ */
+export async function readTCFConsent(win = window) {
+    const tcData = await requestTCData(win);
+
+    let tcString = tcData?.tcString || null;
+    let source = 'tcfapi';
+    if (!tcString) {
+        tcString = readTCStringCookie(win.document);
+        source = 'cookie';
+    }
+    if (!tcString) return null;
+
+    try {
+        return {
+            source,
+            tcString,
+            gdprApplies: tcData?.gdprApplies ?? null,
+            ...decodeTCString(tcString)
+        };
+    } catch (error) {
+        console.warn('Could not decode TC string:', error.message);
+        return null;
+    }
+}
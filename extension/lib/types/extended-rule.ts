@@ -32,20 +32,58 @@ export interface ConsentChainRule {
 
 // Sub-types for reference
 interface Detector {
-    presentMatcher: Matcher;
+    presentMatcher: Matcher | Matcher[];
+    showingMatcher?: Matcher | Matcher[];
     consentChainEnhancement?: {
         extractVendorCount?: string;
         detectIABTCF?: string;
     };
 }
 
-interface Matcher {
-    type: 'css' | 'xpath' | 'presence';
-    selector?: string;
-    target?: string;
+// Upstream element lookup: `parent` scopes the search for `target`
+interface TargetSpec {
+    selector: string;
+    textFilter?: string | string[];
+    styleFilter?: { option: string; value: string; negated?: boolean };
+    displayFilter?: boolean;
+    iframeFilter?: boolean;
+    childFilter?: ElementQuery;
+}
+
+interface ElementQuery {
+    parent?: TargetSpec;
+    target?: TargetSpec | string;
+    selector?: string | string[]; // Shorthand used by default-rules.json
+}
+
+interface Matcher extends ElementQuery {
+    type: 'css' | 'checkbox' | 'onoff' | 'xpath' | 'presence';
+}
+
+type Action =
+    | (ElementQuery & { type: 'click'; noTimeout?: boolean })
+    | { type: 'list'; actions: Action[] }
+    | { type: 'consent'; consents: ConsentToggle[] }
+    | (ElementQuery & { type: 'ifcss'; trueAction?: Action; falseAction?: Action })
+    | (ElementQuery & { type: 'waitcss'; retries?: number; waitTime?: number; negated?: boolean })
+    | (ElementQuery & { type: 'foreach'; action: Action })
+    | (ElementQuery & { type: 'slide'; dragTarget: ElementQuery; axis?: 'x' | 'y' })
+    | { type: 'wait'; waitTime?: number }
+    | { type: 'close' }
+    | (ElementQuery & { type: 'hide' })
+    | { type: 'runmethod'; method: string };
+
+// Upstream purpose letters: D storage, A preferences, B analytics, E content, F ads, X other
+interface ConsentToggle {
+    type: 'A' | 'B' | 'D' | 'E' | 'F' | 'X';
+    description?: string;
+    matcher?: Matcher;
+    toggleAction?: Action;
+    trueAction?: Action;
+    falseAction?: Action;
 }
 
 interface Method {
-    name: string;
-    action: any;
+    name: 'HIDE_CMP' | 'OPEN_OPTIONS' | 'DO_CONSENT' | 'SAVE_CONSENT' | 'UTILITY' | string;
+    action?: Action;
 }
@@ -1,6 +1,9 @@
 // Popup script for MyTerms extension
 // Displays extension status and controls
 
+import { findSiteOverride, normalizeDomain } from '../utils/site-overrides.js';
+import { getDashboardOrigin } from '../utils/message-origin.js';
+
 class PopupManager {
   constructor() {
     this.walletStatus = document.getElementById('walletStatus');
@@ -13,6 +16,21 @@ class PopupManager {
     this.dashboardBtn = document.getElementById('dashboardBtn');
     this.blockchainDashboardBtn = document.getElementById('blockchainDashboardBtn');
     this.errorMessage = document.getElementById('errorMessage');
+    this.siteCard = document.getElementById('siteCard');
+    this.currentSiteDomain = document.getElementById('currentSiteDomain');
+    this.sitePolicySelect = document.getElementById('sitePolicySelect');
+    this.sitePolicyNote = document.getElementById('sitePolicyNote');
+    this.recordRuleBtn = document.getElementById('recordRuleBtn');
+    this.detectionCard = document.getElementById('detectionCard');
+    this.detectionScores = document.getElementById('detectionScores');
+    this.vaultCard = document.getElementById('vaultCard');
+    this.vaultState = document.getElementById('vaultState');
+    this.vaultUnlockForm = document.getElementById('vaultUnlockForm');
+    this.vaultPassphrase = document.getElementById('vaultPassphrase');
+    this.vaultLockBtn = document.getElementById('vaultLockBtn');
+    this.vaultNote = document.getElementById('vaultNote');
+    this.siteDomain = null;
+    this.siteTabId = null;
 
     this.init();
   }
@@ -29,6 +47,15 @@ class PopupManager {
     // Load data from background script
     await this.loadPopupData();
 
+    // Encrypted history: lock state and unlock form
+    await this.loadVaultStatus();
+
+    // Per-site override for the current tab
+    await this.loadSiteOverride();
+
+    // Why the detector picked the CMP it picked
+    await this.loadDetectionScores();
+
     // Check wallet connection status periodically
     this.startStatusUpdates();
   }
@@ -48,6 +75,180 @@ class PopupManager {
     this.txHashLink.addEventListener('click', (e) => {
       this.handleTransactionLink(e);
     });
+
+    // Site override for the current tab
+    this.sitePolicySelect.addEventListener('change', () => {
+      this.saveSiteOverride(this.sitePolicySelect.value || null);
+    });
+
+    // Rule recorder on the current tab
+    this.recordRuleBtn.addEventListener('click', () => {
+      this.startRuleRecorder();
+    });
+
+    // Encrypted history
+    this.vaultUnlockForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.unlockVault();
+    });
+    this.vaultLockBtn.addEventListener('click', () => {
+      this.lockVault();
+    });
+  }
+
+  async loadVaultStatus() {
+    try {
+      const response = await this.sendMessage({ type: 'GET_VAULT_STATUS' });
+      if (!response.success) throw new Error(response.error);
+      this.renderVaultStatus(response.data);
+    } catch (error) {
+      console.error('Failed to load vault status:', error);
+    }
+  }
+
+  renderVaultStatus(status) {
+    this.vaultCard.classList.toggle('hidden', !status.enabled);
+    if (!status.enabled) return;
+
+    this.vaultState.textContent = status.unlocked ? '🔓 Unlocked' : '🔒 Locked';
+    this.vaultLockBtn.classList.toggle('hidden', !status.unlocked);
+
+    // The wallet signature can only be requested from the dashboard
+    const passphrase = status.method === 'passphrase';
+    this.vaultUnlockForm.classList.toggle('hidden', status.unlocked || !passphrase);
+    if (status.unlocked) {
+      this.vaultNote.textContent = 'Encrypted at rest, unlocked until the browser closes';
+    } else if (passphrase) {
+      this.vaultNote.textContent = 'New consents are still recorded while locked';
+    } else {
+      this.vaultNote.textContent = 'Unlocked with your wallet: open the dashboard to unlock';
+    }
+  }
+
+  async unlockVault() {
+    try {
+      const response = await this.sendMessage({ type: 'VAULT_UNLOCK', secret: this.vaultPassphrase.value });
+      if (!response.success) throw new Error(response.error);
+
+      this.vaultPassphrase.value = '';
+      this.renderVaultStatus(response.data);
+      this.hideError();
+      this.showSuccess('Consent history unlocked');
+    } catch (error) {
+      console.error('Failed to unlock vault:', error);
+      this.showError(error.message);
+    }
+  }
+
+  async lockVault() {
+    try {
+      const response = await this.sendMessage({ type: 'VAULT_LOCK' });
+      if (!response.success) throw new Error(response.error);
+      this.renderVaultStatus(response.data);
+    } catch (error) {
+      console.error('Failed to lock vault:', error);
+      this.showError('Failed to lock consent history.');
+    }
+  }
+
+  async loadSiteOverride() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab?.url || !/^https?:/.test(tab.url)) return;
+
+      this.siteDomain = normalizeDomain(tab.url);
+      this.siteTabId = tab.id;
+      this.recordRuleBtn.classList.remove('hidden');
+      const response = await this.sendMessage({ type: 'GET_SITE_OVERRIDES' });
+      if (!response.success) throw new Error(response.error);
+
+      this.renderSiteOverride(findSiteOverride(response.data, this.siteDomain));
+      this.siteCard.classList.remove('hidden');
+    } catch (error) {
+      console.error('Failed to load site override:', error);
+    }
+  }
+
+  renderSiteOverride(override) {
+    this.currentSiteDomain.textContent = this.siteDomain;
+    this.sitePolicySelect.value = override?.policy || '';
+    this.sitePolicyNote.textContent = override && override.domain !== this.siteDomain
+      ? `Inherited from ${override.domain}`
+      : 'Applies from the next page load';
+  }
+
+  async saveSiteOverride(policy) {
+    try {
+      const response = await this.sendMessage({ type: 'SET_SITE_OVERRIDE', domain: this.siteDomain, policy });
+      if (!response.success) throw new Error(response.error);
+
+      this.renderSiteOverride(findSiteOverride(response.data, this.siteDomain));
+      this.showSuccess(policy ? 'Site override saved' : 'Site override removed');
+    } catch (error) {
+      console.error('Failed to save site override:', error);
+      this.showError('Failed to save site override.');
+    }
+  }
+
+  async loadDetectionScores() {
+    if (this.siteTabId === null) return;
+
+    try {
+      const response = await this.sendMessage({ type: 'GET_DETECTION_SCORES', tabId: this.siteTabId });
+      if (!response.success || response.data.length === 0) return;
+
+      this.renderDetectionScores(response.data);
+      this.detectionCard.classList.remove('hidden');
+    } catch (error) {
+      console.error('Failed to load detection scores:', error);
+    }
+  }
+
+  renderDetectionScores(frames) {
+    this.detectionScores.innerHTML = '';
+
+    frames.forEach(({ frameUrl, candidates, chosen }) => {
+      if (frames.length > 1) {
+        const frame = document.createElement('div');
+        frame.className = 'detection-frame';
+        frame.textContent = frameUrl;
+        this.detectionScores.appendChild(frame);
+      }
+
+      candidates.forEach(({ cmpName, showing, confidence, scores }) => {
+        const item = document.createElement('div');
+        item.className = `detection-candidate${cmpName === chosen ? ' chosen' : ''}`;
+
+        const header = document.createElement('div');
+        header.className = 'candidate-header';
+        const name = document.createElement('span');
+        name.className = 'candidate-name';
+        name.textContent = showing ? cmpName : `${cmpName} (hidden)`;
+        const score = document.createElement('span');
+        score.textContent = confidence;
+        header.append(name, score);
+
+        const breakdown = document.createElement('div');
+        breakdown.className = 'candidate-breakdown';
+        breakdown.textContent = `detectors ${scores.detectors} · showing ${scores.showing} · ` +
+          `visibility ${scores.visibility} · history ${scores.history}`;
+
+        item.append(header, breakdown);
+        this.detectionScores.appendChild(item);
+      });
+    });
+  }
+
+  async startRuleRecorder() {
+    try {
+      // Through the background, which lets that tab save the rule it records
+      const response = await this.sendMessage({ type: 'START_RULE_RECORDER', tabId: this.siteTabId });
+      if (!response?.success) throw new Error(response?.error || 'No response from the page');
+      window.close();
+    } catch (error) {
+      console.error('Failed to start rule recorder:', error);
+      this.showError('Could not start the recorder. Reload the page and try again.');
+    }
   }
 
   async checkBlockchainSettings() {
@@ -162,9 +363,13 @@ class PopupManager {
   }
 
   async openBlockchainDashboard() {
-    // Open localhost dashboard with wallet support
-    const dashboardUrl = 'http://localhost:8080';
-    chrome.tabs.create({ url: dashboardUrl });
+    // Open the wallet dashboard (serve-dashboard.js) at the address set in Preferences
+    const dashboardOrigin = await getDashboardOrigin();
+    if (!dashboardOrigin) {
+      this.showError('Set the wallet dashboard address under Preferences in the dashboard first.');
+      return;
+    }
+    chrome.tabs.create({ url: dashboardOrigin });
     window.close();
   }
 
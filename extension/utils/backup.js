@@ -0,0 +1,172 @@
+// Backup files: the whole local history plus the settings needed to rebuild it
+//
+// {
+//   format: 'consentchain-backup', version, createdAt, extensionVersion, schemaVersion,
+//   mac: { algorithm: 'HMAC-SHA256', kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt }, value },
+//   data: { stores: { <store>: [records] }, profile, retentionPolicy, siteOverrides, userRules, customVocabulary }
+// }
+//
+// The MAC covers everything but itself, under a key derived from a passphrase the
+// user picks on export and types again on import. Damaged files and files edited
+// or made by someone without the passphrase are rejected, so a crafted file can't
+// slip in click rules or a profile.
+// Records are exported decrypted so a backup restores into any browser; the file
+// itself is plain JSON.
+
+import { consentStorage } from './storage.js';
+import { SCHEMA_VERSION } from './db-migrations.js';
+import { getSiteOverrides, mergeSiteOverrides } from './site-overrides.js';
+import { normalizeRetentionPolicy, setRetentionPolicy } from './retention.js';
+
+export const BACKUP_FORMAT = 'consentchain-backup';
+export const BACKUP_VERSION = 2;
+const KDF_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const toHex = buffer => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+const fromHex = hex => new Uint8Array((hex.match(/../g) || []).map(byte => parseInt(byte, 16)));
+
+// JSON with sorted keys, so the MAC doesn't depend on property order
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJSON(item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+async function macKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(salt), iterations: KDF_ITERATIONS },
+    material,
+    { name: 'HMAC', hash: 'SHA-256', length: 256 },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+const macPayload = ({ mac, ...content }) => new TextEncoder().encode(canonicalJSON(content));
+
+// Adds the MAC over the rest of the file, keyed by the passphrase
+export async function signBackup(backup, passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Use a backup passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const signature = await crypto.subtle.sign('HMAC', await macKey(passphrase, salt), macPayload(backup));
+  return {
+    ...backup,
+    mac: {
+      algorithm: 'HMAC-SHA256',
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: KDF_ITERATIONS, salt },
+      value: toHex(signature)
+    }
+  };
+}
+
+// Throws with the reason a file can't be restored
+export async function verifyBackup(backup, passphrase) {
+  if (backup?.format !== BACKUP_FORMAT) {
+    throw new Error('Not a ConsentChain backup file');
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    throw new Error(`Backup format v${backup.version} needs a newer version of the extension`);
+  }
+  if (backup.version < BACKUP_VERSION || backup.mac?.algorithm !== 'HMAC-SHA256' ||
+      backup.mac.kdf?.iterations !== KDF_ITERATIONS || typeof backup.mac.kdf.salt !== 'string') {
+    throw new Error('Backup has no passphrase MAC: export it again from this version');
+  }
+  if (!passphrase) {
+    throw new Error('Enter the passphrase the backup was exported with');
+  }
+  const valid = await crypto.subtle.verify(
+    'HMAC',
+    await macKey(passphrase, backup.mac.kdf.salt),
+    fromHex(backup.mac.value || ''),
+    macPayload(backup)
+  );
+  if (!valid) {
+    throw new Error('Wrong passphrase, or the file was changed or damaged after export');
+  }
+  if (!backup.data?.stores) {
+    throw new Error('Backup has no records');
+  }
+}
+
+export async function createBackup(ruleSync, passphrase) {
+  const [{ stores }, sync, local, siteOverrides, userRules] = await Promise.all([
+    consentStorage.exportData(),
+    chrome.storage.sync.get(['myTermsProfile', 'retentionPolicy']),
+    chrome.storage.local.get(['customVocabulary']),
+    getSiteOverrides(),
+    ruleSync.getUserRules()
+  ]);
+
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    schemaVersion: SCHEMA_VERSION,
+    data: {
+      stores,
+      profile: sync.myTermsProfile || null,
+      retentionPolicy: sync.retentionPolicy || null,
+      siteOverrides,
+      userRules,
+      customVocabulary: local.customVocabulary || null
+    }
+  };
+  return signBackup(backup, passphrase);
+}
+
+/**
+ * Restore a backup once its MAC verifies with `passphrase`. Records are merged (see ConsentStorage.importData); the
+ * profile and retention policy are replaced; site overrides and user rules keep whichever copy is newer;
+ * vocabulary locales from the backup replace the same locales here.
+ */
+export async function restoreBackup(backup, ruleSync, passphrase) {
+  await verifyBackup(backup, passphrase);
+  const { data } = backup;
+  // Checked before anything is written
+  const retentionPolicy = data.retentionPolicy ? normalizeRetentionPolicy(data.retentionPolicy) : null;
+
+  const records = await consentStorage.importData(data.stores);
+
+  if (data.profile) {
+    await chrome.storage.sync.set({ myTermsProfile: data.profile });
+  }
+  if (retentionPolicy) {
+    await setRetentionPolicy(retentionPolicy);
+  }
+
+  const siteOverrides = await mergeSiteOverrides(data.siteOverrides || {});
+
+  const localRules = new Map((await ruleSync.getUserRules()).map(rule => [rule.name, rule]));
+  let userRules = 0;
+  const ruleErrors = [];
+  for (const rule of data.userRules || []) {
+    const existing = localRules.get(rule.name);
+    if (existing && (existing.updatedAt || 0) >= (rule.updatedAt || 0)) continue;
+    try {
+      await ruleSync.saveUserRule(rule);
+      userRules++;
+    } catch (error) {
+      ruleErrors.push(`${rule.name}: ${error.message}`);
+    }
+  }
+
+  if (data.customVocabulary) {
+    const { customVocabulary = {} } = await chrome.storage.local.get(['customVocabulary']);
+    await chrome.storage.local.set({ customVocabulary: { ...customVocabulary, ...data.customVocabulary } });
+  }
+
+  return { records, profile: !!data.profile, retentionPolicy: !!retentionPolicy, siteOverrides, userRules, ruleErrors };
+}
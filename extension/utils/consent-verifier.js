@@ -0,0 +1,229 @@
+/**
+ * ConsentVerifier
+ *
+ * Checks, a few seconds after a banner was handled, whether the site actually
+ * honored the decision:
+ * - Cookies: analytics/marketing cookies set or refreshed after a reject
+ * - TCF: the CMP's TC string still grants purposes the user refused
+ * - GPP: US sections report "did not opt out" after marketing was refused
+ *
+ * Runs in the background worker (needs chrome.cookies and chrome.scripting).
+ */
+import CookieClassifier from './cookie-classifier.js';
+import { decodeTCString } from '../lib/tcf/tc-string.js';
+
+// TCF v2 purposes that belong to each refusable profile category
+const TCF_PURPOSE_CATEGORIES = {
+    marketing: [2, 3, 4, 7],  // basic/personalised ads, ad measurement
+    analytics: [8, 9, 10]     // content measurement, market research, product development
+};
+
+// GPP US section fields where 2 means "did not opt out"
+const GPP_OPT_OUT_FIELDS = ['SaleOptOut', 'SharingOptOut', 'TargetedAdvertisingOptOut'];
+const GPP_DID_NOT_OPT_OUT = 2;
+
+class ConsentVerifier {
+    constructor(classifier = new CookieClassifier()) {
+        this.classifier = classifier;
+
+        // Cookie categories that must stay away when the matching purpose is refused
+        this.cookieCategories = {
+            analytics: classifier.categories.ANALYTICS,
+            marketing: classifier.categories.MARKETING
+        };
+    }
+
+    /**
+     * Profile categories the user refused in this consent.
+     * Records without a purpose vector fall back to the accept/decline flag;
+     * banner snapshots that carry no decision at all refuse nothing.
+     * @returns {string[]} subset of ['analytics', 'marketing']
+     */
+    deniedCategories(consent) {
+        if (!consent.grantedPurposes && typeof consent.accepted !== 'boolean') return [];
+
+        return Object.keys(this.cookieCategories).filter(category => {
+            if (consent.grantedPurposes) return consent.grantedPurposes[category] !== true;
+            return !consent.accepted;
+        });
+    }
+
+    async snapshotCookies(url) {
+        try {
+            return await chrome.cookies.getAll({ url });
+        } catch (error) {
+            console.warn('ConsentVerifier: could not read cookies for', url, error);
+            return [];
+        }
+    }
+
+    /**
+     * Read TCF/GPP signals from the page's MAIN world.
+     * Resolves { tcString, gpp } with nulls for whatever the page doesn't expose.
+     */
+    async readPageSignals(tabId, frameId = 0) {
+        try {
+            const [injection] = await chrome.scripting.executeScript({
+                target: { tabId, frameIds: [frameId] },
+                world: 'MAIN',
+                func: readConsentSignals
+            });
+            return injection?.result || { tcString: null, gpp: null };
+        } catch (error) {
+            // Tab closed or navigated away before verification ran
+            console.warn('ConsentVerifier: could not read page signals:', error.message);
+            return { tcString: null, gpp: null };
+        }
+    }
+
+    /**
+     * Verify a stored consent.
+     * @param {Object} consent - the consent record (needs url, grantedPurposes/accepted, optionally tcf)
+     * @param {Object} options - { baseline: cookies captured when the banner was detected, tabId?, frameId? }
+     * @returns {Object} { status: 'honored'|'violated', checkedAt, deniedCategories, violations, evidence }
+     */
+    async verify(consent, { baseline = [], tabId = null, frameId = 0 } = {}) {
+        const denied = this.deniedCategories(consent);
+        const cookies = await this.snapshotCookies(consent.url);
+        const signals = tabId !== null
+            ? await this.readPageSignals(tabId, frameId)
+            : { tcString: null, gpp: null };
+
+        const tcf = this.decodeSignalTCF(signals.tcString) || consent.tcf || null;
+
+        const violations = [
+            ...this.findCookieViolations(cookies, baseline, denied),
+            ...this.findTcfViolations(tcf, denied),
+            ...this.findGppViolations(signals.gpp, denied)
+        ];
+
+        return {
+            status: violations.length > 0 ? 'violated' : 'honored',
+            checkedAt: Date.now(),
+            deniedCategories: denied,
+            violations,
+            evidence: {
+                cookies: this.classifier.analyze(cookies).cookies.map(c => ({
+                    name: c.name,
+                    domain: c.domain,
+                    category: c.category
+                })),
+                tcString: signals.tcString || tcf?.tcString || null,
+                gppString: signals.gpp?.gppString || null
+            }
+        };
+    }
+
+    // Only cookies that are new or changed since the baseline (banner detection) count; earlier ones are ignored
+    findCookieViolations(cookies, baseline, denied) {
+        const before = new Map(baseline.map(c => [`${c.domain}|${c.path}|${c.name}`, c.value]));
+        const violations = [];
+
+        cookies.forEach(cookie => {
+            const category = this.classifier.classify(cookie);
+            const refused = denied.find(d => this.cookieCategories[d] === category);
+            if (!refused) return;
+
+            const key = `${cookie.domain}|${cookie.path}|${cookie.name}`;
+            if (before.has(key) && before.get(key) === cookie.value) return;
+
+            violations.push({
+                type: 'cookie',
+                category: refused,
+                name: cookie.name,
+                domain: cookie.domain,
+                detail: before.has(key) ? 'refreshed after decision' : 'set after decision'
+            });
+        });
+
+        return violations;
+    }
+
+    findTcfViolations(tcf, denied) {
+        if (!tcf?.purposeConsents) return [];
+
+        const violations = [];
+        denied.forEach(category => {
+            const granted = (TCF_PURPOSE_CATEGORIES[category] || [])
+                .filter(purpose => tcf.purposeConsents.includes(purpose));
+            if (granted.length > 0) {
+                violations.push({
+                    type: 'tcf',
+                    category,
+                    detail: `TC string grants purposes ${granted.join(', ')}`
+                });
+            }
+        });
+        return violations;
+    }
+
+    findGppViolations(gpp, denied) {
+        if (!gpp?.parsedSections || !denied.includes('marketing')) return [];
+
+        const violations = [];
+        for (const [section, value] of Object.entries(gpp.parsedSections)) {
+            if (!section.startsWith('us')) continue;
+
+            // GPP 1.1 returns an array of sub-sections per section
+            const segments = Array.isArray(value) ? value : [value];
+            segments.forEach(segment => {
+                GPP_OPT_OUT_FIELDS
+                    .filter(field => segment?.[field] === GPP_DID_NOT_OPT_OUT)
+                    .forEach(field => {
+                        violations.push({
+                            type: 'gpp',
+                            category: 'marketing',
+                            detail: `${section}.${field} reports no opt-out`
+                        });
+                    });
+            });
+        }
+        return violations;
+    }
+
+    decodeSignalTCF(tcString) {
+        if (!tcString) return null;
+        try {
+            return { tcString, ...decodeTCString(tcString) };
+        } catch (error) {
+            console.warn('ConsentVerifier: could not decode TC string:', error.message);
+            return null;
+        }
+    }
+}
+
+// Injected into the page (MAIN world) - must be self-contained
+function readConsentSignals() {
+    const withTimeout = (register) => new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(null), 1000);
+        try {
+            register((data, success) => {
+                clearTimeout(timer);
+                resolve(success === false ? null : data);
+            });
+        } catch (e) {
+            clearTimeout(timer);
+            resolve(null);
+        }
+    });
+
+    const tcf = typeof window.__tcfapi === 'function'
+        ? withTimeout(cb => window.__tcfapi('getTCData', 2, cb))
+        : Promise.resolve(null);
+    // Our own GPC stub (lib/signals/gpc-main.js) only echoes the user's signal, it says nothing about the site
+    const gpp = typeof window.__gpp === 'function' && !window.__gpp.myTermsStub
+        ? withTimeout(cb => window.__gpp('ping', cb))
+        : Promise.resolve(null);
+
+    return Promise.all([tcf, gpp]).then(([tcData, pingData]) => ({
+        tcString: tcData?.tcString || null,
+        gpp: pingData ? {
+            gppString: pingData.gppString || null,
+            applicableSections: pingData.applicableSections || [],
+            parsedSections: pingData.parsedSections || null
+        } : null
+    }));
+}
+
+// Export for use in Modules
+export default ConsentVerifier;
@@ -0,0 +1,465 @@
+// Versioned schema migrations for MyTermsExtensionDB
+// Each step runs once, in order, inside the upgrade (versionchange) transaction, so a
+// step that throws aborts the whole upgrade and IndexedDB keeps the previous version.
+// Before upgrading, every store is copied to a snapshot database so an upgrade that
+// completed but reshaped records wrongly can still be rolled back. The copy holds the
+// whole history, so it is only kept for SNAPSHOT_MAX_AGE_MS and is discarded whenever
+// records are cleared, pruned or encrypted.
+//
+// Steps may only wait on IndexedDB requests of the upgrade transaction: awaiting
+// anything else (timers, fetch, crypto) lets the transaction commit half-way.
+// With encryption on (vault.js), consent, agreement and handling records are sealed: steps
+// only see ENVELOPE_FIELDS and must leave the `sealed` payload alone.
+
+export const CONSENT_STORE = 'consentQueue';
+export const BATCH_STORE = 'processedBatches';
+export const AGREEMENT_STORE = 'agreementText';
+export const RULE_STATS_STORE = 'ruleStats';
+export const HANDLING_STORE = 'handlingAttempts';
+export const MIGRATIONS_STORE = 'schemaMigrations';
+
+const SNAPSHOT_STORE = 'snapshots';
+const SNAPSHOT_KEY = 'latest';
+// { fromVersion, takenAt, recordCount } without the records, for status and expiry
+const SNAPSHOT_INFO_KEY = 'info';
+const SNAPSHOT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Wrap an IDBRequest
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Visit every record of a store; visit(cursor) may update or delete it
+export function eachRecord(store, visit) {
+  return new Promise((resolve, reject) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      visit(cursor);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Stores created before migrations were tracked used contains() guards; keep them idempotent
+function createStore(db, name, options, indexes = []) {
+  if (db.objectStoreNames.contains(name)) return;
+  const store = db.createObjectStore(name, options);
+  indexes.forEach(([indexName, keyPath, indexOptions = { unique: false }]) => {
+    store.createIndex(indexName, keyPath, indexOptions);
+  });
+}
+
+function createIndex(store, name, keyPath, options = { unique: false }) {
+  if (!store.indexNames.contains(name)) {
+    store.createIndex(name, keyPath, options);
+  }
+}
+
+// Ordered steps. Never edit a released step: add a new one with the next version.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create-consent-and-batch-stores',
+    up({ db }) {
+      createStore(db, CONSENT_STORE, { keyPath: 'id', autoIncrement: true }, [
+        ['siteDomain', 'siteDomain'],
+        ['timestamp', 'timestamp'],
+        ['lastBatch', 'lastBatch']
+      ]);
+      createStore(db, BATCH_STORE, { keyPath: 'batchId', autoIncrement: true }, [
+        ['date', 'processedDate'],
+        ['txHash', 'transactionHash']
+      ]);
+    }
+  },
+  {
+    version: 2,
+    name: 'create-agreement-store',
+    up({ db }) {
+      // Unique hash is the key, no autoIncrement
+      createStore(db, AGREEMENT_STORE, { keyPath: 'termsHash' });
+    }
+  },
+  {
+    version: 3,
+    name: 'create-rule-stats-store',
+    up({ db }) {
+      // Per-site CMP rule outcomes, feeding detection confidence
+      createStore(db, RULE_STATS_STORE, { keyPath: ['siteDomain', 'ruleName'] }, [
+        ['siteDomain', 'siteDomain']
+      ]);
+    }
+  },
+  {
+    version: 4,
+    name: 'create-handling-attempts-store',
+    up({ db }) {
+      // Every banner handling attempt, for the dashboard's failure inbox
+      createStore(db, HANDLING_STORE, { keyPath: 'id', autoIncrement: true }, [
+        ['siteDomain', 'siteDomain'],
+        ['timestamp', 'timestamp'],
+        ['outcome', 'outcome']
+      ]);
+    }
+  },
+  {
+    version: 5,
+    name: 'index-consents-by-provider-and-engine',
+    up({ transaction }) {
+      const consents = transaction.objectStore(CONSENT_STORE);
+      createIndex(consents, 'cmpProvider', 'cmpProvider');
+      createIndex(consents, 'detectionEngine', 'detectionEngine');
+    }
+  },
+  {
+    version: 6,
+    name: 'backfill-consent-decision-fields',
+    // Records from before the rule engine lack decisionType/detectionEngine
+    up({ transaction }) {
+      return eachRecord(transaction.objectStore(CONSENT_STORE), (cursor) => {
+        const consent = cursor.value;
+        const changes = {};
+
+        if (!consent.decisionType) {
+          changes.decisionType = consent.accepted ? 'accept' : 'decline';
+        }
+        if (!consent.detectionEngine) {
+          changes.detectionEngine = consent.automationSource === 'Consent-O-Matic Rules' ? 'rules'
+            : consent.automationSource === 'User' ? 'manual'
+              : 'heuristic';
+        }
+        if (consent.cmpProvider === undefined) {
+          changes.cmpProvider = null;
+        }
+
+        if (Object.keys(changes).length > 0) {
+          cursor.update({ ...consent, ...changes });
+        }
+      });
+    }
+  },
+  {
+    version: 7,
+    name: 'split-banner-text-into-agreements',
+    // Heuristic consents carried the banner text inline; it belongs in the agreement
+    // store, keyed by termsHash, where the Agreements view finds it
+    up({ transaction }) {
+      const agreements = transaction.objectStore(AGREEMENT_STORE);
+
+      return eachRecord(transaction.objectStore(CONSENT_STORE), (cursor) => {
+        const { bannerContent, ...consent } = cursor.value;
+        if (bannerContent === undefined) return;
+
+        if (bannerContent && consent.termsHash) {
+          agreements.get(consent.termsHash).onsuccess = (event) => {
+            if (event.target.result) return;
+            agreements.add({
+              termsHash: consent.termsHash,
+              text: bannerContent,
+              url: consent.url,
+              siteDomain: consent.siteDomain,
+              firstSeen: consent.timestamp || Date.now()
+            });
+          };
+        }
+        cursor.update(consent);
+      });
+    }
+  },
+  {
+    version: 8,
+    name: 'index-consents-for-queries',
+    // Compound [field, timestamp] indexes let ConsentStorage.queryConsents filter and
+    // page newest-first without reading the whole store. Booleans aren't valid
+    // IndexedDB keys, so batched state gets a string twin: batchState.
+    up({ transaction }) {
+      const consents = transaction.objectStore(CONSENT_STORE);
+      createIndex(consents, 'siteDomain_timestamp', ['siteDomain', 'timestamp']);
+      createIndex(consents, 'decisionType_timestamp', ['decisionType', 'timestamp']);
+      createIndex(consents, 'cmpProvider_timestamp', ['cmpProvider', 'timestamp']);
+      createIndex(consents, 'batchState_timestamp', ['batchState', 'timestamp']);
+
+      return eachRecord(consents, (cursor) => {
+        const batchState = cursor.value.batched ? 'batched' : 'pending';
+        if (cursor.value.batchState !== batchState) {
+          cursor.update({ ...cursor.value, batchState });
+        }
+      });
+    }
+  },
+  {
+    version: 9,
+    name: 'reduce-batch-site-data-to-hashes',
+    // Batch records carried every consent of the batch (url, preferences, TCF data)
+    // as `siteData`, in the clear even with encryption on. Keep ids and hashes per
+    // site group, in the order the sites were submitted.
+    up({ transaction }) {
+      return eachRecord(transaction.objectStore(BATCH_STORE), (cursor) => {
+        const { siteData, ...batch } = cursor.value;
+        if (siteData === undefined) return;
+
+        const groups = siteData && typeof siteData === 'object' && !Array.isArray(siteData)
+          ? Object.values(siteData).map(consents => ({
+            consentIds: consents.map(consent => consent.id),
+            termsHashes: consents.map(consent => consent.termsHash)
+          }))
+          : [];
+        cursor.update({ ...batch, groups });
+      });
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run the steps between oldVersion and targetVersion inside an upgrade transaction
+ * and record each one in the schemaMigrations store.
+ * @returns {Promise<Array<{ version, name }>>} the steps that ran
+ */
+export async function runMigrations(db, transaction, oldVersion, targetVersion = SCHEMA_VERSION) {
+  const tracked = db.objectStoreNames.contains(MIGRATIONS_STORE);
+  if (!tracked) {
+    db.createObjectStore(MIGRATIONS_STORE, { keyPath: 'version' });
+  }
+  const history = transaction.objectStore(MIGRATIONS_STORE);
+
+  // Steps that ran before migrations were tracked
+  if (!tracked) {
+    MIGRATIONS
+      .filter(migration => migration.version <= oldVersion)
+      .forEach(({ version, name }) => history.put({ version, name, appliedAt: null, baseline: true }));
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > oldVersion && migration.version <= targetVersion);
+  for (const migration of pending) {
+    console.log(`DB migration ${migration.version}: ${migration.name}`);
+    const startedAt = Date.now();
+    await migration.up({ db, transaction });
+    history.put({
+      version: migration.version,
+      name: migration.name,
+      fromVersion: oldVersion,
+      appliedAt: Date.now(),
+      durationMs: Date.now() - startedAt
+    });
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+// Version of an existing database, 0 when it doesn't exist yet
+export async function getExistingVersion(dbName, factory = indexedDB) {
+  const databases = await factory.databases();
+  return databases.find(info => info.name === dbName)?.version || 0;
+}
+
+const snapshotDBName = dbName => `${dbName}-snapshot`;
+
+function openSnapshotDB(dbName, factory) {
+  const request = factory.open(snapshotDBName(dbName), 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(SNAPSHOT_STORE);
+  };
+  return promisifyRequest(request);
+}
+
+/**
+ * Copy every store of the database (at its current version) into `<dbName>-snapshot`.
+ * Only the latest snapshot is kept.
+ */
+export async function takeSnapshot(dbName, factory = indexedDB) {
+  const db = await promisifyRequest(factory.open(dbName));
+  const stores = {};
+  try {
+    const storeNames = Array.from(db.objectStoreNames);
+    if (storeNames.length > 0) {
+      const transaction = db.transaction(storeNames, 'readonly');
+      for (const name of storeNames) {
+        stores[name] = await promisifyRequest(transaction.objectStore(name).getAll());
+      }
+    }
+  } finally {
+    db.close();
+  }
+
+  const snapshot = {
+    fromVersion: db.version,
+    takenAt: Date.now(),
+    recordCount: Object.values(stores).reduce((sum, records) => sum + records.length, 0),
+    stores
+  };
+
+  const snapshotDB = await openSnapshotDB(dbName, factory);
+  try {
+    const transaction = snapshotDB.transaction([SNAPSHOT_STORE], 'readwrite');
+    const { fromVersion, takenAt, recordCount } = snapshot;
+    transaction.objectStore(SNAPSHOT_STORE).put(snapshot, SNAPSHOT_KEY);
+    transaction.objectStore(SNAPSHOT_STORE).put({ fromVersion, takenAt, recordCount }, SNAPSHOT_INFO_KEY);
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    snapshotDB.close();
+  }
+
+  console.log(`DB snapshot of v${snapshot.fromVersion} taken (${snapshot.recordCount} records)`);
+  return snapshot;
+}
+
+export async function loadSnapshot(dbName, factory = indexedDB) {
+  const snapshotDB = await openSnapshotDB(dbName, factory);
+  try {
+    const transaction = snapshotDB.transaction([SNAPSHOT_STORE], 'readonly');
+    return (await promisifyRequest(transaction.objectStore(SNAPSHOT_STORE).get(SNAPSHOT_KEY))) || null;
+  } finally {
+    snapshotDB.close();
+  }
+}
+
+// { fromVersion, takenAt, recordCount } of the latest snapshot, without reading its records
+export async function loadSnapshotInfo(dbName, factory = indexedDB) {
+  if (!(await getExistingVersion(snapshotDBName(dbName), factory))) return null;
+
+  const snapshotDB = await openSnapshotDB(dbName, factory);
+  try {
+    const transaction = snapshotDB.transaction([SNAPSHOT_STORE], 'readonly');
+    const info = await promisifyRequest(transaction.objectStore(SNAPSHOT_STORE).get(SNAPSHOT_INFO_KEY));
+    if (info) return info;
+
+    // Snapshots taken before the info record existed
+    const snapshot = await promisifyRequest(transaction.objectStore(SNAPSHOT_STORE).get(SNAPSHOT_KEY));
+    return snapshot ? { fromVersion: snapshot.fromVersion, takenAt: snapshot.takenAt, recordCount: snapshot.recordCount } : null;
+  } finally {
+    snapshotDB.close();
+  }
+}
+
+// Delete the snapshot database, e.g. once the records it copied were cleared or pruned
+export async function discardSnapshot(dbName, factory = indexedDB) {
+  if (!(await getExistingVersion(snapshotDBName(dbName), factory))) return false;
+
+  await new Promise((resolve, reject) => {
+    const request = factory.deleteDatabase(snapshotDBName(dbName));
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+  console.log('DB snapshot discarded');
+  return true;
+}
+
+/**
+ * Open the database, snapshotting and migrating it to targetVersion first if needed.
+ * Once the database is current, a snapshot older than SNAPSHOT_MAX_AGE_MS is discarded.
+ * A failed upgrade is aborted as a whole; the database is then opened at the version
+ * it already had and the error is returned alongside it.
+ * @returns {Promise<{ db: IDBDatabase, migrated: Array<{ version, name }>, error: Error|null }>}
+ */
+export async function openMigratedDB(dbName, { targetVersion = SCHEMA_VERSION, factory = indexedDB } = {}) {
+  const existingVersion = await getExistingVersion(dbName, factory);
+
+  if (existingVersion > 0 && existingVersion < targetVersion) {
+    try {
+      await takeSnapshot(dbName, factory);
+    } catch (error) {
+      // The upgrade itself is still atomic; only the post-upgrade rollback is lost
+      console.warn('DB snapshot failed, upgrading without one:', error);
+    }
+  }
+
+  let migrated = [];
+  try {
+    const db = await new Promise((resolve, reject) => {
+      const request = factory.open(dbName, targetVersion);
+
+      request.onupgradeneeded = (event) => {
+        const transaction = request.transaction;
+        runMigrations(request.result, transaction, event.oldVersion, targetVersion)
+          .then((steps) => { migrated = steps; })
+          .catch((error) => {
+            console.error('DB migration failed, rolling back upgrade:', error);
+            try {
+              transaction.abort();
+            } catch (abortError) {
+              // Already finished: the step awaited something other than this transaction
+            }
+          });
+      };
+      request.onblocked = () => console.warn('DB upgrade waiting for other tabs to close the database');
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    if (migrated.length === 0) {
+      const snapshot = await loadSnapshotInfo(dbName, factory).catch(() => null);
+      if (snapshot && Date.now() - snapshot.takenAt > SNAPSHOT_MAX_AGE_MS) {
+        await discardSnapshot(dbName, factory).catch(error => console.warn('Failed to discard DB snapshot:', error));
+      }
+    }
+    return { db, migrated, error: null };
+  } catch (error) {
+    if (existingVersion === 0) throw error;
+
+    // Keep working with the schema the data is already in
+    const db = await promisifyRequest(factory.open(dbName, existingVersion));
+    return { db, migrated: [], error };
+  }
+}
+
+/**
+ * Replace the database with the latest snapshot: recreate it at the snapshot's
+ * version and write every record back. The caller must close its connection first,
+ * and reopen through openMigratedDB: code expects the current schema, not the
+ * snapshot's.
+ * @returns {Promise<IDBDatabase>} open at the snapshot's version
+ */
+export async function restoreSnapshot(dbName, factory = indexedDB) {
+  const snapshot = await loadSnapshot(dbName, factory);
+  if (!snapshot) {
+    throw new Error('No snapshot to restore');
+  }
+
+  await new Promise((resolve, reject) => {
+    const request = factory.deleteDatabase(dbName);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('DB restore waiting for other tabs to close the database');
+  });
+
+  const db = await new Promise((resolve, reject) => {
+    const request = factory.open(dbName, snapshot.fromVersion);
+    request.onupgradeneeded = (event) => {
+      runMigrations(request.result, request.transaction, event.oldVersion, snapshot.fromVersion)
+        .catch(() => request.transaction.abort());
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  const storeNames = Object.keys(snapshot.stores).filter(name => db.objectStoreNames.contains(name));
+  const transaction = db.transaction(storeNames, 'readwrite');
+  storeNames.forEach((name) => {
+    const store = transaction.objectStore(name);
+    store.clear();
+    // Out-of-line keys aren't used by any store, so put(record) restores ids too
+    snapshot.stores[name].forEach(record => store.put(record));
+  });
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  console.log(`DB restored to v${snapshot.fromVersion} from snapshot taken ${new Date(snapshot.takenAt).toISOString()}`);
+  return db;
+}
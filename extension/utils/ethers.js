@@ -4,6 +4,148 @@
 import { ethers } from './ethers-v6.js';
 import { walletManager } from './wallet-manager.js';
 
+// ABI for MyTermsConsentLedger (shared by every supported network)
+const CONSENT_LEDGER_ABI = [
+  {
+    "inputs": [
+      { "internalType": "string[]", "name": "sites", "type": "string[]" },
+      { "internalType": "bytes32[]", "name": "hashes", "type": "bytes32[]" }
+    ],
+    "name": "logConsentBatch",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "internalType": "string", "name": "site", "type": "string" },
+      { "internalType": "bytes32", "name": "termsHash", "type": "bytes32" }
+    ],
+    "name": "logConsent",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "internalType": "string[]", "name": "sites", "type": "string[]" },
+      { "internalType": "bytes32[]", "name": "hashes", "type": "bytes32[]" }
+    ],
+    "name": "revokeConsentBatch",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "internalType": "string", "name": "site", "type": "string" },
+      { "internalType": "bytes32", "name": "termsHash", "type": "bytes32" }
+    ],
+    "name": "revokeConsent",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "internalType": "bytes32", "name": "root", "type": "bytes32" },
+      { "internalType": "uint256", "name": "count", "type": "uint256" }
+    ],
+    "name": "logConsentRoot",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "internalType": "address", "name": "", "type": "address" },
+      { "internalType": "bytes32", "name": "", "type": "bytes32" }
+    ],
+    "name": "rootAnchoredAt",
+    "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "internalType": "bytes32[]", "name": "proof", "type": "bytes32[]" },
+      { "internalType": "bytes32", "name": "root", "type": "bytes32" },
+      { "internalType": "bytes32", "name": "leaf", "type": "bytes32" }
+    ],
+    "name": "verifyConsentProof",
+    "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }],
+    "stateMutability": "pure",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "internalType": "address", "name": "user", "type": "address" },
+      { "internalType": "string[]", "name": "sites", "type": "string[]" },
+      { "internalType": "bytes32[]", "name": "hashes", "type": "bytes32[]" },
+      { "internalType": "uint256", "name": "deadline", "type": "uint256" },
+      { "internalType": "bytes", "name": "signature", "type": "bytes" }
+    ],
+    "name": "logConsentBatchWithSig",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [{ "internalType": "address", "name": "", "type": "address" }],
+    "name": "nonces",
+    "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": true, "internalType": "address", "name": "user", "type": "address" },
+      { "indexed": false, "internalType": "string", "name": "siteDomain", "type": "string" },
+      { "indexed": false, "internalType": "bytes32", "name": "termsHash", "type": "bytes32" },
+      { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }
+    ],
+    "name": "ConsentLogged",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": true, "internalType": "address", "name": "user", "type": "address" },
+      { "indexed": false, "internalType": "string", "name": "siteDomain", "type": "string" },
+      { "indexed": false, "internalType": "bytes32", "name": "termsHash", "type": "bytes32" },
+      { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }
+    ],
+    "name": "ConsentRevoked",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": true, "internalType": "address", "name": "user", "type": "address" },
+      { "indexed": true, "internalType": "bytes32", "name": "root", "type": "bytes32" },
+      { "indexed": false, "internalType": "uint256", "name": "count", "type": "uint256" },
+      { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }
+    ],
+    "name": "ConsentRootAnchored",
+    "type": "event"
+  }
+];
+
+// EIP-712 typed data for gasless batches (must match the contract's CONSENT_BATCH_TYPEHASH)
+const CONSENT_BATCH_TYPES = {
+  ConsentBatch: [
+    { name: 'user', type: 'address' },
+    { name: 'sites', type: 'string[]' },
+    { name: 'hashes', type: 'bytes32[]' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Local relayer started with `npm run relayer`
+const DEFAULT_RELAYER_URL = 'http://localhost:8546/relay';
+
 class MyTermsEthers {
   constructor() {
     this.contract = null;
@@ -133,39 +275,7 @@ class MyTermsEthers {
       const networks = {
         'sepolia': {
           address: '0x0bF53DB13EDe40046a7232845571a93B1cceFF5f', // Deployed MyTermsConsentLedger
-          abi: [
-            {
-              "inputs": [
-                { "internalType": "string[]", "name": "sites", "type": "string[]" },
-                { "internalType": "bytes32[]", "name": "hashes", "type": "bytes32[]" }
-              ],
-              "name": "logConsentBatch",
-              "outputs": [],
-              "stateMutability": "nonpayable",
-              "type": "function"
-            },
-            {
-              "inputs": [
-                { "internalType": "string", "name": "site", "type": "string" },
-                { "internalType": "bytes32", "name": "termsHash", "type": "bytes32" }
-              ],
-              "name": "logConsent",
-              "outputs": [],
-              "stateMutability": "nonpayable",
-              "type": "function"
-            },
-            {
-              "anonymous": false,
-              "inputs": [
-                { "indexed": true, "internalType": "address", "name": "user", "type": "address" },
-                { "indexed": false, "internalType": "string", "name": "siteDomain", "type": "string" },
-                { "indexed": false, "internalType": "bytes32", "name": "termsHash", "type": "bytes32" },
-                { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }
-              ],
-              "name": "ConsentLogged",
-              "type": "event"
-            }
-          ]
+          abi: CONSENT_LEDGER_ABI
         },
         'mainnet': {
           address: '0x0000000000000000000000000000000000000000', // Placeholder
@@ -173,39 +283,7 @@ class MyTermsEthers {
         },
         'localhost': {
           address: '0x5FbDB2315678afecb367f032d93F642f64180aa3', // Default Hardhat deployment address
-          abi: [
-            {
-              "inputs": [
-                { "internalType": "string[]", "name": "sites", "type": "string[]" },
-                { "internalType": "bytes32[]", "name": "hashes", "type": "bytes32[]" }
-              ],
-              "name": "logConsentBatch",
-              "outputs": [],
-              "stateMutability": "nonpayable",
-              "type": "function"
-            },
-            {
-              "inputs": [
-                { "internalType": "string", "name": "site", "type": "string" },
-                { "internalType": "bytes32", "name": "termsHash", "type": "bytes32" }
-              ],
-              "name": "logConsent",
-              "outputs": [],
-              "stateMutability": "nonpayable",
-              "type": "function"
-            },
-            {
-              "anonymous": false,
-              "inputs": [
-                { "indexed": true, "internalType": "address", "name": "user", "type": "address" },
-                { "indexed": false, "internalType": "string", "name": "siteDomain", "type": "string" },
-                { "indexed": false, "internalType": "bytes32", "name": "termsHash", "type": "bytes32" },
-                { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }
-              ],
-              "name": "ConsentLogged",
-              "type": "event"
-            }
-          ]
+          abi: CONSENT_LEDGER_ABI
         }
       };
 
@@ -404,6 +482,163 @@ class MyTermsEthers {
     }
   }
 
+  // Anchor a Merkle root covering a whole batch (sites stay off-chain)
+  async submitConsentRoot(root, count) {
+    if (!this.isReady()) {
+      throw new Error('Wallet not connected or contract not initialized');
+    }
+
+    try {
+      console.log(`Anchoring Merkle root for ${count} consents:`, root);
+
+      const tx = await this.contract.logConsentRoot(root, count);
+      console.log('Transaction submitted:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('Transaction confirmed in block:', receipt.blockNumber);
+
+      return {
+        hash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        confirmations: receipt.confirmations,
+        from: receipt.from,
+        contractAddress: this.contractAddress
+      };
+    } catch (error) {
+      console.error('Failed to anchor consent root:', error);
+
+      // Handle specific errors
+      if (error.code === 'ACTION_REJECTED') {
+        throw new Error('Transaction rejected by user');
+      } else if (error.code === 'INSUFFICIENT_FUNDS') {
+        throw new Error('Insufficient funds for transaction');
+      } else {
+        throw new Error(`Transaction failed: ${error.message} `);
+      }
+    }
+  }
+
+  // Sign a consent batch as EIP-712 typed data so a relayer can submit it
+  async signConsentBatch(siteDomains, termsHashes, deadline) {
+    if (!this.isReady()) {
+      throw new Error('Wallet not connected or contract not initialized');
+    }
+
+    const wallet = this.getConnectedWallet();
+    const user = await wallet.signer.getAddress();
+    const network = await wallet.provider.getNetwork();
+    const nonce = await this.contract.nonces(user);
+
+    // Default: signature valid for one hour
+    const validUntil = deadline || Math.floor(Date.now() / 1000) + 60 * 60;
+
+    const domain = {
+      name: 'MyTermsConsentLedger',
+      version: '1',
+      chainId: network.chainId,
+      verifyingContract: this.contractAddress
+    };
+
+    const value = {
+      user,
+      sites: siteDomains,
+      hashes: termsHashes,
+      nonce,
+      deadline: validUntil
+    };
+
+    console.log(`Requesting EIP-712 signature for ${siteDomains.length} consents (nonce ${nonce})`);
+    const signature = await walletManager.signTypedData(domain, CONSENT_BATCH_TYPES, value);
+
+    return {
+      user,
+      sites: siteDomains,
+      hashes: termsHashes,
+      nonce: nonce.toString(),
+      deadline: validUntil,
+      signature
+    };
+  }
+
+  // Hand a signed batch to the relayer, which pays gas and submits it
+  async submitToRelayer(signedBatch, relayerUrl = DEFAULT_RELAYER_URL) {
+    console.log('Sending signed batch to relayer:', relayerUrl);
+
+    const response = await fetch(relayerUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(signedBatch)
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+      throw new Error(`Relayer rejected batch: ${result.error || response.statusText}`);
+    }
+
+    console.log('Relayed transaction confirmed in block:', result.blockNumber);
+
+    return {
+      hash: result.hash,
+      blockNumber: result.blockNumber,
+      gasUsed: result.gasUsed,
+      confirmations: 1,
+      from: signedBatch.user,
+      relayed: true
+    };
+  }
+
+  // Submit whatever ConsentManager.prepareConsentBatch produced
+  async submitPreparedBatch(batchData) {
+    if (batchData.mode === 'merkle') {
+      return this.submitConsentRoot(batchData.root, batchData.count);
+    }
+    if (batchData.mode === 'relayed') {
+      const signedBatch = await this.signConsentBatch(batchData.sites, batchData.hashes);
+      return this.submitToRelayer(signedBatch);
+    }
+    return this.submitConsentBatch(batchData.sites, batchData.hashes);
+  }
+
+  // Revoke previously logged consents (GDPR withdrawal)
+  // siteDomains/termsHashes must match the original ConsentLogged entries
+  async submitRevocationBatch(siteDomains, termsHashes) {
+    if (!this.isReady()) {
+      throw new Error('Wallet not connected or contract not initialized');
+    }
+
+    try {
+      console.log(`Submitting revocation of ${siteDomains.length} consents to blockchain...`);
+
+      const tx = siteDomains.length === 1
+        ? await this.contract.revokeConsent(siteDomains[0], termsHashes[0])
+        : await this.contract.revokeConsentBatch(siteDomains, termsHashes);
+      console.log('Transaction submitted:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('Transaction confirmed in block:', receipt.blockNumber);
+
+      return {
+        hash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        confirmations: receipt.confirmations
+      };
+    } catch (error) {
+      console.error('Failed to submit revocation:', error);
+
+      // Handle specific errors
+      if (error.code === 'ACTION_REJECTED') {
+        throw new Error('Transaction rejected by user');
+      } else if (error.code === 'INSUFFICIENT_FUNDS') {
+        throw new Error('Insufficient funds for transaction');
+      } else {
+        throw new Error(`Transaction failed: ${error.message} `);
+      }
+    }
+  }
+
   // Generate hash from terms content (SHA-256)
   async generateTermsHash(termsContent) {
     // Wallet check removed to allow background script usage
@@ -456,6 +691,32 @@ class MyTermsEthers {
     }
   }
 
+  // Query past revocation events
+  async queryRevocationEvents(filter = {}) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      const eventFilter = this.contract.filters.ConsentRevoked(filter.user);
+      const events = await this.contract.queryFilter(eventFilter);
+
+      return events
+        .filter(event => !filter.site || event.args.siteDomain === filter.site)
+        .map(event => ({
+          user: event.args.user,
+          site: event.args.siteDomain,
+          termsHash: event.args.termsHash,
+          timestamp: new Date(Number(event.args.timestamp) * 1000),
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash
+        }));
+    } catch (error) {
+      console.error('Failed to query revocation events:', error);
+      throw error;
+    }
+  }
+
   // Get current gas price
   async getGasPrice() {
     const wallet = this.getConnectedWallet();
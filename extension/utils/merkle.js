@@ -0,0 +1,100 @@
+// Merkle tree helpers for anchoring consent batches as a single root
+// Must stay in sync with MyTermsConsentLedger.verifyConsentProof (sorted-pair keccak256)
+
+import { ethers } from './ethers-v6.js';
+
+const LEAF_TYPES = ['string', 'bytes32', 'bool', 'uint256'];
+
+class ConsentMerkleTree {
+  constructor(leaves) {
+    if (!leaves || leaves.length === 0) {
+      throw new Error('Cannot build Merkle tree without leaves');
+    }
+
+    this.layers = [leaves];
+
+    // Build layers bottom-up; an odd node is carried up unchanged
+    while (this.layers[this.layers.length - 1].length > 1) {
+      const current = this.layers[this.layers.length - 1];
+      const next = [];
+
+      for (let i = 0; i < current.length; i += 2) {
+        next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+      }
+
+      this.layers.push(next);
+    }
+  }
+
+  // Build a tree directly from consent records (order is preserved)
+  static fromConsents(consents) {
+    return new ConsentMerkleTree(consents.map(c => hashConsentLeaf(c)));
+  }
+
+  get root() {
+    return this.layers[this.layers.length - 1][0];
+  }
+
+  getLeaf(index) {
+    return this.layers[0][index];
+  }
+
+  // Sibling hashes from leaf to root
+  getProof(index) {
+    const proof = [];
+
+    for (let level = 0; level < this.layers.length - 1; level++) {
+      const layer = this.layers[level];
+      const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+
+      if (siblingIndex < layer.length) {
+        proof.push(layer[siblingIndex]);
+      }
+
+      index = Math.floor(index / 2);
+    }
+
+    return proof;
+  }
+}
+
+// Sorted-pair hashing so proofs don't need left/right flags
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+// Standard templates use plain ids as termsHash, so normalize to bytes32
+function toBytes32(termsHash) {
+  if (!termsHash) return ethers.ZeroHash;
+  if (ethers.isHexString(termsHash, 32)) return termsHash;
+  return ethers.keccak256(ethers.toUtf8Bytes(String(termsHash)));
+}
+
+// Fields committed to by a leaf, in encoding order
+function getLeafValues(consent) {
+  return [
+    consent.siteDomain,
+    toBytes32(consent.termsHash),
+    consent.decisionType ? consent.decisionType === 'accept' : !!consent.accepted,
+    BigInt(consent.timestamp)
+  ];
+}
+
+// leaf = keccak256(keccak256(abi.encode(siteDomain, termsHash, accepted, timestamp)))
+// Double hashing keeps a leaf from being confused with an inner node
+function hashConsentLeaf(consent) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(LEAF_TYPES, getLeafValues(consent));
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+function verifyConsentProof(proof, root, leaf) {
+  let computed = leaf;
+  for (const sibling of proof) {
+    computed = hashPair(computed, sibling);
+  }
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+export { ConsentMerkleTree, LEAF_TYPES, getLeafValues, hashConsentLeaf, verifyConsentProof };
@@ -0,0 +1,78 @@
+// Who may send which background message
+//
+// Content scripts run in every frame of every page, and the dashboard bridge in
+// content.js relays page messages with the content script as sender. Only the
+// messages content scripts send about their own page are accepted from any page;
+// everything else (history, backups, rules, settings) needs an extension page or
+// the top frame of the wallet dashboard at the address the user set.
+
+// Origin of the wallet dashboard (serve-dashboard.js), set from an extension page.
+// Unset by default: whatever else listens on localhost is not trusted.
+export const DASHBOARD_ORIGIN_KEY = 'dashboardOrigin';
+
+// Sent by content scripts about the page they run in
+export const PAGE_MESSAGES = new Set([
+  'CONSENT_CAPTURED',
+  'CONSENT_CAPTURED_V2',
+  'CLAIM_BANNER',
+  'GET_RULE_STATS',
+  'RECORD_RULE_OUTCOME',
+  'RECORD_HANDLING_ATTEMPT',
+  'REPORT_DETECTION_SCORES',
+  'SAVE_RECORDED_RULE' // Only honoured for a tab the popup armed (ConsentManager.saveRecordedRule)
+]);
+
+// Only extension pages may change who else is trusted
+export const EXTENSION_PAGE_MESSAGES = new Set([
+  'SET_DASHBOARD_ORIGIN'
+]);
+
+export async function getDashboardOrigin() {
+  const result = await chrome.storage.local.get(DASHBOARD_ORIGIN_KEY);
+  return result[DASHBOARD_ORIGIN_KEY] || null;
+}
+
+// Stores the origin of an http(s) URL; empty clears it
+export async function setDashboardOrigin(url) {
+  if (!url) {
+    await chrome.storage.local.remove(DASHBOARD_ORIGIN_KEY);
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!['http:', 'https:'].includes(parsed?.protocol)) {
+    throw new Error('Dashboard address must be an http(s) URL');
+  }
+  await chrome.storage.local.set({ [DASHBOARD_ORIGIN_KEY]: parsed.origin });
+  return parsed.origin;
+}
+
+function senderOrigin(sender) {
+  if (sender.origin) return sender.origin;
+  try {
+    return new URL(sender.url).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function isExtensionPage(sender, extensionUrl = chrome.runtime.getURL('')) {
+  return Boolean(sender?.url?.startsWith(extensionUrl));
+}
+
+// An extension page (popup, dashboard), or the top frame of the wallet dashboard
+export function isTrustedSender(sender, dashboardOrigin = null, extensionUrl = chrome.runtime.getURL('')) {
+  if (!sender) return false;
+  if (isExtensionPage(sender, extensionUrl)) return true;
+  return Boolean(dashboardOrigin) && sender.frameId === 0 && senderOrigin(sender) === dashboardOrigin;
+}
+
+export function isAllowedMessage(type, sender, dashboardOrigin = null) {
+  if (EXTENSION_PAGE_MESSAGES.has(type)) return isExtensionPage(sender);
+  return PAGE_MESSAGES.has(type) || isTrustedSender(sender, dashboardOrigin);
+}
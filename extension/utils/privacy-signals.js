@@ -0,0 +1,65 @@
+// Standard opt-out signals derived from the saved privacy profile:
+// - Sec-GPC: 1 request header (declarativeNetRequest dynamic rule)
+// - navigator.globalPrivacyControl and a __gpp opt-out API (MAIN-world script, lib/signals/gpc-main.js)
+
+const GPC_RULE_ID = 1;
+const GPC_SCRIPT_ID = 'myterms-gpc';
+
+// usnat opt-out with the GPC subsection set; must match lib/signals/gpc-main.js
+export const GPP_OPT_OUT_STRING = 'DBABLA~BAAVVVVVVgA.YA';
+
+const ALL_RESOURCE_TYPES = [
+  'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+  'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'webtransport',
+  'webbundle', 'other'
+];
+
+/**
+ * Which signals the profile asks for.
+ * GPC means "do not sell or share", so it's only sent while marketing isn't allowed.
+ */
+export function buildPrivacySignals(preferences = {}) {
+  const gpc = preferences.globalPrivacyControl === true &&
+    (preferences.denyAll === true || preferences.marketing !== true);
+
+  return {
+    gpc,
+    secGpcHeader: gpc,
+    gppString: gpc ? GPP_OPT_OUT_STRING : null
+  };
+}
+
+// Install or remove the header rule and MAIN-world script to match the profile
+export async function applyPrivacySignals(preferences = {}) {
+  const signals = buildPrivacySignals(preferences);
+
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: [GPC_RULE_ID],
+    addRules: signals.secGpcHeader ? [{
+      id: GPC_RULE_ID,
+      priority: 1,
+      action: {
+        type: 'modifyHeaders',
+        requestHeaders: [{ header: 'Sec-GPC', operation: 'set', value: '1' }]
+      },
+      condition: { resourceTypes: ALL_RESOURCE_TYPES }
+    }] : []
+  });
+
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [GPC_SCRIPT_ID] });
+  if (signals.gpc && registered.length === 0) {
+    await chrome.scripting.registerContentScripts([{
+      id: GPC_SCRIPT_ID,
+      matches: ['https://*/*', 'http://*/*'],
+      js: ['lib/signals/gpc-main.js'],
+      runAt: 'document_start',
+      allFrames: true,
+      world: 'MAIN'
+    }]);
+  } else if (!signals.gpc && registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [GPC_SCRIPT_ID] });
+  }
+
+  console.log('Privacy signals applied:', signals);
+  return signals;
+}
@@ -0,0 +1,160 @@
+// Data retention: how long each local store keeps its records.
+// Stored in chrome.storage.sync as `retentionPolicy`: { "<store>": { mode, days } }.
+//
+//   forever  - nothing is removed (the default for every store)
+//   days     - records older than `days` are deleted
+//   hashes   - records older than `days` are reduced to their hashes
+//   anchored - banner text is removed once every consent with its hash is anchored
+//
+// Pending consents are never reduced, only deleted in `days` mode.
+// Anchored records are never deleted outright: they are reduced to their proof
+// material (the Merkle leaf preimage, batch/Merkle fields), and the agreement hash
+// and batch they point to are kept with them, so the local proof survives any policy.
+
+import { CONSENT_STORE, BATCH_STORE, AGREEMENT_STORE, RULE_STATS_STORE, HANDLING_STORE } from './db-migrations.js';
+
+const STORAGE_KEY = 'retentionPolicy';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 90;
+
+// mode -> label shown in the dashboard
+export const RETENTION_MODES = {
+  forever: 'Keep forever',
+  days: 'Delete after N days',
+  hashes: 'Keep only hashes after N days',
+  anchored: 'Strip banner text once anchored'
+};
+
+// Per store: dashboard label, modes it offers and the field that dates a record
+export const RETENTION_STORES = {
+  [CONSENT_STORE]: { label: 'Consent history', modes: ['forever', 'days', 'hashes'], dateField: 'timestamp' },
+  [AGREEMENT_STORE]: { label: 'Banner texts', modes: ['forever', 'days', 'hashes', 'anchored'], dateField: 'firstSeen' },
+  [BATCH_STORE]: { label: 'Batch history', modes: ['forever', 'days'], dateField: 'processedDate' },
+  [HANDLING_STORE]: { label: 'Banner handling log', modes: ['forever', 'days'], dateField: 'timestamp' },
+  [RULE_STATS_STORE]: { label: 'Rule statistics', modes: ['forever', 'days'], dateField: 'updatedAt' }
+};
+
+// What a reduced record keeps. Apart from an anchored consent's siteDomain, all of it
+// is in a sealed record's envelope.
+const PRUNED_FIELDS = {
+  [CONSENT_STORE]: [
+    'id', 'timestamp', 'termsHash', 'accepted', 'decisionType', 'batched', 'batchState', 'batchedAt', 'batchId',
+    'lastBatch', 'merkleProof', 'revoked', 'revokedAt', 'revocationTxHash'
+  ],
+  [AGREEMENT_STORE]: ['termsHash', 'firstSeen'],
+  [BATCH_STORE]: ['batchId', 'processedDate', 'transactionHash', 'consentIds', 'groups', 'gasUsed', 'blockNumber', 'mode', 'merkleRoot']
+};
+
+// Kept as well once a consent is anchored: the rest of its Merkle leaf preimage
+// (merkle.js getLeafValues). On a sealed record it is inside the sealed payload, so
+// ConsentStorage.applyRetention opens those first.
+export const ANCHORED_FIELDS = {
+  [CONSENT_STORE]: ['siteDomain']
+};
+
+export const DEFAULT_RETENTION = Object.fromEntries(
+  Object.keys(RETENTION_STORES).map(storeName => [storeName, { mode: 'forever', days: DEFAULT_DAYS }])
+);
+
+// A complete policy from a partial one; throws on modes a store doesn't offer
+export function normalizeRetentionPolicy(policy = {}) {
+  return Object.fromEntries(Object.entries(RETENTION_STORES).map(([storeName, { label, modes }]) => {
+    const { mode, days } = { ...DEFAULT_RETENTION[storeName], ...policy[storeName] };
+    if (!modes.includes(mode)) {
+      throw new Error(`${label} cannot use retention mode: ${mode}`);
+    }
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(`${label}: retention period must be a whole number of days`);
+    }
+    return [storeName, { mode, days }];
+  }));
+}
+
+export async function getRetentionPolicy() {
+  const result = await chrome.storage.sync.get([STORAGE_KEY]);
+  try {
+    return normalizeRetentionPolicy(result[STORAGE_KEY]);
+  } catch (error) {
+    console.warn('Ignoring invalid retention policy:', error.message);
+    return DEFAULT_RETENTION;
+  }
+}
+
+export async function setRetentionPolicy(policy) {
+  const normalized = normalizeRetentionPolicy(policy);
+  await chrome.storage.sync.set({ [STORAGE_KEY]: normalized });
+  return normalized;
+}
+
+// The record cut down to PRUNED_FIELDS, marked with when that happened
+export function pruneRecord(storeName, record, now = Date.now()) {
+  const pruned = { prunedAt: now };
+  const fields = record.batched ? [...PRUNED_FIELDS[storeName], ...(ANCHORED_FIELDS[storeName] || [])] : PRUNED_FIELDS[storeName];
+  fields.forEach(field => {
+    if (record[field] !== undefined) pruned[field] = record[field];
+  });
+  return pruned;
+}
+
+/**
+ * What a policy removes from the given stores ({ <store>: [raw records] }).
+ * Returns { <store>: { deleted: [records], pruned: [reduced records] } }; nothing is written.
+ * Consents are planned first: the agreements and batches that remaining consents
+ * point to depend on them.
+ */
+export function planRetention(stores, policy, now = Date.now()) {
+  const plan = {};
+  const expired = (storeName, record) => {
+    const { mode, days } = policy[storeName];
+    const date = record[RETENTION_STORES[storeName].dateField];
+    return (mode === 'days' || mode === 'hashes') && typeof date === 'number' && date < now - days * DAY_MS;
+  };
+
+  const sort = (storeName, decide) => {
+    plan[storeName] = { deleted: [], pruned: [] };
+    (stores[storeName] || []).forEach(record => {
+      const action = decide(record);
+      if (action === 'delete') plan[storeName].deleted.push(record);
+      if (action === 'prune' && !record.prunedAt) plan[storeName].pruned.push(pruneRecord(storeName, record, now));
+    });
+  };
+
+  // Anchored consents are reduced, never deleted. A pending one still goes into a
+  // batch (getBatchReadyConsents) and needs its whole leaf, so hashes mode waits for it.
+  sort(CONSENT_STORE, consent => {
+    if (!expired(CONSENT_STORE, consent)) return null;
+    if (consent.batched) return 'prune';
+    return policy[CONSENT_STORE].mode === 'days' ? 'delete' : null;
+  });
+
+  const deletedConsents = new Set(plan[CONSENT_STORE].deleted);
+  const remaining = (stores[CONSENT_STORE] || []).filter(consent => !deletedConsents.has(consent));
+  const anchoredHashes = new Set(remaining.filter(consent => consent.batched).map(consent => consent.termsHash));
+  const pendingHashes = new Set(remaining.filter(consent => !consent.batched).map(consent => consent.termsHash));
+  // Consents name their batch by transaction hash (markAsBatched); batches list their consent ids
+  const batchTxHashes = new Set(remaining.map(consent => consent.batchId).filter(Boolean));
+  const remainingIds = new Set(remaining.map(consent => consent.id));
+
+  sort(AGREEMENT_STORE, agreement => {
+    const anchored = anchoredHashes.has(agreement.termsHash);
+    if (policy[AGREEMENT_STORE].mode === 'anchored') {
+      return anchored && !pendingHashes.has(agreement.termsHash) ? 'prune' : null;
+    }
+    if (!expired(AGREEMENT_STORE, agreement)) return null;
+    return anchored || policy[AGREEMENT_STORE].mode === 'hashes' ? 'prune' : 'delete';
+  });
+
+  // A batch still referenced by a consent keeps its transaction and Merkle root
+  sort(BATCH_STORE, batch => {
+    if (!expired(BATCH_STORE, batch)) return null;
+    const referenced = batchTxHashes.has(batch.transactionHash) ||
+      (batch.consentIds || []).some(id => remainingIds.has(id));
+    return referenced ? 'prune' : 'delete';
+  });
+
+  [HANDLING_STORE, RULE_STATS_STORE].forEach(storeName => {
+    sort(storeName, record => (expired(storeName, record) ? 'delete' : null));
+  });
+
+  return plan;
+}
@@ -0,0 +1,109 @@
+// Per-site exceptions to the global privacy profile.
+// Stored in chrome.storage.sync as `siteOverrides`: { "<domain>": { policy, updatedAt } }.
+// An override on example.com also covers www.example.com and other subdomains;
+// the most specific entry wins.
+
+const STORAGE_KEY = 'siteOverrides';
+
+// policy -> label shown in the dashboard and popup
+export const SITE_POLICIES = {
+  accept: 'Always accept',
+  reject: 'Always reject',
+  ignore: 'Never auto-handle'
+};
+
+const OPTIONAL_PURPOSES = ['functional', 'analytics', 'marketing', 'social'];
+
+// "https://www.Example.com/path" -> "example.com"; '' if it isn't a hostname
+export function normalizeDomain(input) {
+  const value = (input || '').trim().toLowerCase();
+  if (!value) return '';
+
+  try {
+    const { hostname } = new URL(value.includes('://') ? value : `https://${value}`);
+    return hostname.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+// Override for a hostname or its closest parent domain, as { domain, policy, updatedAt }
+export function findSiteOverride(overrides = {}, hostname) {
+  let domain = normalizeDomain(hostname);
+
+  while (domain) {
+    if (overrides[domain]) return { domain, ...overrides[domain] };
+    const dot = domain.indexOf('.');
+    if (dot === -1) break;
+    domain = domain.slice(dot + 1);
+  }
+  return null;
+}
+
+export async function getSiteOverrides() {
+  const result = await chrome.storage.sync.get([STORAGE_KEY]);
+  return result[STORAGE_KEY] || {};
+}
+
+// Set the policy for a domain; a null policy removes the override
+export async function setSiteOverride(domain, policy) {
+  const normalized = normalizeDomain(domain);
+  if (!normalized) {
+    throw new Error(`Invalid domain: ${domain}`);
+  }
+  if (policy && !SITE_POLICIES[policy]) {
+    throw new Error(`Unknown site policy: ${policy}`);
+  }
+
+  const overrides = await getSiteOverrides();
+  if (policy) {
+    overrides[normalized] = { policy, updatedAt: Date.now() };
+  } else {
+    delete overrides[normalized];
+  }
+
+  await chrome.storage.sync.set({ [STORAGE_KEY]: overrides });
+  return overrides;
+}
+
+// Merge overrides from a backup; per domain the newer entry wins. Returns how many changed.
+export async function mergeSiteOverrides(incoming = {}) {
+  const overrides = await getSiteOverrides();
+  let changed = 0;
+
+  Object.entries(incoming).forEach(([domain, override]) => {
+    const normalized = normalizeDomain(domain);
+    if (!normalized || !SITE_POLICIES[override?.policy]) return;
+
+    const local = overrides[normalized];
+    if (local && (local.updatedAt || 0) >= (override.updatedAt || 0)) return;
+
+    overrides[normalized] = { policy: override.policy, updatedAt: override.updatedAt || Date.now() };
+    changed++;
+  });
+
+  if (changed > 0) {
+    await chrome.storage.sync.set({ [STORAGE_KEY]: overrides });
+  }
+  return changed;
+}
+
+/**
+ * The profile to act on for one site: the global profile with the override's
+ * decision forced in. `siteOverride` is kept on the result so records can say why.
+ */
+export function applySiteOverride(profile, override) {
+  if (!override) return profile;
+
+  if (override.policy === 'ignore') {
+    return { ...profile, autoHandle: false, siteOverride: override };
+  }
+
+  const allow = override.policy === 'accept';
+  const preferences = { ...profile.preferences, necessary: true, denyAll: !allow };
+  OPTIONAL_PURPOSES.forEach(purpose => {
+    preferences[purpose] = allow;
+  });
+
+  return { ...profile, autoHandle: true, preferences, siteOverride: override };
+}
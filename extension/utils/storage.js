@@ -1,79 +1,164 @@
 // IndexedDB Queue Storage for MyTerms Browser Extension
 // Handles storing consent data locally with daily batch processing
 
+import {
+  CONSENT_STORE,
+  BATCH_STORE,
+  AGREEMENT_STORE,
+  RULE_STATS_STORE,
+  HANDLING_STORE,
+  MIGRATIONS_STORE,
+  SCHEMA_VERSION,
+  openMigratedDB,
+  loadSnapshotInfo,
+  discardSnapshot,
+  restoreSnapshot
+} from './db-migrations.js';
+import { consentVault, INDEX_PREFIX } from './vault.js';
+import { RETENTION_STORES, normalizeRetentionPolicy, planRetention, pruneRecord } from './retention.js';
+
 const DB_NAME = 'MyTermsExtensionDB';
-const DB_VERSION = 2;
-const CONSENT_STORE = 'consentQueue';
-const BATCH_STORE = 'processedBatches';
-const AGREEMENT_STORE = 'agreementText';
+
+// Oldest handling attempts are pruned past this many
+const MAX_HANDLING_ATTEMPTS = 2000;
+
+// Stores included in exportData/importData (schema bookkeeping is not)
+const BACKUP_STORES = [CONSENT_STORE, BATCH_STORE, AGREEMENT_STORE, RULE_STATS_STORE, HANDLING_STORE];
+// Stores whose records the vault seals, and stores keyed by an auto-increment id.
+// Batch records hold only ids and hashes. Rule stats hold a domain, a rule name and
+// counters; with encryption on, the domain is swapped for its keyed hash (ruleStatsSite).
+const SEALED_STORES = [CONSENT_STORE, AGREEMENT_STORE, HANDLING_STORE];
+const AUTO_ID_STORES = [CONSENT_STORE, HANDLING_STORE];
+
+// How an imported record is matched with one already stored. Only envelope fields
+// are used, so matching works on encrypted records too.
+const RECORD_IDENTITY = {
+  [CONSENT_STORE]: record => `${record.timestamp}|${record.termsHash}`,
+  [BATCH_STORE]: record => record.batchId,
+  [AGREEMENT_STORE]: record => record.termsHash,
+  [RULE_STATS_STORE]: record => `${record.siteDomain}|${record.ruleName}`,
+  [HANDLING_STORE]: record => `${record.timestamp}|${record.engine}|${record.outcome}`
+};
+
+const BATCH_FIELDS = ['batched', 'batchedAt', 'batchId', 'lastBatch', 'merkleProof'];
+const REVOCATION_FIELDS = ['revoked', 'revokedAt', 'revocationTxHash'];
+
+// queryConsents reads the store in chunks of this many candidates
+const QUERY_CHUNK = 200;
+// Consent fields the free-text filter looks in
+const TEXT_FIELDS = ['siteDomain', 'url', 'cmpProvider', 'detectionEngine', 'termsHash'];
+
+// Opaque page cursors: the position of the last consent handed out
+const encodeCursor = ({ timestamp, id }) => btoa(JSON.stringify([timestamp, id]));
+function decodeCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(atob(cursor));
+    if (typeof timestamp === 'number' && typeof id === 'number') return { timestamp, id };
+  } catch (error) {
+    // Fall through
+  }
+  throw new Error('Invalid query cursor');
+}
+
+/**
+ * Pick the index for a consent query: the first filter with a [field, timestamp]
+ * index (migration 8) narrows the scan, the rest are checked on each record.
+ * `siteDomain` must already be the stored form (a keyed hash when encrypted).
+ */
+function planConsentQuery(filters) {
+  const indexed = [
+    ['siteDomain', 'siteDomain_timestamp', filters.siteDomain],
+    ['cmpProvider', 'cmpProvider_timestamp', filters.cmpProvider],
+    ['decisionType', 'decisionType_timestamp', filters.decisionType],
+    ['batchState', 'batchState_timestamp', typeof filters.batched === 'boolean' ? (filters.batched ? 'batched' : 'pending') : undefined]
+  ].find(([, , value]) => value !== undefined && value !== null && value !== '');
+
+  const from = Number.isFinite(filters.from) ? filters.from : -Infinity;
+  const to = Number.isFinite(filters.to) ? filters.to : Infinity;
+
+  // Envelope fields only: these run on sealed records inside the transaction
+  const checks = [];
+  if (filters.cmpProvider) checks.push(record => record.cmpProvider === filters.cmpProvider);
+  if (filters.decisionType) checks.push(record => record.decisionType === filters.decisionType);
+  if (typeof filters.batched === 'boolean') checks.push(record => !!record.batched === filters.batched);
+
+  return {
+    indexName: indexed ? indexed[1] : 'timestamp',
+    prefix: indexed ? [indexed[2]] : [],
+    from,
+    to,
+    matches: record => checks.every(check => check(record)),
+    text: (filters.text || '').trim().toLowerCase()
+  };
+}
+
+// The stored consent with batch/revocation state it lacks taken from the imported copy; null if nothing to add
+function mergeConsentState(local, incoming) {
+  const merged = { ...local };
+  let changed = false;
+
+  if (incoming.batched && !local.batched) {
+    BATCH_FIELDS.forEach(field => {
+      if (incoming[field] !== undefined) merged[field] = incoming[field];
+    });
+    merged.batchState = 'batched';
+    changed = true;
+  }
+  if (incoming.revoked && !local.revoked) {
+    REVOCATION_FIELDS.forEach(field => {
+      if (incoming[field] !== undefined) merged[field] = incoming[field];
+    });
+    changed = true;
+  }
+
+  return changed ? merged : null;
+}
+
+// An imported batch with its consent ids pointed at where those consents are stored
+// here (importedIds: id in the backup -> id here); null for ones the backup lacks
+function remapBatchConsents(batch, importedIds) {
+  const remap = ids => (ids || []).map(id => (importedIds.has(id) ? importedIds.get(id) : null));
+  return {
+    ...batch,
+    consentIds: remap(batch.consentIds),
+    groups: (batch.groups || []).map(group => ({ ...group, consentIds: remap(group.consentIds) }))
+  };
+}
 
 class ConsentStorage {
   constructor() {
     this.db = null;
-    this.initDB();
+    this.migrationError = null; // Set when the last upgrade was rolled back
+    this.ready = this.initDB().catch(error => console.error('IndexedDB initialization failed:', error));
   }
 
+  // Schema changes live in db-migrations.js; add a step there instead of editing stores here
   async initDB() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Create consent queue store
-        if (!db.objectStoreNames.contains(CONSENT_STORE)) {
-          const consentStore = db.createObjectStore(CONSENT_STORE, {
-            keyPath: 'id',
-            autoIncrement: true
-          });
-
-          // Create indexes for efficient querying
-          consentStore.createIndex('siteDomain', 'siteDomain', { unique: false });
-          consentStore.createIndex('timestamp', 'timestamp', { unique: false });
-          consentStore.createIndex('lastBatch', 'lastBatch', { unique: false });
-        }
-
-        // Create processed batches store
-        if (!db.objectStoreNames.contains(BATCH_STORE)) {
-          const batchStore = db.createObjectStore(BATCH_STORE, {
-            keyPath: 'batchId',
-            autoIncrement: true
-          });
+    const { db, migrated, error } = await openMigratedDB(DB_NAME, { targetVersion: SCHEMA_VERSION });
 
-          batchStore.createIndex('date', 'processedDate', { unique: false });
-          batchStore.createIndex('txHash', 'transactionHash', { unique: false });
-        }
-
-        // Create agreement text store (New in v2)
-        if (!db.objectStoreNames.contains(AGREEMENT_STORE)) {
-          const agreementStore = db.createObjectStore(AGREEMENT_STORE, {
-            keyPath: 'termsHash' // Unique hash is the key
-          });
-          // No autoIncrement, using hash as key
-        }
-      };
+    if (error) {
+      console.error(`IndexedDB upgrade to v${SCHEMA_VERSION} failed, staying on v${db.version}:`, error);
+      this.migrationError = error.message || String(error);
+    } else if (migrated.length > 0) {
+      console.log(`IndexedDB migrated to v${db.version}:`, migrated.map(step => step.name).join(', '));
+    }
 
-      request.onsuccess = (event) => {
-        this.db = event.target.result;
-        console.log('IndexedDB initialized successfully');
-        resolve(this.db);
-      };
+    // Let a newer version of the extension (another tab/worker) upgrade the schema
+    db.onversionchange = () => {
+      db.close();
+      this.db = null;
+    };
 
-      request.onerror = (event) => {
-        console.error('IndexedDB initialization failed:', event.target.error);
-        reject(event.target.error);
-      };
-    });
+    this.db = db;
+    console.log('IndexedDB initialized successfully');
+    return db;
   }
 
   async waitForDB() {
     if (this.db) return this.db;
 
-    let attempts = 0;
-    while (!this.db && attempts < 10) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-      attempts++;
-    }
+    // Upgrades (and their snapshot) can take longer than a few polls
+    await this.ready;
 
     if (!this.db) {
       throw new Error('Database not initialized');
@@ -82,24 +167,192 @@ class ConsentStorage {
     return this.db;
   }
 
+  // Schema version, migrations that ran and the snapshot available for rollback
+  async getSchemaStatus() {
+    const db = await this.waitForDB();
+    let migrations = [];
+    if (db.objectStoreNames.contains(MIGRATIONS_STORE)) {
+      const request = db.transaction([MIGRATIONS_STORE], 'readonly').objectStore(MIGRATIONS_STORE).getAll();
+      migrations = await new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => reject(event.target.error);
+      });
+    }
+
+    return {
+      version: db.version,
+      targetVersion: SCHEMA_VERSION,
+      migrations,
+      lastError: this.migrationError,
+      snapshot: await loadSnapshotInfo(DB_NAME)
+    };
+  }
+
+  // Roll back to the pre-upgrade records, then upgrade them again: everything here
+  // expects the current schema. A failing step leaves the restored version in place
+  // and is reported like any failed upgrade.
+  async restoreSchemaSnapshot() {
+    const db = await this.waitForDB();
+    db.close();
+    this.db = null;
+
+    let restoredFrom;
+    try {
+      const restored = await restoreSnapshot(DB_NAME);
+      restoredFrom = restored.version;
+      restored.close();
+    } catch (error) {
+      // Nothing was deleted if the snapshot was missing; reopen what's there
+      this.ready = this.initDB();
+      await this.ready;
+      throw error;
+    }
+
+    this.migrationError = null;
+    this.ready = this.initDB();
+    await this.ready;
+    return { restoredFrom, version: this.db.version, lastError: this.migrationError };
+  }
+
+  // Encryption at rest (utils/vault.js): status plus whether records still await their site index
+  async getEncryptionStatus() {
+    const status = await consentVault.getStatus();
+    if (!status.enabled) return status;
+
+    const records = await this.getRawRecords(CONSENT_STORE);
+    return {
+      ...status,
+      sealedCount: records.filter(record => record.sealed).length,
+      pendingIndexCount: records.filter(record => record.indexPending).length
+    };
+  }
+
+  // Turn encryption on and seal every existing record; the pre-upgrade snapshot
+  // would keep a readable copy, so it goes
+  async enableEncryption({ secret, method, walletAddress }) {
+    await consentVault.create({ secret, method, walletAddress });
+    const sealed = await this.rewriteRecords(SEALED_STORES,
+      (storeName, record) => (record.sealed ? null : consentVault.sealRecord(storeName, record)));
+    await this.rekeyRuleStats(siteDomain => (siteDomain.startsWith(INDEX_PREFIX) ? siteDomain : consentVault.indexValue(siteDomain)));
+    await discardSnapshot(DB_NAME);
+    console.log(`Encryption enabled, sealed ${sealed} records`);
+    return this.getEncryptionStatus();
+  }
+
+  // Unlock, then index the site of records captured while locked
+  async unlockEncryption(secret) {
+    await consentVault.unlock(secret);
+    const indexed = await this.rewriteRecords(SEALED_STORES, async (storeName, record) => {
+      if (!record.indexPending) return null;
+      const { siteDomain } = await consentVault.openRecord(record);
+      const { indexPending, ...rest } = record;
+      return { ...rest, siteDomain: await consentVault.indexValue(siteDomain) };
+    });
+    if (indexed > 0) console.log(`Indexed ${indexed} records captured while locked`);
+    return this.getEncryptionStatus();
+  }
+
+  async lockEncryption() {
+    await consentVault.lock();
+    return this.getEncryptionStatus();
+  }
+
+  // Decrypt everything back into plain records, then forget the keys
+  async disableEncryption(secret) {
+    await consentVault.unlock(secret);
+    await consentVault.setDisabling(true);
+    try {
+      const opened = await this.rewriteRecords(SEALED_STORES,
+        (storeName, record) => (record.sealed ? consentVault.openRecord(record) : null));
+      // A keyed hash can't be turned back into the domain: those stats go
+      await this.rekeyRuleStats(siteDomain => (siteDomain.startsWith(INDEX_PREFIX) ? null : siteDomain));
+      await consentVault.destroy();
+      console.log(`Encryption disabled, decrypted ${opened} records`);
+    } catch (error) {
+      await consentVault.setDisabling(false);
+      throw error;
+    }
+    return this.getEncryptionStatus();
+  }
+
+  async getRawRecords(storeName) {
+    const db = await this.waitForDB();
+    const request = db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  // Read each store, transform records (null = unchanged) and write them back in one
+  // transaction per store. Crypto runs between the two, outside any transaction.
+  async rewriteRecords(storeNames, transform) {
+    const db = await this.waitForDB();
+    let changed = 0;
+
+    for (const storeName of storeNames) {
+      const updates = [];
+      for (const record of await this.getRawRecords(storeName)) {
+        const updated = await transform(storeName, record);
+        if (updated) updates.push(updated);
+      }
+      if (updates.length === 0) continue;
+
+      const transaction = db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      updates.forEach(record => store.put(record));
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+      changed += updates.length;
+    }
+
+    return changed;
+  }
+
+  // Number of stored consents; works while the vault is locked
+  async countConsents() {
+    const db = await this.waitForDB();
+    const request = db.transaction([CONSENT_STORE], 'readonly').objectStore(CONSENT_STORE).count();
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
   // Add consent to queue
   async addToQueue(consentData) {
     console.log('Storage: addToQueue called for', consentData.siteDomain);
     try {
       const db = await this.waitForDB();
       console.log('Storage: DB ready for write');
-      const transaction = db.transaction([CONSENT_STORE], 'readwrite');
-      const store = transaction.objectStore(CONSENT_STORE);
+
+      // Banner text is kept once per termsHash in the agreement store, not on every consent
+      const { bannerContent, ...consentFields } = consentData;
+      if (bannerContent && consentData.termsHash) {
+        await this.storeAgreement({
+          termsHash: consentData.termsHash,
+          text: bannerContent,
+          url: consentData.url,
+          siteDomain: consentData.siteDomain
+        });
+      }
 
       // Add timestamp and mark as not batched yet
       const consent = {
-        ...consentData,
+        ...consentFields,
         timestamp: Date.now(),
         batched: false,
+        batchState: 'pending',
         batchId: null
       };
 
-      const request = store.add(consent);
+      // Sealed before the transaction opens: it would auto-commit while crypto runs
+      const record = await consentVault.sealRecord(CONSENT_STORE, consent);
+      const transaction = db.transaction([CONSENT_STORE], 'readwrite');
+      const store = transaction.objectStore(CONSENT_STORE);
+      const request = store.add(record);
 
       return new Promise((resolve, reject) => {
         request.onsuccess = (event) => {
@@ -140,7 +393,7 @@ class ConsentStorage {
             }
             cursor.continue();
           } else {
-            resolve(results);
+            resolve(consentVault.openRecords(results));
           }
         };
 
@@ -172,7 +425,7 @@ class ConsentStorage {
           const cursor = event.target.result;
 
           if (!cursor) {
-            resolve(results);
+            resolve(consentVault.openRecords(results));
             return;
           }
 
@@ -189,7 +442,7 @@ class ConsentStorage {
             count++;
             cursor.continue();
           } else {
-            resolve(results);
+            resolve(consentVault.openRecords(results));
           }
         };
 
@@ -202,6 +455,91 @@ class ConsentStorage {
     }
   }
 
+  /**
+   * Consents matching `filters`, newest first, one page at a time.
+   * filters: { siteDomain, from, to, decisionType, batched, cmpProvider, text }
+   * (from/to are timestamps, inclusive; text is a case-insensitive substring of TEXT_FIELDS).
+   * Pass the previous page's nextCursor to continue; it is null after the last page.
+   * @returns {Promise<{ consents: object[], nextCursor: string|null }>}
+   */
+  async queryConsents(filters = {}, { cursor = null, limit = 50 } = {}) {
+    try {
+      // Encrypted records are indexed under a keyed hash of the domain
+      const siteDomain = filters.siteDomain && await consentVault.isEnabled()
+        ? await consentVault.indexValue(filters.siteDomain)
+        : filters.siteDomain;
+      const plan = planConsentQuery({ ...filters, siteDomain });
+
+      let position = cursor ? decodeCursor(cursor) : null;
+      const consents = [];
+      let exhausted = false;
+
+      while (consents.length < limit && !exhausted) {
+        const chunk = await this.scanConsents(plan, position, QUERY_CHUNK);
+        exhausted = chunk.done;
+
+        // Decrypting happens here, between transactions
+        for (const record of chunk.records) {
+          position = { timestamp: record.timestamp, id: record.id };
+          const consent = await consentVault.openRecord(record);
+          if (plan.text && !TEXT_FIELDS.some(field => String(consent[field] ?? '').toLowerCase().includes(plan.text))) continue;
+
+          consents.push(consent);
+          if (consents.length === limit) {
+            exhausted = exhausted && record === chunk.records[chunk.records.length - 1];
+            break;
+          }
+        }
+        if (chunk.last) position = consents.length === limit ? position : chunk.last;
+      }
+
+      return { consents, nextCursor: exhausted || !position ? null : encodeCursor(position) };
+    } catch (error) {
+      console.error('Error querying consents:', error);
+      throw error;
+    }
+  }
+
+  // Up to `count` raw records passing plan.matches, newest first, after `position`.
+  // last: the last record looked at; done: the index range has no more records.
+  async scanConsents(plan, position, count) {
+    const db = await this.waitForDB();
+    const index = db.transaction([CONSENT_STORE], 'readonly').objectStore(CONSENT_STORE).index(plan.indexName);
+
+    const upper = position ? Math.min(position.timestamp, plan.to) : plan.to;
+    const key = (timestamp) => (plan.prefix.length > 0 ? [...plan.prefix, timestamp] : timestamp);
+    if (upper < plan.from) return { records: [], last: null, done: true };
+
+    return new Promise((resolve, reject) => {
+      const request = index.openCursor(IDBKeyRange.bound(key(plan.from), key(upper)), 'prev');
+      const records = [];
+      let last = null;
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve({ records, last, done: true });
+          return;
+        }
+
+        const record = cursor.value;
+        // Ties on the timestamp come in descending id order; skip the ones already handed out
+        const seen = position && record.timestamp === position.timestamp && record.id >= position.id;
+        if (!seen) {
+          last = { timestamp: record.timestamp, id: record.id };
+          if (plan.matches(record)) records.push(record);
+        }
+
+        if (records.length === count) {
+          resolve({ records, last, done: false });
+        } else {
+          cursor.continue();
+        }
+      };
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
   // Clear all consents (Emergency Cleanup)
   async clearAllConsents() {
     try {
@@ -213,7 +551,8 @@ class ConsentStorage {
         const request = store.clear();
         request.onsuccess = () => {
           console.log('All consents cleared');
-          resolve();
+          // The pre-upgrade copy would bring them back
+          discardSnapshot(DB_NAME).then(() => resolve(), reject);
         };
         request.onerror = (event) => reject(event.target.error);
       });
@@ -234,7 +573,7 @@ class ConsentStorage {
         const request = store.getAll();
 
         request.onsuccess = (event) => {
-          resolve(event.target.result);
+          resolve(consentVault.openRecords(event.target.result));
         };
 
         request.onerror = (event) => reject(event.target.error);
@@ -246,8 +585,9 @@ class ConsentStorage {
     }
   }
 
-  // Get consents that are ready for batching (older than threshold)
-  async getBatchReadyConsents(hoursThreshold = 24) {
+  // Get consents that are ready for batching (older than threshold).
+  // sealed: true skips decryption for callers that only count them.
+  async getBatchReadyConsents(hoursThreshold = 24, { sealed = false } = {}) {
     try {
       const db = await this.waitForDB();
       const transaction = db.transaction([CONSENT_STORE], 'readonly');
@@ -269,7 +609,7 @@ class ConsentStorage {
             }
             cursor.continue();
           } else {
-            resolve(results);
+            resolve(sealed ? results : consentVault.openRecords(results));
           }
         };
 
@@ -296,9 +636,24 @@ class ConsentStorage {
           const consent = request.result;
           if (consent) {
             consent.batched = true;
+            consent.batchState = 'batched';
             consent.batchedAt = Date.now();
             consent.batchId = batchInfo.batchId;
 
+            // Merkle batches: keep the inclusion proof with the record
+            const merkle = batchInfo.proofs?.[id];
+            if (merkle) {
+              consent.merkleProof = {
+                root: batchInfo.merkleRoot,
+                leaf: merkle.leaf,
+                proof: merkle.proof,
+                txHash: batchInfo.txHash,
+                blockNumber: batchInfo.blockNumber,
+                anchoredBy: batchInfo.anchoredBy,
+                contractAddress: batchInfo.contractAddress
+              };
+            }
+
             const updateRequest = store.put(consent);
             updateRequest.onerror = (event) => {
               console.error('Error updating consent:', event.target.error);
@@ -321,43 +676,182 @@ class ConsentStorage {
     }
   }
 
-  // Clear processed consents (cleanup)
-  async clearProcessedConsents(daysOld = 30) {
+  // Get every consent recorded for a site
+  async getConsentsBySite(siteDomain) {
     try {
       const db = await this.waitForDB();
-      const transaction = db.transaction([CONSENT_STORE], 'readwrite');
+      // Encrypted records are indexed under a keyed hash of the domain
+      const key = await consentVault.isEnabled() ? await consentVault.indexValue(siteDomain) : siteDomain;
+      const transaction = db.transaction([CONSENT_STORE], 'readonly');
       const store = transaction.objectStore(CONSENT_STORE);
+      const request = store.index('siteDomain').getAll(key);
+
+      return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(consentVault.openRecords(request.result));
+        request.onerror = (event) => reject(event.target.error);
+      });
+    } catch (error) {
+      console.error('Error getting consents for site:', error);
+      throw error;
+    }
+  }
 
-      const thresholdTime = Date.now() - (daysOld * 24 * 60 * 60 * 1000);
+  // Get a single consent record
+  async getConsentById(id) {
+    try {
+      const db = await this.waitForDB();
+      const transaction = db.transaction([CONSENT_STORE], 'readonly');
+      const request = transaction.objectStore(CONSENT_STORE).get(id);
 
       return new Promise((resolve, reject) => {
-        const request = store.openCursor();
-        let deletedCount = 0;
+        request.onsuccess = () => resolve(consentVault.openRecord(request.result || null));
+        request.onerror = (event) => reject(event.target.error);
+      });
+    } catch (error) {
+      console.error('Error getting consent:', error);
+      throw error;
+    }
+  }
 
-        request.onsuccess = (event) => {
-          const cursor = event.target.result;
-          if (cursor) {
-            const item = cursor.value;
-            if (item.batched && item.batchedAt && item.batchedAt < thresholdTime) {
-              cursor.delete();
-              deletedCount++;
-            }
-            cursor.continue();
-          } else {
-            console.log(`Cleared ${deletedCount} old processed consents`);
-            resolve(deletedCount);
+  // Merge fields into an existing consent record
+  async updateConsent(id, changes) {
+    try {
+      const existing = await this.getConsentById(id);
+      if (!existing) return false;
+
+      const record = await consentVault.sealRecord(CONSENT_STORE, { ...existing, ...changes });
+      const db = await this.waitForDB();
+      const transaction = db.transaction([CONSENT_STORE], 'readwrite');
+      transaction.objectStore(CONSENT_STORE).put(record);
+
+      return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+    } catch (error) {
+      console.error('Error updating consent:', error);
+      throw error;
+    }
+  }
+
+  // Mark consents as revoked (consent withdrawn on-chain)
+  async markAsRevoked(consentIds, revocationInfo) {
+    try {
+      const db = await this.waitForDB();
+      const transaction = db.transaction([CONSENT_STORE], 'readwrite');
+      const store = transaction.objectStore(CONSENT_STORE);
+
+      for (const id of consentIds) {
+        const request = store.get(id);
+
+        request.onsuccess = () => {
+          const consent = request.result;
+          if (consent) {
+            consent.revoked = true;
+            consent.revokedAt = Date.now();
+            consent.revocationTxHash = revocationInfo.txHash;
+
+            const updateRequest = store.put(consent);
+            updateRequest.onerror = (event) => {
+              console.error('Error updating consent:', event.target.error);
+            };
           }
         };
 
-        request.onerror = (event) => reject(event.target.error);
+        request.onerror = (event) => {
+          console.error('Error getting consent for update:', event.target.error);
+        };
+      }
+
+      return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
         transaction.onerror = (event) => reject(event.target.error);
       });
     } catch (error) {
-      console.error('Error clearing processed consents:', error);
+      console.error('Error marking consents as revoked:', error);
       throw error;
     }
   }
 
+  /**
+   * Apply a retention policy (see utils/retention.js) to every store it covers.
+   * With dryRun nothing is written: the counts preview what the policy would remove.
+   * Works on raw records, so it runs while the vault is locked; only sealed anchored
+   * consents wait for an unlock. Anything removed is also gone from the pre-upgrade snapshot.
+   * Returns { <store>: { deleted, pruned } }.
+   */
+  async applyRetention(policy, { dryRun = false, now = Date.now() } = {}) {
+    const storeNames = Object.keys(RETENTION_STORES);
+    const stores = {};
+    for (const storeName of storeNames) {
+      stores[storeName] = await this.getRawRecords(storeName);
+    }
+
+    const plan = planRetention(stores, normalizeRetentionPolicy(policy), now);
+    plan[CONSENT_STORE].pruned = await this.resealAnchored(stores[CONSENT_STORE], plan[CONSENT_STORE].pruned, now);
+    const result = Object.fromEntries(storeNames.map(storeName => [
+      storeName,
+      { deleted: plan[storeName].deleted.length, pruned: plan[storeName].pruned.length }
+    ]));
+    if (dryRun) return result;
+
+    const db = await this.waitForDB();
+    for (const storeName of storeNames) {
+      const { deleted, pruned } = plan[storeName];
+      if (deleted.length === 0 && pruned.length === 0) continue;
+
+      const transaction = db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const keyOf = record => (Array.isArray(store.keyPath)
+        ? store.keyPath.map(field => record[field])
+        : record[store.keyPath]);
+
+      // A consent anchored since it was read is left for the next run
+      const apply = (record, write) => {
+        const request = store.get(keyOf(record));
+        request.onsuccess = () => {
+          const current = request.result;
+          if (current && !!current.batched === !!record.batched) write(current);
+        };
+      };
+      deleted.forEach(record => apply(record, () => store.delete(keyOf(record))));
+      pruned.forEach(record => apply(record, () => store.put(record)));
+
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+    }
+
+    if (Object.values(result).some(({ deleted, pruned }) => deleted > 0 || pruned > 0)) {
+      await discardSnapshot(DB_NAME);
+    }
+
+    console.log('Retention applied:', result);
+    return result;
+  }
+
+  // A sealed anchored consent keeps its domain (part of the Merkle leaf) inside the
+  // sealed payload: reduce the opened record and seal it again. While locked these are
+  // left out, for a run after the next unlock.
+  async resealAnchored(consents, pruned, now) {
+    const sealed = new Map(consents.filter(consent => consent.sealed && consent.batched).map(consent => [consent.id, consent]));
+    if (sealed.size === 0) return pruned;
+
+    const unlocked = await consentVault.isUnlocked();
+    const resealed = [];
+    for (const record of pruned) {
+      const original = sealed.get(record.id);
+      if (!original) {
+        resealed.push(record);
+      } else if (unlocked) {
+        const opened = await consentVault.openRecord(original);
+        resealed.push(await consentVault.sealRecord(CONSENT_STORE, pruneRecord(CONSENT_STORE, opened, now)));
+      }
+    }
+    return resealed;
+  }
+
   // Record processed batch
   async recordBatch(batchData) {
     try {
@@ -370,9 +864,11 @@ class ConsentStorage {
         processedDate: Date.now(),
         transactionHash: batchData.txHash,
         consentIds: batchData.consentIds,
-        siteData: batchData.siteData,
+        groups: batchData.groups || [],
         gasUsed: batchData.gasUsed,
-        blockNumber: batchData.blockNumber
+        blockNumber: batchData.blockNumber,
+        mode: batchData.mode || 'events',
+        merkleRoot: batchData.merkleRoot || null
       };
 
       const request = store.add(batch);
@@ -392,6 +888,22 @@ class ConsentStorage {
     }
   }
 
+  // Batch recorded for an anchoring transaction (consents name it in batchId)
+  async getBatchByTxHash(txHash) {
+    try {
+      const db = await this.waitForDB();
+      const request = db.transaction([BATCH_STORE], 'readonly').objectStore(BATCH_STORE).index('txHash').get(txHash);
+
+      return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = (event) => reject(event.target.error);
+      });
+    } catch (error) {
+      console.error('Error getting batch by transaction:', error);
+      throw error;
+    }
+  }
+
   // Get latest batch information (for popup)
   async getLatestBatchInfo() {
     try {
@@ -427,37 +939,52 @@ class ConsentStorage {
       const transaction = db.transaction([CONSENT_STORE], 'readonly');
       const store = transaction.objectStore(CONSENT_STORE);
 
-      return new Promise((resolve, reject) => {
-        const request = store.getAll();
+      const request = store.getAll();
+      const consents = await new Promise((resolve, reject) => {
+        request.onsuccess = (event) => resolve(consentVault.openRecords(event.target.result));
+        request.onerror = (event) => reject(event.target.error);
+      });
 
-        request.onsuccess = (event) => {
-          const consents = event.target.result;
-          const sites = {};
-
-          consents.forEach(c => {
-            if (!sites[c.siteDomain]) {
-              sites[c.siteDomain] = {
-                domain: c.siteDomain,
-                count: 0,
-                accepted: 0,
-                declined: 0,
-                lastVisit: 0
-              };
-            }
-            sites[c.siteDomain].count++;
-            if (c.decisionType === 'accept') sites[c.siteDomain].accepted++;
-            else sites[c.siteDomain].declined++;
+      const sites = {};
+
+      consents.forEach(c => {
+        // Pruned by the retention policy: no site left to count it under
+        if (!c.siteDomain) return;
+        if (!sites[c.siteDomain]) {
+          sites[c.siteDomain] = {
+            domain: c.siteDomain,
+            count: 0,
+            accepted: 0,
+            declined: 0,
+            revoked: 0,
+            violations: 0,
+            lastVisit: 0
+          };
+        }
+        sites[c.siteDomain].count++;
+        if (c.decisionType === 'accept') sites[c.siteDomain].accepted++;
+        else sites[c.siteDomain].declined++;
+        if (c.revoked) sites[c.siteDomain].revoked++;
 
-            if (c.timestamp > sites[c.siteDomain].lastVisit) {
-              sites[c.siteDomain].lastVisit = c.timestamp;
-            }
-          });
+        if (c.timestamp > sites[c.siteDomain].lastVisit) {
+          sites[c.siteDomain].lastVisit = c.timestamp;
+        }
 
-          resolve(Object.values(sites));
-        };
+        // Keep the latest failed verification as evidence for the Sites view
+        if (c.verification?.status === 'violated') {
+          sites[c.siteDomain].violations++;
+          if (!sites[c.siteDomain].lastViolation || c.verification.checkedAt > sites[c.siteDomain].lastViolation.checkedAt) {
+            sites[c.siteDomain].lastViolation = c.verification;
+          }
+        }
 
-        request.onerror = (event) => reject(event.target.error);
+        // Most recent TCF record wins
+        if (c.tcf && (!sites[c.siteDomain].tcf || c.timestamp >= sites[c.siteDomain].tcf.recordedAt)) {
+          sites[c.siteDomain].tcf = { ...c.tcf, recordedAt: c.timestamp };
+        }
       });
+
+      return Object.values(sites);
     } catch (error) {
       console.error('Error getting all sites data:', error);
       throw error;
@@ -505,36 +1032,18 @@ class ConsentStorage {
     }
   }
 
-  // Export data for backup
+  // Every store a backup covers, decrypted; throws VaultLockedError while the history is locked
   async exportData() {
     try {
-      const db = await this.waitForDB();
-
-      const [consentData, batchData] = await Promise.all([
-        new Promise((resolve, reject) => {
-          const transaction = db.transaction([CONSENT_STORE], 'readonly');
-          const store = transaction.objectStore(CONSENT_STORE);
-          const request = store.getAll();
-
-          request.onsuccess = () => resolve(request.result);
-          request.onerror = (event) => reject(event.target.error);
-          transaction.onerror = (event) => reject(event.target.error);
-        }),
-        new Promise((resolve, reject) => {
-          const transaction = db.transaction([BATCH_STORE], 'readonly');
-          const store = transaction.objectStore(BATCH_STORE);
-          const request = store.getAll();
-
-          request.onsuccess = () => resolve(request.result);
-          request.onerror = (event) => reject(event.target.error);
-          transaction.onerror = (event) => reject(event.target.error);
-        })
-      ]);
+      const stores = {};
+      for (const storeName of BACKUP_STORES) {
+        stores[storeName] = await consentVault.openRecords(await this.getRawRecords(storeName));
+      }
 
       return {
         exportDate: Date.now(),
-        consentData,
-        batchData
+        schemaVersion: SCHEMA_VERSION,
+        stores
       };
     } catch (error) {
       console.error('Error exporting data:', error);
@@ -542,23 +1051,120 @@ class ConsentStorage {
     }
   }
 
+  /**
+   * Merge exported stores into the database. Records already present (RECORD_IDENTITY)
+   * are kept, except that a consent picks up batch or revocation state it is missing.
+   * Consents may get new ids here, so imported batches are rewritten to match.
+   * @returns {Promise<object>} { [storeName]: { added, updated, skipped } }
+   */
+  async importData(stores = {}) {
+    const db = await this.waitForDB();
+
+    // Older exports kept banner text on the consent; it belongs in the agreement store
+    const agreements = [...(stores[AGREEMENT_STORE] || [])];
+    const consents = (stores[CONSENT_STORE] || []).map(({ bannerContent, ...consent }) => {
+      if (bannerContent && consent.termsHash) {
+        agreements.push({
+          termsHash: consent.termsHash,
+          text: bannerContent,
+          url: consent.url,
+          siteDomain: consent.siteDomain,
+          firstSeen: consent.timestamp
+        });
+      }
+      return { ...consent, batchState: consent.batched ? 'batched' : 'pending' };
+    });
+    // Rule stats are filed the way this browser files them; left out while locked
+    const ruleStats = [];
+    for (const stats of stores[RULE_STATS_STORE] || []) {
+      const siteDomain = stats.siteDomain?.startsWith(INDEX_PREFIX) ? stats.siteDomain : await this.ruleStatsSite(stats.siteDomain);
+      if (siteDomain) ruleStats.push({ ...stats, siteDomain });
+    }
+    const incomingStores = { ...stores, [CONSENT_STORE]: consents, [AGREEMENT_STORE]: agreements, [RULE_STATS_STORE]: ruleStats };
+
+    // Consent id in the backup -> id here; consents come first in BACKUP_STORES
+    const importedIds = new Map();
+    const summary = {};
+    for (const storeName of BACKUP_STORES) {
+      const identity = RECORD_IDENTITY[storeName];
+      const existing = await this.getRawRecords(storeName);
+      const byIdentity = new Map(existing.map(record => [identity(record), record]));
+      const usedIds = new Set(existing.map(record => record.id));
+      const counts = { added: 0, updated: 0, skipped: 0 };
+      const writes = [];
+      // Backup id of each fresh consent in writes, to map to the key it gets
+      const writtenIds = new Map();
+
+      for (const record of incomingStores[storeName] || []) {
+        const key = identity(record);
+        const local = byIdentity.get(key);
+
+        // Sealed records only open with the keys of the browser that wrote them
+        if (record.sealed) {
+          counts.skipped++;
+        } else if (local) {
+          if (storeName === CONSENT_STORE) importedIds.set(record.id, local.id);
+          const merged = storeName === CONSENT_STORE ? mergeConsentState(local, record) : null;
+          if (merged) {
+            writes.push(merged);
+            byIdentity.set(key, merged);
+            counts.updated++;
+          } else {
+            counts.skipped++;
+          }
+        } else {
+          // Auto-increment ids from another browser may belong to different records here
+          const { id, ...rest } = record;
+          let fresh = AUTO_ID_STORES.includes(storeName) && (id === undefined || usedIds.has(id)) ? rest : record;
+          if (fresh.id !== undefined) usedIds.add(fresh.id);
+          if (storeName === BATCH_STORE) fresh = remapBatchConsents(fresh, importedIds);
+
+          if (storeName === CONSENT_STORE) writtenIds.set(writes.length, id);
+          writes.push(SEALED_STORES.includes(storeName) ? await consentVault.sealRecord(storeName, fresh) : fresh);
+          byIdentity.set(key, fresh);
+          counts.added++;
+        }
+      }
+
+      if (writes.length > 0) {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        writes.forEach((record, index) => {
+          const request = store.put(record);
+          if (writtenIds.has(index)) {
+            request.onsuccess = () => importedIds.set(writtenIds.get(index), request.result);
+          }
+        });
+        await new Promise((resolve, reject) => {
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = (event) => reject(event.target.error);
+        });
+      }
+
+      summary[storeName] = counts;
+    }
+
+    console.log('Imported backup:', summary);
+    return summary;
+  }
+
   // Store full agreement text if not already present
   async storeAgreement(agreementData) {
     if (!agreementData.termsHash || !agreementData.text) return;
 
     try {
       const db = await this.waitForDB();
-      const transaction = db.transaction([AGREEMENT_STORE], 'readwrite');
-      const store = transaction.objectStore(AGREEMENT_STORE);
 
-      const agreement = {
+      const agreement = await consentVault.sealRecord(AGREEMENT_STORE, {
         termsHash: agreementData.termsHash,
         text: agreementData.text,
         url: agreementData.url,
         siteDomain: agreementData.siteDomain,
         firstSeen: Date.now()
-      };
+      });
 
+      const transaction = db.transaction([AGREEMENT_STORE], 'readwrite');
+      const store = transaction.objectStore(AGREEMENT_STORE);
       const request = store.add(agreement);
 
       return new Promise((resolve, reject) => {
@@ -586,7 +1192,7 @@ class ConsentStorage {
       const request = store.get(termsHash);
 
       return new Promise((resolve, reject) => {
-        request.onsuccess = () => resolve(request.result);
+        request.onsuccess = () => resolve(consentVault.openRecord(request.result));
         request.onerror = () => reject(request.error);
       });
     } catch (err) {
@@ -603,7 +1209,7 @@ class ConsentStorage {
       const request = store.getAll();
 
       return new Promise((resolve, reject) => {
-        request.onsuccess = () => resolve(request.result);
+        request.onsuccess = () => resolve(consentVault.openRecords(request.result));
         request.onerror = () => reject(request.error);
       });
     } catch (err) {
@@ -611,6 +1217,203 @@ class ConsentStorage {
       return [];
     }
   }
+
+  // The site rule stats are filed under: the domain, or its keyed hash while encryption
+  // is on, so the store doesn't list visited sites. Null while the vault is locked.
+  async ruleStatsSite(siteDomain) {
+    if (!(await consentVault.isEnabled())) return siteDomain;
+    return (await consentVault.isUnlocked()) ? consentVault.indexValue(siteDomain) : null;
+  }
+
+  // File every rule stat under mapSite(siteDomain) instead; null drops the stat
+  async rekeyRuleStats(mapSite) {
+    const rekeyed = [];
+    for (const stats of await this.getRawRecords(RULE_STATS_STORE)) {
+      const siteDomain = await mapSite(stats.siteDomain);
+      if (siteDomain) rekeyed.push({ ...stats, siteDomain });
+    }
+
+    const db = await this.waitForDB();
+    const transaction = db.transaction([RULE_STATS_STORE], 'readwrite');
+    const store = transaction.objectStore(RULE_STATS_STORE);
+    store.clear();
+    rekeyed.forEach(stats => store.put(stats));
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  // Count one success or failure of a CMP rule on a site. Outcomes seen while the
+  // vault is locked aren't counted.
+  async recordRuleOutcome(domain, ruleName, success) {
+    try {
+      const siteDomain = await this.ruleStatsSite(domain);
+      if (siteDomain === null) return;
+
+      const db = await this.waitForDB();
+      const transaction = db.transaction([RULE_STATS_STORE], 'readwrite');
+      const store = transaction.objectStore(RULE_STATS_STORE);
+      const request = store.get([siteDomain, ruleName]);
+
+      request.onsuccess = () => {
+        const stats = request.result || { siteDomain, ruleName, successes: 0, failures: 0 };
+        store.put({
+          ...stats,
+          successes: stats.successes + (success ? 1 : 0),
+          failures: stats.failures + (success ? 0 : 1),
+          lastOutcome: success ? 'success' : 'failure',
+          updatedAt: Date.now()
+        });
+      };
+
+      return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+    } catch (error) {
+      console.error('Error recording rule outcome:', error);
+      throw error;
+    }
+  }
+
+  // Rule outcomes on a site, keyed by rule name; none while the vault is locked
+  async getRuleStats(domain) {
+    try {
+      const siteDomain = await this.ruleStatsSite(domain);
+      if (siteDomain === null) return {};
+
+      const db = await this.waitForDB();
+      const transaction = db.transaction([RULE_STATS_STORE], 'readonly');
+      const request = transaction.objectStore(RULE_STATS_STORE).index('siteDomain').getAll(siteDomain);
+
+      return new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+          resolve(Object.fromEntries(request.result.map(stats => [stats.ruleName, stats])));
+        };
+        request.onerror = (event) => reject(event.target.error);
+      });
+    } catch (error) {
+      console.error('Error getting rule stats:', error);
+      throw error;
+    }
+  }
+
+  // One banner handling attempt: { siteDomain, url, engine, ruleName, methodTried, outcome, latencyMs, bannerStillVisible }
+  async recordHandlingAttempt(attempt) {
+    try {
+      const db = await this.waitForDB();
+      // Sealed before the transaction opens, like consents: the URL is browsing history
+      const record = await consentVault.sealRecord(HANDLING_STORE, { ...attempt, timestamp: Date.now() });
+      const transaction = db.transaction([HANDLING_STORE], 'readwrite');
+      const store = transaction.objectStore(HANDLING_STORE);
+      store.add(record);
+
+      // Keep the store bounded: drop the oldest entries past the cap
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - MAX_HANDLING_ATTEMPTS;
+        if (excess <= 0) return;
+        store.index('timestamp').openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor || excess <= 0) return;
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        };
+      };
+
+      return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+    } catch (error) {
+      console.error('Error recording handling attempt:', error);
+      throw error;
+    }
+  }
+
+  // Attempts on one site (or all sites), newest first
+  async getHandlingAttempts(siteDomain = null) {
+    try {
+      const db = await this.waitForDB();
+      const key = siteDomain && await consentVault.isEnabled() ? await consentVault.indexValue(siteDomain) : siteDomain;
+      const transaction = db.transaction([HANDLING_STORE], 'readonly');
+      const store = transaction.objectStore(HANDLING_STORE);
+      const request = key ? store.index('siteDomain').getAll(key) : store.getAll();
+
+      return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(consentVault.openRecords(request.result.sort((a, b) => b.timestamp - a.timestamp)));
+        request.onerror = (event) => reject(event.target.error);
+      });
+    } catch (error) {
+      console.error('Error getting handling attempts:', error);
+      throw error;
+    }
+  }
+
+  // Sites whose banner we failed to handle since the last success there, most recent first
+  async getFailureInbox() {
+    const attempts = await this.getHandlingAttempts();
+    const sites = new Map();
+
+    // Newest first, so a success ends the run of failures that matter for its site
+    for (const attempt of attempts) {
+      let site = sites.get(attempt.siteDomain);
+      if (!site) {
+        site = { siteDomain: attempt.siteDomain, resolved: false, failures: [] };
+        sites.set(attempt.siteDomain, site);
+      }
+      if (site.resolved) continue;
+      if (attempt.outcome === 'success') {
+        site.resolved = true;
+      } else {
+        site.failures.push(attempt);
+      }
+    }
+
+    return Array.from(sites.values())
+      .filter(site => site.failures.some(attempt => attempt.outcome === 'no_button'))
+      .map(({ siteDomain, failures }) => {
+        const latest = failures[0];
+        return {
+          siteDomain,
+          url: latest.url,
+          failureCount: failures.length,
+          lastAttempt: latest.timestamp,
+          engines: [...new Set(failures.map(attempt => attempt.engine))],
+          rules: [...new Set(failures.map(attempt => attempt.ruleName).filter(Boolean))],
+          methodsTried: [...new Set(failures.map(attempt => attempt.methodTried).filter(Boolean))],
+          bannerStillVisible: latest.bannerStillVisible,
+          attempts: failures
+        };
+      });
+  }
+
+  // Clear a site from the failure inbox; successful attempts are kept
+  async dismissFailures(siteDomain) {
+    try {
+      const db = await this.waitForDB();
+      const key = await consentVault.isEnabled() ? await consentVault.indexValue(siteDomain) : siteDomain;
+      const transaction = db.transaction([HANDLING_STORE], 'readwrite');
+      const request = transaction.objectStore(HANDLING_STORE).index('siteDomain').openCursor(key);
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        if (cursor.value.outcome !== 'success') cursor.delete();
+        cursor.continue();
+      };
+
+      return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+    } catch (error) {
+      console.error('Error dismissing failures:', error);
+      throw error;
+    }
+  }
 }
 
 // Global instance
@@ -0,0 +1,309 @@
+// Optional encryption at rest for consent, agreement and banner handling records.
+// Batch records keep only consent ids and hashes, and rule statistics only counters
+// per domain and rule (read by detection while locked), so neither is sealed.
+//
+// Keys:
+// - A key-encryption key (KEK) is derived with PBKDF2 from a passphrase, or from a
+//   wallet signature over walletKeyMessage(address) (deterministic for a given wallet).
+// - The KEK wraps an ECDH P-256 private key and an HMAC-SHA-256 index key. The public
+//   key stays readable, so records captured while the vault is locked are still sealed.
+// - Each record is sealed with AES-GCM under a key agreed between a fresh ephemeral
+//   key pair and the vault's public key (ECDH + HKDF).
+//
+// Fields that lookups, batching bookkeeping and stats need while locked stay in the
+// clear (ENVELOPE_FIELDS). siteDomain is replaced with a keyed hash so the siteDomain
+// index still works; records written while locked get it on the next unlock.
+//
+// Unwrapped keys live in chrome.storage.session (memory only, cleared when the browser
+// closes) so the background worker stays unlocked across restarts.
+
+const VAULT_CONFIG_KEY = 'consentchain_vault';
+const VAULT_SESSION_KEY = 'consentchain_vault_session';
+
+const PBKDF2_ITERATIONS = 310000;
+const RECORD_INFO = new TextEncoder().encode('myterms-record-v1');
+const VAULT_CHECK = 'myterms-vault';
+export const INDEX_PREFIX = 'hmac:';
+
+// Per store: fields kept in the clear on sealed records
+export const ENVELOPE_FIELDS = {
+  consentQueue: [
+    'id', 'timestamp', 'termsHash', 'accepted', 'decisionType', 'detectionEngine', 'cmpProvider',
+    'batched', 'batchState', 'batchedAt', 'batchId', 'lastBatch', 'merkleProof', 'revoked', 'revokedAt', 'revocationTxHash',
+    'prunedAt'
+  ],
+  agreementText: ['termsHash', 'firstSeen', 'prunedAt'],
+  handlingAttempts: ['id', 'timestamp', 'engine', 'outcome']
+};
+
+export class VaultLockedError extends Error {
+  constructor(message = 'Consent history is locked. Unlock it in the popup or dashboard.') {
+    super(message);
+    this.name = 'VaultLockedError';
+    this.code = 'VAULT_LOCKED';
+  }
+}
+
+// What the wallet signs; the signature is the secret, so it must never change
+export function walletKeyMessage(address) {
+  return `MyTerms consent history key\n\nSigning this unlocks your encrypted consent history on this device. It costs no gas and is not a transaction.\n\nWallet: ${address.toLowerCase()}`;
+}
+
+// Chunked: spreading a large buffer into fromCharCode overflows the call stack
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+async function deriveKEK(secret, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptBytes(key, bytes) {
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decryptBytes(key, { iv, data }) {
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+}
+
+// AES key for one record, from an ECDH agreement
+async function recordKey(privateKey, publicKey, usage) {
+  const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+  const hkdf = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info: RECORD_INFO },
+    hkdf,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  );
+}
+
+export class ConsentVault {
+  constructor(storage = (typeof chrome !== 'undefined' ? chrome.storage : null)) {
+    this.storage = storage;
+    this.config = undefined; // Cached chrome.storage.local config; null when encryption is off
+    this.keys = null; // { privateKey, indexKey } while unlocked
+    this.publicKey = null;
+
+    // Another context enabled, disabled or locked the vault
+    this.storage?.onChanged?.addListener((changes, area) => {
+      if (area === 'local' && changes[VAULT_CONFIG_KEY]) {
+        this.config = changes[VAULT_CONFIG_KEY].newValue || null;
+        this.publicKey = null;
+      }
+      if (area === 'session' && changes[VAULT_SESSION_KEY] && !changes[VAULT_SESSION_KEY].newValue) {
+        this.keys = null;
+      }
+    });
+  }
+
+  async getConfig() {
+    if (this.config === undefined) {
+      const result = this.storage ? await this.storage.local.get([VAULT_CONFIG_KEY]) : {};
+      this.config = result[VAULT_CONFIG_KEY] || null;
+    }
+    return this.config;
+  }
+
+  async isEnabled() {
+    return (await this.getConfig()) !== null;
+  }
+
+  // Restores keys another context (or an earlier run of the worker) unlocked this session
+  async isUnlocked() {
+    if (this.keys) return true;
+    if (!(await this.isEnabled()) || !this.storage?.session) return false;
+
+    const session = (await this.storage.session.get([VAULT_SESSION_KEY]))[VAULT_SESSION_KEY];
+    if (!session) return false;
+
+    this.keys = await this.importKeys(session);
+    return true;
+  }
+
+  async getStatus() {
+    const config = await this.getConfig();
+    return {
+      enabled: config !== null,
+      unlocked: config !== null && await this.isUnlocked(),
+      method: config?.method || null,
+      walletAddress: config?.walletAddress || null,
+      createdAt: config?.createdAt || null
+    };
+  }
+
+  /**
+   * Create the vault keys. secret is the passphrase, or the wallet signature of
+   * walletKeyMessage(walletAddress). The vault is left unlocked.
+   */
+  async create({ secret, method = 'passphrase', walletAddress = null }) {
+    if (await this.isEnabled()) throw new Error('Encryption is already enabled');
+    if (!secret || (method === 'passphrase' && secret.length < 8)) {
+      throw new Error('Use a passphrase of at least 8 characters');
+    }
+
+    const salt = toBase64(randomBytes(16));
+    const kek = await deriveKEK(secret, salt, PBKDF2_ITERATIONS);
+
+    const { publicKey, privateKey } = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+    const indexKey = randomBytes(32);
+    const exported = {
+      privateKey: toBase64(await crypto.subtle.exportKey('pkcs8', privateKey)),
+      indexKey: toBase64(indexKey)
+    };
+
+    const config = {
+      version: 1,
+      method,
+      walletAddress: walletAddress ? walletAddress.toLowerCase() : null,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt },
+      publicKey: await crypto.subtle.exportKey('jwk', publicKey),
+      wrappedKeys: await encryptBytes(kek, new TextEncoder().encode(JSON.stringify({ ...exported, check: VAULT_CHECK }))),
+      createdAt: Date.now()
+    };
+
+    await this.storage.local.set({ [VAULT_CONFIG_KEY]: config });
+    this.config = config;
+    this.publicKey = null;
+    await this.remember(exported);
+    return this.getStatus();
+  }
+
+  async unlock(secret) {
+    const config = await this.getConfig();
+    if (!config) throw new Error('Encryption is not enabled');
+
+    const kek = await deriveKEK(secret, config.kdf.salt, config.kdf.iterations);
+    let unwrapped;
+    try {
+      unwrapped = JSON.parse(new TextDecoder().decode(await decryptBytes(kek, config.wrappedKeys)));
+    } catch (error) {
+      throw new Error(config.method === 'wallet' ? 'That wallet signature does not unlock this history' : 'Wrong passphrase');
+    }
+    if (unwrapped.check !== VAULT_CHECK) throw new Error('Vault keys are corrupted');
+
+    await this.remember({ privateKey: unwrapped.privateKey, indexKey: unwrapped.indexKey });
+    return this.getStatus();
+  }
+
+  async lock() {
+    this.keys = null;
+    if (this.storage?.session) {
+      await this.storage.session.remove(VAULT_SESSION_KEY);
+    }
+  }
+
+  // While disabling, new records are stored in the clear so none are sealed after the last decrypt pass
+  async setDisabling(disabling) {
+    const config = await this.getConfig();
+    if (!config) return;
+    this.config = { ...config, disabling };
+    await this.storage.local.set({ [VAULT_CONFIG_KEY]: this.config });
+  }
+
+  // Forget the keys and the config; records must have been decrypted first
+  async destroy() {
+    await this.lock();
+    await this.storage.local.remove(VAULT_CONFIG_KEY);
+    this.config = null;
+    this.publicKey = null;
+  }
+
+  async remember(exported) {
+    this.keys = await this.importKeys(exported);
+    if (this.storage?.session) {
+      await this.storage.session.set({ [VAULT_SESSION_KEY]: exported });
+    }
+  }
+
+  async importKeys({ privateKey, indexKey }) {
+    return {
+      privateKey: await crypto.subtle.importKey('pkcs8', fromBase64(privateKey), { name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']),
+      indexKey: await crypto.subtle.importKey('raw', fromBase64(indexKey), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+    };
+  }
+
+  async getPublicKey() {
+    if (!this.publicKey) {
+      const config = await this.getConfig();
+      this.publicKey = await crypto.subtle.importKey('jwk', config.publicKey, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+    }
+    return this.publicKey;
+  }
+
+  // Keyed hash used in place of an indexed value; needs the vault unlocked
+  async indexValue(value) {
+    if (!(await this.isUnlocked())) throw new VaultLockedError();
+    const mac = await crypto.subtle.sign('HMAC', this.keys.indexKey, new TextEncoder().encode(String(value).toLowerCase()));
+    return INDEX_PREFIX + toHex(mac);
+  }
+
+  /**
+   * Record as it should be stored: unchanged while encryption is off, otherwise the
+   * envelope fields plus a `sealed` payload. Works while locked.
+   */
+  async sealRecord(storeName, record) {
+    const config = await this.getConfig();
+    if (!config || config.disabling || record.sealed) return record;
+
+    const envelopeFields = ENVELOPE_FIELDS[storeName];
+    const envelope = {};
+    const content = {};
+    Object.entries(record).forEach(([key, value]) => {
+      if (envelopeFields.includes(key)) envelope[key] = value;
+      else content[key] = value;
+    });
+
+    const ephemeral = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+    const key = await recordKey(ephemeral.privateKey, await this.getPublicKey(), 'encrypt');
+    const sealed = {
+      v: 1,
+      epk: await crypto.subtle.exportKey('jwk', ephemeral.publicKey),
+      ...(await encryptBytes(key, new TextEncoder().encode(JSON.stringify(content))))
+    };
+
+    if (record.siteDomain && await this.isUnlocked()) {
+      envelope.siteDomain = await this.indexValue(record.siteDomain);
+    } else if (record.siteDomain) {
+      envelope.indexPending = true;
+    }
+
+    return { ...envelope, sealed };
+  }
+
+  async openRecord(record) {
+    if (!record?.sealed) return record;
+    if (!(await this.isUnlocked())) throw new VaultLockedError();
+
+    const { sealed, indexPending, siteDomain, ...envelope } = record;
+    const epk = await crypto.subtle.importKey('jwk', sealed.epk, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+    const key = await recordKey(this.keys.privateKey, epk, 'decrypt');
+    const content = JSON.parse(new TextDecoder().decode(await decryptBytes(key, sealed)));
+    return { ...envelope, ...content };
+  }
+
+  async openRecords(records) {
+    return Promise.all(records.map(record => this.openRecord(record)));
+  }
+}
+
+export const consentVault = new ConsentVault();
@@ -433,6 +433,29 @@ class WalletManager {
     }
   }
 
+  // EIP-712 typed data signing (used for gasless relayed batches)
+  async signTypedData(domain, types, value) {
+    if (!this.connectedWallet) {
+      throw new Error('No wallet connected');
+    }
+
+    const { signer } = this.connectedWallet;
+
+    if (!signer) {
+      throw new Error('Signer not available for connected wallet');
+    }
+
+    try {
+      const signature = await signer.signTypedData(domain, types, value);
+      return signature;
+    } catch (error) {
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        throw new Error('Typed data signing rejected by user');
+      }
+      throw error;
+    }
+  }
+
   // Enhanced transaction sending
   async sendTransaction(txRequest) {
     if (!this.connectedWallet) {
@@ -0,0 +1,129 @@
+// Local relayer for gasless consent batches
+// Accepts EIP-712 signed batches over HTTP and submits them via logConsentBatchWithSig,
+// paying gas from the first Hardhat account.
+//
+// Usage: npx hardhat run scripts/relayer.js --network localhost
+const hre = require("hardhat");
+const http = require("http");
+const fs = require("fs");
+
+const PORT = process.env.RELAYER_PORT || 8546;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function loadContractAddress() {
+    if (process.env.CONTRACT_ADDRESS) {
+        return process.env.CONTRACT_ADDRESS;
+    }
+
+    const deploymentPath = `./deployments/${hre.network.name}.json`;
+    if (!fs.existsSync(deploymentPath)) {
+        throw new Error(`No deployment found at ${deploymentPath}. Run scripts/deploy.js first.`);
+    }
+
+    return JSON.parse(fs.readFileSync(deploymentPath, "utf8")).contractAddress;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        // The dashboard calls us from localhost:8080
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "POST, GET, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type"
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = "";
+        req.on("data", (chunk) => {
+            data += chunk;
+            if (data.length > MAX_BODY_BYTES) {
+                reject(new Error("Request body too large"));
+                req.destroy();
+            }
+        });
+        req.on("end", () => resolve(data));
+        req.on("error", reject);
+    });
+}
+
+function validateBatch(batch) {
+    const { user, sites, hashes, deadline, signature } = batch;
+
+    if (!hre.ethers.isAddress(user)) return "Invalid user address";
+    if (!Array.isArray(sites) || !Array.isArray(hashes)) return "sites and hashes must be arrays";
+    if (sites.length !== hashes.length) return "Mismatched input lengths";
+    if (sites.length === 0) return "Empty batch";
+    if (!hashes.every((h) => hre.ethers.isHexString(h, 32))) return "hashes must be bytes32";
+    if (!Number.isInteger(Number(deadline))) return "Invalid deadline";
+    if (Number(deadline) < Math.floor(Date.now() / 1000)) return "Signature expired";
+    if (!hre.ethers.isHexString(signature, 65)) return "Invalid signature";
+
+    return null;
+}
+
+async function main() {
+    const [relayer] = await hre.ethers.getSigners();
+    const contractAddress = loadContractAddress();
+    const consentLedger = await hre.ethers.getContractAt("MyTermsConsentLedger", contractAddress, relayer);
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method === "OPTIONS") {
+            return sendJson(res, 204);
+        }
+
+        if (req.method === "GET" && req.url === "/health") {
+            return sendJson(res, 200, { success: true, relayer: relayer.address, contractAddress });
+        }
+
+        if (req.method !== "POST" || req.url !== "/relay") {
+            return sendJson(res, 404, { success: false, error: "Not found" });
+        }
+
+        try {
+            const batch = JSON.parse(await readBody(req));
+
+            const validationError = validateBatch(batch);
+            if (validationError) {
+                return sendJson(res, 400, { success: false, error: validationError });
+            }
+
+            // Simulate first so bad signatures don't cost the relayer gas
+            await consentLedger.logConsentBatchWithSig.staticCall(
+                batch.user, batch.sites, batch.hashes, batch.deadline, batch.signature
+            );
+
+            const tx = await consentLedger.logConsentBatchWithSig(
+                batch.user, batch.sites, batch.hashes, batch.deadline, batch.signature
+            );
+            const receipt = await tx.wait();
+
+            console.log(`Relayed ${batch.sites.length} consents for ${batch.user} in tx ${tx.hash}`);
+
+            sendJson(res, 200, {
+                success: true,
+                hash: tx.hash,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed.toString()
+            });
+        } catch (error) {
+            console.error("Relay failed:", error.shortMessage || error.message);
+            sendJson(res, 400, { success: false, error: error.shortMessage || error.message });
+        }
+    });
+
+    server.listen(PORT, () => {
+        console.log("MyTerms relayer running");
+        console.log("- Network:", hre.network.name);
+        console.log("- Contract Address:", contractAddress);
+        console.log("- Relayer Account:", relayer.address);
+        console.log(`- Endpoint: http://localhost:${PORT}/relay`);
+    });
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
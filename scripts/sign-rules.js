@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Rule manifest signer
+ * Pins the current upstream Consent-O-Matic rule files by SHA-256 and signs the
+ * list, so the extension only applies rules a maintainer has looked at.
+ *
+ * Usage:
+ *   node scripts/sign-rules.js keygen [--key .rules-signing-key.json]
+ *   node scripts/sign-rules.js sign --version 12 [--source <rules-list url>] [--key <path>] [--out rules-manifest.json]
+ *
+ * keygen prints the public JWK to pin as RULES_SIGNING_KEY in
+ * extension/lib/rule-sync/rule-manifest.js; until one is pinned the extension only
+ * uses its bundled rules. Keep the private key file out of git.
+ * Publish the signed manifest and point the dashboard's "Rule manifest URL" at it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { webcrypto } = require('crypto');
+
+const { subtle } = webcrypto;
+
+const DEFAULT_SOURCE = 'https://raw.githubusercontent.com/cavi-au/Consent-O-Matic/master/rules-list.json';
+const DEFAULT_KEY_PATH = path.resolve(__dirname, '../.rules-signing-key.json');
+const DEFAULT_OUT_PATH = path.resolve(process.cwd(), 'rules-manifest.json');
+
+function parseArgs(argv) {
+    const args = { command: argv[0] };
+    for (let i = 1; i < argv.length; i += 2) {
+        args[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return args;
+}
+
+// Must match canonicalJSON in extension/lib/rule-sync/rule-manifest.js
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function sha256Hex(text) {
+    return require('crypto').createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+// Same traversal as RuleSyncService.fetchRuleSet: the list file plus everything it references
+async function hashRuleFiles(url, files = {}, depth = 0) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Fetching ${url} failed: ${response.status}`);
+
+    const text = await response.text();
+    files[url] = sha256Hex(text);
+
+    const data = JSON.parse(text);
+    if (Array.isArray(data?.references)) {
+        if (depth > 1) throw new Error('Rule list references nested too deeply');
+        for (const ref of data.references) {
+            await hashRuleFiles(ref, files, depth + 1);
+        }
+    }
+    return files;
+}
+
+async function keygen(keyPath) {
+    if (fs.existsSync(keyPath)) {
+        throw new Error(`${keyPath} already exists; refusing to overwrite a signing key`);
+    }
+
+    const keyPair = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const privateJwk = await subtle.exportKey('jwk', keyPair.privateKey);
+    const { kty, crv, x, y } = await subtle.exportKey('jwk', keyPair.publicKey);
+
+    fs.writeFileSync(keyPath, JSON.stringify(privateJwk, null, 2), { mode: 0o600 });
+    console.log(`✅ Private key written to ${keyPath}`);
+    console.log('Pin this public key as RULES_SIGNING_KEY:');
+    console.log(JSON.stringify({ kty, crv, x, y }, null, 4));
+}
+
+async function sign({ version, source = DEFAULT_SOURCE, key = DEFAULT_KEY_PATH, out = DEFAULT_OUT_PATH }) {
+    if (!Number.isInteger(Number(version))) {
+        throw new Error('--version <integer> is required (higher than the last published manifest)');
+    }
+
+    const privateJwk = JSON.parse(fs.readFileSync(key, 'utf8'));
+    const privateKey = await subtle.importKey('jwk', privateJwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+
+    console.log(`Hashing rule files from ${source} ...`);
+    const manifest = {
+        version: Number(version),
+        publishedAt: new Date().toISOString(),
+        source,
+        files: await hashRuleFiles(source)
+    };
+
+    const signature = await subtle.sign(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        privateKey,
+        new TextEncoder().encode(canonicalJSON(manifest))
+    );
+    manifest.signature = Buffer.from(signature).toString('base64url');
+
+    fs.writeFileSync(out, JSON.stringify(manifest, null, 2));
+    console.log(`✅ Signed manifest v${manifest.version} (${Object.keys(manifest.files).length} files) -> ${out}`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.command === 'keygen') {
+        await keygen(args.key ? path.resolve(args.key) : DEFAULT_KEY_PATH);
+    } else if (args.command === 'sign') {
+        await sign({
+            ...args,
+            key: args.key ? path.resolve(args.key) : DEFAULT_KEY_PATH,
+            out: args.out ? path.resolve(args.out) : DEFAULT_OUT_PATH
+        });
+    } else {
+        console.log('Usage: node scripts/sign-rules.js keygen | sign --version <n> [--source <url>] [--key <path>] [--out <path>]');
+        process.exitCode = 1;
+    }
+}
+
+main().catch((error) => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+});
@@ -2,11 +2,16 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
 describe("MyTermsConsentLedger", function () {
+    let merkle;
     let consentLedger;
     let owner;
     let user1;
     let user2;
 
+    before(async function () {
+        merkle = await import("../extension/utils/merkle.js");
+    });
+
     beforeEach(async function () {
         // Get signers
         [owner, user1, user2] = await ethers.getSigners();
@@ -182,6 +187,302 @@ describe("MyTermsConsentLedger", function () {
         });
     });
 
+    describe("logConsentBatchWithSig", function () {
+        const sites = ["example.com", "test.com"];
+        const hashes = [
+            ethers.keccak256(ethers.toUtf8Bytes("terms-v1")),
+            ethers.keccak256(ethers.toUtf8Bytes("terms-v2"))
+        ];
+
+        async function signBatch(signer, batch) {
+            const { chainId } = await ethers.provider.getNetwork();
+            const domain = {
+                name: "MyTermsConsentLedger",
+                version: "1",
+                chainId,
+                verifyingContract: await consentLedger.getAddress()
+            };
+            const types = {
+                ConsentBatch: [
+                    { name: "user", type: "address" },
+                    { name: "sites", type: "string[]" },
+                    { name: "hashes", type: "bytes32[]" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" }
+                ]
+            };
+            return signer.signTypedData(domain, types, batch);
+        }
+
+        async function defaultBatch(user) {
+            return {
+                user: user.address,
+                sites,
+                hashes,
+                nonce: await consentLedger.nonces(user.address),
+                deadline: (await getBlockTimestamp()) + 3600
+            };
+        }
+
+        it("Should log consents for the signer when submitted by a relayer", async function () {
+            const batch = await defaultBatch(user1);
+            const signature = await signBatch(user1, batch);
+
+            const tx = await consentLedger.connect(owner).logConsentBatchWithSig(
+                batch.user, batch.sites, batch.hashes, batch.deadline, signature
+            );
+            const receipt = await tx.wait();
+
+            const events = receipt.logs
+                .map(log => consentLedger.interface.parseLog(log))
+                .filter(parsed => parsed?.name === "ConsentLogged");
+
+            expect(events.length).to.equal(2);
+            expect(events[0].args.user).to.equal(user1.address);
+            expect(events[1].args.siteDomain).to.equal(sites[1]);
+            expect(await consentLedger.nonces(user1.address)).to.equal(1);
+        });
+
+        it("Should reject a replayed signature", async function () {
+            const batch = await defaultBatch(user1);
+            const signature = await signBatch(user1, batch);
+
+            await consentLedger.connect(owner).logConsentBatchWithSig(
+                batch.user, batch.sites, batch.hashes, batch.deadline, signature
+            );
+
+            await expect(
+                consentLedger.connect(owner).logConsentBatchWithSig(
+                    batch.user, batch.sites, batch.hashes, batch.deadline, signature
+                )
+            ).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should reject a signature from a different account", async function () {
+            const batch = await defaultBatch(user1);
+            const signature = await signBatch(user2, batch);
+
+            await expect(
+                consentLedger.connect(owner).logConsentBatchWithSig(
+                    batch.user, batch.sites, batch.hashes, batch.deadline, signature
+                )
+            ).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should reject a batch altered after signing", async function () {
+            const batch = await defaultBatch(user1);
+            const signature = await signBatch(user1, batch);
+
+            await expect(
+                consentLedger.connect(owner).logConsentBatchWithSig(
+                    batch.user, ["evil.com", sites[1]], batch.hashes, batch.deadline, signature
+                )
+            ).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should reject an expired signature", async function () {
+            const batch = { ...(await defaultBatch(user1)), deadline: 1 };
+            const signature = await signBatch(user1, batch);
+
+            await expect(
+                consentLedger.connect(owner).logConsentBatchWithSig(
+                    batch.user, batch.sites, batch.hashes, batch.deadline, signature
+                )
+            ).to.be.revertedWith("Signature expired");
+        });
+
+        it("Should revert if arrays have different lengths", async function () {
+            const batch = await defaultBatch(user1);
+            const signature = await signBatch(user1, batch);
+
+            await expect(
+                consentLedger.connect(owner).logConsentBatchWithSig(
+                    batch.user, batch.sites, [hashes[0]], batch.deadline, signature
+                )
+            ).to.be.revertedWith("Mismatched input lengths");
+        });
+    });
+
+    describe("revokeConsent", function () {
+        it("Should emit ConsentRevoked for a single site", async function () {
+            const site = "example.com";
+            const termsHash = ethers.keccak256(ethers.toUtf8Bytes("terms-v1"));
+
+            await consentLedger.connect(user1).logConsent(site, termsHash);
+
+            await expect(consentLedger.connect(user1).revokeConsent(site, termsHash))
+                .to.emit(consentLedger, "ConsentRevoked")
+                .withArgs(user1.address, site, termsHash, await getBlockTimestamp());
+        });
+
+        it("Should not emit ConsentLogged when revoking", async function () {
+            const site = "example.com";
+            const termsHash = ethers.keccak256(ethers.toUtf8Bytes("terms-v1"));
+
+            await expect(consentLedger.connect(user1).revokeConsent(site, termsHash))
+                .to.not.emit(consentLedger, "ConsentLogged");
+        });
+
+        it("Should have indexed user parameter for efficient filtering", async function () {
+            const site = "example.com";
+            const hash = ethers.keccak256(ethers.toUtf8Bytes("terms-v1"));
+
+            await consentLedger.connect(user1).revokeConsent(site, hash);
+            await consentLedger.connect(user2).revokeConsent(site, hash);
+
+            const filter = consentLedger.filters.ConsentRevoked(user2.address);
+            const events = await consentLedger.queryFilter(filter);
+
+            expect(events.length).to.equal(1);
+            expect(events[0].args.user).to.equal(user2.address);
+            expect(events[0].args.siteDomain).to.equal(site);
+            expect(events[0].args.termsHash).to.equal(hash);
+        });
+    });
+
+    describe("revokeConsentBatch", function () {
+        it("Should emit one ConsentRevoked per site", async function () {
+            const sites = ["example.com", "test.com"];
+            const hashes = [
+                ethers.keccak256(ethers.toUtf8Bytes("terms-v1")),
+                ethers.keccak256(ethers.toUtf8Bytes("terms-v2"))
+            ];
+
+            const tx = await consentLedger.connect(user1).revokeConsentBatch(sites, hashes);
+            const receipt = await tx.wait();
+
+            const events = receipt.logs
+                .map(log => {
+                    try {
+                        return consentLedger.interface.parseLog(log);
+                    } catch {
+                        return null;
+                    }
+                })
+                .filter(parsed => parsed?.name === "ConsentRevoked");
+
+            expect(events.length).to.equal(2);
+            expect(events[0].args.siteDomain).to.equal(sites[0]);
+            expect(events[0].args.termsHash).to.equal(hashes[0]);
+            expect(events[1].args.siteDomain).to.equal(sites[1]);
+            expect(events[1].args.termsHash).to.equal(hashes[1]);
+        });
+
+        it("Should revert if arrays have different lengths", async function () {
+            const sites = ["example.com", "test.com"];
+            const hashes = [ethers.keccak256(ethers.toUtf8Bytes("terms-v1"))];
+
+            await expect(
+                consentLedger.connect(user1).revokeConsentBatch(sites, hashes)
+            ).to.be.revertedWith("Mismatched input lengths");
+        });
+
+        it("Should handle empty batch", async function () {
+            await expect(consentLedger.connect(user1).revokeConsentBatch([], []))
+                .to.not.be.reverted;
+        });
+    });
+
+    describe("logConsentRoot", function () {
+        it("Should anchor a root and emit ConsentRootAnchored", async function () {
+            const root = ethers.keccak256(ethers.toUtf8Bytes("root"));
+
+            await expect(consentLedger.connect(user1).logConsentRoot(root, 3))
+                .to.emit(consentLedger, "ConsentRootAnchored")
+                .withArgs(user1.address, root, 3, await getBlockTimestamp());
+
+            expect(await consentLedger.rootAnchoredAt(user1.address, root)).to.be.greaterThan(0);
+            expect(await consentLedger.rootAnchoredAt(user2.address, root)).to.equal(0);
+        });
+
+        it("Should not publish any ConsentLogged events", async function () {
+            const root = ethers.keccak256(ethers.toUtf8Bytes("root"));
+
+            await expect(consentLedger.connect(user1).logConsentRoot(root, 3))
+                .to.not.emit(consentLedger, "ConsentLogged");
+        });
+
+        it("Should revert on empty root or count", async function () {
+            const root = ethers.keccak256(ethers.toUtf8Bytes("root"));
+
+            await expect(
+                consentLedger.connect(user1).logConsentRoot(ethers.ZeroHash, 1)
+            ).to.be.revertedWith("Empty root");
+            await expect(
+                consentLedger.connect(user1).logConsentRoot(root, 0)
+            ).to.be.revertedWith("Empty batch");
+        });
+
+        it("Should use less gas than per-site events for larger batches", async function () {
+            const consents = makeConsents(10);
+            const tree = buildTree(consents.map(hashConsentLeaf));
+
+            const batchTx = await consentLedger.connect(user1).logConsentBatch(
+                consents.map(c => c.siteDomain),
+                consents.map(c => c.termsHash)
+            );
+            const batchReceipt = await batchTx.wait();
+
+            const rootTx = await consentLedger.connect(user1).logConsentRoot(tree.root, consents.length);
+            const rootReceipt = await rootTx.wait();
+
+            expect(rootReceipt.gasUsed).to.be.lessThan(batchReceipt.gasUsed);
+        });
+    });
+
+    describe("verifyConsentProof", function () {
+        it("Should verify every leaf of an off-chain tree", async function () {
+            const consents = makeConsents(5); // odd count exercises the carried-up node
+            const leaves = consents.map(hashConsentLeaf);
+            const tree = buildTree(leaves);
+
+            for (let i = 0; i < leaves.length; i++) {
+                expect(await consentLedger.verifyConsentProof(tree.getProof(i), tree.root, leaves[i]))
+                    .to.equal(true);
+            }
+        });
+
+        it("Should reject a proof for a different leaf", async function () {
+            const leaves = makeConsents(4).map(hashConsentLeaf);
+            const tree = buildTree(leaves);
+
+            expect(await consentLedger.verifyConsentProof(tree.getProof(0), tree.root, leaves[1]))
+                .to.equal(false);
+        });
+
+        it("Should reject a tampered record", async function () {
+            const consents = makeConsents(4);
+            const tree = buildTree(consents.map(hashConsentLeaf));
+            const tampered = hashConsentLeaf({ ...consents[2], accepted: false });
+
+            expect(await consentLedger.verifyConsentProof(tree.getProof(2), tree.root, tampered))
+                .to.equal(false);
+        });
+
+        it("Should verify leaves of consents as the extension stores them", async function () {
+            // Template ids as termsHash and decisionType instead of accepted
+            const consents = [
+                { siteDomain: "news.example", termsHash: "standard-cookie-v1", decisionType: "decline", timestamp: 1700000000000 },
+                { siteDomain: "shop.example", termsHash: ethers.keccak256(ethers.toUtf8Bytes("banner")), decisionType: "accept", timestamp: 1700000000500 },
+                { siteDomain: "blog.example", termsHash: "standard-cookie-v1", accepted: true, timestamp: 1700000001000 }
+            ];
+            const tree = merkle.ConsentMerkleTree.fromConsents(consents);
+
+            for (let i = 0; i < consents.length; i++) {
+                const leaf = merkle.hashConsentLeaf(consents[i]);
+                expect(leaf).to.equal(tree.getLeaf(i));
+                expect(merkle.verifyConsentProof(tree.getProof(i), tree.root, leaf)).to.equal(true);
+                expect(await consentLedger.verifyConsentProof(tree.getProof(i), tree.root, leaf)).to.equal(true);
+            }
+        });
+
+        it("Should accept a single-leaf tree with an empty proof", async function () {
+            const leaf = hashConsentLeaf(makeConsents(1)[0]);
+
+            expect(await consentLedger.verifyConsentProof([], leaf, leaf)).to.equal(true);
+        });
+    });
+
     describe("Event Verification", function () {
         it("Should emit ConsentLogged with correct parameters", async function () {
             const site = "example.com";
@@ -258,6 +559,25 @@ describe("MyTermsConsentLedger", function () {
         });
     });
 
+    // The extension's own tree (extension/utils/merkle.js), so a change to its leaf
+    // encoding or pair hashing that the contract doesn't share fails here
+    function hashConsentLeaf(consent) {
+        return merkle.hashConsentLeaf(consent);
+    }
+
+    function buildTree(leaves) {
+        return new merkle.ConsentMerkleTree(leaves);
+    }
+
+    function makeConsents(count) {
+        return Array.from({ length: count }, (_, i) => ({
+            siteDomain: `site${i}.com`,
+            termsHash: ethers.keccak256(ethers.toUtf8Bytes(`terms-v${i}`)),
+            accepted: i % 2 === 0,
+            timestamp: 1700000000000 + i
+        }));
+    }
+
     // Helper function to get the next block timestamp
     async function getBlockTimestamp() {
         const blockNumber = await ethers.provider.getBlockNumber();
@@ -0,0 +1,240 @@
+import fs from 'fs';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { startFixtureServer, FIXTURE_ROOT } from './server';
+import { CMPDetector } from '../../extension/lib/consent-o-matic/detector.js';
+import { PolicyExtractor } from '../../extension/lib/policy-extractor/extractor.js';
+import { ConsentOMaticAdapter } from '../../extension/lib/adapters/consentOMatic-adapter.js';
+
+// Offline CMP tests: saved banner HTML served locally, loaded into jsdom, run
+// through the same detector/executor/extractor the content script uses.
+// Cases live in cmp/fixtures.json, the rules under test in cmp/rules.json.
+// The rules shipped in extension/default-rules.json run against the same cases
+// for the CMPs they cover, so bundled rules can't silently rot.
+
+const readJSON = (file) => JSON.parse(fs.readFileSync(path.join(FIXTURE_ROOT, file), 'utf8'));
+
+const rules = readJSON('rules.json');
+const cases = readJSON('fixtures.json');
+const bundledRules = JSON.parse(fs.readFileSync(path.join(__dirname, '../../extension/default-rules.json'), 'utf8'));
+
+const COVERAGE_REPORT = path.join(process.cwd(), 'coverage', 'cmp-rules.json');
+
+// Per rule: fixtures that detected it and methods that actually ran
+const coverage = new Map(rules.map(rule => [rule.name, { fixtures: new Set(), methods: new Set() }]));
+const bundledCoverage = new Map(bundledRules.map(rule => [rule.name, new Set()]));
+
+// jsdom has no layout engine, so everything has a 0x0 box. Report one for
+// elements not hidden by CSS so displayFilter/showingMatcher behave like Chrome.
+function installLayoutShim(window) {
+    const isRendered = (el) => {
+        for (let node = el; node && node.nodeType === 1; node = node.parentElement || node.getRootNode().host) {
+            if (node.hidden || window.getComputedStyle(node).display === 'none') return false;
+        }
+        return el.isConnected;
+    };
+
+    window.Element.prototype.getClientRects = function () {
+        return isRendered(this) ? [this.getBoundingClientRect()] : [];
+    };
+}
+
+function isHidden(document, selector) {
+    const el = [document, ...shadowRoots(document)]
+        .map(root => root.querySelector(selector))
+        .find(Boolean);
+    return !el || el.getClientRects().length === 0;
+}
+
+function shadowRoots(document) {
+    return Array.from(document.querySelectorAll('*')).map(el => el.shadowRoot).filter(Boolean);
+}
+
+// Load a fixture into jsdom and point the content script's globals at it
+async function openFixture(url) {
+    const dom = await JSDOM.fromURL(url, { runScripts: 'dangerously', pretendToBeVisual: true });
+    installLayoutShim(dom.window);
+
+    // The adapter acts on the content script's globals
+    global.window = dom.window;
+    global.document = dom.window.document;
+    return dom;
+}
+
+async function closeFixture(dom) {
+    // Let the executor's 500ms debug-border timers run before the window goes away
+    await new Promise(resolve => setTimeout(resolve, 600));
+    dom?.window.close();
+    delete global.window;
+    delete global.document;
+}
+
+function readCookies(document) {
+    return Object.fromEntries(document.cookie.split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const index = part.indexOf('=');
+            return [part.slice(0, index), decodeURIComponent(part.slice(index + 1))];
+        }));
+}
+
+// Record which of the rule's methods the executor runs (runmethod included)
+function trackMethods(adapter, rule) {
+    const executor = adapter.actionExecutor;
+    const execute = executor.execute.bind(executor);
+    executor.execute = async (action, context) => {
+        const method = (rule.methods || []).find(m => m.action === action);
+        if (method) coverage.get(rule.name).methods.add(method.name);
+        return execute(action, context);
+    };
+}
+
+describe('CMP fixtures (offline, jsdom)', () => {
+    let server;
+    let dom;
+
+    beforeAll(async () => {
+        server = await startFixtureServer();
+    });
+
+    afterAll(async () => {
+        if (server) await server.close();
+        writeCoverageReport();
+    });
+
+    afterEach(async () => {
+        await closeFixture(dom);
+        dom = null;
+    });
+
+    cases.forEach(testCase => {
+        test(testCase.name, async () => {
+            dom = await openFixture(`${server.url}${testCase.fixture}`);
+            const { document } = dom.window;
+
+            const { expect: expected } = testCase;
+            const detections = await new CMPDetector(rules).detectCMPs(document, testCase.ruleStats);
+            detections.forEach(d => coverage.get(d.cmpName)?.fixtures.add(testCase.fixture));
+
+            if (expected.cmp === null) {
+                expect(detections).toEqual([]);
+                return;
+            }
+
+            expect(detections.map(d => d.cmpName)).toContain(expected.cmp);
+            if (expected.ranking) {
+                expect(detections.map(d => d.cmpName)).toEqual(expected.ranking);
+            }
+            const match = detections.find(d => d.showing) || null;
+
+            if (expected.showing === false) {
+                expect(match).toBeNull();
+                return;
+            }
+
+            expect(match?.cmpName).toBe(expected.cmp);
+
+            if (expected.policy) {
+                const policy = await new PolicyExtractor(match.cmpRule).extract(document);
+                expect(policy.purposes).toHaveLength(expected.policy.purposes);
+                expect(policy.vendors).toHaveLength(expected.policy.vendors);
+            }
+
+            const adapter = new ConsentOMaticAdapter();
+            trackMethods(adapter, match.cmpRule);
+            const result = await adapter.executeConsentDecision(
+                { cmpProvider: match.cmpName, consentOptions: match.cmpRule.methods },
+                testCase.decision
+            );
+
+            expect(result.success).toBe(true);
+            expect(result.methodUsed).toBe(expected.method);
+
+            (expected.hidden || []).forEach(selector => {
+                expect({ selector, hidden: isHidden(document, selector) }).toEqual({ selector, hidden: true });
+            });
+            Object.entries(expected.checked || {}).forEach(([selector, checked]) => {
+                expect({ selector, checked: document.querySelector(selector).checked }).toEqual({ selector, checked });
+            });
+            expect(readCookies(document)).toMatchObject(expected.cookies || {});
+        }, 15000);
+    });
+
+    // Cases for CMPs the bundled rules cover, plus the ones with no CMP at all
+    describe('bundled default-rules.json', () => {
+        const bundledNames = new Set(bundledRules.map(rule => rule.name));
+        const bundledCases = cases.filter(testCase => testCase.expect.cmp === null || bundledNames.has(testCase.expect.cmp));
+
+        bundledCases.forEach(testCase => {
+            test(testCase.name, async () => {
+                dom = await openFixture(`${server.url}${testCase.fixture}`);
+                const { document } = dom.window;
+
+                const { expect: expected } = testCase;
+                const detections = await new CMPDetector(bundledRules).detectCMPs(document);
+                detections.forEach(d => bundledCoverage.get(d.cmpName).add(testCase.fixture));
+
+                if (expected.cmp === null) {
+                    expect(detections).toEqual([]);
+                    return;
+                }
+                expect(detections.map(d => d.cmpName)).toEqual([expected.cmp]);
+
+                // Bundled rules have no showingMatcher, and only some of them can act on every decision
+                const rule = detections[0].cmpRule;
+                if (expected.showing === false || !rule.methods.some(m => m.name === expected.method)) return;
+
+                const result = await new ConsentOMaticAdapter().executeConsentDecision(
+                    { cmpProvider: rule.name, consentOptions: rule.methods },
+                    testCase.decision
+                );
+
+                expect(result.success).toBe(true);
+                expect(result.methodUsed).toBe(expected.method);
+                (expected.hidden || []).forEach(selector => {
+                    expect({ selector, hidden: isHidden(document, selector) }).toEqual({ selector, hidden: true });
+                });
+                expect(readCookies(document)).toMatchObject(expected.cookies || {});
+            }, 15000);
+        });
+    });
+});
+
+function writeCoverageReport() {
+    const report = rules.map(rule => {
+        const { fixtures, methods } = coverage.get(rule.name);
+        const allMethods = (rule.methods || []).map(m => m.name);
+        return {
+            rule: rule.name,
+            fixtures: [...fixtures],
+            methodsRun: allMethods.filter(name => methods.has(name)),
+            methodsNotRun: allMethods.filter(name => !methods.has(name))
+        };
+    });
+
+    const bundled = bundledRules.map(rule => ({ rule: rule.name, fixtures: [...bundledCoverage.get(rule.name)] }));
+
+    const status = entry => (entry.fixtures.length === 0 ? '✗ no fixture' : `✓ ${entry.fixtures.join(', ')}`);
+    const covered = report.filter(entry => entry.fixtures.length > 0).length;
+    const lines = report.map(entry => {
+        const methods = entry.methodsNotRun.length > 0 ? ` (not run: ${entry.methodsNotRun.join(', ')})` : '';
+        return `  ${entry.rule.padEnd(14)} ${status(entry)}${methods}`;
+    });
+    const bundledLines = bundled.map(entry => `  ${entry.rule.padEnd(14)} ${status(entry)}`);
+    console.log([
+        `CMP rule coverage: ${covered}/${report.length} fixture rules detected`,
+        ...lines,
+        'Bundled default-rules.json:',
+        ...bundledLines
+    ].join('\n'));
+
+    fs.mkdirSync(path.dirname(COVERAGE_REPORT), { recursive: true });
+    fs.writeFileSync(COVERAGE_REPORT, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        covered,
+        total: report.length,
+        rules: report,
+        bundledRules: bundled
+    }, null, 2));
+}
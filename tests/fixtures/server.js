@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Static server for the saved CMP fixtures in tests/fixtures/cmp.
+ * The jsdom runner starts it on a random port; run it directly to open the
+ * fixtures in Chrome with the unpacked extension loaded:
+ *
+ *   npm run fixtures:serve          # http://127.0.0.1:8090/
+ *   node tests/fixtures/server.js 9000
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_ROOT = path.join(__dirname, 'cmp');
+const DEFAULT_PORT = 8090;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+function listFixtures(root = FIXTURE_ROOT) {
+    return fs.readdirSync(root).filter(file => file.endsWith('.html')).sort();
+}
+
+function handleRequest(root, req, res) {
+    const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+
+    if (pathname === '/') {
+        const links = listFixtures(root).map(file => `<li><a href="/${file}">${file}</a></li>`).join('\n');
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.html'] });
+        res.end(`<!DOCTYPE html><title>CMP fixtures</title><h1>CMP fixtures</h1><ul>${links}</ul>`);
+        return;
+    }
+
+    // Resolve inside the fixture directory only
+    const filePath = path.join(root, path.normalize(pathname));
+    if (!filePath.startsWith(root + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    fs.createReadStream(filePath).pipe(res);
+}
+
+/**
+ * Start serving `root`. Port 0 picks a free port.
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+function startFixtureServer({ port = 0, host = '127.0.0.1', root = FIXTURE_ROOT } = {}) {
+    const server = http.createServer((req, res) => handleRequest(root, req, res));
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const { port: boundPort } = server.address();
+            resolve({
+                url: `http://${host}:${boundPort}/`,
+                close: () => new Promise(done => server.close(() => done()))
+            });
+        });
+    });
+}
+
+module.exports = { startFixtureServer, listFixtures, FIXTURE_ROOT };
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || DEFAULT_PORT;
+    startFixtureServer({ port }).then(({ url }) => {
+        console.log(`🍪 Serving ${listFixtures().length} CMP fixtures at ${url}`);
+        listFixtures().forEach(file => console.log(`   ${url}${file}`));
+    }).catch((error) => {
+        console.error('❌ Fixture server failed:', error.message);
+        process.exitCode = 1;
+    });
+}
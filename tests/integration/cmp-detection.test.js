@@ -32,9 +32,13 @@ const INJECTED_CODE = `
     // Mock TCF API if needed
     window.__tcfapi = window.__tcfapi || function() {};
     
+    ${readLibFile('dom/shadow-dom.js')}
+    ${readLibFile('consent-o-matic/finder.js')}
     ${readLibFile('consent-o-matic/actions.js')}
     ${readLibFile('consent-o-matic/matcher.js')}
     ${readLibFile('consent-o-matic/detector.js')}
+    ${readLibFile('tcf/tc-string.js')}
+    ${readLibFile('tcf/tcf-client.js')}
     ${readLibFile('policy-extractor/extractor.js')}
     ${readLibFile('adapters/consentOMatic-adapter.js')}
     
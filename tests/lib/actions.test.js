@@ -0,0 +1,237 @@
+import { JSDOM } from 'jsdom';
+import { ActionExecutor } from '../../extension/lib/consent-o-matic/actions.js';
+import { Matcher } from '../../extension/lib/consent-o-matic/matcher.js';
+
+// The Consent-O-Matic action DSL on jsdom, one action type at a time.
+// Waits between steps are skipped; waitcss counts its retries instead.
+
+function page(html) {
+    const { document } = new JSDOM(`<body>${html}</body>`).window;
+    return document;
+}
+
+// Records clicks as "<id>" in the order they happen
+function trackClicks(document) {
+    const clicks = [];
+    document.addEventListener('click', event => clicks.push(event.target.id));
+    return clicks;
+}
+
+describe('ActionExecutor', () => {
+    let executor;
+
+    beforeEach(() => {
+        executor = new ActionExecutor();
+        executor.sleep = jest.fn(async () => { });
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('parent scopes the target, and a missing parent finds nothing', async () => {
+        const document = page(`
+            <div class="other"><button id="wrong">Reject</button></div>
+            <div class="banner"><button id="right">Reject</button></div>`);
+        const clicks = trackClicks(document);
+
+        const click = parent => ({ type: 'click', parent: { selector: parent }, target: { selector: 'button', textFilter: 'reject' } });
+        expect(await executor.execute(click('.banner'), { document })).toBe(true);
+        expect(await executor.execute(click('.missing'), { document })).toBe(false);
+        expect(clicks).toEqual(['right']);
+    });
+
+    test('waitcss retries until the target shows up, or gives up', async () => {
+        const document = page('');
+        executor.sleep = jest.fn(async () => {
+            if (executor.sleep.mock.calls.length === 3) document.body.innerHTML = '<div id="options"></div>';
+        });
+
+        expect(await executor.execute({ type: 'waitcss', target: { selector: '#options' }, retries: 5 }, { document })).toBe(true);
+        expect(executor.sleep).toHaveBeenCalledTimes(3);
+
+        executor.sleep.mockClear();
+        expect(await executor.execute({ type: 'waitcss', target: { selector: '#never' }, retries: 4, waitTime: 10 }, { document })).toBe(false);
+        expect(executor.sleep.mock.calls).toEqual([[10], [10], [10], [10]]);
+
+        // Negated: wait for it to go away
+        expect(await executor.execute({ type: 'waitcss', target: { selector: '#never' }, negated: true }, { document })).toBe(true);
+    });
+
+    test('ifcss runs the branch for whether the target exists', async () => {
+        const document = page('<div id="banner"></div><button id="yes"></button><button id="no"></button>');
+        const clicks = trackClicks(document);
+        const ifcss = selector => ({
+            type: 'ifcss',
+            target: { selector },
+            trueAction: { type: 'click', target: { selector: '#yes' } },
+            falseAction: { type: 'click', target: { selector: '#no' } }
+        });
+
+        expect(await executor.execute(ifcss('#banner'), { document })).toBe(true);
+        expect(await executor.execute(ifcss('#missing'), { document })).toBe(true);
+        expect(clicks).toEqual(['yes', 'no']);
+
+        // The branch's result is the action's result
+        const brokenBranch = { type: 'ifcss', target: { selector: '#banner' }, trueAction: { type: 'click', target: { selector: '#gone' } } };
+        expect(await executor.execute(brokenBranch, { document })).toBe(false);
+    });
+
+    test('foreach runs its action inside each match', async () => {
+        const document = page(`
+            <div class="vendor"><input type="checkbox" id="v1" checked></div>
+            <div class="vendor"><input type="checkbox" id="v2"></div>
+            <div class="vendor"><input type="checkbox" id="v3" checked></div>
+            <input type="checkbox" id="outside" checked>`);
+        const uncheck = {
+            type: 'foreach',
+            target: { selector: '.vendor' },
+            action: {
+                type: 'ifcss',
+                target: { selector: 'input:checked' },
+                trueAction: { type: 'click', target: { selector: 'input' } }
+            }
+        };
+
+        expect(await executor.execute(uncheck, { document })).toBe(true);
+        expect([...document.querySelectorAll('input:checked')].map(el => el.id)).toEqual(['outside']);
+        expect(await executor.execute({ ...uncheck, target: { selector: '.none' } }, { document })).toBe(false);
+    });
+
+    test('slide drags the handle along one axis to the drag target', async () => {
+        const document = page('<div id="track"><span id="handle"></span><span id="end"></span></div>');
+        const handle = document.getElementById('handle');
+        const end = document.getElementById('end');
+        handle.getBoundingClientRect = () => ({ left: 10, top: 20, width: 10, height: 10 });
+        end.getBoundingClientRect = () => ({ left: 110, top: 70, width: 10, height: 10 });
+        const events = [];
+        ['mousedown', 'mousemove', 'mouseup'].forEach(type =>
+            handle.addEventListener(type, event => events.push([type, event.clientX, event.clientY])));
+
+        const slide = { type: 'slide', target: { selector: '#handle' }, dragTarget: { target: { selector: '#end' } } };
+        expect(await executor.execute(slide, { document })).toBe(true);
+        expect(events).toEqual([['mousedown', 15, 25], ['mousemove', 115, 25], ['mouseup', 115, 25]]);
+
+        events.length = 0;
+        await executor.execute({ ...slide, axis: 'y' }, { document });
+        expect(events[2]).toEqual(['mouseup', 15, 75]);
+
+        expect(await executor.execute({ ...slide, dragTarget: { target: { selector: '#missing' } } }, { document })).toBe(false);
+    });
+
+    test('close closes the window the banner lives in', async () => {
+        const document = page('');
+        document.defaultView.close = jest.fn();
+
+        expect(await executor.execute({ type: 'close' }, { document })).toBe(true);
+        expect(document.defaultView.close).toHaveBeenCalled();
+    });
+
+    describe('consent', () => {
+        const PURPOSES = `
+            <label><input type="checkbox" id="analytics" checked> Analytics</label>
+            <button id="ads-switch" role="switch" aria-checked="false">Ads</button>
+            <button id="social-on">Allow social</button>
+            <button id="social-off">Block social</button>`;
+
+        const consentAction = {
+            type: 'consent',
+            consents: [
+                {
+                    type: 'B',
+                    matcher: { type: 'checkbox', target: { selector: '#analytics' } },
+                    toggleAction: { type: 'click', target: { selector: '#analytics' } }
+                },
+                {
+                    type: 'F',
+                    matcher: { type: 'onoff', target: { selector: '#ads-switch' } },
+                    toggleAction: { type: 'click', target: { selector: '#ads-switch' } }
+                },
+                {
+                    type: 'X',
+                    trueAction: { type: 'click', target: { selector: '#social-on' } },
+                    falseAction: { type: 'click', target: { selector: '#social-off' } }
+                }
+            ]
+        };
+
+        test('toggles what differs from the choice and runs the matching true/false action', async () => {
+            const document = page(PURPOSES);
+            const clicks = trackClicks(document);
+            document.getElementById('ads-switch').addEventListener('click', event => event.target.setAttribute('aria-checked', 'true'));
+
+            const context = { document, consentTypes: { B: false, F: true, X: false }, consentStates: {} };
+            expect(await executor.execute(consentAction, context)).toBe(true);
+            expect(clicks).toEqual(['analytics', 'ads-switch', 'social-off']);
+            expect(document.getElementById('analytics').checked).toBe(false);
+            expect(await Matcher.evaluate(consentAction.consents[1].matcher, context)).toBe(true);
+            expect(context.consentStates).toEqual({ B: false, F: true, X: false });
+        });
+
+        test('is false when nothing needed to run, or nothing it ran succeeded', async () => {
+            // Already as the user wants it, and no social buttons
+            const document = page(PURPOSES.replace(/<button id="social-.*<\/button>/g, ''));
+            const clicks = trackClicks(document);
+
+            const context = { document, consentTypes: { B: true, F: false, X: true }, consentStates: {} };
+            expect(await executor.execute(consentAction, context)).toBe(false);
+            expect(clicks).toEqual([]);
+            // The switches it found are known; the social purpose isn't
+            expect(context.consentStates).toEqual({ B: true, F: false });
+
+            // Undecided purposes stay off, so the switch needs toggling, but its button is gone
+            const broken = {
+                type: 'consent',
+                consents: [{
+                    type: 'F',
+                    matcher: { type: 'onoff', target: { selector: '#switch' } },
+                    toggleAction: { type: 'click', target: { selector: '#gone' } }
+                }]
+            };
+            expect(await executor.execute(broken, { document: page('<div id="switch" aria-checked="true"></div>') })).toBe(false);
+            expect(await executor.execute({ type: 'consent', consents: [] }, { document })).toBe(false);
+        });
+    });
+
+    describe('matchers', () => {
+        test('checkbox reads the checked state of a real input', async () => {
+            const document = page('<input type="checkbox" id="on" checked><input type="checkbox" id="off">');
+            const checkbox = selector => ({ type: 'checkbox', target: { selector } });
+
+            expect(await Matcher.evaluate(checkbox('#on'), { document })).toBe(true);
+            expect(await Matcher.evaluate(checkbox('#off'), { document })).toBe(false);
+            expect(await Matcher.evaluate(checkbox('#missing'), { document })).toBe(false);
+        });
+
+        test('onoff reads inputs, aria state and nested checkboxes', async () => {
+            const document = page(`
+                <input type="checkbox" id="input" checked>
+                <div id="aria-on" role="switch" aria-checked="true"></div>
+                <div id="pressed-off" aria-pressed="false"></div>
+                <label id="nested"><input type="checkbox" checked></label>
+                <span id="plain"></span>`);
+            const onoff = selector => Matcher.evaluate({ type: 'onoff', target: { selector } }, { document });
+
+            expect(await onoff('#input')).toBe(true);
+            expect(await onoff('#aria-on')).toBe(true);
+            expect(await onoff('#pressed-off')).toBe(false);
+            expect(await onoff('#nested')).toBe(true);
+            expect(await onoff('#plain')).toBe(false);
+        });
+
+        test('a matcher list only matches when every entry does, scoped by foreach', async () => {
+            const document = page(`
+                <div class="purpose" id="one"><input type="checkbox" checked><span class="name">Ads</span></div>
+                <div class="purpose" id="two"><input type="checkbox"><span class="name">Ads</span></div>`);
+            const both = [
+                { type: 'css', target: { selector: '.name', textFilter: 'ads' } },
+                { type: 'checkbox', target: { selector: 'input' } }
+            ];
+
+            expect(await Matcher.evaluate(both, { document, base: document.getElementById('one') })).toBe(true);
+            expect(await Matcher.evaluate(both, { document, base: document.getElementById('two') })).toBe(false);
+            expect(await Matcher.evaluate([], { document })).toBe(false);
+        });
+    });
+});
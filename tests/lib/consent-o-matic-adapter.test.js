@@ -0,0 +1,128 @@
+import { JSDOM } from 'jsdom';
+import { ConsentOMaticAdapter } from '../../extension/lib/adapters/consentOMatic-adapter.js';
+
+// How the adapter turns the saved profile into a decision, and what it reports
+// after running an upstream per-purpose flow on jsdom.
+
+function page(html) {
+    return new JSDOM(`<body>${html}</body>`).window.document;
+}
+
+const ALL_LETTERS = ['A', 'B', 'D', 'E', 'F', 'X'];
+
+describe('ConsentOMaticAdapter', () => {
+    let adapter;
+
+    beforeEach(() => {
+        adapter = new ConsentOMaticAdapter();
+        adapter.actionExecutor.sleep = jest.fn(async () => { });
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('matchPolicyToPreferences', () => {
+        test('accepts when every optional purpose is allowed, rejects when none is', () => {
+            const all = { functional: true, analytics: true, marketing: true, social: true };
+            expect(adapter.matchPolicyToPreferences({}, all)).toMatchObject({
+                action: 'accept',
+                purposes: { necessary: true, ...all }
+            });
+            expect(adapter.matchPolicyToPreferences({}, {})).toMatchObject({
+                action: 'reject',
+                purposes: { necessary: true, functional: false, analytics: false, marketing: false, social: false }
+            });
+        });
+
+        test('anything in between is a custom choice naming the allowed purposes', () => {
+            expect(adapter.matchPolicyToPreferences({}, { analytics: true, social: true, marketing: 'yes' })).toEqual({
+                action: 'custom',
+                purposes: { necessary: true, functional: false, analytics: true, marketing: false, social: true },
+                reason: 'User allows only: analytics, social'
+            });
+        });
+
+        test('denyAll overrides every allowed purpose', () => {
+            const decision = adapter.matchPolicyToPreferences({}, { denyAll: true, functional: true, analytics: true, marketing: true, social: true });
+            expect(decision.action).toBe('reject');
+        });
+    });
+
+    describe('buildConsentTypes', () => {
+        test('maps each purpose onto its upstream letters', () => {
+            expect(adapter.buildConsentTypes({
+                action: 'custom',
+                purposes: { necessary: true, functional: true, analytics: false, marketing: true, social: false }
+            })).toEqual({ A: true, D: true, B: false, E: true, F: true, X: false });
+        });
+
+        test('without purposes, follows the blanket accept or reject', () => {
+            const letters = allow => Object.fromEntries(ALL_LETTERS.map(letter => [letter, allow]));
+            expect(adapter.buildConsentTypes({ action: 'accept' })).toEqual(letters(true));
+            expect(adapter.buildConsentTypes({ action: 'reject' })).toEqual(letters(false));
+        });
+
+        test('explicit consent types win', () => {
+            const consentTypes = { B: true };
+            expect(adapter.buildConsentTypes({ action: 'reject', purposes: { analytics: false }, consentTypes })).toBe(consentTypes);
+        });
+    });
+
+    describe('upstream DO_CONSENT flow', () => {
+        const toggle = (type, selector) => ({
+            type,
+            matcher: { type: 'checkbox', target: { selector } },
+            toggleAction: { type: 'click', target: { selector } }
+        });
+        const cmpData = (...methods) => ({ cmpProvider: 'TestCMP', consentOptions: methods });
+        const DO_CONSENT = {
+            name: 'DO_CONSENT',
+            action: { type: 'consent', consents: [toggle('B', '#analytics'), toggle('F', '#ads')] }
+        };
+        const SAVE_CONSENT = { name: 'SAVE_CONSENT', action: { type: 'click', target: { selector: '#save' } } };
+        const PURPOSES = '<input type="checkbox" id="analytics" checked><input type="checkbox" id="ads">';
+
+        const run = (document, data, purposes) => {
+            const decision = { action: 'custom', purposes };
+            return adapter.executeUpstreamFlow(data, decision, { document, consentTypes: adapter.buildConsentTypes(decision) });
+        };
+
+        test('reports what the switches ended up as, not what was asked for', async () => {
+            const document = page(`${PURPOSES}<button id="save"></button>`);
+            const result = await run(document, cmpData(DO_CONSENT, SAVE_CONSENT),
+                { analytics: false, marketing: true, functional: true, social: true });
+
+            expect(result).toMatchObject({ success: true, methodUsed: 'DO_CONSENT', methodsTried: ['DO_CONSENT', 'SAVE_CONSENT'] });
+            expect(document.getElementById('ads').checked).toBe(true);
+            // The banner has no functional or social switch
+            expect(result.grantedPurposes).toEqual({ necessary: true, functional: false, analytics: false, marketing: true, social: false });
+        });
+
+        test('switches already as chosen still count once the choice is saved', async () => {
+            const document = page(`${PURPOSES}<button id="save"></button>`);
+            const result = await run(document, cmpData(DO_CONSENT, SAVE_CONSENT), { analytics: true, marketing: false });
+
+            expect(result).toMatchObject({ success: true, methodUsed: 'SAVE_CONSENT' });
+            expect(result.grantedPurposes).toMatchObject({ analytics: true, marketing: false });
+        });
+
+        test('fails when the choice could not be saved, or no switch was found', async () => {
+            const unsaved = await run(page(PURPOSES), cmpData(DO_CONSENT, SAVE_CONSENT), { analytics: false });
+            expect(unsaved).toMatchObject({ success: false, methodUsed: null });
+
+            const noSwitches = await run(page('<button id="save"></button>'), cmpData(DO_CONSENT, SAVE_CONSENT), { analytics: false });
+            expect(noSwitches).toMatchObject({ success: false, methodUsed: null });
+            expect(noSwitches.grantedPurposes).toEqual({ necessary: true, functional: false, analytics: false, marketing: false, social: false });
+        });
+
+        test('without a save step, the toggles alone decide', async () => {
+            const changed = await run(page(PURPOSES), cmpData(DO_CONSENT), { analytics: false });
+            expect(changed).toMatchObject({ success: true, methodUsed: 'DO_CONSENT' });
+
+            const unchanged = await run(page(PURPOSES), cmpData(DO_CONSENT), { analytics: true });
+            expect(unchanged).toMatchObject({ success: false, methodUsed: null });
+        });
+    });
+});
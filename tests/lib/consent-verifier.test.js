@@ -0,0 +1,122 @@
+import ConsentVerifier from '../../extension/utils/consent-verifier.js';
+
+// Checking a decision after the fact, with chrome.cookies and the page signals
+// chrome.scripting reads from the CMP replaced by stubs.
+
+// Core TC string granting purposes 1, 3 and 4 (tests/lib/tc-string.test.js spells it out)
+const TC_STRING = 'CP4cy6AP4c7sgAKADBENDXEIALAAAEIAAAYgAFEhAAYCAA';
+
+const cookie = (name, value = '1', domain = '.news.example') => ({ name, value, domain, path: '/' });
+
+const REFUSED = {
+    url: 'https://news.example/',
+    grantedPurposes: { necessary: true, functional: true, analytics: false, marketing: false, social: false }
+};
+
+describe('ConsentVerifier', () => {
+    let verifier;
+    let cookies;
+    let pageSignals;
+
+    beforeEach(() => {
+        cookies = [];
+        pageSignals = { tcString: null, gpp: null };
+        global.chrome = {
+            cookies: { getAll: jest.fn(async () => cookies) },
+            scripting: { executeScript: jest.fn(async () => [{ result: pageSignals }]) }
+        };
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        verifier = new ConsentVerifier();
+    });
+
+    afterEach(() => {
+        delete global.chrome;
+        jest.restoreAllMocks();
+    });
+
+    test('refused categories come from the purposes, or the accept flag without them', () => {
+        expect(verifier.deniedCategories(REFUSED)).toEqual(['analytics', 'marketing']);
+        expect(verifier.deniedCategories({ grantedPurposes: { analytics: true } })).toEqual(['marketing']);
+        expect(verifier.deniedCategories({ accepted: false })).toEqual(['analytics', 'marketing']);
+        expect(verifier.deniedCategories({ accepted: true })).toEqual([]);
+        // A banner snapshot with no decision refuses nothing
+        expect(verifier.deniedCategories({ url: 'https://news.example/' })).toEqual([]);
+    });
+
+    test('only cookies of a refused category count, and only if new or changed since the baseline', () => {
+        const baseline = [cookie('_ga', 'GA1.1'), cookie('_gcl_au', 'old'), cookie('PHPSESSID')];
+        const now = [
+            cookie('_ga', 'GA1.1'), // there before the banner, unchanged
+            cookie('_gcl_au', 'new'), // marketing, rewritten
+            cookie('_fbp'), // marketing, new
+            cookie('PHPSESSID', '2'), // functional
+            cookie('random') // unknown
+        ];
+
+        expect(verifier.findCookieViolations(now, baseline, ['analytics', 'marketing'])).toEqual([
+            { type: 'cookie', category: 'marketing', name: '_gcl_au', domain: '.news.example', detail: 'refreshed after decision' },
+            { type: 'cookie', category: 'marketing', name: '_fbp', domain: '.news.example', detail: 'set after decision' }
+        ]);
+
+        // Same cookie on another domain or path is a different cookie
+        const elsewhere = [{ ...cookie('_ga', 'GA1.1'), path: '/shop' }];
+        expect(verifier.findCookieViolations(elsewhere, baseline, ['analytics'])).toMatchObject([{ name: '_ga', detail: 'set after decision' }]);
+        expect(verifier.findCookieViolations(now, baseline, ['analytics'])).toEqual([]);
+    });
+
+    test('a refusal the site kept to is honored', async () => {
+        const baseline = [cookie('_ga', 'GA1.1')];
+        cookies = [cookie('_ga', 'GA1.1'), cookie('consent_choice', 'reject')];
+        pageSignals = { tcString: null, gpp: { gppString: 'DBABMA~', parsedSections: { usnat: { SaleOptOut: 1 } } } };
+
+        const result = await verifier.verify(REFUSED, { baseline, tabId: 4 });
+
+        expect(chrome.cookies.getAll).toHaveBeenCalledWith({ url: 'https://news.example/' });
+        expect(chrome.scripting.executeScript).toHaveBeenCalledWith(expect.objectContaining({
+            target: { tabId: 4, frameIds: [0] },
+            world: 'MAIN'
+        }));
+        expect(result).toMatchObject({ status: 'honored', deniedCategories: ['analytics', 'marketing'], violations: [] });
+        expect(result.evidence).toEqual({
+            cookies: [
+                { name: '_ga', domain: '.news.example', category: 'Analytics' },
+                { name: 'consent_choice', domain: '.news.example', category: 'Functional' }
+            ],
+            tcString: null,
+            gppString: 'DBABMA~'
+        });
+    });
+
+    test('cookies, the TC string and GPP can each show a refusal was ignored', async () => {
+        cookies = [cookie('_fbp')];
+        pageSignals = {
+            tcString: TC_STRING,
+            gpp: { gppString: 'DBABMA~', parsedSections: { usnat: [{ SaleOptOut: 2, SharingOptOut: 1 }] } }
+        };
+
+        const result = await verifier.verify(REFUSED, { baseline: [], tabId: 4 });
+
+        expect(result.status).toBe('violated');
+        expect(result.violations).toEqual([
+            { type: 'cookie', category: 'marketing', name: '_fbp', domain: '.news.example', detail: 'set after decision' },
+            { type: 'tcf', category: 'marketing', detail: 'TC string grants purposes 3, 4' },
+            { type: 'gpp', category: 'marketing', detail: 'usnat.SaleOptOut reports no opt-out' }
+        ]);
+        expect(result.evidence.tcString).toBe(TC_STRING);
+    });
+
+    test('without a tab, the TC string stored with the consent is checked', async () => {
+        const result = await verifier.verify({ ...REFUSED, tcf: { tcString: 'stored', purposeConsents: [8] } });
+
+        expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+        expect(result.violations).toEqual([{ type: 'tcf', category: 'analytics', detail: 'TC string grants purposes 8' }]);
+        expect(result.evidence.tcString).toBe('stored');
+    });
+
+    test('a closed tab or unreadable cookies leave nothing to judge', async () => {
+        chrome.scripting.executeScript.mockRejectedValue(new Error('No tab with id: 4'));
+        chrome.cookies.getAll.mockRejectedValue(new Error('No host permission'));
+
+        expect(await verifier.verify(REFUSED, { tabId: 4 })).toMatchObject({ status: 'honored', violations: [] });
+    });
+});
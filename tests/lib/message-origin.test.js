@@ -0,0 +1,88 @@
+import {
+    DASHBOARD_ORIGIN_KEY,
+    PAGE_MESSAGES,
+    getDashboardOrigin,
+    isAllowedMessage,
+    isTrustedSender,
+    setDashboardOrigin
+} from '../../extension/utils/message-origin.js';
+
+// Which senders the background serves. Senders are shaped like chrome.runtime.MessageSender.
+
+const EXTENSION_URL = 'chrome-extension://abcdefghijklmnop/';
+const DASHBOARD_ORIGIN = 'http://localhost:8080';
+
+describe('message senders', () => {
+    let stored;
+
+    beforeEach(() => {
+        stored = {};
+        global.chrome = {
+            runtime: { getURL: (path) => EXTENSION_URL + path },
+            storage: {
+                local: {
+                    get: async (key) => (key in stored ? { [key]: stored[key] } : {}),
+                    set: async (items) => { Object.assign(stored, items); },
+                    remove: async (key) => { delete stored[key]; }
+                }
+            }
+        };
+    });
+
+    afterEach(() => {
+        delete global.chrome;
+    });
+
+    const popup = { id: 'abcdefghijklmnop', url: `${EXTENSION_URL}popup/index.html` };
+    const dashboardTab = { tab: { id: 3 }, frameId: 0, url: 'http://localhost:8080/index.html', origin: DASHBOARD_ORIGIN };
+    const otherLocalApp = { tab: { id: 5 }, frameId: 0, url: 'http://localhost:8000/', origin: 'http://localhost:8000' };
+    const website = { tab: { id: 4 }, frameId: 0, url: 'https://evil.example/', origin: 'https://evil.example' };
+
+    test('extension pages are trusted, the wallet dashboard only once its address is set', () => {
+        expect(isTrustedSender(popup)).toBe(true);
+        expect(isTrustedSender(dashboardTab)).toBe(false);
+        expect(isTrustedSender(dashboardTab, DASHBOARD_ORIGIN)).toBe(true);
+        expect(isTrustedSender({ ...dashboardTab, origin: undefined }, DASHBOARD_ORIGIN)).toBe(true);
+    });
+
+    test('websites, other local servers, and frames inside the dashboard, are not', () => {
+        expect(isTrustedSender(website, DASHBOARD_ORIGIN)).toBe(false);
+        expect(isTrustedSender(otherLocalApp, DASHBOARD_ORIGIN)).toBe(false);
+        expect(isTrustedSender({ ...dashboardTab, url: 'http://127.0.0.1:8080/', origin: undefined }, DASHBOARD_ORIGIN)).toBe(false);
+        expect(isTrustedSender({ ...dashboardTab, frameId: 5 }, DASHBOARD_ORIGIN)).toBe(false);
+        expect(isTrustedSender({ ...website, url: 'https://evil.example/?chrome-extension://abcdefghijklmnop/' })).toBe(false);
+        expect(isTrustedSender(undefined)).toBe(false);
+    });
+
+    test('a website may only report on itself', () => {
+        PAGE_MESSAGES.forEach(type => expect(isAllowedMessage(type, website)).toBe(true));
+        ['EXPORT_BACKUP', 'IMPORT_BACKUP', 'SET_RETENTION_POLICY', 'RESTORE_SCHEMA_SNAPSHOT', 'CLEAR_CONSENTS',
+            'SAVE_USER_RULE', 'DELETE_USER_RULE', 'DRY_RUN_RULE', 'START_RULE_RECORDER', 'PREVIEW_RETENTION',
+            'SET_RULE_MANIFEST_URL', 'ROLLBACK_RULES']
+            .forEach(type => {
+                expect(isAllowedMessage(type, website, DASHBOARD_ORIGIN)).toBe(false);
+                expect(isAllowedMessage(type, otherLocalApp, DASHBOARD_ORIGIN)).toBe(false);
+                expect(isAllowedMessage(type, dashboardTab)).toBe(false);
+                expect(isAllowedMessage(type, dashboardTab, DASHBOARD_ORIGIN)).toBe(true);
+            });
+    });
+
+    test('only extension pages may change the dashboard address', () => {
+        expect(isAllowedMessage('SET_DASHBOARD_ORIGIN', popup)).toBe(true);
+        expect(isAllowedMessage('SET_DASHBOARD_ORIGIN', dashboardTab, DASHBOARD_ORIGIN)).toBe(false);
+    });
+
+    test('the dashboard address is stored as an origin, and can be cleared', async () => {
+        expect(await getDashboardOrigin()).toBeNull();
+        expect(await setDashboardOrigin('http://localhost:8080/index.html?x=1')).toBe(DASHBOARD_ORIGIN);
+        expect(stored[DASHBOARD_ORIGIN_KEY]).toBe(DASHBOARD_ORIGIN);
+        expect(await getDashboardOrigin()).toBe(DASHBOARD_ORIGIN);
+
+        await expect(setDashboardOrigin('javascript:alert(1)')).rejects.toThrow('http(s) URL');
+        await expect(setDashboardOrigin('localhost:8080')).rejects.toThrow('http(s) URL');
+        expect(await getDashboardOrigin()).toBe(DASHBOARD_ORIGIN);
+
+        expect(await setDashboardOrigin('')).toBeNull();
+        expect(await getDashboardOrigin()).toBeNull();
+    });
+});
@@ -0,0 +1,201 @@
+import { RuleSyncService } from '../../extension/lib/rule-sync/sync-service.js';
+import {
+    SIGNED_SYNC_DISABLED,
+    base64UrlEncode,
+    canonicalJSON,
+    manifestPayload,
+    sha256Hex,
+    verifyRuleManifest
+} from '../../extension/lib/rule-sync/rule-manifest.js';
+
+// Signed rule sync against a throwaway signing key, with chrome.storage.local
+// and fetch replaced by in-memory fakes serving the published files.
+
+const MANIFEST_URL = 'https://rules.example/rules-manifest.json';
+const SOURCE_URL = 'https://rules.example/rules-list.json';
+const RULE_FILE_URLS = ['https://rules.example/rules-a.json', 'https://rules.example/rules-b.json'];
+
+function memoryArea() {
+    const data = {};
+    const keyList = keys => (Array.isArray(keys) ? keys : [keys]);
+    return {
+        data,
+        get: async (keys) => Object.fromEntries(keyList(keys).filter(key => key in data).map(key => [key, data[key]])),
+        set: async (items) => { Object.assign(data, items); },
+        remove: async (keys) => { keyList(keys).forEach(key => delete data[key]); }
+    };
+}
+
+function makeRules(count, variant = '') {
+    return Array.from({ length: count }, (_, i) => ({
+        name: `CMP${i}`,
+        detectors: [{ presentMatcher: { type: 'css', selector: `#cmp${i}${variant}` } }],
+        methods: [{ name: 'ACCEPT_ALL', action: { type: 'click', selector: `#accept${i}` } }]
+    }));
+}
+
+describe('signed rule sync', () => {
+    let keys;
+    let published;
+    let sync;
+
+    beforeAll(async () => {
+        keys = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    });
+
+    beforeEach(async () => {
+        published = {};
+        global.chrome = { storage: { local: memoryArea() } };
+        global.fetch = jest.fn(async (url) => {
+            const text = published[url];
+            return {
+                ok: text !== undefined,
+                status: text !== undefined ? 200 : 404,
+                text: async () => text,
+                json: async () => JSON.parse(text)
+            };
+        });
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+
+        sync = new RuleSyncService({ signingKey: await crypto.subtle.exportKey('jwk', keys.publicKey) });
+        await sync.setManifestUrl(MANIFEST_URL);
+    });
+
+    afterEach(() => {
+        delete global.chrome;
+        delete global.fetch;
+        jest.restoreAllMocks();
+    });
+
+    async function sign(manifest, privateKey = keys.privateKey) {
+        const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, manifestPayload(manifest));
+        return { ...manifest, signature: base64UrlEncode(signature) };
+    }
+
+    // What scripts/sign-rules.js does: pin the rule list and the files it references, then sign.
+    // Like upstream, the list only references rule files.
+    async function publish(version, rules) {
+        const half = Math.ceil(rules.length / 2);
+        published[SOURCE_URL] = JSON.stringify({ references: RULE_FILE_URLS });
+        published[RULE_FILE_URLS[0]] = JSON.stringify(ruleMap(rules.slice(0, half)));
+        published[RULE_FILE_URLS[1]] = JSON.stringify(ruleMap(rules.slice(half)));
+
+        const files = {};
+        for (const url of [SOURCE_URL, ...RULE_FILE_URLS]) {
+            files[url] = await sha256Hex(published[url]);
+        }
+        const manifest = await sign({ version, publishedAt: '2026-01-01T00:00:00Z', source: SOURCE_URL, files });
+        published[MANIFEST_URL] = JSON.stringify(manifest);
+        return manifest;
+    }
+
+    // Upstream files key rules by CMP name
+    const ruleMap = rules => Object.fromEntries(rules.map(({ name, ...rule }) => [name, rule]));
+    const activeNames = async () => (await sync.getSyncedRules()).map(rule => rule.name).sort();
+
+    test('a signed bundle is verified, activated and diffed against the previous one', async () => {
+        await publish(1, makeRules(4));
+        const first = await sync.syncRules();
+        expect(first).toMatchObject({ success: true, version: 1, ruleCount: 4 });
+        expect(await activeNames()).toEqual(['CMP0', 'CMP1', 'CMP2', 'CMP3']);
+
+        await publish(2, [...makeRules(3, '-v2').slice(1), ...makeRules(5).slice(3)]);
+        const second = await sync.syncRules();
+        expect(second.diff).toEqual({ added: ['CMP4'], removed: ['CMP0'], changed: ['CMP1', 'CMP2'] });
+
+        expect(await sync.syncRules()).toMatchObject({ success: true, upToDate: true, version: 2 });
+        expect((await sync.getSyncState()).history.map(entry => entry.id)).toEqual(['signed-2', 'signed-1']);
+    });
+
+    test('a manifest with a bad signature is rejected and the active rules are kept', async () => {
+        await publish(1, makeRules(4));
+        await sync.syncRules();
+
+        // Signed, then edited
+        const manifest = await publish(2, makeRules(6));
+        published[MANIFEST_URL] = JSON.stringify({ ...manifest, version: 3 });
+        expect(await sync.syncRules()).toEqual({
+            success: false,
+            error: 'Rule manifest signature is invalid',
+            keptVersion: 'signed-1'
+        });
+
+        // Signed with someone else's key
+        const otherKeys = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+        published[MANIFEST_URL] = JSON.stringify(await sign({ ...manifest, signature: undefined }, otherKeys.privateKey));
+        expect((await sync.syncRules()).error).toBe('Rule manifest signature is invalid');
+
+        await expect(verifyRuleManifest({ ...manifest, signature: undefined })).rejects.toThrow('not signed');
+        expect(await activeNames()).toEqual(['CMP0', 'CMP1', 'CMP2', 'CMP3']);
+        expect((await sync.getStatus()).lastError).toBe('Rule manifest signature is invalid');
+    });
+
+    test('a rule file that differs from its pinned hash is rejected', async () => {
+        await publish(1, makeRules(4));
+        await sync.syncRules();
+
+        await publish(2, makeRules(6));
+        published[RULE_FILE_URLS[1]] = JSON.stringify(ruleMap(makeRules(6, '-tampered').slice(3)));
+
+        expect(await sync.syncRules()).toMatchObject({ success: false, error: `Rule file hash mismatch for ${RULE_FILE_URLS[1]}` });
+        expect(await activeNames()).toEqual(['CMP0', 'CMP1', 'CMP2', 'CMP3']);
+    });
+
+    test('a bundle that drops most of the active rules, or has malformed ones, is rejected', async () => {
+        await publish(1, makeRules(6));
+        await sync.syncRules();
+
+        await publish(2, makeRules(2));
+        expect(await sync.syncRules()).toMatchObject({ success: false, error: 'Rule bundle has 2 rules, down from 6' });
+        expect(await activeNames()).toHaveLength(6);
+
+        // Half of them is still plausible
+        expect(() => sync.validateRules(makeRules(3), makeRules(6))).not.toThrow();
+        expect(() => sync.validateRules([])).toThrow('empty');
+        expect(() => sync.validateRules([...makeRules(2), { name: 'Broken', detectors: [{}], methods: [] }]))
+            .toThrow('1 malformed rules (e.g. Broken)');
+    });
+
+    test('a rolled-back version is held until a newer one is published', async () => {
+        await publish(1, makeRules(4));
+        await sync.syncRules();
+        await publish(2, makeRules(5));
+        await sync.syncRules();
+
+        const rolledBack = await sync.rollback('signed-1');
+        expect(rolledBack).toMatchObject({ id: 'signed-1', diff: { removed: ['CMP4'] } });
+        expect(await sync.getStatus()).toMatchObject({ heldVersion: 2, active: { id: 'signed-1' } });
+
+        // v2 is still the published manifest: not reinstalled
+        expect(await sync.syncRules()).toEqual({ success: true, held: true, version: 2 });
+        expect(await activeNames()).toHaveLength(4);
+
+        await publish(3, makeRules(6));
+        expect(await sync.syncRules()).toMatchObject({ success: true, version: 3 });
+        expect(await sync.getStatus()).toMatchObject({ heldVersion: null, active: { id: 'signed-3' } });
+        expect(await activeNames()).toHaveLength(6);
+
+        await expect(sync.rollback('signed-9')).rejects.toThrow('not in history');
+    });
+
+    test('without a pinned signing key, only the bundled rules are used', async () => {
+        global.chrome.runtime = { getURL: (resource) => `chrome-extension://test/${resource}` };
+        published['chrome-extension://test/default-rules.json'] = JSON.stringify(makeRules(3, '-bundled'));
+        await publish(1, makeRules(4));
+
+        const unpinned = new RuleSyncService();
+        expect(await unpinned.syncRules()).toMatchObject({ success: true, isFallback: true, error: SIGNED_SYNC_DISABLED });
+        expect((await unpinned.getSyncedRules()).map(rule => rule.detectors[0].presentMatcher.selector))
+            .toEqual(['#cmp0-bundled', '#cmp1-bundled', '#cmp2-bundled']);
+        expect(await unpinned.getSyncState()).toMatchObject({ signingEnabled: false, active: { source: 'bundled' } });
+        expect(fetch).not.toHaveBeenCalledWith(MANIFEST_URL);
+    });
+
+    test('the signed payload is the canonical JSON of every field but the signature', async () => {
+        const manifest = await publish(1, makeRules(2));
+        const { signature, ...fields } = manifest;
+        expect(new TextDecoder().decode(manifestPayload(manifest))).toBe(canonicalJSON(fields));
+        expect(canonicalJSON({ b: 1, a: [{ d: 2, c: 3 }] })).toBe('{"a":[{"c":3,"d":2}],"b":1}');
+    });
+});
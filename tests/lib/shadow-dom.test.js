@@ -0,0 +1,33 @@
+import { JSDOM } from 'jsdom';
+import { getShadowRoots, deepQuerySelectorAll } from '../../extension/lib/dom/shadow-dom.js';
+
+// Queries that cross open shadow roots, with and without roots collected up front
+
+function buildPage() {
+    const { document } = new JSDOM('<div id="outside"></div><div id="banner"></div>').window;
+    const banner = document.getElementById('banner');
+    const bannerRoot = banner.attachShadow({ mode: 'open' });
+    bannerRoot.innerHTML = '<button>Accept</button><cmp-inner></cmp-inner>';
+    bannerRoot.querySelector('cmp-inner').attachShadow({ mode: 'open' }).innerHTML = '<button>Reject</button>';
+    document.getElementById('outside').attachShadow({ mode: 'open' }).innerHTML = '<button>Search</button>';
+    return { document, banner };
+}
+
+const texts = elements => elements.map(el => el.textContent).sort();
+
+describe('shadow DOM queries', () => {
+    test('descend into nested shadow roots', () => {
+        const { document, banner } = buildPage();
+        expect(getShadowRoots(document)).toHaveLength(3);
+        expect(texts(deepQuerySelectorAll(document, 'button'))).toEqual(['Accept', 'Reject', 'Search']);
+        expect(texts(deepQuerySelectorAll(banner, 'button'))).toEqual(['Accept', 'Reject']);
+    });
+
+    test('roots collected once give the same results, scoped to the queried element', () => {
+        const { document, banner } = buildPage();
+        const shadowRoots = getShadowRoots(document);
+        expect(texts(deepQuerySelectorAll(document, 'button', shadowRoots))).toEqual(['Accept', 'Reject', 'Search']);
+        expect(texts(deepQuerySelectorAll(banner, 'button', shadowRoots))).toEqual(['Accept', 'Reject']);
+        expect(deepQuerySelectorAll(document.getElementById('outside'), 'cmp-inner', shadowRoots)).toEqual([]);
+    });
+});
@@ -0,0 +1,122 @@
+import {
+    applySiteOverride,
+    findSiteOverride,
+    mergeSiteOverrides,
+    normalizeDomain,
+    setSiteOverride
+} from '../../extension/utils/site-overrides.js';
+import { ConsentOMaticAdapter } from '../../extension/lib/adapters/consentOMatic-adapter.js';
+
+// Per-site exceptions to the privacy profile, with chrome.storage.sync replaced
+// by an in-memory fake.
+
+function memoryArea(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        get: async (keys) => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]])),
+        set: async (items) => { Object.assign(data, items); }
+    };
+}
+
+const PROFILE = {
+    autoHandle: true,
+    preferences: { necessary: true, functional: true, analytics: false, marketing: false, social: false, denyAll: false }
+};
+
+describe('site overrides', () => {
+    test('domains are compared lower-cased, without scheme, path or www.', () => {
+        expect(normalizeDomain('https://www.News.Example/article?id=1')).toBe('news.example');
+        expect(normalizeDomain('  WWW.shop.example ')).toBe('shop.example');
+        expect(normalizeDomain('www2.news.example')).toBe('www2.news.example');
+        expect(normalizeDomain('')).toBe('');
+        expect(normalizeDomain('not a host')).toBe('');
+    });
+
+    test('a subdomain falls back to its closest parent with an override', () => {
+        const overrides = {
+            'news.example': { policy: 'reject', updatedAt: 1 },
+            'live.sport.news.example': { policy: 'accept', updatedAt: 2 }
+        };
+
+        expect(findSiteOverride(overrides, 'www.news.example')).toEqual({ domain: 'news.example', policy: 'reject', updatedAt: 1 });
+        expect(findSiteOverride(overrides, 'sport.news.example')?.domain).toBe('news.example');
+        expect(findSiteOverride(overrides, 'scores.live.sport.news.example')?.policy).toBe('accept');
+        // Only whole labels: "othernews.example" is not under "news.example"
+        expect(findSiteOverride(overrides, 'othernews.example')).toBeNull();
+        expect(findSiteOverride(overrides, 'example')).toBeNull();
+        expect(findSiteOverride(undefined, 'news.example')).toBeNull();
+    });
+
+    test('accept and reject force every optional purpose; ignore turns auto-handling off', () => {
+        expect(applySiteOverride(PROFILE, null)).toBe(PROFILE);
+
+        const accepted = applySiteOverride(PROFILE, { domain: 'news.example', policy: 'accept' });
+        expect(accepted.preferences).toEqual({ necessary: true, functional: true, analytics: true, marketing: true, social: true, denyAll: false });
+        expect(accepted.siteOverride).toEqual({ domain: 'news.example', policy: 'accept' });
+
+        const rejected = applySiteOverride({ ...PROFILE, autoHandle: false }, { domain: 'news.example', policy: 'reject' });
+        expect(rejected).toMatchObject({ autoHandle: true, preferences: { functional: false, denyAll: true } });
+
+        const ignored = applySiteOverride(PROFILE, { domain: 'news.example', policy: 'ignore' });
+        expect(ignored).toMatchObject({ autoHandle: false, preferences: PROFILE.preferences });
+
+        // What the rule engine then does with them
+        const adapter = new ConsentOMaticAdapter();
+        expect(adapter.matchPolicyToPreferences({}, accepted.preferences).action).toBe('accept');
+        expect(adapter.matchPolicyToPreferences({}, rejected.preferences).action).toBe('reject');
+    });
+
+    describe('stored overrides', () => {
+        beforeEach(() => {
+            global.chrome = {
+                storage: {
+                    sync: memoryArea({
+                        siteOverrides: {
+                            'news.example': { policy: 'reject', updatedAt: 2000 },
+                            'shop.example': { policy: 'accept', updatedAt: 1000 }
+                        }
+                    })
+                }
+            };
+        });
+
+        afterEach(() => {
+            delete global.chrome;
+        });
+
+        const stored = () => chrome.storage.sync.data.siteOverrides;
+
+        test('set normalizes the domain, checks the policy and removes on null', async () => {
+            await setSiteOverride('https://www.Blog.Example/', 'ignore');
+            expect(stored()['blog.example']).toMatchObject({ policy: 'ignore', updatedAt: expect.any(Number) });
+
+            await setSiteOverride('news.example', null);
+            expect(stored()['news.example']).toBeUndefined();
+
+            await expect(setSiteOverride('', 'accept')).rejects.toThrow('Invalid domain');
+            await expect(setSiteOverride('news.example', 'sometimes')).rejects.toThrow('Unknown site policy: sometimes');
+        });
+
+        test('merging keeps, per domain, the entry with the newer updatedAt', async () => {
+            const changed = await mergeSiteOverrides({
+                'www.news.example': { policy: 'accept', updatedAt: 1500 }, // older than ours
+                'shop.example': { policy: 'ignore', updatedAt: 3000 }, // newer
+                'blog.example': { policy: 'reject', updatedAt: 500 }, // new here
+                'odd.example': { policy: 'sometimes', updatedAt: 9000 }, // unknown policy
+                'not a host': { policy: 'accept', updatedAt: 9000 }
+            });
+
+            expect(changed).toBe(2);
+            expect(stored()).toEqual({
+                'news.example': { policy: 'reject', updatedAt: 2000 },
+                'shop.example': { policy: 'ignore', updatedAt: 3000 },
+                'blog.example': { policy: 'reject', updatedAt: 500 }
+            });
+
+            // A tie keeps ours, so merging the same file again changes nothing
+            expect(await mergeSiteOverrides({ 'news.example': { policy: 'accept', updatedAt: 2000 } })).toBe(0);
+            expect(stored()['news.example'].policy).toBe('reject');
+        });
+    });
+});
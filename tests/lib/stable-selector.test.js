@@ -0,0 +1,82 @@
+import { JSDOM } from 'jsdom';
+import { isStableToken, candidateSelectors, stableTarget } from '../../extension/lib/dom/stable-selector.js';
+
+// Selectors the rule recorder writes, on jsdom. Each target must find the
+// picked element again as its first match, the way ElementFinder looks it up.
+
+function page(html) {
+    return new JSDOM(`<body>${html}</body>`).window.document;
+}
+
+// Resolve a { selector, textFilter? } target under scope, like ElementFinder
+function resolve(scope, { selector, textFilter }) {
+    return Array.from(scope.querySelectorAll(selector))
+        .find(el => !textFilter || el.textContent.toLowerCase().includes(textFilter.toLowerCase()));
+}
+
+describe('stable selectors', () => {
+    test('generated class names and ids are not stable', () => {
+        ['css-1x2y3z', 'sc-bdVaJa', 'ember1234', 'cmp-7c9a2f81', 'aB3xYz9', 'jsx-2891746321'].forEach(token => {
+            expect({ token, stable: isStableToken(token) }).toEqual({ token, stable: false });
+        });
+        ['cookie-banner', 'onetrust-accept-btn-handler', 'btn-primary', 'CybotCookiebotDialog'].forEach(token => {
+            expect({ token, stable: isStableToken(token) }).toEqual({ token, stable: true });
+        });
+    });
+
+    test('candidates go from ids and test hooks to classes to the bare tag', () => {
+        const document = page(`
+            <button id="accept-all" data-testid="accept" class="btn is-active css-1x2y3z primary extra">Accept</button>`);
+        expect(candidateSelectors(document.querySelector('button'))).toEqual([
+            '#accept-all',
+            'button[data-testid="accept"]',
+            'button.btn.primary',
+            'button'
+        ]);
+    });
+
+    test('prefers an id, skipping generated ones', () => {
+        const document = page(`
+            <div id="cmp-7c9a2f81" class="banner"><button id="reject-all">Reject</button></div>`);
+        expect(stableTarget(document.getElementById('reject-all'))).toEqual({ selector: '#reject-all' });
+        expect(stableTarget(document.querySelector('.banner'))).toEqual({ selector: 'div.banner' });
+    });
+
+    test('falls back to the button text when the markup is the same', () => {
+        const document = page(`
+            <div class="banner">
+                <button class="btn">Accept all</button>
+                <button class="btn">Reject all</button>
+            </div>`);
+        const reject = document.querySelectorAll('button')[1];
+        const target = stableTarget(reject, document.querySelector('.banner'));
+
+        expect(target).toEqual({ selector: 'button.btn', textFilter: 'Reject all' });
+        expect(resolve(document.querySelector('.banner'), target)).toBe(reject);
+    });
+
+    test('anchors on a stable ancestor, or pins the position, when nothing else tells them apart', () => {
+        const document = page(`
+            <div class="settings"><span><button><svg></svg></button></span></div>
+            <div class="footer"><span><button><svg></svg></button></span></div>
+            <ul><li><a></a></li><li><a></a></li></ul>`);
+        const [, footerButton] = document.querySelectorAll('button');
+        const secondLink = document.querySelectorAll('a')[1];
+
+        const anchored = stableTarget(footerButton);
+        expect(anchored.selector).toContain('div.footer');
+        expect(resolve(document, anchored)).toBe(footerButton);
+
+        const pinned = stableTarget(secondLink);
+        expect(pinned.selector).toContain('li:nth-of-type(2)');
+        expect(resolve(document, pinned)).toBe(secondLink);
+    });
+
+    test('finds elements inside open shadow roots', () => {
+        const document = page('<cmp-banner></cmp-banner>');
+        const root = document.querySelector('cmp-banner').attachShadow({ mode: 'open' });
+        root.innerHTML = '<button data-action="deny">Deny</button>';
+
+        expect(stableTarget(root.querySelector('button'), document)).toEqual({ selector: 'button[data-action="deny"]' });
+    });
+});
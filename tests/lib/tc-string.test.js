@@ -0,0 +1,118 @@
+import { decodeTCString } from '../../extension/lib/tcf/tc-string.js';
+
+// TC string decoding. The strings below are written out bit by bit from the
+// TCF v2.2 "TC String Format" tables, so each case states exactly what it encodes.
+
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// [value, width] pairs, or a ready bit string, packed and base64url encoded
+function encode(fields) {
+    let bits = fields.map(field => (typeof field === 'string'
+        ? field
+        : BigInt(field[0]).toString(2).padStart(field[1], '0'))).join('');
+    bits = bits.padEnd(Math.ceil(bits.length / 6) * 6, '0');
+    return bits.match(/.{6}/g).map(chunk => BASE64URL[parseInt(chunk, 2)]).join('');
+}
+
+const bitField = (ids, width) => Array.from({ length: width }, (_, i) => (ids.includes(i + 1) ? '1' : '0')).join('');
+const letters = text => [...text].map(char => [char.charCodeAt(0) - 65, 6]);
+
+const CREATED = Date.UTC(2024, 0, 15, 12, 0, 0);
+const LAST_UPDATED = CREATED + 60 * 60 * 1000;
+
+// Core segment up to and including PublisherCC
+const CORE_HEADER = [
+    [2, 6], // Version
+    [CREATED / 100, 36], // Created, deciseconds
+    [LAST_UPDATED / 100, 36],
+    [10, 12], // CmpId
+    [3, 12], // CmpVersion
+    [1, 6], // ConsentScreen
+    ...letters('EN'),
+    [215, 12], // VendorListVersion
+    [4, 6], // TcfPolicyVersion
+    [0, 1], // IsServiceSpecific
+    [0, 1], // UseNonStandardTexts
+    bitField([1], 12), // SpecialFeatureOptIns
+    bitField([1, 3, 4], 24), // PurposesConsent
+    bitField([2, 7], 24), // PurposesLITransparency
+    [0, 1], // PurposeOneTreatment
+    ...letters('DE')
+];
+
+const HEADER_FIELDS = {
+    version: 2,
+    created: CREATED,
+    lastUpdated: LAST_UPDATED,
+    cmpId: 10,
+    cmpVersion: 3,
+    consentScreen: 1,
+    consentLanguage: 'EN',
+    vendorListVersion: 215,
+    policyVersion: 4,
+    isServiceSpecific: false,
+    useNonStandardTexts: false,
+    specialFeatureOptIns: [1],
+    purposeConsents: [1, 3, 4],
+    purposeLegitimateInterests: [2, 7],
+    purposeOneTreatment: false,
+    publisherCC: 'DE'
+};
+
+// Vendors as bit fields, no publisher restrictions
+const BIT_FIELD_STRING = 'CP4cy6AP4c7sgAKADBENDXEIALAAAEIAAAYgAFEhAAYCAA';
+
+// Vendor consents as ranges, one publisher restriction
+const RANGE_STRING = 'CP4cy6AP4c7sgAKADBENDXEIALAAAEIAAAYgCWQAoAyADOASwAAAAIQACAvM';
+
+describe('TC string decoder', () => {
+    test('the test strings are what the field tables say', () => {
+        expect(encode([
+            ...CORE_HEADER,
+            [10, 16], [0, 1], bitField([2, 5, 10], 10), // vendor consents: MaxVendorId, IsRangeEncoding, BitField
+            [6, 16], [0, 1], bitField([6], 6), // vendor legitimate interests
+            [0, 12] // NumPubRestrictions
+        ])).toBe(BIT_FIELD_STRING);
+
+        expect(encode([
+            ...CORE_HEADER,
+            [300, 16], [1, 1], [2, 12], [1, 1], [100, 16], [103, 16], [0, 1], [300, 16], // 100-103 and 300
+            [0, 16], [0, 1], // no vendor legitimate interests
+            [1, 12], [2, 6], [0, 2], [1, 12], [0, 1], [755, 16] // purpose 2 not allowed for vendor 755
+        ])).toBe(RANGE_STRING);
+    });
+
+    test('decodes the core fields and bit-field vendor sections', () => {
+        expect(decodeTCString(BIT_FIELD_STRING)).toEqual({
+            ...HEADER_FIELDS,
+            vendorConsents: [2, 5, 10],
+            vendorLegitimateInterests: [6],
+            publisherRestrictions: []
+        });
+    });
+
+    test('decodes range-encoded vendors and publisher restrictions', () => {
+        expect(decodeTCString(RANGE_STRING)).toEqual({
+            ...HEADER_FIELDS,
+            vendorConsents: [100, 101, 102, 103, 300],
+            vendorLegitimateInterests: [],
+            publisherRestrictions: [{ purposeId: 2, restrictionType: 'notAllowed', vendorIds: [755] }]
+        });
+    });
+
+    test('ignores the segments after the core one, and an omitted restrictions section', () => {
+        // Disclosed vendors segment (type 1) with vendor 2
+        const disclosedVendors = encode([[1, 3], [2, 16], [0, 1], bitField([2], 2)]);
+        expect(decodeTCString(`${BIT_FIELD_STRING}.${disclosedVendors}`)).toEqual(decodeTCString(BIT_FIELD_STRING));
+
+        const withoutRestrictions = encode([...CORE_HEADER, [0, 16], [0, 1], [0, 16], [0, 1]]);
+        expect(decodeTCString(withoutRestrictions).publisherRestrictions).toEqual([]);
+    });
+
+    test('rejects empty, v1, malformed and truncated strings', () => {
+        expect(() => decodeTCString('')).toThrow('empty');
+        expect(() => decodeTCString(encode([[1, 6], [CREATED / 100, 36]]))).toThrow('Unsupported TC string version: 1');
+        expect(() => decodeTCString('CP4c*y6A')).toThrow('Invalid TC string character: *');
+        expect(() => decodeTCString(BIT_FIELD_STRING.slice(0, 20))).toThrow('truncated');
+    });
+});
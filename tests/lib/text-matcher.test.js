@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { TextMatcher } from '../../extension/lib/dom/text-matcher.js';
+
+// Button matching by label against the shipped vocabularies, on jsdom.
+// TextMatcher.load fetches lib/vocabulary/<locale>.json through chrome.runtime.getURL,
+// served here from the extension folder.
+
+const VOCABULARY_DIR = path.join(__dirname, '../../extension/lib/vocabulary');
+const readVocabulary = locale => JSON.parse(fs.readFileSync(path.join(VOCABULARY_DIR, `${locale}.json`), 'utf8'));
+
+function page(html, lang = 'en') {
+    const { document } = new JSDOM(`<html lang="${lang}"><body>${html}</body></html>`).window;
+    return document;
+}
+
+const button = (document, label) => [...document.querySelectorAll('button, a, input')]
+    .find(el => el.textContent === label || el.value === label || el.getAttribute('aria-label') === label);
+
+describe('TextMatcher', () => {
+    const english = new TextMatcher([readVocabulary('en')]);
+
+    test('phrases match whole words only', () => {
+        const document = page(`
+            <p><button>This is unacceptable</button></p>
+            <button>Cookie policy</button>
+            <button>Accept</button>
+            <button>OK!</button>`);
+
+        expect(english.matches(button(document, 'This is unacceptable'), 'accept')).toBe(false);
+        expect(english.matches(button(document, 'Cookie policy'), 'accept')).toBe(false); // "ok" inside "cookie"
+        expect(english.matches(button(document, 'Accept'), 'accept')).toBe(true);
+        expect(english.matches(button(document, 'OK!'), 'accept')).toBe(true);
+    });
+
+    test('an exact label beats one that only contains the phrase', () => {
+        const document = page(`
+            <div id="banner">
+                <button>Yes, accept the terms and continue</button>
+                <button>Accept all</button>
+                <a href="/privacy">Read how we use cookies and why you might accept them</a>
+            </div>`);
+
+        expect(english.findButton(document.getElementById('banner'), 'accept')).toBe(button(document, 'Accept all'));
+    });
+
+    test('exclusions override an accept phrase', () => {
+        const document = page(`
+            <button>Accept necessary cookies</button>
+            <button>Accept selected</button>
+            <button>Continue without accepting</button>
+            <button>Accept all</button>`);
+
+        ['Accept necessary cookies', 'Accept selected', 'Continue without accepting'].forEach(label => {
+            expect({ label, accept: english.matches(button(document, label), 'accept') }).toEqual({ label, accept: false });
+        });
+        expect(english.matches(button(document, 'Accept necessary cookies'), 'necessaryOnly')).toBe(true);
+        expect(english.matches(button(document, 'Continue without accepting'), 'reject')).toBe(true);
+        expect(english.findButton(document.body, 'accept')).toBe(button(document, 'Accept all'));
+    });
+
+    test('aria-label, title and input values count as labels; hidden buttons are skipped', () => {
+        const document = page(`
+            <button aria-label="Reject all"><svg></svg></button>
+            <input type="submit" value="Decline">
+            <button title="Deny all" class="hidden">✕</button>`);
+        const visible = el => !el.classList.contains('hidden');
+
+        expect(english.matches(button(document, 'Reject all'), 'reject')).toBe(true);
+        expect(english.matches(button(document, 'Decline'), 'reject')).toBe(true);
+        expect(english.findButton(document.body, 'reject', visible)).toBe(button(document, 'Reject all'));
+    });
+
+    describe('load', () => {
+        beforeEach(() => {
+            global.fetch = jest.fn(async (url) => {
+                const file = path.join(VOCABULARY_DIR, path.basename(url));
+                return fs.existsSync(file)
+                    ? { ok: true, json: async () => JSON.parse(fs.readFileSync(file, 'utf8')) }
+                    : { ok: false };
+            });
+            global.chrome = {
+                runtime: { getURL: (resource) => `chrome-extension://test/${resource}` },
+                storage: {
+                    local: {
+                        get: async () => ({
+                            customVocabulary: {
+                                '*': { actions: { reject: ['Nope'] } },
+                                de: { actions: { accept: ['Passt schon'] }, exclude: { accept: ['Werbung'] } },
+                                fr: { actions: { accept: ['Pas pour les pages allemandes'] } }
+                            }
+                        })
+                    }
+                }
+            };
+        });
+
+        afterEach(() => {
+            delete global.fetch;
+            delete global.chrome;
+        });
+
+        test('merges English, the page locale and the user additions for it', async () => {
+            const document = page(`
+                <button>Alle ablehnen</button>
+                <button>Reject all</button>
+                <button>NOPE</button>
+                <button>Passt schon</button>
+                <button>Werbung akzeptieren</button>
+                <button>Pas pour les pages allemandes</button>`, 'de-AT');
+            const matcher = await TextMatcher.load(document);
+
+            expect(matcher.locales).toEqual(['en', 'de']);
+            expect(matcher.matches(button(document, 'Alle ablehnen'), 'reject')).toBe(true);
+            expect(matcher.matches(button(document, 'Reject all'), 'reject')).toBe(true);
+            expect(matcher.matches(button(document, 'NOPE'), 'reject')).toBe(true); // user phrases are normalized
+            expect(matcher.matches(button(document, 'Passt schon'), 'accept')).toBe(true);
+            expect(matcher.matches(button(document, 'Werbung akzeptieren'), 'accept')).toBe(false);
+            expect(matcher.matches(button(document, 'Pas pour les pages allemandes'), 'accept')).toBe(false);
+            // Merged lists keep one copy of phrases both locales share
+            expect(matcher.phrases('accept').filter(phrase => phrase === 'ok')).toHaveLength(1);
+        });
+
+        test('falls back to English for unsupported page languages', async () => {
+            const matcher = await TextMatcher.load(page('', 'ja'));
+            expect(matcher.locales).toEqual(['en']);
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,200 @@
+import 'fake-indexeddb/auto';
+import { consentStorage } from '../../extension/utils/storage.js';
+import {
+    BACKUP_FORMAT,
+    createBackup,
+    restoreBackup,
+    signBackup,
+    verifyBackup
+} from '../../extension/utils/backup.js';
+
+// Backup files against the real ConsentStorage on an in-memory IndexedDB, with
+// chrome.storage and the rule sync service replaced by in-memory fakes.
+
+function memoryArea(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        get: async (keys) => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]])),
+        set: async (items) => { Object.assign(data, items); }
+    };
+}
+
+function fakeRuleSync(rules = []) {
+    let userRules = [...rules];
+    return {
+        getUserRules: async () => userRules,
+        saveUserRule: async (rule) => {
+            if (!rule.detectors) throw new Error('Rule has no detectors');
+            userRules = userRules.filter(existing => existing.name !== rule.name).concat(rule);
+            return rule;
+        }
+    };
+}
+
+const PASSPHRASE = 'correct horse battery';
+
+// A backup as another browser would have written it, with the same passphrase
+const resign = ({ mac, ...backup }, passphrase = PASSPHRASE) => signBackup(backup, passphrase);
+
+// JSON round trip, like saving and reopening the file
+const reopen = (backup) => JSON.parse(JSON.stringify(backup));
+
+describe('backup files', () => {
+    let ruleSync;
+
+    beforeEach(() => {
+        global.chrome = {
+            runtime: { getManifest: () => ({ version: '1.0' }) },
+            storage: {
+                sync: memoryArea({
+                    myTermsProfile: { preferences: { denyAll: true } },
+                    siteOverrides: { 'news.example': { policy: 'reject', updatedAt: 1000 } }
+                }),
+                local: memoryArea({ customVocabulary: { de: { actions: { reject: ['ablehnen'] } } } })
+            }
+        };
+        ruleSync = fakeRuleSync([{ name: 'my-cmp', detectors: [{}], updatedAt: 500 }]);
+    });
+
+    afterEach(() => {
+        delete global.chrome;
+    });
+
+    test('exports every store and the settings, with a MAC that verifies with the passphrase', async () => {
+        await consentStorage.addToQueue({
+            siteDomain: 'news.example',
+            url: 'https://news.example/',
+            termsHash: '0xaaa',
+            bannerContent: 'We use cookies.',
+            accepted: false,
+            decisionType: 'decline'
+        });
+        await consentStorage.recordHandlingAttempt({ siteDomain: 'news.example', engine: 'rules', outcome: 'success' });
+
+        const backup = reopen(await createBackup(ruleSync, PASSPHRASE));
+
+        expect(backup.format).toBe(BACKUP_FORMAT);
+        expect(backup.data.stores.consentQueue).toHaveLength(1);
+        expect(backup.data.stores.agreementText[0].text).toBe('We use cookies.');
+        expect(backup.data.stores.handlingAttempts).toHaveLength(1);
+        expect(backup.data.profile.preferences.denyAll).toBe(true);
+        expect(backup.data.userRules.map(rule => rule.name)).toEqual(['my-cmp']);
+        expect(backup.mac).toMatchObject({ algorithm: 'HMAC-SHA256', kdf: { name: 'PBKDF2', iterations: 310000 } });
+        await expect(verifyBackup(backup, PASSPHRASE)).resolves.toBeUndefined();
+        await expect(createBackup(ruleSync, 'short')).rejects.toThrow('at least 8 characters');
+    });
+
+    test('rejects modified, foreign and newer files, and the wrong passphrase', async () => {
+        const backup = reopen(await createBackup(ruleSync, PASSPHRASE));
+
+        await expect(verifyBackup(backup, 'not the passphrase')).rejects.toThrow('Wrong passphrase');
+        await expect(verifyBackup(backup)).rejects.toThrow('Enter the passphrase');
+
+        const tampered = reopen(backup);
+        tampered.data.stores.consentQueue[0].accepted = true;
+        await expect(verifyBackup(tampered, PASSPHRASE)).rejects.toThrow('changed or damaged');
+
+        const truncated = reopen(backup);
+        truncated.data.stores.agreementText = [];
+        await expect(restoreBackup(truncated, ruleSync, PASSPHRASE)).rejects.toThrow('changed or damaged');
+
+        // A crafted file MACed under someone else's passphrase doesn't verify with the user's
+        const crafted = reopen(backup);
+        crafted.data.userRules = [{ name: 'injected', detectors: [{}], updatedAt: Date.now() }];
+        await expect(restoreBackup(await resign(crafted, 'attacker passphrase'), ruleSync, PASSPHRASE)).rejects.toThrow('Wrong passphrase');
+        expect((await ruleSync.getUserRules()).map(rule => rule.name)).toEqual(['my-cmp']);
+
+        // Unkeyed checksum files from before the MAC
+        const { mac, ...unkeyed } = backup;
+        await expect(verifyBackup({ ...unkeyed, version: 1, checksum: { algorithm: 'SHA-256', value: '00' } }, PASSPHRASE))
+            .rejects.toThrow('no passphrase MAC');
+
+        await expect(verifyBackup({ ...backup, format: 'something-else' }, PASSPHRASE)).rejects.toThrow('Not a ConsentChain backup');
+        await expect(verifyBackup(await resign({ ...backup, version: 99 }), PASSPHRASE)).rejects.toThrow('newer version');
+    });
+
+    test('restoring the same backup twice adds nothing', async () => {
+        const backup = reopen(await createBackup(ruleSync, PASSPHRASE));
+        const before = await consentStorage.exportData();
+
+        const result = await restoreBackup(backup, ruleSync, PASSPHRASE);
+
+        Object.values(result.records).forEach(counts => {
+            expect(counts).toMatchObject({ added: 0, updated: 0 });
+        });
+        const after = await consentStorage.exportData();
+        expect(after.stores).toEqual(before.stores);
+    });
+
+    test('merges records and settings from another browser', async () => {
+        const [local] = (await consentStorage.exportData()).stores.consentQueue;
+        const backup = reopen(await createBackup(ruleSync, PASSPHRASE));
+
+        // The same consent, anchored over there; a new consent whose id is taken here
+        backup.data.stores.consentQueue = [
+            { ...local, batched: true, batchedAt: 1700000100000, batchId: 'batch_1', merkleProof: { root: '0xroot' } },
+            { id: local.id, siteDomain: 'shop.example', termsHash: '0xbbb', timestamp: 1700000200000, decisionType: 'accept', bannerContent: 'Shop cookies.' }
+        ];
+        backup.data.profile = { preferences: { denyAll: false } };
+        backup.data.siteOverrides = {
+            'news.example': { policy: 'accept', updatedAt: 500 },
+            'shop.example': { policy: 'ignore', updatedAt: 2000 }
+        };
+        backup.data.userRules = [
+            { name: 'my-cmp', detectors: [{}], updatedAt: 100 },
+            { name: 'shop-cmp', detectors: [{}], updatedAt: 100 },
+            { name: 'broken', updatedAt: 100 }
+        ];
+        backup.data.customVocabulary = { fr: { actions: { reject: ['refuser'] } } };
+
+        const result = await restoreBackup(await resign(backup), ruleSync, PASSPHRASE);
+
+        expect(result.records.consentQueue).toEqual({ added: 1, updated: 1, skipped: 0 });
+        expect(result.records.agreementText.added).toBe(1);
+
+        const consents = (await consentStorage.exportData()).stores.consentQueue;
+        expect(consents).toHaveLength(2);
+        const anchored = consents.find(consent => consent.id === local.id);
+        expect(anchored).toMatchObject({ termsHash: '0xaaa', batched: true, batchId: 'batch_1', merkleProof: { root: '0xroot' } });
+        const added = consents.find(consent => consent.termsHash === '0xbbb');
+        expect(added.id).not.toBe(local.id);
+        expect(added.bannerContent).toBeUndefined();
+        expect((await consentStorage.getAgreement('0xbbb')).text).toBe('Shop cookies.');
+
+        // Profile replaced, overrides and rules: newer copy wins
+        expect(chrome.storage.sync.data.myTermsProfile.preferences.denyAll).toBe(false);
+        expect(chrome.storage.sync.data.siteOverrides['news.example'].policy).toBe('reject');
+        expect(chrome.storage.sync.data.siteOverrides['shop.example'].policy).toBe('ignore');
+        expect(result.siteOverrides).toBe(1);
+        expect(result.userRules).toBe(1);
+        expect(result.ruleErrors).toEqual(['broken: Rule has no detectors']);
+        expect(Object.keys(chrome.storage.local.data.customVocabulary).sort()).toEqual(['de', 'fr']);
+    });
+
+    test('imported batches follow their consents to the ids they get here', async () => {
+        const [local] = (await consentStorage.exportData()).stores.consentQueue;
+        const backup = reopen(await createBackup(ruleSync, PASSPHRASE));
+
+        // Over there the local consent is #7 and its id belongs to a shop consent; one batch anchored both
+        backup.data.stores.consentQueue = [
+            { ...local, id: 7 },
+            { id: local.id, siteDomain: 'shop.example', termsHash: '0xddd', timestamp: 1700000300000, decisionType: 'accept', batched: true, batchId: '0xtx9' }
+        ];
+        backup.data.stores.processedBatches = [{
+            batchId: 'batch_9', processedDate: 1700000400000, transactionHash: '0xtx9', consentIds: [7, local.id, 99],
+            groups: [{ consentIds: [7], termsHashes: [local.termsHash] }, { consentIds: [local.id, 99], termsHashes: ['0xddd', '0x999'] }],
+            mode: 'events'
+        }];
+
+        await restoreBackup(await resign(backup), ruleSync, PASSPHRASE);
+
+        const { stores } = await consentStorage.exportData();
+        const shop = stores.consentQueue.find(consent => consent.termsHash === '0xddd');
+        const batch = stores.processedBatches.find(record => record.batchId === 'batch_9');
+        expect(shop.id).not.toBe(local.id);
+        // #99 was not in the backup, and must not point at whatever has that id here
+        expect(batch.consentIds).toEqual([local.id, shop.id, null]);
+        expect(batch.groups.map(group => group.consentIds)).toEqual([[local.id], [shop.id, null]]);
+    });
+});
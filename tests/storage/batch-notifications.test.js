@@ -0,0 +1,111 @@
+import 'fake-indexeddb/auto';
+
+// "Batch ready" notifications from the background worker's batch alarm.
+// background.js is loaded once on fake chrome APIs, an in-memory IndexedDB and a fake clock.
+
+const HOUR = 60 * 60 * 1000;
+
+function memoryArea() {
+    const data = {};
+    const keyList = keys => (Array.isArray(keys) ? keys : [keys]);
+    return {
+        data,
+        get: async (keys) => Object.fromEntries(keyList(keys).filter(key => key in data).map(key => [key, data[key]])),
+        set: async (items) => { Object.assign(data, items); },
+        remove: async (keys) => { keyList(keys).forEach(key => delete data[key]); }
+    };
+}
+
+const event = () => {
+    const listeners = [];
+    return { listeners, addListener: listener => listeners.push(listener) };
+};
+
+describe('batch ready notifications (background)', () => {
+    let onMessage;
+    let onAlarm;
+    let termsCount = 0;
+
+    const POPUP = { id: 'test', url: 'chrome-extension://test/popup/popup.html' };
+    const PAGE = { id: 'test', url: 'https://news.example/', frameId: 0, tab: { id: 1, url: 'https://news.example/' } };
+    const send = (request, sender = POPUP) => new Promise(resolve => onMessage(request, sender, resolve));
+
+    const capture = () => send({
+        type: 'CONSENT_CAPTURED',
+        consent: { siteDomain: 'news.example', url: 'https://news.example/', termsHash: `0x${++termsCount}`, decisionType: 'accept' }
+    }, PAGE);
+
+    async function settle() {
+        for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+    }
+    async function batchAlarm() {
+        onAlarm({ name: 'batchCheck' });
+        await settle();
+    }
+    const notified = () => chrome.notifications.create.mock.calls.map(([id, options]) => [id, options.message]);
+
+    beforeAll(async () => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick', 'queueMicrotask'] });
+        global.chrome = {
+            runtime: { id: 'test', getURL: (resource) => `chrome-extension://test/${resource}`, onMessage: event() },
+            storage: { local: memoryArea(), session: memoryArea(), sync: memoryArea(), onChanged: event() },
+            alarms: { get: async () => null, create: async () => { }, onAlarm: event() },
+            notifications: { create: jest.fn(), clear: jest.fn(), onClicked: event() },
+            tabs: { query: async () => [], create: jest.fn(), onUpdated: event(), onRemoved: event() },
+            cookies: { getAll: async () => [] },
+            scripting: {
+                getRegisteredContentScripts: async () => [],
+                registerContentScripts: async () => { },
+                unregisterContentScripts: async () => { }
+            },
+            declarativeNetRequest: { updateDynamicRules: async () => { } }
+        };
+        global.fetch = jest.fn(async () => ({ ok: false, status: 404 }));
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+
+        await import('../../extension/background.js');
+        [onMessage] = chrome.runtime.onMessage.listeners;
+        [onAlarm] = chrome.alarms.onAlarm.listeners;
+    });
+
+    afterAll(async () => {
+        await settle();
+        jest.useRealTimers();
+        delete global.chrome;
+        delete global.fetch;
+        jest.restoreAllMocks();
+    });
+
+    test('only the alarm checks, and a count already notified is not notified again', async () => {
+        await capture();
+        await capture();
+        jest.setSystemTime(Date.now() + 25 * HOUR);
+
+        // Nothing runs on worker start
+        jest.advanceTimersByTime(60 * 1000);
+        await settle();
+        expect(notified()).toEqual([]);
+
+        await batchAlarm();
+        expect(notified()).toEqual([['batchReady', '2 consents are ready to be secured on blockchain. Click to sign.']]);
+
+        // lastBatchTime is unset, so every alarm checks; the batch is still the same two
+        await batchAlarm();
+        await batchAlarm();
+        expect(notified()).toHaveLength(1);
+
+        await capture();
+        jest.setSystemTime(Date.now() + 25 * HOUR);
+        await batchAlarm();
+        expect(notified()).toHaveLength(2);
+        expect(notified()[1][1]).toMatch(/^3 consents/);
+    });
+
+    test('a forced check asks again', async () => {
+        expect(await send({ type: 'FORCE_BATCH' })).toEqual({ success: true });
+        expect(notified()).toHaveLength(3);
+        expect(notified()[2][1]).toMatch(/^3 consents/);
+    });
+});
@@ -0,0 +1,127 @@
+import 'fake-indexeddb/auto';
+
+// The background worker checks a decision VERIFY_DELAY_MS after it was captured,
+// against the cookies the page had when its banner was claimed. background.js is
+// loaded once on fake chrome APIs, an in-memory IndexedDB and fake timers.
+
+const VERIFY_DELAY_MS = 5000;
+
+function memoryArea() {
+    const data = {};
+    const keyList = keys => (Array.isArray(keys) ? keys : [keys]);
+    return {
+        data,
+        get: async (keys) => Object.fromEntries(keyList(keys).filter(key => key in data).map(key => [key, data[key]])),
+        set: async (items) => { Object.assign(data, items); },
+        remove: async (keys) => { keyList(keys).forEach(key => delete data[key]); }
+    };
+}
+
+const event = () => {
+    const listeners = [];
+    return { listeners, addListener: listener => listeners.push(listener) };
+};
+
+const cookie = (name, value = '1') => ({ name, value, domain: '.news.example', path: '/' });
+
+describe('verifying a captured decision (background)', () => {
+    let onMessage;
+    // Cookies chrome.cookies reports, per page URL
+    const jar = {};
+
+    const send = (request, sender) => new Promise(resolve => onMessage(request, sender, resolve));
+    const page = (tabId, url) => ({ id: 'test', url, frameId: 0, tab: { id: tabId, url } });
+    const POPUP = { id: 'test', url: 'chrome-extension://test/popup/popup.html' };
+
+    const refuse = (sender) => send({
+        type: 'CONSENT_CAPTURED',
+        consent: {
+            siteDomain: new URL(sender.url).hostname,
+            url: sender.url,
+            termsHash: `0x${sender.tab.id}`,
+            grantedPurposes: { necessary: true, functional: true, analytics: false, marketing: false, social: false }
+        }
+    }, sender);
+
+    const verificationOf = async (termsHash) => {
+        const { data } = await send({ type: 'QUERY_CONSENTS' }, POPUP);
+        return data.consents.find(consent => consent.termsHash === termsHash).verification;
+    };
+
+    // Let pending storage and cookie reads finish, so the check is scheduled before the
+    // clock moves and written before it is read back
+    async function settle() {
+        for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+    }
+    async function advance(ms) {
+        await settle();
+        jest.advanceTimersByTime(ms);
+        await settle();
+    }
+
+    beforeAll(async () => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick', 'queueMicrotask'] });
+        global.chrome = {
+            runtime: { id: 'test', getURL: (resource) => `chrome-extension://test/${resource}`, onMessage: event() },
+            storage: { local: memoryArea(), session: memoryArea(), sync: memoryArea(), onChanged: event() },
+            alarms: { get: async () => null, create: async () => { }, onAlarm: event() },
+            notifications: { create: jest.fn(), clear: jest.fn(), onClicked: event() },
+            tabs: { query: async () => [], create: jest.fn(), onUpdated: event(), onRemoved: event() },
+            cookies: { getAll: jest.fn(async ({ url }) => [...(jar[url] || [])]) },
+            scripting: {
+                executeScript: async () => [{ result: { tcString: null, gpp: null } }],
+                getRegisteredContentScripts: async () => [],
+                registerContentScripts: async () => { },
+                unregisterContentScripts: async () => { }
+            },
+            declarativeNetRequest: { updateDynamicRules: async () => { } }
+        };
+        global.fetch = jest.fn(async () => ({ ok: false, status: 404 }));
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+
+        await import('../../extension/background.js');
+        [onMessage] = chrome.runtime.onMessage.listeners;
+    });
+
+    afterAll(async () => {
+        await settle();
+        jest.useRealTimers();
+        delete global.chrome;
+        delete global.fetch;
+        jest.restoreAllMocks();
+    });
+
+    test('a refusal is checked after the delay, against the cookies from before the banner was handled', async () => {
+        const news = page(1, 'https://news.example/');
+        jar[news.url] = [cookie('_ga')];
+        expect(await send({ type: 'CLAIM_BANNER', source: 'rules' }, news)).toEqual({ granted: true });
+
+        // Set while the banner was up, before the user chose: still the site's doing
+        jar[news.url].push(cookie('_fbp'));
+        expect(await refuse(news)).toEqual({ success: true });
+
+        await advance(VERIFY_DELAY_MS - 1);
+        expect(await verificationOf('0x1')).toBeUndefined();
+
+        await advance(1);
+        const verification = await verificationOf('0x1');
+        expect(verification.status).toBe('violated');
+        expect(verification.violations).toEqual([
+            { type: 'cookie', category: 'marketing', name: '_fbp', domain: '.news.example', detail: 'set after decision' }
+        ]);
+    });
+
+    test('a site that leaves its trackers alone is honored', async () => {
+        const shop = page(2, 'https://shop.example/');
+        jar[shop.url] = [cookie('_ga'), cookie('PHPSESSID')];
+        await send({ type: 'CLAIM_BANNER', source: 'heuristic' }, shop);
+        await refuse(shop);
+
+        jar[shop.url] = [cookie('_ga'), cookie('PHPSESSID', '2'), cookie('consent_choice', 'reject')];
+        await advance(VERIFY_DELAY_MS);
+
+        expect(await verificationOf('0x2')).toMatchObject({ status: 'honored', violations: [], deniedCategories: ['analytics', 'marketing'] });
+    });
+});
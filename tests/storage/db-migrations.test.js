@@ -0,0 +1,270 @@
+import { IDBFactory } from 'fake-indexeddb';
+import {
+    MIGRATIONS,
+    SCHEMA_VERSION,
+    MIGRATIONS_STORE,
+    openMigratedDB,
+    loadSnapshot,
+    loadSnapshotInfo,
+    discardSnapshot,
+    restoreSnapshot,
+    promisifyRequest
+} from '../../extension/utils/db-migrations.js';
+
+// Schema migrations for MyTermsExtensionDB, run against an in-memory IndexedDB.
+// Legacy databases are built the way ConsentStorage.initDB built them before
+// migrations were tracked, then upgraded through openMigratedDB.
+
+const DB_NAME = 'MyTermsExtensionDB';
+
+// The v2 schema as the old initDB created it
+function openLegacyV2(factory) {
+    const request = factory.open(DB_NAME, 2);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        const consents = db.createObjectStore('consentQueue', { keyPath: 'id', autoIncrement: true });
+        consents.createIndex('siteDomain', 'siteDomain', { unique: false });
+        consents.createIndex('timestamp', 'timestamp', { unique: false });
+        consents.createIndex('lastBatch', 'lastBatch', { unique: false });
+        const batches = db.createObjectStore('processedBatches', { keyPath: 'batchId', autoIncrement: true });
+        batches.createIndex('date', 'processedDate', { unique: false });
+        batches.createIndex('txHash', 'transactionHash', { unique: false });
+        db.createObjectStore('agreementText', { keyPath: 'termsHash' });
+    };
+    return promisifyRequest(request);
+}
+
+async function putAll(db, storeName, records) {
+    const transaction = db.transaction([storeName], 'readwrite');
+    records.forEach(record => transaction.objectStore(storeName).put(record));
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function getAll(db, storeName) {
+    return promisifyRequest(db.transaction([storeName], 'readonly').objectStore(storeName).getAll());
+}
+
+const LEGACY_CONSENTS = [
+    {
+        id: 1,
+        siteDomain: 'news.example',
+        url: 'https://news.example/',
+        termsHash: '0xaaa',
+        bannerContent: 'We use cookies to improve your experience.',
+        accepted: false,
+        timestamp: 1700000000000,
+        automationSource: 'MyTerms Extension'
+    },
+    {
+        id: 2,
+        siteDomain: 'shop.example',
+        url: 'https://shop.example/cart',
+        termsHash: '0xbbb',
+        bannerContent: 'New banner text that must not replace the stored agreement.',
+        accepted: true,
+        timestamp: 1700000001000,
+        automationSource: 'MyTerms Extension'
+    },
+    {
+        id: 3,
+        siteDomain: 'cmp.example',
+        termsHash: '0xccc',
+        accepted: false,
+        decisionType: 'decline',
+        cmpProvider: 'OneTrust',
+        timestamp: 1700000002000,
+        automationSource: 'Consent-O-Matic Rules'
+    }
+];
+
+const LEGACY_AGREEMENTS = [
+    { termsHash: '0xbbb', text: 'Original agreement text', siteDomain: 'shop.example', firstSeen: 1600000000000 }
+];
+
+async function seedLegacyDB(factory) {
+    const db = await openLegacyV2(factory);
+    await putAll(db, 'consentQueue', LEGACY_CONSENTS);
+    await putAll(db, 'agreementText', LEGACY_AGREEMENTS);
+    db.close();
+}
+
+describe('IndexedDB schema migrations', () => {
+    let factory;
+    let db;
+
+    beforeEach(() => {
+        factory = new IDBFactory();
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        db?.close();
+        db = null;
+        jest.restoreAllMocks();
+    });
+
+    test('steps are numbered 1..n without gaps', () => {
+        expect(MIGRATIONS.map(m => m.version)).toEqual(MIGRATIONS.map((m, index) => index + 1));
+        expect(new Set(MIGRATIONS.map(m => m.name)).size).toBe(MIGRATIONS.length);
+        expect(SCHEMA_VERSION).toBe(MIGRATIONS.length);
+    });
+
+    test('a new database gets every store and index, and records each step', async () => {
+        let migrated;
+        ({ db, migrated } = await openMigratedDB(DB_NAME, { factory }));
+
+        expect(db.version).toBe(SCHEMA_VERSION);
+        expect(migrated.map(step => step.version)).toEqual(MIGRATIONS.map(m => m.version));
+        expect(Array.from(db.objectStoreNames).sort()).toEqual([
+            'agreementText', 'consentQueue', 'handlingAttempts', 'processedBatches', 'ruleStats', 'schemaMigrations'
+        ]);
+
+        const consents = db.transaction(['consentQueue'], 'readonly').objectStore('consentQueue');
+        expect(Array.from(consents.indexNames).sort()).toEqual([
+            'batchState_timestamp', 'cmpProvider', 'cmpProvider_timestamp', 'decisionType_timestamp',
+            'detectionEngine', 'lastBatch', 'siteDomain', 'siteDomain_timestamp', 'timestamp'
+        ]);
+
+        const history = await getAll(db, MIGRATIONS_STORE);
+        expect(history.map(entry => entry.version)).toEqual(MIGRATIONS.map(m => m.version));
+        expect(history.every(entry => !entry.baseline && entry.fromVersion === 0)).toBe(true);
+
+        // Nothing to roll back to
+        expect(await loadSnapshot(DB_NAME, factory)).toBeNull();
+    });
+
+    test('a v2 database is upgraded in place: indexes added, fields backfilled, banner text split out', async () => {
+        await seedLegacyDB(factory);
+
+        ({ db } = await openMigratedDB(DB_NAME, { factory }));
+        expect(db.version).toBe(SCHEMA_VERSION);
+
+        const consents = await getAll(db, 'consentQueue');
+        expect(consents).toHaveLength(3);
+        consents.forEach(consent => expect(consent).not.toHaveProperty('bannerContent'));
+
+        const byId = Object.fromEntries(consents.map(consent => [consent.id, consent]));
+        expect(byId[1]).toMatchObject({ decisionType: 'decline', detectionEngine: 'heuristic', cmpProvider: null });
+        expect(byId[2]).toMatchObject({ decisionType: 'accept', detectionEngine: 'heuristic' });
+        expect(byId[3]).toMatchObject({ decisionType: 'decline', detectionEngine: 'rules', cmpProvider: 'OneTrust' });
+
+        const agreements = Object.fromEntries((await getAll(db, 'agreementText')).map(a => [a.termsHash, a]));
+        expect(agreements['0xaaa']).toMatchObject({
+            text: 'We use cookies to improve your experience.',
+            siteDomain: 'news.example',
+            firstSeen: 1700000000000
+        });
+        expect(agreements['0xbbb'].text).toBe('Original agreement text');
+
+        const byProvider = await promisifyRequest(
+            db.transaction(['consentQueue'], 'readonly').objectStore('consentQueue').index('cmpProvider').getAll('OneTrust')
+        );
+        expect(byProvider.map(consent => consent.id)).toEqual([3]);
+        consents.forEach(consent => expect(consent.batchState).toBe('pending'));
+
+        const history = await getAll(db, MIGRATIONS_STORE);
+        expect(history.filter(entry => entry.baseline).map(entry => entry.version)).toEqual([1, 2]);
+        expect(history.filter(entry => !entry.baseline).map(entry => entry.version)).toEqual([3, 4, 5, 6, 7, 8, 9]);
+        expect(history.find(entry => entry.version === 9)).toMatchObject({ fromVersion: 2, appliedAt: expect.any(Number) });
+    });
+
+    test('batch records keep only ids and hashes of their consents', async () => {
+        const legacy = await openLegacyV2(factory);
+        await putAll(legacy, 'processedBatches', [{
+            batchId: 'batch_1', processedDate: 1700000100000, transactionHash: '0xtx', consentIds: [1, 2, 3],
+            siteData: { 'news.example': [LEGACY_CONSENTS[0]], 'shop.example': [LEGACY_CONSENTS[1], LEGACY_CONSENTS[2]] }
+        }]);
+        legacy.close();
+
+        ({ db } = await openMigratedDB(DB_NAME, { factory }));
+        const [batch] = await getAll(db, 'processedBatches');
+
+        expect(batch.siteData).toBeUndefined();
+        expect(batch.groups).toEqual([
+            { consentIds: [1], termsHashes: ['0xaaa'] },
+            { consentIds: [2, 3], termsHashes: ['0xbbb', '0xccc'] }
+        ]);
+        expect(JSON.stringify(batch)).not.toContain('example');
+    });
+
+    test('a snapshot of the old data is taken before upgrading', async () => {
+        await seedLegacyDB(factory);
+        ({ db } = await openMigratedDB(DB_NAME, { factory }));
+
+        const snapshot = await loadSnapshot(DB_NAME, factory);
+        expect(snapshot).toMatchObject({ fromVersion: 2, recordCount: 4 });
+        expect(snapshot.stores.consentQueue).toEqual(LEGACY_CONSENTS);
+        expect(snapshot.stores.agreementText).toEqual(LEGACY_AGREEMENTS);
+        expect(await loadSnapshotInfo(DB_NAME, factory)).toEqual({ fromVersion: 2, takenAt: snapshot.takenAt, recordCount: 4 });
+    });
+
+    test('the snapshot is discarded on request, or once it is a week old', async () => {
+        await seedLegacyDB(factory);
+        ({ db } = await openMigratedDB(DB_NAME, { factory }));
+        db.close();
+
+        // Still fresh: kept
+        ({ db } = await openMigratedDB(DB_NAME, { factory }));
+        db.close();
+        expect(await loadSnapshotInfo(DB_NAME, factory)).not.toBeNull();
+
+        const takenAt = (await loadSnapshotInfo(DB_NAME, factory)).takenAt;
+        jest.spyOn(Date, 'now').mockReturnValue(takenAt + 8 * 24 * 60 * 60 * 1000);
+        try {
+            ({ db } = await openMigratedDB(DB_NAME, { factory }));
+        } finally {
+            Date.now.mockRestore();
+        }
+        expect(await loadSnapshotInfo(DB_NAME, factory)).toBeNull();
+        expect(await discardSnapshot(DB_NAME, factory)).toBe(false);
+    });
+
+    test('a failing step rolls the whole upgrade back and keeps the database usable', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+        await seedLegacyDB(factory);
+
+        MIGRATIONS.push({
+            version: SCHEMA_VERSION + 1,
+            name: 'broken-step',
+            up({ transaction }) {
+                transaction.objectStore('consentQueue').clear();
+                throw new Error('boom');
+            }
+        });
+
+        let error;
+        try {
+            ({ db, error } = await openMigratedDB(DB_NAME, { targetVersion: SCHEMA_VERSION + 1, factory }));
+        } finally {
+            MIGRATIONS.pop();
+        }
+
+        expect(error).toBeTruthy();
+        // Steps 3..9 ran in the same aborted transaction, so they're undone too
+        expect(db.version).toBe(2);
+        expect(await getAll(db, 'consentQueue')).toEqual(LEGACY_CONSENTS);
+        expect(db.objectStoreNames.contains(MIGRATIONS_STORE)).toBe(false);
+    });
+
+    test('restoring the snapshot brings back the pre-upgrade schema and records', async () => {
+        await seedLegacyDB(factory);
+        ({ db } = await openMigratedDB(DB_NAME, { factory }));
+        db.close();
+
+        db = await restoreSnapshot(DB_NAME, factory);
+
+        expect(db.version).toBe(2);
+        expect(Array.from(db.objectStoreNames).sort()).toEqual(['agreementText', 'consentQueue', 'processedBatches', 'schemaMigrations']);
+        expect(await getAll(db, 'consentQueue')).toEqual(LEGACY_CONSENTS);
+        expect(await getAll(db, 'agreementText')).toEqual(LEGACY_AGREEMENTS);
+
+        // The next start upgrades again
+        db.close();
+        ({ db } = await openMigratedDB(DB_NAME, { factory }));
+        expect(db.version).toBe(SCHEMA_VERSION);
+        expect((await getAll(db, 'consentQueue')).every(consent => consent.decisionType)).toBe(true);
+    });
+});
@@ -0,0 +1,97 @@
+import 'fake-indexeddb/auto';
+import { consentStorage } from '../../extension/utils/storage.js';
+
+// ConsentStorage.queryConsents on an in-memory IndexedDB: filters backed by the
+// [field, timestamp] indexes of migration 8, and cursor pagination.
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 1700000000000;
+
+// 60 consents, one every 6 hours; every fifth shares the previous one's timestamp
+function seedConsents() {
+    return Array.from({ length: 60 }, (_, i) => {
+        const batched = i < 20;
+        return {
+            id: i + 1,
+            siteDomain: ['news.example', 'shop.example', 'blog.example'][i % 3],
+            url: `https://${['news.example', 'shop.example', 'blog.example'][i % 3]}/page-${i}`,
+            termsHash: `0x${i.toString(16).padStart(4, '0')}`,
+            timestamp: NOW - Math.floor(i / 5) * 5 * (DAY / 4) - (i % 5 === 0 ? 0 : (i % 5 - 1) * (DAY / 4)),
+            decisionType: i % 4 === 0 ? 'accept' : 'decline',
+            cmpProvider: i % 2 === 0 ? 'OneTrust' : null,
+            detectionEngine: i % 2 === 0 ? 'rules' : 'heuristic',
+            batched,
+            batchState: batched ? 'batched' : 'pending'
+        };
+    });
+}
+
+const newestFirst = (a, b) => b.timestamp - a.timestamp || b.id - a.id;
+
+// Every page of a query, following nextCursor
+async function allPages(filters, limit) {
+    const pages = [];
+    let cursor = null;
+    do {
+        const page = await consentStorage.queryConsents(filters, { cursor, limit });
+        pages.push(page.consents);
+        cursor = page.nextCursor;
+    } while (cursor && pages.length < 100);
+    return pages;
+}
+
+describe('ConsentStorage.queryConsents', () => {
+    let seeded;
+
+    beforeAll(async () => {
+        seeded = seedConsents();
+        const db = await consentStorage.waitForDB();
+        const transaction = db.transaction(['consentQueue'], 'readwrite');
+        seeded.forEach(consent => transaction.objectStore('consentQueue').put(consent));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    });
+
+    test('pages through everything newest first, without gaps or repeats', async () => {
+        const pages = await allPages({}, 7);
+
+        expect(pages.slice(0, -1).every(page => page.length === 7)).toBe(true);
+        expect(pages.flat().map(c => c.id)).toEqual([...seeded].sort(newestFirst).map(c => c.id));
+    });
+
+    test('the last page has no cursor, even when it is full', async () => {
+        const page = await consentStorage.queryConsents({}, { limit: seeded.length });
+        expect(page.consents).toHaveLength(seeded.length);
+        expect(page.nextCursor).toBeNull();
+    });
+
+    test.each([
+        ['domain', { siteDomain: 'shop.example' }, c => c.siteDomain === 'shop.example'],
+        ['date range', { from: NOW - 3 * DAY, to: NOW - DAY }, c => c.timestamp >= NOW - 3 * DAY && c.timestamp <= NOW - DAY],
+        ['decision', { decisionType: 'accept' }, c => c.decisionType === 'accept'],
+        ['pending', { batched: false }, c => !c.batched],
+        ['batched', { batched: true }, c => c.batched],
+        ['CMP provider', { cmpProvider: 'OneTrust' }, c => c.cmpProvider === 'OneTrust'],
+        ['text', { text: 'PAGE-1' }, c => c.url.includes('page-1')],
+        ['domain, decision and date', { siteDomain: 'news.example', decisionType: 'decline', from: NOW - 10 * DAY },
+            c => c.siteDomain === 'news.example' && c.decisionType === 'decline' && c.timestamp >= NOW - 10 * DAY],
+        ['provider and pending text', { cmpProvider: 'OneTrust', batched: false, text: 'blog' },
+            c => c.cmpProvider === 'OneTrust' && !c.batched && c.siteDomain === 'blog.example']
+    ])('filters by %s', async (name, filters, predicate) => {
+        const expected = seeded.filter(predicate).sort(newestFirst).map(c => c.id);
+        expect(expected.length).toBeGreaterThan(0);
+
+        const pages = await allPages(filters, 4);
+        expect(pages.flat().map(c => c.id)).toEqual(expected);
+    });
+
+    test('no match is an empty last page', async () => {
+        expect(await consentStorage.queryConsents({ siteDomain: 'nowhere.example' })).toEqual({ consents: [], nextCursor: null });
+    });
+
+    test('rejects a cursor it did not issue', async () => {
+        await expect(consentStorage.queryConsents({}, { cursor: 'not-a-cursor' })).rejects.toThrow('Invalid query cursor');
+    });
+});
@@ -0,0 +1,243 @@
+import 'fake-indexeddb/auto';
+import { consentStorage } from '../../extension/utils/storage.js';
+import { consentVault } from '../../extension/utils/vault.js';
+import { DEFAULT_RETENTION, normalizeRetentionPolicy, planRetention } from '../../extension/utils/retention.js';
+
+// Retention policies: the planner on plain record lists, then ConsentStorage.applyRetention
+// on an in-memory IndexedDB.
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 1700000000000;
+
+const policy = (overrides) => normalizeRetentionPolicy(overrides);
+
+// Two old consents (one anchored in a Merkle batch), one recent pending one. As in
+// production, a consent names its batch by transaction hash (markAsBatched) while the
+// batch record has its own generated batchId (recordBatch).
+function sampleStores() {
+    return {
+        consentQueue: [
+            {
+                id: 1, siteDomain: 'news.example', url: 'https://news.example/a', termsHash: '0xaaa',
+                timestamp: NOW - 100 * DAY, decisionType: 'decline', accepted: false, tcf: { tcString: 'CPxyz' },
+                batched: true, batchState: 'batched', batchedAt: NOW - 99 * DAY, batchId: '0xtx',
+                merkleProof: { root: '0xroot', leaf: '0xleaf', proof: ['0x01'], txHash: '0xtx' }
+            },
+            {
+                id: 2, siteDomain: 'shop.example', url: 'https://shop.example/', termsHash: '0xbbb',
+                timestamp: NOW - 100 * DAY, decisionType: 'accept', accepted: true, batched: false, batchState: 'pending'
+            },
+            {
+                id: 3, siteDomain: 'news.example', url: 'https://news.example/b', termsHash: '0xccc',
+                timestamp: NOW - DAY, decisionType: 'decline', accepted: false, batched: false, batchState: 'pending'
+            }
+        ],
+        agreementText: [
+            { termsHash: '0xaaa', text: 'News cookies.', siteDomain: 'news.example', firstSeen: NOW - 100 * DAY },
+            { termsHash: '0xbbb', text: 'Shop cookies.', siteDomain: 'shop.example', firstSeen: NOW - 100 * DAY },
+            { termsHash: '0xccc', text: 'New news cookies.', siteDomain: 'news.example', firstSeen: NOW - DAY }
+        ],
+        processedBatches: [
+            {
+                batchId: 'batch_1691360000000_0.42', processedDate: NOW - 99 * DAY, transactionHash: '0xtx', consentIds: [1],
+                groups: [{ consentIds: [1], termsHashes: ['0xaaa'] }], mode: 'merkle', merkleRoot: '0xroot'
+            },
+            {
+                batchId: 'batch_1682720000000_0.17', processedDate: NOW - 200 * DAY, transactionHash: '0xtx0', consentIds: [9],
+                groups: [{ consentIds: [9], termsHashes: ['0x999'] }], mode: 'events'
+            }
+        ],
+        handlingAttempts: [
+            { id: 1, siteDomain: 'news.example', engine: 'rules', outcome: 'success', timestamp: NOW - 100 * DAY },
+            { id: 2, siteDomain: 'news.example', engine: 'rules', outcome: 'success', timestamp: NOW - DAY }
+        ],
+        ruleStats: [
+            { siteDomain: 'news.example', ruleName: 'onetrust', successes: 3, failures: 0, updatedAt: NOW - 100 * DAY }
+        ]
+    };
+}
+
+const ids = (records, key = 'id') => records.map(record => record[key]);
+
+describe('planRetention', () => {
+    test('the default policy keeps everything', () => {
+        const plan = planRetention(sampleStores(), DEFAULT_RETENTION, NOW);
+        Object.values(plan).forEach(({ deleted, pruned }) => {
+            expect(deleted).toEqual([]);
+            expect(pruned).toEqual([]);
+        });
+    });
+
+    test('deleting old consents keeps anchored ones as proof, with their leaf preimage and batch', () => {
+        const plan = planRetention(sampleStores(), policy({
+            consentQueue: { mode: 'days', days: 30 },
+            agreementText: { mode: 'days', days: 30 },
+            processedBatches: { mode: 'days', days: 30 }
+        }), NOW);
+
+        expect(ids(plan.consentQueue.deleted)).toEqual([2]);
+        expect(plan.consentQueue.pruned).toEqual([{
+            id: 1, siteDomain: 'news.example', termsHash: '0xaaa', timestamp: NOW - 100 * DAY, decisionType: 'decline', accepted: false,
+            batched: true, batchState: 'batched', batchedAt: NOW - 99 * DAY, batchId: '0xtx',
+            merkleProof: { root: '0xroot', leaf: '0xleaf', proof: ['0x01'], txHash: '0xtx' },
+            prunedAt: NOW
+        }]);
+
+        // The anchored consent's agreement keeps its hash; the other old one goes
+        expect(ids(plan.agreementText.deleted, 'termsHash')).toEqual(['0xbbb']);
+        expect(plan.agreementText.pruned).toEqual([{ termsHash: '0xaaa', firstSeen: NOW - 100 * DAY, prunedAt: NOW }]);
+
+        expect(ids(plan.processedBatches.deleted, 'transactionHash')).toEqual(['0xtx0']);
+        expect(plan.processedBatches.pruned).toEqual([{
+            batchId: 'batch_1691360000000_0.42', processedDate: NOW - 99 * DAY, transactionHash: '0xtx', consentIds: [1],
+            groups: [{ consentIds: [1], termsHashes: ['0xaaa'] }], mode: 'merkle', merkleRoot: '0xroot', prunedAt: NOW
+        }]);
+    });
+
+    test('a batch is kept while any of its consents remains', () => {
+        const stores = sampleStores();
+        // Recorded before consents carried the transaction hash
+        stores.consentQueue[0].batchId = null;
+        const plan = planRetention(stores, policy({ processedBatches: { mode: 'days', days: 30 } }), NOW);
+        expect(ids(plan.processedBatches.pruned, 'transactionHash')).toEqual(['0xtx']);
+    });
+
+    test('hashes mode reduces old anchored consents, and leaves pending ones whole until anchored', () => {
+        const plan = planRetention(sampleStores(), policy({ consentQueue: { mode: 'hashes', days: 30 } }), NOW);
+
+        expect(plan.consentQueue.deleted).toEqual([]);
+        expect(ids(plan.consentQueue.pruned)).toEqual([1]);
+        // The domain stays as part of the Merkle leaf
+        expect(plan.consentQueue.pruned[0].siteDomain).toBe('news.example');
+        expect(plan.consentQueue.pruned[0].url).toBeUndefined();
+
+        // Once the pending one is anchored it is reduced too, with every leaf field
+        const stores = sampleStores();
+        Object.assign(stores.consentQueue[1], { batched: true, batchState: 'batched', batchId: '0xtx2' });
+        const [, anchoredLater] = planRetention(stores, policy({ consentQueue: { mode: 'hashes', days: 30 } }), NOW).consentQueue.pruned;
+        expect(anchoredLater).toMatchObject({ id: 2, siteDomain: 'shop.example', termsHash: '0xbbb', decisionType: 'accept' });
+    });
+
+    test('banner text is stripped only once every consent with its hash is anchored', () => {
+        const stores = sampleStores();
+        stores.consentQueue.push({ id: 4, termsHash: '0xaaa', timestamp: NOW, batched: false, batchState: 'pending' });
+
+        const anchored = policy({ agreementText: { mode: 'anchored' } });
+        expect(planRetention(stores, anchored, NOW).agreementText.pruned).toEqual([]);
+
+        stores.consentQueue.pop();
+        expect(ids(planRetention(stores, anchored, NOW).agreementText.pruned, 'termsHash')).toEqual(['0xaaa']);
+    });
+
+    test('sealed records are planned from their envelope', () => {
+        const stores = sampleStores();
+        const { url, tcf, siteDomain, ...envelope } = stores.consentQueue[1];
+        stores.consentQueue = [{ ...envelope, siteDomain: 'hmac:abc', sealed: { epk: {}, iv: 'x', data: 'y' } }];
+
+        expect(planRetention(stores, policy({ consentQueue: { mode: 'days', days: 30 } }), NOW).consentQueue.deleted)
+            .toEqual(stores.consentQueue);
+        expect(planRetention(stores, policy({ consentQueue: { mode: 'days', days: 200 } }), NOW).consentQueue.deleted)
+            .toEqual([]);
+    });
+
+    test('logs and rule statistics are deleted by age', () => {
+        const plan = planRetention(sampleStores(), policy({
+            handlingAttempts: { mode: 'days', days: 30 },
+            ruleStats: { mode: 'days', days: 30 }
+        }), NOW);
+
+        expect(ids(plan.handlingAttempts.deleted)).toEqual([1]);
+        expect(plan.ruleStats.deleted).toHaveLength(1);
+    });
+
+    test('rejects modes a store does not offer and bad periods', () => {
+        expect(() => policy({ processedBatches: { mode: 'hashes', days: 30 } })).toThrow('Batch history cannot use retention mode: hashes');
+        expect(() => policy({ consentQueue: { mode: 'days', days: 0 } })).toThrow('whole number of days');
+    });
+});
+
+describe('ConsentStorage.applyRetention', () => {
+    beforeAll(async () => {
+        const stores = sampleStores();
+        const db = await consentStorage.waitForDB();
+        const storeNames = Object.keys(stores);
+        const transaction = db.transaction(storeNames, 'readwrite');
+        storeNames.forEach(storeName => {
+            stores[storeName].forEach(record => transaction.objectStore(storeName).put(record));
+        });
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    });
+
+    const deleteOld = { consentQueue: { mode: 'days', days: 30 }, processedBatches: { mode: 'days', days: 30 } };
+
+    test('a preview counts what would go and writes nothing', async () => {
+        const result = await consentStorage.applyRetention(deleteOld, { dryRun: true, now: NOW });
+
+        expect(result.consentQueue).toEqual({ deleted: 1, pruned: 1 });
+        expect(result.processedBatches).toEqual({ deleted: 1, pruned: 1 });
+        expect(result.agreementText).toEqual({ deleted: 0, pruned: 0 });
+        expect(await consentStorage.countConsents()).toBe(3);
+    });
+
+    test('applying removes and reduces records, and a second run changes nothing', async () => {
+        await consentStorage.applyRetention(deleteOld, { now: NOW });
+
+        const consents = await consentStorage.getRawRecords('consentQueue');
+        expect(ids(consents)).toEqual([1, 3]);
+        expect(consents[0]).toMatchObject({ prunedAt: NOW, siteDomain: 'news.example', merkleProof: { root: '0xroot' } });
+        expect(consents[0].url).toBeUndefined();
+        expect(ids(await consentStorage.getRawRecords('processedBatches'), 'transactionHash')).toEqual(['0xtx']);
+
+        const again = await consentStorage.applyRetention(deleteOld, { now: NOW });
+        Object.values(again).forEach(counts => expect(counts).toEqual({ deleted: 0, pruned: 0 }));
+    });
+
+    test('anchored pruned consents still count for their site', async () => {
+        const sites = await consentStorage.getAllSitesData();
+        expect(sites.map(site => site.domain)).toEqual(['news.example']);
+        expect(sites[0].count).toBe(2);
+    });
+});
+
+describe('ConsentStorage.resealAnchored', () => {
+    const memoryArea = () => {
+        const data = {};
+        return {
+            get: async (keys) => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]])),
+            set: async (items) => { Object.assign(data, items); },
+            remove: async (key) => { delete data[key]; }
+        };
+    };
+
+    beforeAll(() => {
+        consentVault.storage = { local: memoryArea(), session: memoryArea() };
+        consentVault.config = undefined;
+    });
+
+    afterAll(async () => {
+        await consentVault.destroy();
+        consentVault.storage = null;
+    });
+
+    test('sealed anchored consents keep their domain sealed, and wait while locked', async () => {
+        await consentVault.create({ secret: 'correct horse battery' });
+        const [anchored, pending] = sampleStores().consentQueue;
+        const consents = [await consentVault.sealRecord('consentQueue', anchored), await consentVault.sealRecord('consentQueue', pending)];
+        const planned = planRetention({ consentQueue: consents }, policy({ consentQueue: { mode: 'hashes', days: 30 } }), NOW).consentQueue.pruned;
+
+        expect(ids(planned)).toEqual([1]);
+        const [resealed] = await consentStorage.resealAnchored(consents, planned, NOW);
+        expect(resealed.siteDomain).toBe(await consentVault.indexValue('news.example'));
+        expect(await consentVault.openRecord(resealed)).toEqual({
+            id: 1, siteDomain: 'news.example', termsHash: '0xaaa', timestamp: NOW - 100 * DAY, decisionType: 'decline', accepted: false,
+            batched: true, batchState: 'batched', batchedAt: NOW - 99 * DAY, batchId: '0xtx',
+            merkleProof: { root: '0xroot', leaf: '0xleaf', proof: ['0x01'], txHash: '0xtx' }, prunedAt: NOW
+        });
+
+        await consentVault.lock();
+        expect(await consentStorage.resealAnchored(consents, planned, NOW)).toEqual([]);
+    });
+});
@@ -0,0 +1,121 @@
+import 'fake-indexeddb/auto';
+
+// Locking and unlocking the consent history through the background worker's
+// message listener, the way the popup, dashboard and content scripts reach it.
+// background.js is loaded once on fake chrome APIs and an in-memory IndexedDB.
+
+function memoryArea() {
+    const data = {};
+    const keyList = keys => (Array.isArray(keys) ? keys : [keys]);
+    return {
+        data,
+        get: async (keys) => Object.fromEntries(keyList(keys).filter(key => key in data).map(key => [key, data[key]])),
+        set: async (items) => { Object.assign(data, items); },
+        remove: async (keys) => { keyList(keys).forEach(key => delete data[key]); }
+    };
+}
+
+const event = () => {
+    const listeners = [];
+    return { listeners, addListener: listener => listeners.push(listener) };
+};
+
+function fakeChrome() {
+    return {
+        runtime: {
+            id: 'test',
+            getURL: (resource) => `chrome-extension://test/${resource}`,
+            getManifest: () => ({ version: '1.0' }),
+            onMessage: event()
+        },
+        storage: { local: memoryArea(), session: memoryArea(), sync: memoryArea(), onChanged: event() },
+        alarms: { get: async () => null, create: async () => { }, onAlarm: event() },
+        notifications: { create: jest.fn(), clear: jest.fn(), onClicked: event() },
+        tabs: { query: async () => [], create: jest.fn(), onUpdated: event(), onRemoved: event() },
+        cookies: { getAll: async () => [], remove: async () => { } },
+        scripting: {
+            getRegisteredContentScripts: async () => [],
+            registerContentScripts: async () => { },
+            unregisterContentScripts: async () => { }
+        },
+        declarativeNetRequest: { updateDynamicRules: async () => { } }
+    };
+}
+
+const PASSPHRASE = 'correct horse battery';
+const POPUP = { id: 'test', url: 'chrome-extension://test/popup/popup.html' };
+const PAGE = { id: 'test', url: 'https://news.example/', frameId: 0, tab: { id: 1, url: 'https://news.example/' } };
+
+describe('locking the consent history (background messages)', () => {
+    let onMessage;
+
+    // Resolves with what the handler sends back
+    const send = (request, sender = POPUP) => new Promise(resolve => onMessage(request, sender, resolve));
+
+    const capture = (termsHash) => send({
+        type: 'CONSENT_CAPTURED',
+        consent: { siteDomain: 'news.example', url: 'https://news.example/', termsHash, decisionType: 'accept' }
+    }, PAGE);
+
+    beforeAll(async () => {
+        global.chrome = fakeChrome();
+        global.fetch = jest.fn(async () => ({ ok: false, status: 404 }));
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+
+        // The vault and storage singletons pick up chrome when they load
+        await import('../../extension/background.js');
+        [onMessage] = chrome.runtime.onMessage.listeners;
+    });
+
+    afterAll(() => {
+        delete global.chrome;
+        delete global.fetch;
+        jest.restoreAllMocks();
+    });
+
+    test('history is readable only while unlocked, and what came in while locked is indexed on unlock', async () => {
+        expect(await capture('0xaaa')).toEqual({ success: true });
+        expect(await send({ type: 'RECORD_RULE_OUTCOME', siteDomain: 'news.example', ruleName: 'Didomi', success: true }, PAGE))
+            .toEqual({ success: true });
+
+        const enabled = await send({ type: 'VAULT_ENABLE', secret: PASSPHRASE });
+        expect(enabled.data).toMatchObject({ enabled: true, unlocked: true, sealedCount: 1, pendingIndexCount: 0 });
+
+        const locked = await send({ type: 'VAULT_LOCK' });
+        expect(locked.data).toMatchObject({ enabled: true, unlocked: false });
+
+        // Reading needs the keys; capturing doesn't
+        expect(await send({ type: 'QUERY_CONSENTS' })).toMatchObject({ success: false, error: expect.stringContaining('locked') });
+        expect(await capture('0xbbb')).toEqual({ success: true });
+        expect((await send({ type: 'GET_VAULT_STATUS' })).data).toMatchObject({ sealedCount: 2, pendingIndexCount: 1 });
+
+        // No rule history while locked, and outcomes aren't counted
+        expect(await send({ type: 'GET_RULE_STATS', siteDomain: 'news.example' }, PAGE)).toEqual({ success: true, data: {} });
+        await send({ type: 'RECORD_RULE_OUTCOME', siteDomain: 'news.example', ruleName: 'Didomi', success: false }, PAGE);
+
+        expect(await send({ type: 'VAULT_UNLOCK', secret: 'not the passphrase' })).toMatchObject({ success: false });
+        const unlocked = await send({ type: 'VAULT_UNLOCK', secret: PASSPHRASE });
+        expect(unlocked.data).toMatchObject({ unlocked: true, sealedCount: 2, pendingIndexCount: 0 });
+
+        const site = await send({ type: 'QUERY_CONSENTS', filters: { siteDomain: 'news.example' } });
+        expect(site.data.consents.map(consent => consent.termsHash).sort()).toEqual(['0xaaa', '0xbbb']);
+
+        const stats = await send({ type: 'GET_RULE_STATS', siteDomain: 'news.example' }, PAGE);
+        expect(stats.data.Didomi).toMatchObject({ successes: 1, failures: 0 });
+    });
+
+    test('rule stats name no site while encryption is on, and are dropped when it is turned off', async () => {
+        const { consentStorage } = await import('../../extension/utils/storage.js');
+        const raw = await consentStorage.getRawRecords('ruleStats');
+        expect(raw).toHaveLength(1);
+        expect(JSON.stringify(raw)).not.toContain('news.example');
+
+        expect((await send({ type: 'VAULT_DISABLE', secret: PASSPHRASE })).data).toMatchObject({ enabled: false });
+        expect(await consentStorage.getRawRecords('ruleStats')).toEqual([]);
+
+        await send({ type: 'RECORD_RULE_OUTCOME', siteDomain: 'news.example', ruleName: 'Didomi', success: true }, PAGE);
+        expect((await consentStorage.getRawRecords('ruleStats'))[0].siteDomain).toBe('news.example');
+    });
+});
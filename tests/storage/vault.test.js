@@ -0,0 +1,135 @@
+import { ConsentVault, VaultLockedError, INDEX_PREFIX, walletKeyMessage } from '../../extension/utils/vault.js';
+
+// Encryption at rest for consent records, with chrome.storage replaced by an
+// in-memory store. One storage object shared by two vaults stands in for two
+// extension contexts (background worker and dashboard).
+
+function memoryArea() {
+    const data = {};
+    return {
+        data,
+        get: async (keys) => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]])),
+        set: async (items) => { Object.assign(data, items); },
+        remove: async (key) => { delete data[key]; }
+    };
+}
+
+function memoryStorage() {
+    return { local: memoryArea(), session: memoryArea() };
+}
+
+const PASSPHRASE = 'correct horse battery';
+
+const CONSENT = {
+    id: 7,
+    siteDomain: 'News.Example',
+    url: 'https://news.example/article',
+    termsHash: '0xabc',
+    accepted: false,
+    decisionType: 'decline',
+    timestamp: 1700000000000,
+    batched: false,
+    batchId: null,
+    tcf: { tcString: 'CPxyz' }
+};
+
+describe('ConsentVault', () => {
+    test('records are untouched while encryption is off', async () => {
+        const vault = new ConsentVault(memoryStorage());
+        expect(await vault.sealRecord('consentQueue', CONSENT)).toBe(CONSENT);
+        expect(await vault.openRecord(CONSENT)).toBe(CONSENT);
+    });
+
+    test('seals everything but the envelope and opens it again', async () => {
+        const vault = new ConsentVault(memoryStorage());
+        await vault.create({ secret: PASSPHRASE });
+
+        const sealed = await vault.sealRecord('consentQueue', CONSENT);
+        expect(sealed).toMatchObject({ id: 7, termsHash: '0xabc', decisionType: 'decline', batched: false });
+        expect(sealed.url).toBeUndefined();
+        expect(sealed.tcf).toBeUndefined();
+        expect(JSON.stringify(sealed)).not.toContain('news.example');
+
+        // Keyed hash, case-insensitive like the domains it replaces
+        expect(sealed.siteDomain).toBe(await vault.indexValue('news.example'));
+        expect(sealed.siteDomain.startsWith(INDEX_PREFIX)).toBe(true);
+
+        expect(await vault.openRecord(sealed)).toEqual(CONSENT);
+    });
+
+    test('handling attempts keep only their outcome in the clear', async () => {
+        const vault = new ConsentVault(memoryStorage());
+        await vault.create({ secret: PASSPHRASE });
+
+        const attempt = { siteDomain: 'news.example', url: 'https://news.example/article', engine: 'rules', outcome: 'no_button', timestamp: 1700000000000 };
+        const sealed = await vault.sealRecord('handlingAttempts', attempt);
+        expect(sealed).toMatchObject({ engine: 'rules', outcome: 'no_button', timestamp: 1700000000000 });
+        expect(JSON.stringify(sealed)).not.toContain('news.example');
+        expect(await vault.openRecord(sealed)).toEqual(attempt);
+    });
+
+    test('wrong passphrase does not unlock; the right one does', async () => {
+        const storage = memoryStorage();
+        const vault = new ConsentVault(storage);
+        await vault.create({ secret: PASSPHRASE });
+        const sealed = await vault.sealRecord('consentQueue', CONSENT);
+
+        // Fresh context: nothing unlocked in this session yet
+        await vault.lock();
+        const other = new ConsentVault(storage);
+        await expect(other.openRecord(sealed)).rejects.toBeInstanceOf(VaultLockedError);
+        await expect(other.unlock('not the passphrase')).rejects.toThrow('Wrong passphrase');
+
+        await other.unlock(PASSPHRASE);
+        expect(await other.openRecord(sealed)).toEqual(CONSENT);
+    });
+
+    test('unlocking in one context unlocks the others for the session', async () => {
+        const storage = memoryStorage();
+        const background = new ConsentVault(storage);
+        await background.create({ secret: PASSPHRASE });
+        await background.lock();
+
+        const dashboard = new ConsentVault(storage);
+        await dashboard.unlock(PASSPHRASE);
+
+        const restarted = new ConsentVault(storage);
+        expect(await restarted.isUnlocked()).toBe(true);
+    });
+
+    test('records captured while locked are sealed and wait for their index', async () => {
+        const vault = new ConsentVault(memoryStorage());
+        await vault.create({ secret: PASSPHRASE });
+        await vault.lock();
+
+        const sealed = await vault.sealRecord('consentQueue', CONSENT);
+        expect(sealed.indexPending).toBe(true);
+        expect(sealed.siteDomain).toBeUndefined();
+        await expect(vault.indexValue('news.example')).rejects.toBeInstanceOf(VaultLockedError);
+
+        await vault.unlock(PASSPHRASE);
+        const opened = await vault.openRecord(sealed);
+        expect(opened).toEqual(CONSENT);
+        expect(opened.indexPending).toBeUndefined();
+    });
+
+    test('wallet vaults are keyed by the signature and remember the address', async () => {
+        const vault = new ConsentVault(memoryStorage());
+        const signature = '0x' + 'ab'.repeat(65);
+        const status = await vault.create({ secret: signature, method: 'wallet', walletAddress: '0xABCDEF' });
+        expect(status).toMatchObject({ enabled: true, unlocked: true, method: 'wallet', walletAddress: '0xabcdef' });
+        expect(walletKeyMessage('0xABCDEF')).toContain('0xabcdef');
+
+        await vault.lock();
+        await expect(vault.unlock('0x' + 'cd'.repeat(65))).rejects.toThrow('wallet signature');
+        await vault.unlock(signature);
+        expect(await vault.isUnlocked()).toBe(true);
+    });
+
+    test('no records are sealed while encryption is being turned off', async () => {
+        const vault = new ConsentVault(memoryStorage());
+        await vault.create({ secret: PASSPHRASE });
+        await vault.setDisabling(true);
+        expect(await vault.sealRecord('consentQueue', CONSENT)).toBe(CONSENT);
+    });
+});